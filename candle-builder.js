@@ -0,0 +1,148 @@
+/**
+ * Candle Builder Module
+ *
+ * Aggregates raw price ticks into OHLCV bars at fixed timeframes, so that
+ * indicators are defined in wall-clock time rather than in polls.
+ * (SMA20 on 1m candles means the last 20 minutes regardless of how often
+ * the market is polled.)
+ */
+
+// Supported timeframes in milliseconds
+const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+};
+
+/**
+ * Convert a timeframe label to milliseconds
+ * @param {string} timeframe - Timeframe label (e.g., '5m')
+ * @returns {number} - Timeframe length in milliseconds
+ */
+function timeframeToMs(timeframe) {
+  const ms = TIMEFRAMES[timeframe];
+  if (!ms) {
+    throw new Error(`Unsupported timeframe: ${timeframe} (supported: ${Object.keys(TIMEFRAMES).join(', ')})`);
+  }
+  return ms;
+}
+
+class CandleBuilder {
+  constructor(config = {}) {
+    this.config = {
+      timeframes: config.timeframes || Object.keys(TIMEFRAMES),
+      maxCandles: config.maxCandles || 500, // Bars kept per timeframe
+    };
+
+    // Validate timeframes up front
+    this.config.timeframes.forEach(timeframeToMs);
+
+    this.candles = new Map();
+    for (const timeframe of this.config.timeframes) {
+      this.candles.set(timeframe, []);
+    }
+  }
+
+  /**
+   * Add a price tick to every timeframe
+   * @param {number} price - Tick price
+   * @param {number} volume - Traded volume since the previous tick (may be null)
+   * @param {number} timestamp - Tick time in milliseconds
+   */
+  addTick(price, volume = 0, timestamp = Date.now()) {
+    for (const timeframe of this.config.timeframes) {
+      this.addTickToTimeframe(timeframe, price, volume || 0, timestamp);
+    }
+  }
+
+  /**
+   * Add a tick to a single timeframe's bar series
+   * @param {string} timeframe - Timeframe label
+   * @param {number} price - Tick price
+   * @param {number} volume - Tick volume
+   * @param {number} timestamp - Tick time in milliseconds
+   */
+  addTickToTimeframe(timeframe, price, volume, timestamp) {
+    const interval = timeframeToMs(timeframe);
+    const openTime = Math.floor(timestamp / interval) * interval;
+    const series = this.candles.get(timeframe);
+    const last = series[series.length - 1];
+
+    // Tick belongs to the bar in progress
+    if (last && last.timestamp === openTime) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      last.volume += volume;
+      last.ticks++;
+      return;
+    }
+
+    // Out-of-order tick for an already closed bar is ignored
+    if (last && openTime < last.timestamp) {
+      return;
+    }
+
+    // Fill gaps with flat bars so bar counts stay aligned with time
+    if (last) {
+      const missing = Math.min((openTime - last.timestamp) / interval - 1, this.config.maxCandles);
+      for (let i = 1; i <= missing; i++) {
+        series.push({
+          timestamp: openTime - (missing - i + 1) * interval,
+          open: last.close,
+          high: last.close,
+          low: last.close,
+          close: last.close,
+          volume: 0,
+          ticks: 0,
+        });
+      }
+    }
+
+    series.push({
+      timestamp: openTime,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume,
+      ticks: 1,
+    });
+
+    if (series.length > this.config.maxCandles) {
+      series.splice(0, series.length - this.config.maxCandles);
+    }
+  }
+
+  /**
+   * Get the most recent bars for a timeframe (including the bar in progress)
+   * @param {string} timeframe - Timeframe label
+   * @param {number} count - Number of bars to return
+   * @returns {Array<object>} - OHLCV bars, oldest first
+   */
+  getCandles(timeframe, count = 100) {
+    timeframeToMs(timeframe);
+
+    const series = this.candles.get(timeframe);
+    if (!series) {
+      throw new Error(`Timeframe ${timeframe} is not being tracked`);
+    }
+
+    return series.slice(-count).map(candle => ({ ...candle }));
+  }
+
+  /**
+   * Clear all bars
+   */
+  reset() {
+    for (const timeframe of this.config.timeframes) {
+      this.candles.set(timeframe, []);
+    }
+  }
+}
+
+CandleBuilder.TIMEFRAMES = TIMEFRAMES;
+CandleBuilder.timeframeToMs = timeframeToMs;
+
+module.exports = CandleBuilder;
@@ -0,0 +1,244 @@
+/**
+ * Cross-Asset Gravitation Module
+ *
+ * Multi-asset gravitation from the Principia framework: every pair traded
+ * pulls on every other with
+ *
+ *   F_inter = G × (mass_A × mass_B) / correlation_distance²
+ *   correlation_distance = 1 - |correlation(A, B)|
+ *
+ * Correlations are Pearson correlations of candle-close log returns over a
+ * rolling window, matched by candle time. A pair's mass is its quote-token
+ * volume over the window relative to the average across pairs (tick counts
+ * when the feed reports no volume), so the product stays dimensionless.
+ * The force on A from B points the way B last moved, flipped when the two
+ * are negatively correlated. Configured under `trading.crossAsset`:
+ *
+ *   "crossAsset": {
+ *     "enabled": true,
+ *     "window": 30,
+ *     "minSamples": 10,
+ *     "gravitationalConstant": 0.01,
+ *     "thresholds": { "pairTrade": -0.7, "diversification": 0.3, "contagion": 0.8 }
+ *   }
+ *
+ * Each pair of pairs is also flagged when its correlation crosses a
+ * threshold: pair-trade (strongly negative), diversification (near zero)
+ * or contagion (strongly positive).
+ */
+
+// Distance floor: perfectly correlated assets would otherwise pull infinitely
+const MIN_DISTANCE = 0.05;
+
+const DEFAULT_THRESHOLDS = { pairTrade: -0.7, diversification: 0.3, contagion: 0.8 };
+
+const CONDITIONS = {
+  pairTrade: 'Pair-trade opportunity (strong negative correlation)',
+  diversification: 'Diversification benefit (low correlation)',
+  contagion: 'Contagion risk (strong positive correlation)',
+};
+
+class CrossAssetGravity {
+  constructor(config = {}) {
+    this.updateConfig(config);
+    this.series = new Map(); // pair -> { returns: Map(timestamp -> log return), mass, lastReturn }
+    this.correlations = new Map(); // 'A|B' -> { pairs: [A, B], correlation, samples }
+    this.conditions = new Map(); // 'A|B' -> condition
+  }
+
+  /**
+   * Replace the cross-asset configuration
+   * @param {object} config - Cross-asset configuration
+   */
+  updateConfig(config = {}) {
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...(config.thresholds || {}) };
+    if (!(thresholds.pairTrade < 0 && thresholds.diversification > 0 && thresholds.contagion > thresholds.diversification)) {
+      throw new Error(`Cross-asset thresholds must satisfy pairTrade < 0 < diversification < contagion: ${JSON.stringify(thresholds)}`);
+    }
+
+    this.config = {
+      enabled: config.enabled !== false,
+      window: config.window || 30, // Returns in the rolling correlation
+      minSamples: config.minSamples || 10, // Matched returns needed before a correlation is used
+      gravitationalConstant: config.gravitationalConstant !== undefined ? config.gravitationalConstant : 0.01,
+      thresholds,
+    };
+  }
+
+  /**
+   * Recompute returns, masses, correlations and conditions from candles
+   * @param {object} candlesByPair - { pair: [candles] } (oldest first, see MarketData.getCandles)
+   * @returns {Array<object>} - Conditions flagged since the previous update (none while disabled)
+   */
+  update(candlesByPair) {
+    this.series.clear();
+    if (!this.config.enabled) {
+      this.correlations = new Map();
+      this.conditions = new Map();
+      return [];
+    }
+    const quoteVolumes = new Map();
+
+    for (const [pair, candles] of Object.entries(candlesByPair)) {
+      const recent = candles.slice(-(this.config.window + 1));
+      const returns = new Map();
+      for (let i = 1; i < recent.length; i++) {
+        if (recent[i - 1].close > 0 && recent[i].close > 0) {
+          returns.set(recent[i].timestamp, Math.log(recent[i].close / recent[i - 1].close));
+        }
+      }
+
+      const hasVolume = recent.some(candle => candle.volume > 0);
+      quoteVolumes.set(pair, recent.reduce((sum, candle) =>
+        sum + (hasVolume ? candle.volume * candle.close : candle.ticks || 0), 0));
+
+      const values = Array.from(returns.values());
+      this.series.set(pair, { returns, mass: 1, lastReturn: values.length > 0 ? values[values.length - 1] : 0 });
+    }
+
+    // Masses relative to the average pair, so G is independent of volume units
+    const averageVolume = Array.from(quoteVolumes.values()).reduce((sum, v) => sum + v, 0) / (quoteVolumes.size || 1);
+    for (const [pair, volume] of quoteVolumes) {
+      this.series.get(pair).mass = averageVolume > 0 ? volume / averageVolume : 1;
+    }
+
+    const previous = this.conditions;
+    this.correlations = new Map();
+    this.conditions = new Map();
+    const flagged = [];
+    const pairs = Array.from(this.series.keys());
+
+    for (let i = 0; i < pairs.length; i++) {
+      for (let j = i + 1; j < pairs.length; j++) {
+        const key = `${pairs[i]}|${pairs[j]}`;
+        const entry = { pairs: [pairs[i], pairs[j]], ...this.correlate(pairs[i], pairs[j]) };
+        this.correlations.set(key, entry);
+
+        const condition = this.classify(entry);
+        if (condition) {
+          this.conditions.set(key, condition);
+          if (previous.get(key)?.type !== condition.type) {
+            flagged.push(condition);
+          }
+        }
+      }
+    }
+
+    return flagged;
+  }
+
+  /**
+   * Pearson correlation of two pairs' returns over matching candles
+   * @param {string} a - First pair
+   * @param {string} b - Second pair
+   * @returns {object} - { correlation (null when there are too few samples), samples }
+   */
+  correlate(a, b) {
+    const returnsA = this.series.get(a).returns;
+    const returnsB = this.series.get(b).returns;
+    const xs = [];
+    const ys = [];
+    for (const [timestamp, value] of returnsA) {
+      if (returnsB.has(timestamp)) {
+        xs.push(value);
+        ys.push(returnsB.get(timestamp));
+      }
+    }
+
+    if (xs.length < this.config.minSamples) {
+      return { correlation: null, samples: xs.length };
+    }
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < xs.length; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      varianceX += Math.pow(xs[i] - meanX, 2);
+      varianceY += Math.pow(ys[i] - meanY, 2);
+    }
+
+    // Flat series have no defined correlation
+    const correlation = varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+    return { correlation, samples: xs.length };
+  }
+
+  /**
+   * Flag a correlation against the thresholds
+   * @param {object} entry - { pairs, correlation, samples }
+   * @returns {object|null} - { type, description, pairs, correlation } or null
+   */
+  classify(entry) {
+    const { correlation } = entry;
+    if (correlation === null) {
+      return null;
+    }
+
+    const thresholds = this.config.thresholds;
+    let type = null;
+    if (correlation <= thresholds.pairTrade) {
+      type = 'pairTrade';
+    } else if (correlation >= thresholds.contagion) {
+      type = 'contagion';
+    } else if (Math.abs(correlation) <= thresholds.diversification) {
+      type = 'diversification';
+    }
+
+    return type ? { type, description: CONDITIONS[type], pairs: entry.pairs, correlation } : null;
+  }
+
+  /**
+   * Correlation between two pairs from the last update
+   * @param {string} a - First pair
+   * @param {string} b - Second pair
+   * @returns {number|null} - Correlation, or null when unknown
+   */
+  getCorrelation(a, b) {
+    const entry = this.correlations.get(`${a}|${b}`) || this.correlations.get(`${b}|${a}`);
+    return entry ? entry.correlation : null;
+  }
+
+  /**
+   * Net inter-asset force on a pair
+   * @param {string} pair - Trading pair
+   * @returns {object} - { force (-1 to 1), contributions: [{ pair, correlation, force }] }
+   */
+  getForce(pair) {
+    const self = this.series.get(pair);
+    if (!this.config.enabled || !self) {
+      return { force: 0, contributions: [] };
+    }
+
+    const contributions = [];
+    let total = 0;
+    for (const [other, series] of this.series) {
+      const correlation = other === pair ? null : this.getCorrelation(pair, other);
+      if (correlation === null || series.lastReturn === 0) {
+        continue;
+      }
+
+      const distance = Math.max(MIN_DISTANCE, 1 - Math.abs(correlation));
+      const magnitude = this.config.gravitationalConstant * self.mass * series.mass / Math.pow(distance, 2);
+      const force = magnitude * Math.sign(correlation) * Math.sign(series.lastReturn);
+      contributions.push({ pair: other, correlation, force });
+      total += force;
+    }
+
+    return { force: Math.max(-1, Math.min(1, total)), contributions };
+  }
+
+  /**
+   * Conditions currently flagged
+   * @returns {Array<object>} - [{ type, description, pairs, correlation }]
+   */
+  getConditions() {
+    return Array.from(this.conditions.values());
+  }
+}
+
+CrossAssetGravity.CONDITIONS = CONDITIONS;
+
+module.exports = CrossAssetGravity;
@@ -0,0 +1,312 @@
+/**
+ * DCA Module
+ *
+ * Dollar-cost averaging: buys a fixed quote amount of a pair's base token on
+ * a cron-style schedule (see schedule.js). Buys go through the trade
+ * executor, so dry run and the paper account apply, and are booked in the
+ * ledger under `purpose: 'dca'`, apart from the strategies' positions.
+ * Configured under `trading.dca`:
+ *
+ *   "dca": {
+ *     "enabled": false,
+ *     "pair": "SOL-USDC",
+ *     "amount": 25,                 // Quote tokens per buy
+ *     "schedule": "0 9 * * *",      // Every day at 09:00
+ *     "modulation": { "enabled": true, "sensitivity": 10, "min": 0.5, "max": 2 },
+ *     "budget": { "daily": null, "monthly": null, "total": null },
+ *     "retry": { "max": 3, "delayMinutes": 5 },
+ *     "path": "~/.solana-hyper-bot/dca.json"
+ *   }
+ *
+ * With modulation, a buy is scaled by 1 - sensitivity × momentum (clamped
+ * to min..max), using the momentum of the pair's Principia engine: more
+ * when price has been falling, less when it has been rising. Budget caps
+ * limit the quote spent per calendar day, per calendar month and in total,
+ * and a buy is cut to what is left. Every buy goes to a spend ledger on
+ * disk together with the next run time, so caps hold across restarts.
+ * Dry-run and live spending are budgeted separately.
+ *
+ * A run whose buy fails (no quote, budget used up, swap rejected) is not
+ * skipped: the failure goes to the ledger and the buy is retried after
+ * `retry.delayMinutes`, up to `retry.max` times, before the run is given up
+ * for the next one on the schedule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Schedule = require('./schedule');
+const StateStore = require('./state-store');
+
+// Schema version of the spend ledger file
+const LEDGER_VERSION = 1;
+
+const BUDGET_PERIODS = ['daily', 'monthly', 'total'];
+
+class DcaAccumulator {
+  constructor(config = {}) {
+    this.config = {
+      enabled: false,
+      pair: 'SOL-USDC',
+      amount: 25,
+      schedule: '0 9 * * *',
+      modulation: { enabled: true, sensitivity: 10, min: 0.5, max: 2 },
+      budget: { daily: null, monthly: null, total: null },
+      retry: { max: 3, delayMinutes: 5 },
+      path: config.path || '~/.solana-hyper-bot/dca.json',
+    };
+    this.filePath = StateStore.expandPath(this.config.path);
+    this.purchases = [];
+    this.failures = [];
+    this.retries = 0; // Failed attempts of the current run
+    this.nextRunAt = null;
+    this.updateConfig(config);
+  }
+
+  /**
+   * Update configuration (the ledger path is fixed at startup)
+   * @param {object} newConfig - Settings to change
+   */
+  updateConfig(newConfig = {}) {
+    const { path: _path, ...settings } = newConfig;
+    const config = {
+      ...this.config,
+      ...settings,
+      modulation: { ...this.config.modulation, ...settings.modulation },
+      budget: { ...this.config.budget, ...settings.budget },
+      retry: { ...this.config.retry, ...settings.retry },
+    };
+
+    if (!(config.amount > 0)) {
+      throw new Error(`DCA amount must be greater than 0: ${config.amount}`);
+    }
+    const schedule = new Schedule(config.schedule);
+    const { sensitivity, min, max } = config.modulation;
+    if (!(sensitivity >= 0 && min > 0 && min <= 1 && max >= 1)) {
+      throw new Error(`DCA modulation needs sensitivity >= 0 and 0 < min <= 1 <= max: sensitivity ${sensitivity}, min ${min}, max ${max}`);
+    }
+    for (const period of BUDGET_PERIODS) {
+      const cap = config.budget[period];
+      if (cap !== null && cap !== undefined && !(cap > 0)) {
+        throw new Error(`DCA ${period} budget must be greater than 0 (or null for no cap): ${cap}`);
+      }
+    }
+    if (!(Number.isInteger(config.retry.max) && config.retry.max >= 0 && config.retry.delayMinutes > 0)) {
+      throw new Error(`DCA retry needs a whole max >= 0 and delayMinutes > 0: max ${config.retry.max}, delayMinutes ${config.retry.delayMinutes}`);
+    }
+
+    if (this.schedule && schedule.expression !== this.schedule.expression) {
+      this.nextRunAt = null;
+    }
+    this.schedule = schedule;
+    this.config = config;
+  }
+
+  /**
+   * Buy if a scheduled run is due
+   * @param {object} tradeExecutor - TradeExecutor
+   * @param {object} options - { now, price, momentum } (price and momentum may be null)
+   * @returns {Promise<object|null>} - Run (see buy), or null when nothing was due
+   */
+  async tick(tradeExecutor, { now = Date.now(), price = null, momentum = null } = {}) {
+    if (!this.config.enabled) {
+      return null;
+    }
+    if (this.nextRunAt === null) {
+      this.nextRunAt = this.schedule.next(now).getTime();
+      this.save();
+      return null;
+    }
+    if (now < this.nextRunAt) {
+      return null;
+    }
+    return this.buy(tradeExecutor, { now, price, momentum });
+  }
+
+  /**
+   * Buy now and schedule the next run, or a retry when the buy fails. Runs
+   * missed while the bot was stopped are made up with a single buy.
+   * @param {object} tradeExecutor - TradeExecutor
+   * @param {object} options - { now, price, momentum }
+   * @returns {Promise<object>} - Plan with { result, purchase, failure, nextRunAt }
+   */
+  async buy(tradeExecutor, { now = Date.now(), price = null, momentum = null } = {}) {
+    const dryRun = Boolean(tradeExecutor.config.dryRun);
+    const plan = this.plan(now, momentum, dryRun);
+
+    let result = null;
+    let purchase = null;
+    if (plan.amount > 0) {
+      result = await tradeExecutor.executeQuoteBuy(this.config.pair, plan.amount, price, 'dca');
+      if (result.success) {
+        const baseAmount = result.outputUiAmount ?? (price ? plan.amount / price : null);
+        purchase = {
+          id: result.id || null,
+          time: now,
+          pair: this.config.pair,
+          quoteAmount: plan.amount,
+          baseAmount,
+          price: baseAmount ? plan.amount / baseAmount : price,
+          multiplier: plan.multiplier,
+          momentum: plan.momentum,
+          dryRun: Boolean(result.dryRun),
+        };
+        this.purchases.push(purchase);
+      }
+    }
+
+    let failure = null;
+    const scheduled = this.schedule.next(now).getTime();
+    if (purchase) {
+      this.retries = 0;
+      this.nextRunAt = scheduled;
+    } else {
+      this.retries++;
+      failure = {
+        time: now,
+        pair: this.config.pair,
+        quoteAmount: plan.amount,
+        reason: plan.amount > 0 ? (result.reason || 'Buy failed') : 'Budget exhausted',
+        attempt: this.retries,
+        gaveUp: this.retries > this.config.retry.max,
+        dryRun,
+      };
+      this.failures.push(failure);
+      if (failure.gaveUp) {
+        this.retries = 0;
+        this.nextRunAt = scheduled;
+      } else {
+        this.nextRunAt = Math.min(now + this.config.retry.delayMinutes * 60000, scheduled);
+      }
+    }
+
+    this.save();
+    return { ...plan, result, purchase, failure, nextRunAt: this.nextRunAt };
+  }
+
+  /**
+   * Size the next buy
+   * @param {number} now - Time of the buy
+   * @param {number|null} momentum - Principia momentum of the pair (null skips modulation)
+   * @param {boolean} dryRun - Whether the buy is a dry run (budgeted separately)
+   * @returns {object} - { amount, desired, multiplier, momentum, remaining, capped }
+   */
+  plan(now, momentum, dryRun) {
+    const { amount, modulation } = this.config;
+    const modulated = modulation.enabled && Number.isFinite(momentum);
+    const multiplier = modulated
+      ? Math.max(modulation.min, Math.min(modulation.max, 1 - modulation.sensitivity * momentum))
+      : 1;
+
+    const desired = amount * multiplier;
+    const remaining = this.getRemainingBudget(now, dryRun).remaining;
+    const spend = Math.max(0, Math.min(desired, remaining));
+
+    return {
+      amount: spend,
+      desired,
+      multiplier,
+      momentum: modulated ? momentum : null,
+      remaining,
+      capped: spend < desired,
+    };
+  }
+
+  /**
+   * Quote tokens spent
+   * @param {object} filter - { since (timestamp), dryRun }
+   * @returns {number} - Quote tokens spent
+   */
+  spent({ since = 0, dryRun = null } = {}) {
+    return this.purchases
+      .filter(purchase => purchase.time >= since && (dryRun === null || purchase.dryRun === dryRun))
+      .reduce((sum, purchase) => sum + purchase.quoteAmount, 0);
+  }
+
+  /**
+   * Budget left under each cap
+   * @param {number} now - Current time
+   * @param {boolean} dryRun - Dry-run or live budget
+   * @returns {object} - { daily, monthly, total, remaining } (Infinity when uncapped)
+   */
+  getRemainingBudget(now = Date.now(), dryRun = false) {
+    const date = new Date(now);
+    const since = {
+      daily: new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime(),
+      monthly: new Date(date.getFullYear(), date.getMonth(), 1).getTime(),
+      total: 0,
+    };
+
+    const left = {};
+    for (const period of BUDGET_PERIODS) {
+      const cap = this.config.budget[period];
+      left[period] = cap ? Math.max(0, cap - this.spent({ since: since[period], dryRun })) : Infinity;
+    }
+    return { ...left, remaining: Math.min(left.daily, left.monthly, left.total) };
+  }
+
+  /**
+   * Totals of the spend ledger
+   * @param {boolean} dryRun - Dry-run or live purchases (all when null)
+   * @returns {object} - { purchases, failures, quoteSpent, baseAcquired, averagePrice, nextRunAt }
+   */
+  getSummary(dryRun = null) {
+    const purchases = this.purchases.filter(purchase => dryRun === null || purchase.dryRun === dryRun);
+    const quoteSpent = purchases.reduce((sum, purchase) => sum + purchase.quoteAmount, 0);
+    const baseAcquired = purchases.reduce((sum, purchase) => sum + (purchase.baseAmount || 0), 0);
+
+    return {
+      purchases: purchases.length,
+      failures: this.failures.filter(failure => dryRun === null || failure.dryRun === dryRun).length,
+      quoteSpent,
+      baseAcquired,
+      averagePrice: baseAcquired > 0 ? quoteSpent / baseAcquired : null,
+      nextRunAt: this.nextRunAt,
+    };
+  }
+
+  /**
+   * Read the spend ledger, failed buys and next run time from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    let ledger;
+    try {
+      ledger = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read DCA ledger ${this.filePath}: ${error.message}`);
+    }
+    if (ledger.version > LEDGER_VERSION) {
+      throw new Error(`DCA ledger version ${ledger.version} is newer than this bot supports (${LEDGER_VERSION})`);
+    }
+
+    this.purchases = Array.isArray(ledger.purchases) ? ledger.purchases : [];
+    this.failures = Array.isArray(ledger.failures) ? ledger.failures : [];
+    this.retries = Number.isInteger(ledger.retries) ? ledger.retries : 0;
+    this.nextRunAt = Number.isFinite(ledger.nextRunAt) ? ledger.nextRunAt : null;
+  }
+
+  /**
+   * Write the spend ledger, replacing the previous file atomically
+   */
+  save() {
+    const ledger = {
+      version: LEDGER_VERSION,
+      savedAt: Date.now(),
+      nextRunAt: this.nextRunAt,
+      retries: this.retries,
+      purchases: this.purchases,
+      failures: this.failures,
+    };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(ledger, null, 2), 'utf-8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+DcaAccumulator.LEDGER_VERSION = LEDGER_VERSION;
+
+module.exports = DcaAccumulator;
@@ -0,0 +1,205 @@
+/**
+ * Decision Journal Module
+ *
+ * Append-only audit trail of every Principia decision, one JSON object per
+ * line. Configured under `bot.journal` in config.json:
+ *
+ *   "journal": {
+ *     "enabled": true,
+ *     "path": "~/.solana-hyper-bot/decisions.jsonl",
+ *     "maxBytes": 10485760,
+ *     "keep": 5
+ *   }
+ *
+ * Each entry records the market data the engine saw (less its candle
+ * series, which the candle builder already keeps), the breakdown of the
+ * combined force, the decision itself (including the `principia` block
+ * with the Law I/II/III details) and the id of the trade it led to:
+ *
+ *   { id, timestamp, time, pair, market, forces, decision, tradeId, trade }
+ *
+ * Protective exits are journaled too, with action 'close'. Entries are
+ * never rewritten; query() streams them back filtered by time, pair and
+ * action.
+ *
+ * Once the file reaches `maxBytes` it is rotated before the next append:
+ * decisions.jsonl becomes decisions.jsonl.1, .1 becomes .2 and so on, and
+ * the oldest beyond `keep` rotated files is deleted. query() reads the
+ * rotated files too. A `maxBytes` of 0 turns rotation off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const StateStore = require('./state-store');
+
+class DecisionJournal {
+  constructor(config = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      path: config.path || '~/.solana-hyper-bot/decisions.jsonl',
+      maxBytes: config.maxBytes ?? 10 * 1024 * 1024, // Rotate at 10 MB
+      keep: config.keep ?? 5, // Rotated files kept
+    };
+
+    if (!Number.isInteger(this.config.maxBytes) || this.config.maxBytes < 0) {
+      throw new Error('journal maxBytes must be a non-negative integer');
+    }
+    if (!Number.isInteger(this.config.keep) || this.config.keep < 1) {
+      throw new Error('journal keep must be a positive integer');
+    }
+
+    this.filePath = StateStore.expandPath(this.config.path);
+    this.sequence = 0; // Disambiguates entries written in the same millisecond
+  }
+
+  /**
+   * Append a decision to the journal
+   * @param {object} record - What happened
+   * @param {string} record.pair - Trading pair
+   * @param {object} record.market - Market data passed to analyzeMarket
+   * @param {object} record.decision - Decision returned by analyzeMarket (or a protective close)
+   * @param {object} record.trade - Trade result the decision led to (null when none)
+   * @returns {object} - Journal entry
+   */
+  record({ pair, market, decision, trade = null }) {
+    const timestamp = Date.now();
+    const { forces = [], ...rest } = decision;
+    const { candles, ...inputs } = market;
+    const entry = {
+      id: `${timestamp}-${++this.sequence}`,
+      timestamp,
+      time: new Date(timestamp).toISOString(),
+      pair,
+      market: inputs,
+      forces,
+      decision: rest,
+      tradeId: trade?.id || null,
+      trade: trade ? DecisionJournal.summarizeTrade(trade) : null,
+    };
+
+    if (this.config.enabled) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.rotate();
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf-8');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Rotate the journal once it has reached maxBytes
+   */
+  rotate() {
+    if (!this.config.maxBytes || !fs.existsSync(this.filePath) || fs.statSync(this.filePath).size < this.config.maxBytes) {
+      return;
+    }
+
+    fs.rmSync(`${this.filePath}.${this.config.keep}`, { force: true });
+    for (let i = this.config.keep - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) {
+        fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+  }
+
+  /**
+   * Journal files on disk, oldest first: rotated files, then the live one
+   * @returns {Array<string>} - File paths
+   */
+  files() {
+    const files = [];
+    for (let i = this.config.keep; i >= 1; i--) {
+      files.push(`${this.filePath}.${i}`);
+    }
+    files.push(this.filePath);
+    return files.filter(file => fs.existsSync(file));
+  }
+
+  /**
+   * Read journal entries, oldest first, streaming the files line by line
+   * @param {object} filter - Filter (all fields optional)
+   * @param {number|string|Date} filter.from - Earliest time (inclusive)
+   * @param {number|string|Date} filter.to - Latest time (inclusive)
+   * @param {string} filter.pair - Trading pair
+   * @param {string|Array<string>} filter.action - Action(s): 'buy', 'sell', 'hold', 'close'
+   * @param {number} filter.limit - Keep only the latest N matches
+   * @returns {Promise<Array<object>>} - Matching entries
+   */
+  async query(filter = {}) {
+    const from = filter.from !== undefined ? DecisionJournal.toTimestamp(filter.from) : -Infinity;
+    const to = filter.to !== undefined ? DecisionJournal.toTimestamp(filter.to) : Infinity;
+    const actions = filter.action === undefined ? null : [].concat(filter.action);
+
+    const matches = [];
+    for (const file of this.files()) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash: skip it
+          continue;
+        }
+
+        if (entry.timestamp < from || entry.timestamp > to) {
+          continue;
+        }
+        if (filter.pair && entry.pair !== filter.pair) {
+          continue;
+        }
+        if (actions && !actions.includes(entry.decision.action)) {
+          continue;
+        }
+        matches.push(entry);
+        if (filter.limit && matches.length > filter.limit) {
+          matches.shift(); // Only the latest N are kept in memory
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Keep the parts of a trade result worth auditing
+   * @param {object} trade - Trade result (see TradeExecutor)
+   * @returns {object} - Trade summary
+   */
+  static summarizeTrade(trade) {
+    return {
+      id: trade.id || null,
+      success: Boolean(trade.success),
+      dryRun: trade.dryRun ?? null,
+      refused: trade.refused || false,
+      side: trade.side || null,
+      inputSymbol: trade.inputSymbol || null,
+      outputSymbol: trade.outputSymbol || null,
+      inputUiAmount: trade.inputUiAmount ?? null,
+      outputUiAmount: trade.outputUiAmount ?? null,
+      signature: trade.signature || null,
+      reason: trade.reason || null,
+    };
+  }
+
+  /**
+   * Convert a time filter to milliseconds since the epoch
+   * @param {number|string|Date} value - Timestamp, ISO string or Date
+   * @returns {number} - Milliseconds
+   */
+  static toTimestamp(value) {
+    const timestamp = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+    if (!Number.isFinite(timestamp)) {
+      throw new Error(`Invalid journal time: ${value}`);
+    }
+    return timestamp;
+  }
+}
+
+module.exports = DecisionJournal;
@@ -0,0 +1,121 @@
+/**
+ * Force Components Module
+ *
+ * The forces the Principia engine combines into the single force that has
+ * to overcome inertia (Law I) and accelerates the position (Law II). By
+ * Corollary II forces compose by addition, so the combined force is
+ *
+ *   F = Σ weight × value
+ *
+ * over every registered component. Weights are configured under
+ * `principia.forces` in config.json; components left out keep the weight
+ * they were registered with, and a weight of 0 switches one off:
+ *
+ *   "forces": { "signal": 0.6, "momentum": 0.2, "gravitation": 0.2, "interAsset": 0.2 }
+ *
+ * Built-in components:
+ *   - signal:      composed indicator signal (market.signalStrength)
+ *   - momentum:    conserved momentum of the price
+ *   - gravitation: pull of nearby support/resistance levels
+ *   - interAsset:  pull of correlated pairs (see CrossAssetGravity)
+ *
+ * Custom components plug in with registerForceComponent(name, compute,
+ * weight). `compute(context)` receives { marketData, momentum,
+ * gravitationalForce, engine } and returns a value from -1 (sell) to 1
+ * (buy); null or a non-finite value contributes nothing.
+ */
+
+// Registry of force components: name -> { weight, compute }
+const FORCE_COMPONENTS = {
+  signal: {
+    weight: 0.6,
+    compute: (context) => context.marketData.signalStrength,
+  },
+  momentum: {
+    weight: 0.2,
+    compute: (context) => context.momentum,
+  },
+  gravitation: {
+    weight: 0.2,
+    compute: (context) => context.gravitationalForce,
+  },
+  interAsset: {
+    weight: 0.2,
+    compute: (context) => context.marketData.interAssetForce || 0,
+  },
+};
+
+/**
+ * Throw unless a weight is a finite number of at least 0
+ * @param {string} name - Component name
+ * @param {number} weight - Weight to check
+ */
+function validateWeight(name, weight) {
+  if (!Number.isFinite(weight) || weight < 0) {
+    throw new Error(`Invalid weight for force component ${name}: ${weight}`);
+  }
+}
+
+/**
+ * Make a force component available under a name
+ * @param {string} name - Component name used in `principia.forces`
+ * @param {Function} compute - (context) => value from -1 to 1
+ * @param {number} weight - Weight when `principia.forces` does not set one
+ */
+function registerForceComponent(name, compute, weight = 0) {
+  if (typeof compute !== 'function') {
+    throw new Error(`Force component ${name} needs a compute function`);
+  }
+  validateWeight(name, weight);
+  FORCE_COMPONENTS[name] = { weight, compute };
+}
+
+/**
+ * Resolve the weight of every registered component
+ * @param {object} forces - Weights by component name (`principia.forces`)
+ * @returns {object} - Complete weights by component name
+ */
+function resolveForceWeights(forces = {}) {
+  for (const name of Object.keys(forces)) {
+    if (!FORCE_COMPONENTS[name]) {
+      throw new Error(`Unknown force component: ${name} (available: ${Object.keys(FORCE_COMPONENTS).join(', ')})`);
+    }
+  }
+
+  const weights = {};
+  for (const [name, component] of Object.entries(FORCE_COMPONENTS)) {
+    weights[name] = forces[name] !== undefined ? forces[name] : component.weight;
+    validateWeight(name, weights[name]);
+  }
+  return weights;
+}
+
+/**
+ * Combine the registered components into one force
+ * @param {object} weights - Weights by component name (see resolveForceWeights)
+ * @param {object} context - { marketData, momentum, gravitationalForce, engine }
+ * @returns {object} - { force, components: [{ name, weight, value, contribution }] }
+ */
+function composeForces(weights, context) {
+  let force = 0;
+  const components = [];
+
+  for (const [name, component] of Object.entries(FORCE_COMPONENTS)) {
+    // Components registered after the weights were resolved keep their default
+    const weight = weights[name] !== undefined ? weights[name] : component.weight;
+    const raw = component.compute(context);
+    const value = raw !== null && Number.isFinite(raw) ? raw : 0;
+    const contribution = value * weight;
+
+    force += contribution;
+    components.push({ name, weight, value, contribution });
+  }
+
+  return { force, components };
+}
+
+module.exports = {
+  composeForces,
+  registerForceComponent,
+  resolveForceWeights,
+};
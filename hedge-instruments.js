@@ -0,0 +1,108 @@
+/**
+ * Hedge Instruments Module
+ *
+ * Pluggable venues the hedge manager opens counter-positions on. Every
+ * instrument exposes the same interface, so the manager never needs to
+ * know where a hedge lives:
+ *
+ *   trade(pair, side, quantity, price) -> Promise<trade result>
+ *
+ * `side` is 'sell' to add short exposure to the pair's base token and
+ * 'buy' to add long exposure, `quantity` is in base-token UI units and
+ * `price` is the pair price in its quote token. The result is a trade
+ * result (see TradeExecutor) with `success` and, on success, `quantity`:
+ * the base-token amount actually hedged.
+ *
+ * Built-in instruments:
+ *   - stablecoin: Parks the hedged amount in a stablecoin through a spot swap
+ *
+ * Perp venues plug in with registerHedgeInstrument(name, InstrumentClass);
+ * the class is constructed with (tradeExecutor, config) where config is the
+ * instrument's section of `trading.hedge`.
+ */
+
+const { toBaseUnits } = require('./token-amount');
+
+/**
+ * Stablecoin parking hedge
+ *
+ * Hedging a long sells base tokens into the stablecoin; hedging a short
+ * buys base tokens with it. Swaps go through the trade executor tagged
+ * `purpose: 'hedge'`, so they follow the dry-run/paper and live paths of
+ * regular trades. The stablecoin is assumed to trade at par with the
+ * pair's quote token.
+ */
+class StablecoinHedge {
+  constructor(tradeExecutor, config = {}) {
+    this.name = 'stablecoin';
+    this.tradeExecutor = tradeExecutor;
+    this.config = {
+      symbol: config.symbol || 'USDC', // Stablecoin the hedged amount is parked in
+    };
+
+    // Fail early on an unknown stablecoin
+    this.tradeExecutor.tokenRegistry.resolve(this.config.symbol);
+  }
+
+  /**
+   * Swap between the pair's base token and the stablecoin
+   * @param {string} pair - Trading pair being hedged
+   * @param {string} side - 'sell' (base into stablecoin) or 'buy' (stablecoin into base)
+   * @param {number} quantity - Base-token UI amount
+   * @param {number} price - Base price in quote (stablecoin) tokens
+   * @returns {Promise<object>} - Trade result with `quantity` hedged
+   */
+  async trade(pair, side, quantity, price) {
+    const base = this.tradeExecutor.tokenRegistry.resolvePair(pair).base;
+    const stable = this.tradeExecutor.tokenRegistry.resolve(this.config.symbol);
+    const options = { pair, side, baseAmount: quantity, purpose: 'hedge' };
+
+    const result = side === 'sell'
+      ? await this.tradeExecutor.executeSwap(base.mint, stable.mint,
+        toBaseUnits(quantity, base.decimals), { ...options, price })
+      : await this.tradeExecutor.executeSwap(stable.mint, base.mint,
+        toBaseUnits(quantity * price, stable.decimals), { ...options, price: 1 / price });
+
+    if (result.success) {
+      result.quantity = side === 'sell' ? result.inputUiAmount : result.outputUiAmount;
+    }
+    return result;
+  }
+}
+
+// Registry of hedge instruments
+const HEDGE_INSTRUMENTS = {
+  stablecoin: StablecoinHedge,
+};
+
+/**
+ * Make a hedge instrument available under a name
+ * @param {string} name - Instrument name used in `trading.hedge.instrument`
+ * @param {Function} InstrumentClass - Class constructed with (tradeExecutor, config)
+ */
+function registerHedgeInstrument(name, InstrumentClass) {
+  HEDGE_INSTRUMENTS[name] = InstrumentClass;
+}
+
+/**
+ * Create a hedge instrument by name
+ * @param {string} name - Instrument name
+ * @param {TradeExecutor} tradeExecutor - Executor the instrument trades through
+ * @param {object} config - Instrument configuration
+ * @returns {object} - Hedge instrument
+ */
+function createHedgeInstrument(name, tradeExecutor, config = {}) {
+  const InstrumentClass = HEDGE_INSTRUMENTS[name];
+
+  if (!InstrumentClass) {
+    throw new Error(`Unknown hedge instrument: ${name} (available: ${Object.keys(HEDGE_INSTRUMENTS).join(', ')})`);
+  }
+
+  return new InstrumentClass(tradeExecutor, config);
+}
+
+module.exports = {
+  StablecoinHedge,
+  createHedgeInstrument,
+  registerHedgeInstrument,
+};
@@ -0,0 +1,212 @@
+/**
+ * Hedge Manager Module
+ *
+ * Opens the Law III hedge of each position. The engine's
+ * `calculateReaction(positionSize)` gives `hedgeSize` alongside the
+ * stop-loss and take-profit; its share of the position is applied to the
+ * position's base-token quantity and held as a counter-position on a hedge
+ * instrument (see hedge-instruments.js). Configured under `trading.hedge`
+ * in config.json:
+ *
+ *   "hedge": {
+ *     "enabled": true,
+ *     "instrument": "stablecoin",
+ *     "rebalanceThreshold": 0.1,
+ *     "stablecoin": { "symbol": "USDC" }
+ *   }
+ *
+ * With riskReactionRatio 1 a 2 SOL long is hedged by parking 0.4 SOL in
+ * USDC. The hedge is resized whenever the position changes by more than
+ * `rebalanceThreshold` of the current hedge, and unwound when the position
+ * closes or hedging is disabled. Each hedge stays on the instrument it was
+ * opened on until it is unwound.
+ */
+
+const { createHedgeInstrument } = require('./hedge-instruments');
+
+class HedgeManager {
+  constructor(tradeExecutor, config = {}) {
+    this.tradeExecutor = tradeExecutor;
+    this.hedges = new Map(); // pair -> { quantity (signed, base units), entryPrice, instrument, updatedAt }
+    this.stats = { opened: 0, resized: 0, closed: 0, failed: 0 };
+    this.updateConfig(config);
+  }
+
+  /**
+   * Replace the hedge configuration (open hedges keep their instrument)
+   * @param {object} config - Hedge configuration
+   */
+  updateConfig(config = {}) {
+    const name = config.instrument || 'stablecoin';
+    const instrument = createHedgeInstrument(name, this.tradeExecutor, config[name]);
+    const rebalanceThreshold = config.rebalanceThreshold !== undefined ? config.rebalanceThreshold : 0.1;
+
+    if (!(rebalanceThreshold >= 0)) {
+      throw new Error(`Hedge rebalanceThreshold must be 0 or more: ${config.rebalanceThreshold}`);
+    }
+
+    this.instrument = instrument;
+    this.instrumentConfigs = config; // Sections of other instruments, for restoring hedges opened on them
+    this.config = {
+      enabled: config.enabled !== false,
+      instrument: name,
+      rebalanceThreshold, // Resize only when the target moves this fraction of the current hedge
+    };
+  }
+
+  /**
+   * Hedge quantity a position calls for
+   * @param {object|null} position - Position ({ side: 'long'|'short', quantity }) or null when flat
+   * @param {object} reaction - Engine reaction ({ hedgeSize }) for the position
+   * @param {number} positionSize - Engine position size the reaction was calculated for
+   * @returns {number} - Signed base-token quantity (negative hedges a long)
+   */
+  getTarget(position, reaction, positionSize) {
+    if (!this.config.enabled || !position || !reaction || !(positionSize > 0)) {
+      return 0;
+    }
+
+    const quantity = position.quantity * reaction.hedgeSize / positionSize;
+    return position.side === 'long' ? -quantity : quantity;
+  }
+
+  /**
+   * Open, resize or unwind a pair's hedge to match its position
+   * @param {string} pair - Trading pair
+   * @param {object|null} position - Position ({ side, quantity }) or null when flat
+   * @param {object} reaction - Engine reaction for the position
+   * @param {number} positionSize - Engine position size the reaction was calculated for
+   * @param {number} price - Current base price in quote tokens
+   * @returns {Promise<object|null>} - Hedge trade result, or null when no trade was needed
+   */
+  async sync(pair, position, reaction, positionSize, price) {
+    const hedge = this.hedges.get(pair);
+    const current = hedge ? hedge.quantity : 0;
+    const target = this.getTarget(position, reaction, positionSize);
+    const delta = target - current;
+
+    if (delta === 0 || (target !== 0 && Math.abs(delta) < Math.abs(current) * this.config.rebalanceThreshold)) {
+      return null;
+    }
+
+    const instrument = hedge ? hedge.instrument : this.instrument;
+    const action = current === 0 ? 'OPENING' : (target === 0 ? 'CLOSING' : 'RESIZING');
+    console.log(`\n⚖️  ${action} HEDGE (${instrument.name}): ${pair} ${current.toFixed(6)} -> ${target.toFixed(6)}`);
+
+    let result;
+    try {
+      result = await instrument.trade(pair, delta > 0 ? 'buy' : 'sell', Math.abs(delta), price);
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
+
+    if (!result.success) {
+      this.stats.failed++;
+      console.log(`❌ Hedge not adjusted: ${result.reason}`);
+      return result;
+    }
+
+    const filled = Math.sign(delta) * result.quantity;
+    const quantity = current + filled;
+
+    if (current === 0) {
+      this.stats.opened++;
+    } else if (target === 0) {
+      this.stats.closed++;
+    } else {
+      this.stats.resized++;
+    }
+
+    if (target === 0 || Math.abs(quantity) < 1e-12) {
+      this.hedges.delete(pair);
+    } else {
+      // Average the entry when the hedge grows; a reduction keeps it
+      const entryPrice = hedge && Math.abs(quantity) <= Math.abs(current)
+        ? hedge.entryPrice
+        : ((hedge ? current * hedge.entryPrice : 0) + filled * price) / quantity;
+      this.hedges.set(pair, { quantity, entryPrice, instrument, updatedAt: Date.now() });
+    }
+
+    console.log(`✅ Hedge ${target === 0 ? 'closed' : `now ${quantity.toFixed(6)}`} ${result.dryRun ? '(DRY RUN)' : ''}`);
+    return result;
+  }
+
+  /**
+   * Get a pair's hedge
+   * @param {string} pair - Trading pair
+   * @returns {object|null} - { pair, side, quantity, entryPrice, instrument, updatedAt }
+   */
+  getHedge(pair) {
+    const hedge = this.hedges.get(pair);
+    if (!hedge) {
+      return null;
+    }
+
+    return {
+      pair,
+      side: hedge.quantity < 0 ? 'short' : 'long',
+      quantity: Math.abs(hedge.quantity),
+      entryPrice: hedge.entryPrice,
+      instrument: hedge.instrument.name,
+      updatedAt: hedge.updatedAt,
+    };
+  }
+
+  /**
+   * List open hedges
+   * @returns {Array<object>} - Hedges
+   */
+  list() {
+    return Array.from(this.hedges.keys()).map(pair => this.getHedge(pair));
+  }
+
+  /**
+   * Capture open hedges and counters for a state snapshot
+   * @returns {object} - { hedges, stats }
+   */
+  serialize() {
+    return {
+      hedges: Array.from(this.hedges.entries()).map(([pair, hedge]) => ({ ...hedge, pair, instrument: hedge.instrument.name })),
+      stats: { ...this.stats },
+    };
+  }
+
+  /**
+   * Continue from hedges captured by serialize(); each hedge goes back on
+   * the instrument it was opened on
+   * @param {object} state - Hedge state
+   */
+  restore(state) {
+    if (!state || !Array.isArray(state.hedges)) {
+      throw new Error('Invalid hedge state: hedges are missing');
+    }
+
+    const hedges = new Map();
+    for (const { pair, instrument, ...hedge } of state.hedges) {
+      hedges.set(pair, {
+        ...hedge,
+        instrument: instrument === this.instrument.name
+          ? this.instrument
+          : createHedgeInstrument(instrument, this.tradeExecutor, this.instrumentConfigs[instrument]),
+      });
+    }
+    this.hedges = hedges;
+    this.stats = { ...this.stats, ...state.stats };
+  }
+
+  /**
+   * Hedge statistics, with hedge swaps from the trade history
+   * @returns {object} - { openHedges, opened, resized, closed, failed, trades, successfulTrades }
+   */
+  getStatistics() {
+    const executorStats = this.tradeExecutor.getStatistics();
+    return {
+      openHedges: this.hedges.size,
+      ...this.stats,
+      trades: executorStats.hedgeTrades,
+      successfulTrades: executorStats.successfulHedgeTrades,
+    };
+  }
+}
+
+module.exports = HedgeManager;
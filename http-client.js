@@ -0,0 +1,94 @@
+/**
+ * HTTP Client Module
+ *
+ * Minimal JSON-over-HTTP helper shared by the Jupiter integrations.
+ * Picks http or https from the URL so that local stand-ins
+ * (e.g. http://127.0.0.1:8080) can be used in tests.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Default request timeout in milliseconds
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Send a request and parse the JSON response
+ * @param {string} url - Absolute URL
+ * @param {object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {object} options.body - JSON body to send
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<object>} - Parsed JSON body
+ */
+function requestJson(url, options = {}) {
+  const client = url.startsWith('http://') ? http : https;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const payload = options.body !== undefined ? JSON.stringify(options.body) : null;
+  const headers = payload === null ? {} : {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method: options.method || 'GET', headers }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Failed to parse response: ${error.message}`));
+        }
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms`));
+    });
+
+    req.on('error', reject);
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Perform a GET request and parse the JSON response
+ * @param {string} url - Absolute URL to fetch
+ * @param {object} options - Request options
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<object>} - Parsed JSON body
+ */
+function getJson(url, options = {}) {
+  return requestJson(url, { timeout: options.timeout });
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Absolute URL
+ * @param {object} body - Request body
+ * @param {object} options - Request options
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<object>} - Parsed JSON body
+ */
+function postJson(url, body, options = {}) {
+  return requestJson(url, { method: 'POST', body, timeout: options.timeout });
+}
+
+module.exports = {
+  getJson,
+  postJson,
+};
@@ -6,6 +6,17 @@ const Wallet = require('./wallet');
 const PrincipiaEngine = require('./principia-engine');
 const MarketData = require('./market-data');
 const TradeExecutor = require('./trade-executor');
+const TokenRegistry = require('./token-registry');
+const PositionProtection = require('./position-protection');
+const HedgeManager = require('./hedge-manager');
+const CrossAssetGravity = require('./cross-asset');
+const { resolveForceWeights } = require('./force-components');
+const { reportsVolume, resolvePriceSourceName } = require('./price-sources');
+const { createStrategy, getPairStrategy, getStrategyConfig } = require('./strategies');
+const StateStore = require('./state-store');
+const DecisionJournal = require('./decision-journal');
+const DcaAccumulator = require('./dca');
+const Rebalancer = require('./rebalancer');
 
 // Get possible config paths in priority order
 function getConfigPaths() {
@@ -66,22 +77,110 @@ function getDefaultConfig() {
       enabled: process.env.BOT_ENABLED !== 'false',
       slippageTolerance: 0.01,
       maxRetries: 3,
-      checkInterval: 10000
+      checkInterval: 10000,
+      state: {
+        enabled: true,
+        path: '~/.solana-hyper-bot/state.json'
+      },
+      journal: {
+        enabled: true,
+        path: '~/.solana-hyper-bot/decisions.jsonl',
+        maxBytes: 10 * 1024 * 1024,
+        keep: 5
+      }
     },
     principia: {
       enabled: true,
       inertiaThreshold: 0.15,
       tradingMass: 1.0,
+      volatilitySource: 'auto',
+      volatilityWindow: 20,
+      volatilityScale: 100,
       riskReactionRatio: 1.0,
+      dragCoefficient: 10,
       gravitationalConstant: 0.001,
       momentumPeriod: 20,
-      maxPositionSize: 0.3
+      maxPositionSize: 0.3,
+      positionModel: 'spot-long-flat',
+      forces: { signal: 0.6, momentum: 0.2, gravitation: 0.2, interAsset: 0.2 }
     },
     trading: {
       pairs: ['SOL-USDC'],
       dryRun: true,
       minTradeSize: 0.01,
-      updateInterval: 10000
+      updateInterval: 10000,
+      candleTimeframes: ['1m', '5m', '15m', '1h'],
+      indicatorTimeframe: '1m',
+      keyLevelThreshold: 0.02,
+      signal: {
+        components: [
+          { indicator: 'sma', period: 20, weight: 1, scale: 10 }
+        ]
+      },
+      priceSource: {
+        'mainnet-beta': 'jupiter',
+        devnet: 'simulated',
+        testnet: 'simulated'
+      },
+      priorityFee: {
+        strategy: 'medium',
+        percentiles: { low: 25, medium: 50, high: 75 },
+        maxLamports: 1000000,
+        computeUnitLimit: null
+      },
+      paper: {
+        enabled: true,
+        balances: { SOL: 10, USDC: 1000 },
+        feeLamports: 5000,
+        quoteSymbol: 'USDC'
+      },
+      protection: {
+        enabled: true,
+        reactionToPrice: 0.1
+      },
+      hedge: {
+        enabled: true,
+        instrument: 'stablecoin',
+        rebalanceThreshold: 0.1,
+        stablecoin: { symbol: 'USDC' }
+      },
+      crossAsset: {
+        enabled: true,
+        window: 30,
+        minSamples: 10,
+        gravitationalConstant: 0.01,
+        thresholds: { pairTrade: -0.7, diversification: 0.3, contagion: 0.8 }
+      },
+      dca: {
+        enabled: false,
+        pair: 'SOL-USDC',
+        amount: 25,
+        schedule: '0 9 * * *',
+        modulation: { enabled: true, sensitivity: 10, min: 0.5, max: 2 },
+        budget: { daily: null, monthly: null, total: null },
+        retry: { max: 3, delayMinutes: 5 },
+        path: '~/.solana-hyper-bot/dca.json'
+      },
+      rebalance: {
+        enabled: false,
+        targets: { SOL: 0.5, USDC: 0.3, JUP: 0.2 },
+        valuation: 'USDC',
+        threshold: 0.05,
+        schedule: '0 * * * *',
+        preview: true,
+        solReserve: 0.05
+      },
+      strategy: {
+        name: 'principia',
+        pairs: {},
+        'mean-reversion': { period: 20, entryZ: 2, exitZ: 0.5 },
+        breakout: { period: 20, buffer: 0.001 },
+        grid: { lower: null, upper: null, levels: 10, rangePct: 0.05, spacing: 'arithmetic' },
+        ensemble: {
+          members: { principia: 0.5, 'mean-reversion': 0.25, breakout: 0.25 },
+          vetoes: []
+        }
+      }
     }
   };
 }
@@ -165,17 +264,126 @@ async function main() {
   console.log('  ✅ Bot initialized successfully!');
   console.log('════════════════════════════════════════════════════════════════\n');
   
-  // Initialize Principia Engine
-  let principiaEngine = null;
-  if (config.principia && config.principia.enabled) {
-    console.log('🔬 Initializing Principia Mathematica Trading Engine...');
-    principiaEngine = new PrincipiaEngine(config.principia);
-    console.log('✅ Principia Engine initialized');
-    console.log(`   - Inertia Threshold: ${config.principia.inertiaThreshold}`);
-    console.log(`   - Trading Mass: ${config.principia.tradingMass}`);
-    console.log(`   - Risk:Reward Ratio: ${config.principia.riskReactionRatio}`);
-    console.log(`   - Momentum Period: ${config.principia.momentumPeriod} periods`);
-    console.log(`   - Max Position Size: ${(config.principia.maxPositionSize * 100).toFixed(0)}%\n`);
+  // Initialize Token Registry (bundled token list + config.json overrides)
+  console.log('🪙 Initializing Token Registry...');
+  let tokenRegistry;
+  try {
+    tokenRegistry = new TokenRegistry(config.tokens);
+    for (const pair of config.trading?.pairs || ['SOL-USDC']) {
+      const { base, quote } = tokenRegistry.resolvePair(pair);
+      console.log(`   - ${pair}: ${base.mint} (${base.decimals}) / ${quote.mint} (${quote.decimals})`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.log('✅ Token Registry initialized\n');
+  
+  // Key levels built without traded volume exert no gravitation (see
+  // PrincipiaEngine.calculateGravitationalForce), so with a price source that
+  // reports none the gravitation weight is dropped instead of counting for nothing
+  const priceSourceName = (settings) => resolvePriceSourceName(settings.trading?.priceSource, settings.network);
+  const getForceWeights = (settings) => {
+    const forces = resolveForceWeights(settings.principia?.forces);
+    return reportsVolume(priceSourceName(settings)) ? forces : { ...forces, gravitation: 0 };
+  };
+  // Principia engines trade alone or as ensemble members
+  const principiaEngines = (strategy) => (strategy.members ? [...strategy.members.values()] : [strategy])
+    .filter(member => member.name === 'principia');
+  const setForceWeights = (strategy, forces) => {
+    principiaEngines(strategy).forEach(engine => engine.updateConfig({ forces }));
+  };
+  const warnNoVolume = (settings) => {
+    const inUse = [...strategies.values()].some(strategy => principiaEngines(strategy).length > 0);
+    if (inUse && !reportsVolume(priceSourceName(settings)) && resolveForceWeights(settings.principia?.forces).gravitation > 0) {
+      console.warn(`⚠️  Price source ${priceSourceName(settings)} reports no traded volume: key levels are low-confidence, so the gravitation force weight is dropped to 0`);
+    }
+  };
+
+  // Initialize the trading strategies (one per trading pair, each tracks its own position)
+  const strategyName = config.trading?.strategy?.name || 'principia';
+  const principiaEnabled = Boolean(config.principia && config.principia.enabled);
+  const tradingEnabled = strategyName === 'principia' ? principiaEnabled : true;
+  const strategies = new Map();
+  const getStrategy = (pair) => {
+    if (!strategies.has(pair)) {
+      const name = getPairStrategy(config, pair);
+      const strategy = createStrategy(name, getStrategyConfig(config, name));
+      setForceWeights(strategy, getForceWeights(config));
+      strategies.set(pair, strategy);
+    }
+    return strategies.get(pair);
+  };
+  
+  // Engine state survives restarts
+  const stateStore = new StateStore(config.bot?.state);
+  const saveEngineState = () => {
+    if (!stateStore.config.enabled) {
+      return;
+    }
+    try {
+      stateStore.save(strategies, {
+        ledger: tradeExecutor.ledger,
+        protection: positionProtection,
+        hedges: hedgeManager,
+        paper: tradeExecutor.paperAccount,
+      });
+    } catch (error) {
+      console.error(`❌ Engine state not saved: ${error.message}`);
+    }
+  };
+  
+  // Audit trail of every decision
+  const journal = new DecisionJournal(config.bot?.journal);
+  const journalDecision = (record) => {
+    try {
+      journal.record(record);
+    } catch (error) {
+      console.error(`❌ Decision not journaled: ${error.message}`);
+    }
+  };
+  
+  if (tradingEnabled) {
+    if (strategyName === 'principia') {
+      console.log('🔬 Initializing Principia Mathematica Trading Engine...');
+    } else {
+      console.log(`🧭 Initializing ${strategyName} strategy...`);
+    }
+    let engineConfig;
+    try {
+      (config.trading?.pairs || ['SOL-USDC']).forEach(getStrategy);
+      engineConfig = createStrategy(strategyName, getStrategyConfig(config, strategyName)).config;
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    if (strategyName === 'principia') {
+      console.log('✅ Principia Engine initialized');
+      console.log(`   - Inertia Threshold: ${config.principia.inertiaThreshold}`);
+      console.log(`   - Trading Mass: ${config.principia.tradingMass}`);
+      console.log(`   - Dynamic Mass: ${engineConfig.volatilitySource === 'none' ? 'off' : `×(1 + ${engineConfig.volatilityScale} × volatility) from ${engineConfig.volatilitySource}, ${engineConfig.volatilityWindow} returns`}`);
+      console.log(`   - Forces: ${Object.entries(getForceWeights(config)).map(([name, weight]) => `${name} ×${weight}`).join(', ')}`);
+      console.log(`   - Drag: ${engineConfig.dragCoefficient > 0 ? `${engineConfig.dragCoefficient} × trading costs` : 'off'}`);
+      console.log(`   - Risk:Reward Ratio: ${config.principia.riskReactionRatio}`);
+      console.log(`   - Momentum Period: ${config.principia.momentumPeriod} periods`);
+      console.log(`   - Max Position Size: ${(config.principia.maxPositionSize * 100).toFixed(0)}%`);
+    } else {
+      console.log(`✅ ${strategyName} strategy initialized`);
+      for (const [key, value] of Object.entries(engineConfig)) {
+        if (key !== 'positionModel') {
+          console.log(`   - ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        }
+      }
+    }
+    console.log(`   - Position Model: ${engineConfig.positionModel}`);
+    const pairStrategies = [...strategies].filter(([, strategy]) => strategy.name !== strategyName);
+    if (pairStrategies.length > 0) {
+      console.log(`   - Pair Strategies: ${pairStrategies.map(([pair, strategy]) => `${pair} ${strategy.name}`).join(', ')}`);
+    }
+    console.log(`   - State File: ${stateStore.config.enabled ? stateStore.filePath : 'disabled'}`);
+    console.log(`   - Decision Journal: ${journal.config.enabled ? journal.filePath : 'disabled'}`);
+
+    console.log('');
   } else {
     console.log('⚠️  Principia Engine is disabled in configuration\n');
   }
@@ -187,9 +395,21 @@ async function main() {
     updateInterval: config.trading?.updateInterval || 10000,
     network: config.network,
     slippageBps: (config.bot?.slippageTolerance || 0.01) * 10000, // Convert to basis points
+    priceSource: config.trading?.priceSource,
+    priceApi: config.trading?.priceApi,
+    candleTimeframes: config.trading?.candleTimeframes,
+    indicatorTimeframe: config.trading?.indicatorTimeframe,
+    tokenRegistry,
+    signal: config.trading?.signal,
+    keyLevelThreshold: config.trading?.keyLevelThreshold,
+    volumeProfileBuckets: config.trading?.volumeProfileBuckets,
   });
   console.log('✅ Market Data module initialized');
-  console.log(`   - Trading Pairs: ${config.trading?.pairs?.join(', ') || 'SOL-USDC'}\n`);
+  console.log(`   - Trading Pairs: ${config.trading?.pairs?.join(', ') || 'SOL-USDC'}`);
+  console.log(`   - Price Source: ${marketData.priceSource.name}`);
+  warnNoVolume(config);
+  console.log(`   - Indicator Timeframe: ${marketData.config.indicatorTimeframe}`);
+  console.log(`   - Signal: ${marketData.signalComposer.components.map(c => `${c.name}×${c.weight}`).join(' + ')}\n`);
 
   // Initialize Trade Executor
   console.log('⚙️  Initializing Trade Executor...');
@@ -198,10 +418,114 @@ async function main() {
     minTradeSize: config.trading?.minTradeSize || 0.01,
     network: config.network,
     slippageBps: (config.bot?.slippageTolerance || 0.01) * 10000, // Convert to basis points
+    maxRetries: config.bot?.maxRetries ?? 3,
+    positionModel: getStrategyConfig(config, strategyName).positionModel,
+    priorityFee: config.trading?.priorityFee,
+    paper: config.trading?.paper,
+    tokenRegistry,
+  });
+
+  // Law III exit levels for open positions
+  const positionProtection = new PositionProtection(config.trading?.protection);
+  
+  // Law III hedges held against open positions
+  const hedgeManager = new HedgeManager(tradeExecutor, config.trading?.hedge);
+  
+  // Universal Gravitation between the traded pairs
+  const crossAsset = new CrossAssetGravity(config.trading?.crossAsset);
+  
+  // Scheduled dollar-cost averaging, outside the strategies
+  const dca = new DcaAccumulator(config.trading?.dca);
+  try {
+    dca.load();
+  } catch (error) {
+    // Never overwrite a ledger that could not be read: the budget caps depend on it
+    dca.config.enabled = false;
+    console.error(`❌ DCA disabled: ${error.message}`);
+  }
+  
+  // Target-weight basket, rebalanced on a schedule
+  const rebalancer = new Rebalancer(tradeExecutor, marketData, config.trading?.rebalance);
+
+  // Report how live swaps end up
+  tradeExecutor.transactionManager.on('finalized', (record) => {
+    console.log(`✅ Swap finalized: ${record.pair} ${record.side} (${record.signature})`);
+  });
+  tradeExecutor.transactionManager.on('expired', (record) => {
+    console.log(`⌛ Swap expired: ${record.pair} ${record.side} attempt ${record.attempt} (${record.signature})`);
+  });
+  tradeExecutor.transactionManager.on('failed', (record) => {
+    console.log(`❌ Swap failed: ${record.pair} ${record.side} - ${record.error}`);
+  });
+  tradeExecutor.transactionManager.on('unknown', (record) => {
+    console.log(`⚠️  Swap status unknown: ${record.pair} ${record.side} after ${record.rpcErrors} RPC errors (${record.signature}) - check it before trading the pair again`);
   });
   console.log('✅ Trade Executor initialized');
   console.log(`   - Mode: ${config.trading?.dryRun !== false ? '🔍 DRY RUN' : '🔥 LIVE TRADING'}`);
-  console.log(`   - Min Trade Size: ${config.trading?.minTradeSize || 0.01} SOL\n`);
+  console.log(`   - Min Trade Size: ${config.trading?.minTradeSize || 0.01} (base token)`);
+  const feeConfig = tradeExecutor.priorityFees.config;
+  console.log(`   - Priority Fee: ${feeConfig.strategy} (p${feeConfig.percentiles[feeConfig.strategy]}, cap ${feeConfig.maxLamports} lamports)`);
+  const paperAccount = tradeExecutor.paperAccount;
+  if (paperAccount) {
+    const startingBalances = Object.entries(paperAccount.config.balances).map(([symbol, amount]) => `${amount} ${symbol}`);
+    console.log(`   - Paper Account: ${startingBalances.join(', ')} (used in dry run)`);
+  }
+  console.log(`   - Position Protection: ${positionProtection.config.enabled ? `enabled (reaction × ${positionProtection.config.reactionToPrice} of entry price)` : 'disabled'}`);
+  console.log(`   - Hedging: ${hedgeManager.config.enabled ? `${hedgeManager.config.instrument} (rebalance at ${hedgeManager.config.rebalanceThreshold * 100}%)` : 'disabled'}`);
+  console.log(`   - Cross-Asset Gravity: ${crossAsset.config.enabled ? `G ${crossAsset.config.gravitationalConstant} over ${crossAsset.config.window} ${marketData.config.indicatorTimeframe} returns` : 'disabled'}`);
+  const dcaBudget = Object.entries(dca.config.budget).filter(([, cap]) => cap).map(([period, cap]) => `${period} ${cap}`);
+  console.log(`   - DCA: ${dca.config.enabled ? `${dca.config.amount} ${dca.config.pair.split('-')[1]} into ${dca.config.pair.split('-')[0]} on "${dca.config.schedule}"${dcaBudget.length > 0 ? `, budget ${dcaBudget.join(', ')}` : ''} (ledger ${dca.filePath})` : 'disabled'}`);
+  const rebalanceTargets = Object.entries(rebalancer.config.targets).map(([symbol, weight]) => `${symbol} ${(weight * 100).toFixed(0)}%`);
+  console.log(`   - Rebalancer: ${rebalancer.config.enabled ? `${rebalanceTargets.join(', ')} at ${rebalancer.config.threshold * 100}% drift on "${rebalancer.config.schedule}"${rebalancer.config.preview ? ' (preview only)' : ''}` : 'disabled'}`);
+  console.log('');
+  
+  // Restore the portfolio first: a restored position must be backed by ledger holdings
+  if (tradingEnabled && stateStore.config.enabled) {
+    try {
+      const snapshot = stateStore.load();
+      if (snapshot) {
+        const saved = new Date(snapshot.savedAt).toLocaleString();
+        if (snapshot.ledger) {
+          tradeExecutor.ledger.restore(snapshot.ledger);
+        }
+        if (snapshot.protection) {
+          positionProtection.restore(snapshot.protection);
+        }
+        if (snapshot.hedges) {
+          hedgeManager.restore(snapshot.hedges);
+        }
+        if (snapshot.paper && paperAccount) {
+          if (JSON.stringify(snapshot.paper.startingBalances) === JSON.stringify(paperAccount.config.balances)) {
+            paperAccount.restore(snapshot.paper);
+          } else {
+            console.log('ℹ️  Saved paper account skipped (starting balances changed)');
+          }
+        }
+        console.log(`♻️  Restored portfolio: ${tradeExecutor.ledger.getTotals().openPositions} open positions, ${positionProtection.positions.size} protected, ${hedgeManager.hedges.size} hedged (saved ${saved})`);
+        
+        for (const [pair, state] of Object.entries(snapshot.engines || {})) {
+          if (!strategies.has(pair)) {
+            console.log(`ℹ️  Saved state for ${pair} skipped (not in trading.pairs)`);
+            continue;
+          }
+          const strategy = strategies.get(pair);
+          if (snapshot.strategies?.[pair] !== strategy.name) {
+            console.log(`ℹ️  Saved state for ${pair} skipped (saved by the ${snapshot.strategies?.[pair]} strategy)`);
+            continue;
+          }
+          if (!StateStore.isBacked(state, tradeExecutor.ledger.getPosition(pair))) {
+            console.log(`ℹ️  Saved state for ${pair} skipped (${state.currentPosition} position not backed by ledger holdings)`);
+            continue;
+          }
+          strategy.restore(state);
+          console.log(`♻️  Restored ${pair} ${strategy.name}: ${state.currentPosition} ${state.positionSize.toFixed(4)} (saved ${saved})`);
+        }
+        console.log('');
+      }
+    } catch (error) {
+      console.error(`❌ Engine state not restored, starting fresh: ${error.message}\n`);
+    }
+  }
   
   console.log('Bot is ready. Press Ctrl+C to exit.\n');
   console.log('📚 For details on Principia Mathematica implementation,');
@@ -231,59 +555,224 @@ async function main() {
         console.log(`   ✅ Min trade size updated: ${tradeExecutor.config.minTradeSize} SOL`);
       }
       
+      // Update priority fee strategy
+      if (JSON.stringify(newConfig.trading?.priorityFee) !== JSON.stringify(config.trading?.priorityFee)) {
+        try {
+          tradeExecutor.priorityFees.updateConfig(newConfig.trading?.priorityFee);
+          console.log(`   ✅ Priority fee updated: ${tradeExecutor.priorityFees.config.strategy}, cap ${tradeExecutor.priorityFees.config.maxLamports} lamports`);
+        } catch (error) {
+          console.error(`   ❌ Priority fee not updated: ${error.message}`);
+        }
+      }
+      
+      // Update position protection
+      if (JSON.stringify(newConfig.trading?.protection) !== JSON.stringify(config.trading?.protection)) {
+        try {
+          positionProtection.updateConfig(newConfig.trading?.protection);
+          console.log(`   ✅ Position protection updated: ${positionProtection.config.enabled ? `reaction × ${positionProtection.config.reactionToPrice}` : 'disabled'}`);
+        } catch (error) {
+          console.error(`   ❌ Position protection not updated: ${error.message}`);
+        }
+      }
+      
+      // Update hedging
+      if (JSON.stringify(newConfig.trading?.hedge) !== JSON.stringify(config.trading?.hedge)) {
+        try {
+          hedgeManager.updateConfig(newConfig.trading?.hedge);
+          console.log(`   ✅ Hedging updated: ${hedgeManager.config.enabled ? hedgeManager.config.instrument : 'disabled'}`);
+        } catch (error) {
+          console.error(`   ❌ Hedging not updated: ${error.message}`);
+        }
+      }
+      
+      // Update cross-asset gravitation
+      if (JSON.stringify(newConfig.trading?.crossAsset) !== JSON.stringify(config.trading?.crossAsset)) {
+        try {
+          crossAsset.updateConfig(newConfig.trading?.crossAsset);
+          console.log(`   ✅ Cross-asset gravity updated: ${crossAsset.config.enabled ? `G ${crossAsset.config.gravitationalConstant}, ${crossAsset.config.window} returns` : 'disabled'}`);
+        } catch (error) {
+          console.error(`   ❌ Cross-asset gravity not updated: ${error.message}`);
+        }
+      }
+      
+      // Update DCA settings
+      if (JSON.stringify(newConfig.trading?.dca) !== JSON.stringify(config.trading?.dca)) {
+        try {
+          dca.updateConfig(newConfig.trading?.dca || { enabled: false });
+          console.log(`   ✅ DCA updated: ${dca.config.enabled ? `${dca.config.amount} on "${dca.config.schedule}"` : 'disabled'}`);
+        } catch (error) {
+          console.error(`   ❌ DCA not updated: ${error.message}`);
+        }
+      }
+      
+      // Update rebalancer settings
+      if (JSON.stringify(newConfig.trading?.rebalance) !== JSON.stringify(config.trading?.rebalance)) {
+        try {
+          rebalancer.updateConfig(newConfig.trading?.rebalance || { enabled: false });
+          console.log(`   ✅ Rebalancer updated: ${rebalancer.config.enabled ? `${rebalancer.config.threshold * 100}% drift on "${rebalancer.config.schedule}"${rebalancer.config.preview ? ' (preview only)' : ''}` : 'disabled'}`);
+        } catch (error) {
+          console.error(`   ❌ Rebalancer not updated: ${error.message}`);
+        }
+      }
+      
+      // Update swap retry limit
+      if (newConfig.bot?.maxRetries !== config.bot?.maxRetries) {
+        tradeExecutor.config.maxRetries = newConfig.bot?.maxRetries ?? 3;
+        console.log(`   ✅ Max swap retries updated: ${tradeExecutor.config.maxRetries}`);
+      }
+      
+      // Switching strategies needs fresh positions
+      for (const [pair, strategy] of strategies) {
+        const newStrategyName = getPairStrategy(newConfig, pair);
+        if (newStrategyName !== strategy.name) {
+          console.log(`   ℹ️  ${pair} strategy changed to ${newStrategyName}: restart the bot to switch from ${strategy.name}`);
+        }
+      }
+      const strategyNames = new Set([...strategies.values()].map(strategy => strategy.name));
+      
       // Update principia engine parameters if it exists
-      if (principiaEngine && newConfig.principia) {
+      if (strategyNames.has('principia') && principiaEnabled && newConfig.principia) {
         let principiaUpdated = false;
+        const principiaUpdates = {};
         
         if (newConfig.principia.inertiaThreshold !== config.principia?.inertiaThreshold) {
-          principiaEngine.config.inertiaThreshold = newConfig.principia.inertiaThreshold;
+          principiaUpdates.inertiaThreshold = newConfig.principia.inertiaThreshold;
           console.log(`   ✅ Inertia threshold updated: ${newConfig.principia.inertiaThreshold}`);
           principiaUpdated = true;
         }
         
         if (newConfig.principia.tradingMass !== config.principia?.tradingMass) {
-          principiaEngine.config.tradingMass = newConfig.principia.tradingMass;
+          principiaUpdates.tradingMass = newConfig.principia.tradingMass;
           console.log(`   ✅ Trading mass updated: ${newConfig.principia.tradingMass}`);
           principiaUpdated = true;
         }
         
         if (newConfig.principia.riskReactionRatio !== config.principia?.riskReactionRatio) {
-          principiaEngine.config.riskReactionRatio = newConfig.principia.riskReactionRatio;
+          principiaUpdates.riskReactionRatio = newConfig.principia.riskReactionRatio;
           console.log(`   ✅ Risk:Reward ratio updated: ${newConfig.principia.riskReactionRatio}`);
           principiaUpdated = true;
         }
         
         if (newConfig.principia.gravitationalConstant !== config.principia?.gravitationalConstant) {
-          principiaEngine.config.gravitationalConstant = newConfig.principia.gravitationalConstant;
+          principiaUpdates.gravitationalConstant = newConfig.principia.gravitationalConstant;
           console.log(`   ✅ Gravitational constant updated: ${newConfig.principia.gravitationalConstant}`);
           principiaUpdated = true;
         }
         
+        
         if (newConfig.principia.momentumPeriod !== config.principia?.momentumPeriod) {
-          principiaEngine.config.momentumPeriod = newConfig.principia.momentumPeriod;
+          principiaUpdates.momentumPeriod = newConfig.principia.momentumPeriod;
           console.log(`   ✅ Momentum period updated: ${newConfig.principia.momentumPeriod}`);
           principiaUpdated = true;
         }
         
         if (newConfig.principia.maxPositionSize !== config.principia?.maxPositionSize) {
-          principiaEngine.config.maxPositionSize = newConfig.principia.maxPositionSize;
+          principiaUpdates.maxPositionSize = newConfig.principia.maxPositionSize;
           console.log(`   ✅ Max position size updated: ${(newConfig.principia.maxPositionSize * 100).toFixed(0)}%`);
           principiaUpdated = true;
         }
         
-        if (!principiaUpdated) {
+        if (newConfig.principia.volatilitySource !== config.principia?.volatilitySource) {
+          try {
+            PrincipiaEngine.validateVolatilitySource(newConfig.principia.volatilitySource);
+            principiaUpdates.volatilitySource = newConfig.principia.volatilitySource || 'auto';
+            console.log(`   ✅ Volatility source updated: ${principiaUpdates.volatilitySource}`);
+            principiaUpdated = true;
+          } catch (error) {
+            console.error(`   ❌ Volatility source not changed: ${error.message}`);
+          }
+        }
+        
+        if (newConfig.principia.volatilityWindow !== config.principia?.volatilityWindow) {
+          principiaUpdates.volatilityWindow = newConfig.principia.volatilityWindow || 20;
+          console.log(`   ✅ Volatility window updated: ${principiaUpdates.volatilityWindow} returns`);
+          principiaUpdated = true;
+        }
+        
+        if (newConfig.principia.volatilityScale !== config.principia?.volatilityScale) {
+          principiaUpdates.volatilityScale = newConfig.principia.volatilityScale ?? 100;
+          console.log(`   ✅ Volatility scale updated: ${principiaUpdates.volatilityScale}`);
+          principiaUpdated = true;
+        }
+        
+        if (newConfig.principia.positionModel !== config.principia?.positionModel) {
+          try {
+            PrincipiaEngine.validatePositionModel(newConfig.principia.positionModel);
+            principiaUpdates.positionModel = newConfig.principia.positionModel || 'spot-long-flat';
+            tradeExecutor.config.positionModel = principiaUpdates.positionModel;
+            console.log(`   ✅ Position model updated: ${principiaUpdates.positionModel}`);
+            principiaUpdated = true;
+          } catch (error) {
+            console.error(`   ❌ Position model not changed: ${error.message}`);
+          }
+        }
+        
+        if (newConfig.principia.dragCoefficient !== config.principia?.dragCoefficient) {
+          principiaUpdates.dragCoefficient = newConfig.principia.dragCoefficient ?? 10;
+          console.log(`   ✅ Drag coefficient updated: ${principiaUpdates.dragCoefficient}`);
+          principiaUpdated = true;
+        }
+        
+        if (JSON.stringify(newConfig.principia.forces) !== JSON.stringify(config.principia?.forces)) {
+          try {
+            principiaUpdates.forces = getForceWeights(newConfig);
+            console.log(`   ✅ Force weights updated: ${Object.entries(principiaUpdates.forces).map(([name, weight]) => `${name} ${weight}`).join(', ')}`);
+            principiaUpdated = true;
+          } catch (error) {
+            console.error(`   ❌ Force weights not changed: ${error.message}`);
+          }
+        }
+        
+        if (principiaUpdated) {
+          strategies.forEach(engine => {
+            if (engine.name === 'principia') {
+              engine.updateConfig(principiaUpdates);
+            }
+          });
+        } else {
           console.log(`   ℹ️  No Principia engine parameters changed`);
         }
       }
       
+      // Update the settings of the other strategies in use (shared position settings included)
+      for (const name of strategyNames) {
+        if (name === 'principia') {
+          continue;
+        }
+        const strategyUpdates = getStrategyConfig(newConfig, name);
+        if (JSON.stringify(strategyUpdates) !== JSON.stringify(getStrategyConfig(config, name))) {
+          try {
+            strategies.forEach(strategy => {
+              if (strategy.name === name) {
+                strategy.updateConfig(strategyUpdates);
+                setForceWeights(strategy, getForceWeights(newConfig));
+              }
+            });
+            if (name === strategyName) {
+              tradeExecutor.config.positionModel = getStrategyConfig(newConfig, name).positionModel || 'spot-long-flat';
+            }
+            const { memberConfigs, ...settings } = strategyUpdates;
+            console.log(`   ✅ ${name} strategy updated: ${Object.entries(settings).map(([key, value]) => `${key} ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', ')}${memberConfigs ? ' (and member settings)' : ''}`);
+          } catch (error) {
+            console.error(`   ❌ ${name} strategy not updated: ${error.message}`);
+          }
+        }
+      }
+      
       // Update market data configuration
       if (marketData && newConfig.trading) {
         let marketDataUpdated = false;
         
         if (JSON.stringify(newConfig.trading.pairs) !== JSON.stringify(config.trading?.pairs)) {
-          marketData.config.pairs = newConfig.trading.pairs || ['SOL-USDC'];
-          console.log(`   ✅ Trading pairs updated: ${marketData.config.pairs.join(', ')}`);
-          marketDataUpdated = true;
+          const pairs = newConfig.trading.pairs || ['SOL-USDC'];
+          try {
+            pairs.forEach(pair => tokenRegistry.resolvePair(pair));
+            marketData.config.pairs = pairs;
+            console.log(`   ✅ Trading pairs updated: ${marketData.config.pairs.join(', ')}`);
+            marketDataUpdated = true;
+          } catch (error) {
+            console.error(`   ❌ Trading pairs not changed: ${error.message}`);
+          }
         }
         
         if (newConfig.trading.updateInterval !== config.trading?.updateInterval) {
@@ -292,6 +781,40 @@ async function main() {
           marketDataUpdated = true;
         }
         
+        if (newConfig.trading.indicatorTimeframe !== config.trading?.indicatorTimeframe) {
+          const timeframe = newConfig.trading.indicatorTimeframe || '1m';
+          if (marketData.config.candleTimeframes.includes(timeframe)) {
+            marketData.config.indicatorTimeframe = timeframe;
+            console.log(`   ✅ Indicator timeframe updated: ${timeframe}`);
+            marketDataUpdated = true;
+          } else {
+            console.error(`   ❌ Indicator timeframe ${timeframe} is not tracked (restart to change candleTimeframes)`);
+          }
+        }
+        
+        if (JSON.stringify(newConfig.trading.signal) !== JSON.stringify(config.trading?.signal)) {
+          try {
+            const composer = marketData.setSignalComposition(newConfig.trading.signal);
+            console.log(`   ✅ Signal composition updated: ${composer.components.map(c => `${c.name}×${c.weight}`).join(' + ')}`);
+            marketDataUpdated = true;
+          } catch (error) {
+            console.error(`   ❌ Signal composition not changed: ${error.message}`);
+          }
+        }
+        
+        if (JSON.stringify(newConfig.trading.priceSource) !== JSON.stringify(config.trading?.priceSource)) {
+          try {
+            const forces = getForceWeights(newConfig);
+            marketData.setPriceSource(newConfig.trading.priceSource);
+            strategies.forEach(strategy => setForceWeights(strategy, forces));
+            console.log(`   ✅ Price source updated: ${marketData.priceSource.name}`);
+            warnNoVolume(newConfig);
+            marketDataUpdated = true;
+          } catch (error) {
+            console.error(`   ❌ Price source not changed: ${error.message}`);
+          }
+        }
+        
         if (!marketDataUpdated) {
           console.log(`   ℹ️  No market data parameters changed`);
         }
@@ -333,17 +856,88 @@ async function main() {
     process.exit(0);
   });
 
+  // Scheduled DCA buys run on their own timer, with or without the trading loop
+  let dcaRunning = false;
+  setInterval(async () => {
+    if (dcaRunning || !dca.config.enabled) {
+      return;
+    }
+    dcaRunning = true;
+    try {
+      const pair = dca.config.pair;
+      const [base, quote] = pair.split('-');
+      const run = await dca.tick(tradeExecutor, {
+        price: marketData.getCurrentPrice(pair) || null,
+        momentum: strategies.get(pair)?.getState().momentum ?? null,
+      });
+      if (run) {
+        if (run.purchase) {
+          console.log(`💧 DCA bought ${run.purchase.baseAmount?.toFixed(6) ?? '?'} ${base} for ${run.amount.toFixed(2)} ${quote}${run.momentum !== null ? ` (×${run.multiplier.toFixed(2)} at momentum ${run.momentum.toFixed(4)})` : ''}${run.capped ? ', capped by budget' : ''}`);
+        } else {
+          const { reason, attempt, gaveUp } = run.failure;
+          console.error(`❌ DCA buy failed: ${reason} (attempt ${attempt}${gaveUp ? ', giving up until the next run' : ', retrying'})`);
+        }
+        const summary = dca.getSummary(Boolean(tradeExecutor.config.dryRun));
+        console.log(`   Spent ${summary.quoteSpent.toFixed(2)} ${quote} for ${summary.baseAcquired.toFixed(6)} ${base}${summary.averagePrice !== null ? ` (average ${summary.averagePrice.toFixed(4)})` : ''}, next ${run.failure && !run.failure.gaveUp ? 'attempt' : 'buy'} ${new Date(run.nextRunAt).toLocaleString()}\n`);
+      }
+    } catch (error) {
+      console.error(`❌ DCA run failed: ${error.message}`);
+    } finally {
+      dcaRunning = false;
+    }
+  }, 30000); // The schedule has minute resolution
+  
+  // Scheduled rebalancing, like DCA, runs on its own timer
+  let rebalanceRunning = false;
+  setInterval(async () => {
+    if (rebalanceRunning || !rebalancer.config.enabled) {
+      return;
+    }
+    rebalanceRunning = true;
+    try {
+      const run = await rebalancer.tick();
+      if (run) {
+        const valuation = rebalancer.config.valuation;
+        const percent = (weight) => `${(weight * 100).toFixed(1)}%`;
+        console.log(`⚖️  Rebalance${run.preview ? ' preview' : ''}: ${run.totalValue.toFixed(2)} ${valuation}, drift ${percent(run.drift)} (threshold ${percent(rebalancer.config.threshold)})`);
+        console.log(`   Weights: ${Object.entries(run.weights).map(([symbol, weight]) => `${symbol} ${percent(weight)} → ${percent(rebalancer.config.targets[symbol])}`).join(', ')}`);
+        if (!run.due) {
+          console.log('   Within threshold, no swaps');
+        }
+        for (const swap of run.swaps) {
+          const outcome = run.results.find(entry => entry.swap === swap)?.result;
+          const status = run.preview ? 'Planned' : outcome?.success ? '✅ Swapped' : `❌ Failed (${outcome?.reason})`;
+          console.log(`   ${status}: ${swap.amount.toFixed(6)} ${swap.from} → ~${swap.expectedOutput.toFixed(6)} ${swap.to} (${swap.value.toFixed(2)} ${valuation})`);
+        }
+        for (const swap of run.skipped) {
+          console.log(`   Skipped: ${swap.amount.toFixed(6)} ${swap.from} → ${swap.to} (${swap.value.toFixed(2)} ${valuation}, below min trade size)`);
+        }
+        console.log(`   Next rebalance ${new Date(run.nextRunAt).toLocaleString()}\n`);
+      }
+    } catch (error) {
+      console.error(`❌ Rebalance failed: ${error.message}`);
+    } finally {
+      rebalanceRunning = false;
+    }
+  }, 30000);
+  
   // Main trading loop
-  if (principiaEngine && marketData && tradeExecutor) {
+  if (tradingEnabled && marketData && tradeExecutor) {
     console.log('🤖 Starting automated trading loop...\n');
     
     let iterationCount = 0;
-    const tradingPair = config.trading?.pairs?.[0] || 'SOL-USDC';
     
+    // A live swap can outlast the interval (confirmation, retries): never run two iterations at once
+    let loopRunning = false;
     const tradingLoop = setInterval(async () => {
-      iterationCount++;
-      
+      if (loopRunning) {
+        console.log('⏳ Previous iteration still running, skipping this one');
+        return;
+      }
+      loopRunning = true;
       try {
+        iterationCount++;
+        
         // Get current balance for portfolio value
         let portfolioValue = 0;
         try {
@@ -352,42 +946,146 @@ async function main() {
           portfolioValue = 1.0; // Default for simulation
         }
         
-        // Fetch market data
-        const market = await marketData.getMarketData(tradingPair, portfolioValue);
-        
-        // Analyze market with Principia Engine
-        const decision = principiaEngine.analyzeMarket(market);
-        
-        // Log analysis every iteration
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log(`🔬 Principia Analysis #${iterationCount} - ${new Date().toLocaleTimeString()}`);
-        console.log(`   Pair: ${market.pair}`);
-        console.log(`   Price: $${market.price.toFixed(2)}`);
-        console.log(`   Signal: ${market.signalStrength.toFixed(3)}`);
-        console.log(`   Combined Force: ${decision.force?.toFixed(3)}`);
-        console.log(`   Momentum: ${decision.momentum?.toFixed(3)}`);
-        console.log(`   Action: ${decision.action.toUpperCase()}`);
-        console.log(`   Position: ${decision.position || 'N/A'}`);
-        console.log(`   Position Size: ${decision.positionSize?.toFixed(4) || 'N/A'}`);
-        
-        // Execute trades based on decision
-        if (decision.action === 'buy' && decision.positionChange > 0) {
-          const size = Math.abs(decision.positionChange);
-          await tradeExecutor.executeBuy(tradingPair, size, portfolioValue);
-        } else if (decision.action === 'sell' && decision.positionChange < 0) {
-          const size = Math.abs(decision.positionChange);
-          await tradeExecutor.executeSell(tradingPair, size, portfolioValue);
-        } else {
-          console.log(`\n⏸️  HOLDING POSITION`);
-          console.log(`   Reason: ${decision.reason}`);
+        // Correlate the pairs over matching candles
+        if (crossAsset.config.enabled) {
+          const flagged = crossAsset.update(Object.fromEntries(marketData.config.pairs.map(pair =>
+            [pair, marketData.getCandles(pair, marketData.config.indicatorTimeframe, crossAsset.config.window + 1)])));
+          for (const condition of flagged) {
+            console.log(`🌐 ${condition.description}: ${condition.pairs.join(' ↔ ')} (ρ ${condition.correlation.toFixed(2)})`);
+          }
         }
         
-        if (decision.riskManagement) {
-          console.log(`\n   Risk Management:`);
-          console.log(`     - Stop Loss: ${decision.riskManagement.stopLoss?.toFixed(4)}`);
-          console.log(`     - Take Profit: ${decision.riskManagement.takeProfit?.toFixed(4)}`);
+        for (const tradingPair of marketData.config.pairs) {
+          try {
+            const strategy = getStrategy(tradingPair);
+            
+            // Fetch market data
+            const market = await marketData.getMarketData(tradingPair, portfolioValue);
+            tradeExecutor.ledger.markPrice(tradingPair, market.price);
+            
+            // In dry run the paper account is the portfolio: mark it and size trades from its equity
+            let pairPortfolioValue = portfolioValue;
+            const paperQuote = paperAccount?.config.quoteSymbol;
+            if (paperAccount && tradeExecutor.config.dryRun && tradingPair.endsWith(`-${paperQuote}`)) {
+              paperAccount.markPrice(tradingPair.split('-')[0], market.price);
+              pairPortfolioValue = paperAccount.getEquity() / market.price;
+            }
+            
+            // LAW III: exit levels are enforced before anything else
+            const trigger = positionProtection.check(tradingPair, market.price);
+            if (trigger) {
+              const { position } = trigger;
+              console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+              console.log(`🛡️  ${trigger.rule} fired for ${tradingPair}`);
+              console.log(`   Price ${market.price.toFixed(4)} crossed ${trigger.level.toFixed(4)} (${position.side} ${position.quantity} from ${position.entryPrice.toFixed(4)})`);
+              
+              const result = await tradeExecutor.closePosition(tradingPair, position, market.price);
+              journalDecision({
+                pair: tradingPair,
+                market,
+                decision: { action: 'close', reason: trigger.rule, trigger },
+                trade: result,
+              });
+              if (result.success) {
+                positionProtection.clear(tradingPair);
+                strategy.closePosition(market.price, trigger.rule);
+                await hedgeManager.sync(tradingPair, null, null, 0, market.price);
+                saveEngineState();
+              } else {
+                console.log('   Exit failed, levels stay armed for the next update');
+              }
+              console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+              continue;
+            }
+            
+            // Pull from the other pairs (correlated above, once per iteration)
+            market.interAssetForce = crossAsset.getForce(tradingPair).force;
+            
+            // BOOK II: costs of a trade as large as the engine's position limit
+            if (strategy.config.dragCoefficient > 0) {
+              try {
+                market.tradingCosts = await tradeExecutor.estimateTradingCosts(tradingPair, pairPortfolioValue * strategy.config.maxPositionSize, market.price);
+              } catch (error) {
+                console.log(`⚠️  Trading costs unavailable for ${tradingPair}: ${error.message}`);
+              }
+            }
+            
+            // Analyze market with the strategy
+            const decision = strategy.analyze(market);
+            saveEngineState();
+            
+            // Log analysis every iteration
+            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+            console.log(`${strategy.name === 'principia' ? '🔬 Principia' : `🧭 ${strategy.name}`} Analysis #${iterationCount} - ${new Date().toLocaleTimeString()}`);
+            console.log(`   Pair: ${market.pair}`);
+            console.log(`   Price: $${market.price.toFixed(2)} (${market.priceSource})`);
+            console.log(`   Signal: ${market.signalStrength.toFixed(3)} (${market.signalComponents.map(c => `${c.name} ${c.normalized.toFixed(2)}`).join(', ')})`);
+            console.log(`   Combined Force: ${decision.force?.toFixed(3)} (${decision.forces.filter(c => c.weight > 0).map(c => `${c.name} ${c.contribution.toFixed(3)}`).join(', ')})`);
+            if (decision.drag > 0) {
+              console.log(`   Drag: ${decision.drag.toFixed(3)} from gross force ${decision.grossForce.toFixed(3)}${decision.blockedByDrag ? ' (blocked the trade)' : ''}`);
+            }
+            if (decision.momentum !== undefined) {
+              console.log(`   Momentum: ${decision.momentum.toFixed(3)}`);
+            }
+            if (decision.principia) {
+              const lawII = decision.principia.lawII;
+              console.log(`   Mass: ${lawII.mass.toFixed(3)} (base ${lawII.baseMass}, volatility ${(lawII.volatility * 100).toFixed(3)}% from ${lawII.volatilitySource})`);
+            }
+            const lowConfidence = market.keyLevels.filter(level => level.confidence === 'low').length;
+            console.log(`   Key Levels: ${market.keyLevels.length}${lowConfidence > 0 ? ` (${lowConfidence} low-confidence, no volume)` : ''} (gravity: ${decision.gravitationalForce?.toFixed(3) ?? 'N/A'})`);
+            if (marketData.config.pairs.length > 1) {
+              console.log(`   Inter-Asset Force: ${market.interAssetForce.toFixed(3)}`);
+            }
+            if (decision.votes) {
+              console.log(`   Votes: ${decision.votes.map(vote => `${vote.member} ${vote.action} ${vote.positionSize.toFixed(4)} ×${vote.weight}`).join(', ')}`);
+              if (decision.vetoedBy) {
+                console.log(`   Vetoed by: ${decision.vetoedBy}`);
+              }
+            }
+            if (decision.grid) {
+              console.log(`   Grid: ${decision.grid.index}/${decision.grid.levels} steps held, range ${decision.grid.lower.toFixed(4)}-${decision.grid.upper.toFixed(4)}`);
+            }
+            console.log(`   Action: ${decision.action.toUpperCase()}`);
+            console.log(`   Position: ${decision.position || 'N/A'}`);
+            console.log(`   Position Size: ${decision.positionSize?.toFixed(4) || 'N/A'}`);
+            
+            // Execute trades based on decision
+            let result = null;
+            if ((decision.action === 'buy' && decision.positionChange > 0) || (decision.action === 'sell' && decision.positionChange < 0)) {
+              result = await tradeExecutor.executeDecision(tradingPair, decision, pairPortfolioValue, market.price);
+            } else {
+              console.log(`\n⏸️  HOLDING POSITION`);
+              console.log(`   Reason: ${decision.reason}`);
+            }
+            
+            if (decision.riskManagement) {
+              console.log(`\n   Risk Management:`);
+              console.log(`     - Stop Loss: ${decision.riskManagement.stopLoss?.toFixed(4)}`);
+              console.log(`     - Take Profit: ${decision.riskManagement.takeProfit?.toFixed(4)}`);
+            }
+            
+            // Re-arm exit levels around the new entry
+            if (result?.success) {
+              const protectedPosition = positionProtection.recordTrade(result, decision.riskManagement, Math.abs(decision.positionSize));
+              if (protectedPosition && protectedPosition.stopLoss !== null) {
+                console.log(`     - Exit Levels: stop ${protectedPosition.stopLoss.toFixed(4)}, take ${protectedPosition.takeProfit.toFixed(4)} (${protectedPosition.side} from ${protectedPosition.entryPrice.toFixed(4)})`);
+              }
+              await hedgeManager.sync(tradingPair, protectedPosition, decision.riskManagement, Math.abs(decision.positionSize), market.price);
+              saveEngineState();
+            }
+            
+            journalDecision({ pair: tradingPair, market, decision, trade: result });
+            
+            const holding = tradeExecutor.ledger.getPosition(tradingPair);
+            if (holding.side !== 'flat') {
+              console.log(`\n   Holdings: ${holding.side} ${Math.abs(holding.quantity).toFixed(6)} @ ${holding.averageEntry.toFixed(4)} avg entry`);
+              console.log(`     - PnL: realized ${holding.realizedPnl.toFixed(4)}, unrealized ${holding.unrealizedPnl.toFixed(4)}`);
+            }
+            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+          } catch (error) {
+            console.error(`❌ Error in trading loop (${tradingPair}): ${error.message}`);
+          }
         }
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
         
         // Show statistics every 10 iterations
         if (iterationCount % 10 === 0) {
@@ -396,16 +1094,67 @@ async function main() {
           console.log(`   Total Trades: ${stats.totalTrades}`);
           console.log(`   Successful: ${stats.successfulTrades}`);
           console.log(`   Dry Run: ${stats.dryRunTrades}`);
-          console.log(`   Success Rate: ${stats.successRate}%\n`);
+          console.log(`   Success Rate: ${stats.successRate}%`);
+          if (stats.dcaTrades > 0) {
+            console.log(`   DCA Buys: ${stats.successfulDcaTrades}/${stats.dcaTrades}`);
+          }
+          if (stats.rebalanceTrades > 0) {
+            console.log(`   Rebalance Swaps: ${stats.successfulRebalanceTrades}/${stats.rebalanceTrades}`);
+          }
+          console.log(`   Open Positions: ${stats.openPositions}`);
+          console.log(`   PnL: realized ${stats.realizedPnl.toFixed(4)}, unrealized ${stats.unrealizedPnl.toFixed(4)}, total ${stats.totalPnl.toFixed(4)}`);
+          console.log(`   Fees: ${stats.feesSol.toFixed(6)} SOL\n`);
+          
+          const conditions = crossAsset.getConditions();
+          if (conditions.length > 0) {
+            console.log('🌐 Cross-Asset Conditions:');
+            for (const condition of conditions) {
+              console.log(`   ${condition.pairs.join(' ↔ ')}: ${condition.type} (ρ ${condition.correlation.toFixed(2)})`);
+            }
+            console.log('');
+          }
+          
+          const hedgeStats = hedgeManager.getStatistics();
+          if (hedgeStats.trades > 0) {
+            console.log('⚖️  Hedges:');
+            console.log(`   Swaps: ${hedgeStats.trades} (${hedgeStats.successfulTrades} successful)`);
+            console.log(`   Opened: ${hedgeStats.opened}, Resized: ${hedgeStats.resized}, Closed: ${hedgeStats.closed}, Failed: ${hedgeStats.failed}`);
+            for (const hedge of hedgeManager.list()) {
+              console.log(`   ${hedge.pair}: ${hedge.side} ${hedge.quantity.toFixed(6)} @ ${hedge.entryPrice.toFixed(4)} (${hedge.instrument})`);
+            }
+            console.log('');
+          }
+          
+          if (paperAccount && tradeExecutor.config.dryRun) {
+            const paper = paperAccount.getSummary();
+            const quote = paper.quoteSymbol;
+            console.log('📄 Paper Account:');
+            console.log(`   Balances: ${Object.entries(paper.balances).map(([symbol, amount]) => `${amount} ${symbol}`).join(', ')}`);
+            console.log(`   Equity: ${paper.equity.toFixed(2)} ${quote} (started ${paper.startingValue.toFixed(2)})`);
+            console.log(`   PnL: realized ${paper.realized.toFixed(2)}, unrealized ${paper.unrealized.toFixed(2)}, total ${paper.total.toFixed(2)} ${quote} (${paper.returnPct.toFixed(2)}%)`);
+            console.log(`   Fees: ${paper.feesPaid.toFixed(6)} SOL over ${paper.fills} fills\n`);
+          }
+          
+          const protectedPositions = positionProtection.list();
+          if (protectedPositions.length > 0) {
+            console.log('🛡️  Protected Positions:');
+            for (const position of protectedPositions) {
+              console.log(`   ${position.pair}: ${position.side} ${position.quantity.toFixed(6)} @ ${position.entryPrice.toFixed(4)}, stop ${position.stopLoss?.toFixed(4) ?? 'N/A'}, take ${position.takeProfit?.toFixed(4) ?? 'N/A'}`);
+            }
+            console.log('');
+          }
           
           console.log('🔬 Engine State:');
-          const state = principiaEngine.getState();
-          console.log(`   Position: ${state.position}`);
-          console.log(`   Position Size: ${state.positionSize.toFixed(4)}`);
-          console.log(`   Momentum: ${state.momentum.toFixed(4)}\n`);
+          for (const [pair, strategy] of strategies) {
+            const state = strategy.getState();
+            const holding = tradeExecutor.ledger.getPosition(pair);
+            console.log(`   ${pair}: ${state.position}, size ${state.positionSize.toFixed(4)}${state.momentum !== undefined ? `, momentum ${state.momentum.toFixed(4)}` : ''}`);
+            console.log(`     Holdings: ${holding.quantity.toFixed(6)} ${pair.split('-')[0]}${holding.averageEntry !== null ? ` @ ${holding.averageEntry.toFixed(4)}` : ''}, PnL ${holding.totalPnl.toFixed(4)} (realized ${holding.realizedPnl.toFixed(4)})`);
+          }
+          console.log('');
         }
-      } catch (error) {
-        console.error(`❌ Error in trading loop: ${error.message}`);
+      } finally {
+        loopRunning = false;
       }
     }, config.bot.checkInterval || 10000);
     
@@ -0,0 +1,203 @@
+/**
+ * Technical Indicators Module
+ *
+ * Pure functions over price series (oldest first). Functions that need
+ * more data than is available return null rather than a partial value,
+ * so callers can tell "no signal yet" apart from "neutral signal".
+ *
+ * Price-only indicators take an array of closes; range and volume
+ * indicators (ATR, VWAP) take OHLCV candles ({high, low, close, volume}).
+ */
+
+/**
+ * Simple moving average of the last `period` values
+ * @param {Array<number>} values - Series
+ * @param {number} period - Lookback
+ * @returns {number|null} - SMA
+ */
+function sma(values, period) {
+  if (values.length < period || period <= 0) {
+    return null;
+  }
+  const window = values.slice(-period);
+  return window.reduce((sum, v) => sum + v, 0) / period;
+}
+
+/**
+ * Exponential moving average series, seeded with the SMA of the first `period` values
+ * @param {Array<number>} values - Series
+ * @param {number} period - Lookback
+ * @returns {Array<number>} - EMA values aligned to values[period - 1..]
+ */
+function emaSeries(values, period) {
+  if (values.length < period || period <= 0) {
+    return [];
+  }
+
+  const k = 2 / (period + 1);
+  let current = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  const series = [current];
+
+  for (let i = period; i < values.length; i++) {
+    current = values[i] * k + current * (1 - k);
+    series.push(current);
+  }
+
+  return series;
+}
+
+/**
+ * Exponential moving average (latest value)
+ * @param {Array<number>} values - Series
+ * @param {number} period - Lookback
+ * @returns {number|null} - EMA
+ */
+function ema(values, period) {
+  const series = emaSeries(values, period);
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+/**
+ * Relative Strength Index (Wilder smoothing)
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} period - Lookback (default 14)
+ * @returns {number|null} - RSI in [0, 100]
+ */
+function rsi(closes, period = 14) {
+  if (closes.length < period + 1) {
+    return null;
+  }
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (loss === 0) {
+    return gain === 0 ? 50 : 100;
+  }
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * Moving Average Convergence Divergence
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} fast - Fast EMA period (default 12)
+ * @param {number} slow - Slow EMA period (default 26)
+ * @param {number} signal - Signal EMA period (default 9)
+ * @returns {object|null} - { macd, signal, histogram }
+ */
+function macd(closes, fast = 12, slow = 26, signal = 9) {
+  if (closes.length < slow + signal - 1) {
+    return null;
+  }
+
+  const fastSeries = emaSeries(closes, fast);
+  const slowSeries = emaSeries(closes, slow);
+  const offset = slow - fast;
+  const macdLine = slowSeries.map((value, i) => fastSeries[i + offset] - value);
+  const signalSeries = emaSeries(macdLine, signal);
+
+  const macdValue = macdLine[macdLine.length - 1];
+  const signalValue = signalSeries[signalSeries.length - 1];
+
+  return {
+    macd: macdValue,
+    signal: signalValue,
+    histogram: macdValue - signalValue,
+  };
+}
+
+/**
+ * Bollinger Bands
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} period - Lookback (default 20)
+ * @param {number} stdDev - Band width in standard deviations (default 2)
+ * @returns {object|null} - { middle, upper, lower, percentB }
+ */
+function bollinger(closes, period = 20, stdDev = 2) {
+  const middle = sma(closes, period);
+  if (middle === null) {
+    return null;
+  }
+
+  const window = closes.slice(-period);
+  const variance = window.reduce((sum, v) => sum + Math.pow(v - middle, 2), 0) / period;
+  const deviation = Math.sqrt(variance);
+  const upper = middle + stdDev * deviation;
+  const lower = middle - stdDev * deviation;
+  const last = closes[closes.length - 1];
+
+  return {
+    middle,
+    upper,
+    lower,
+    percentB: upper === lower ? 0.5 : (last - lower) / (upper - lower),
+  };
+}
+
+/**
+ * Average True Range (Wilder smoothing)
+ * @param {Array<object>} candles - OHLCV candles
+ * @param {number} period - Lookback (default 14)
+ * @returns {number|null} - ATR in price units
+ */
+function atr(candles, period = 14) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const trueRanges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  let value = trueRanges.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    value = (value * (period - 1) + trueRanges[i]) / period;
+  }
+
+  return value;
+}
+
+/**
+ * Volume-weighted average price over the given candles
+ * @param {Array<object>} candles - OHLCV candles
+ * @returns {number|null} - VWAP (null when no volume traded)
+ */
+function vwap(candles) {
+  let pv = 0;
+  let volume = 0;
+
+  for (const candle of candles) {
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    pv += typical * (candle.volume || 0);
+    volume += candle.volume || 0;
+  }
+
+  return volume > 0 ? pv / volume : null;
+}
+
+module.exports = {
+  sma,
+  ema,
+  emaSeries,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  vwap,
+};
@@ -6,11 +6,12 @@
  */
 
 const https = require('https');
-
-// Constants for simulated data (TODO: Replace with real market data)
-const DEFAULT_VOLUME = 1000;
-const BASE_VOLUME = 1000;
-const VOLUME_VARIANCE = 500;
+const { createPriceSource, resolvePriceSourceName } = require('./price-sources');
+const CandleBuilder = require('./candle-builder');
+const VolumeProfile = require('./volume-profile');
+const TokenRegistry = require('./token-registry');
+const SignalComposer = require('./signal-composer');
+const indicators = require('./indicators');
 
 // Price impact estimation factor: slippageBps / 500
 // This estimates price impact as approximately 5x slippage percentage
@@ -24,61 +25,59 @@ class MarketData {
       priceApi: config.priceApi || 'https://price.jup.ag/v4',
       updateInterval: config.updateInterval || 5000, // 5 seconds
       pairs: config.pairs || ['SOL-USDC'],
-      keyLevelThreshold: config.keyLevelThreshold || 0.02, // 2% threshold for level detection
+      keyLevelThreshold: config.keyLevelThreshold || 0.02, // Extrema within 2% of each other form one zone
+      volumeProfileBuckets: config.volumeProfileBuckets || 50, // Price buckets in the volume profile
       network: config.network || 'mainnet-beta', // Network to determine if Jupiter API is available
       slippageBps: config.slippageBps || 50, // Default slippage in basis points (0.5%)
+      priceSource: config.priceSource || null, // Source name, or map of network -> source name
+      candleTimeframes: config.candleTimeframes || ['1m', '5m', '15m', '1h'],
+      indicatorTimeframe: config.indicatorTimeframe || '1m', // Bars used for SMA/momentum/key levels
+      maxCandles: config.maxCandles || 500,
     };
     
+    if (!this.config.candleTimeframes.includes(this.config.indicatorTimeframe)) {
+      throw new Error(`Indicator timeframe ${this.config.indicatorTimeframe} is not in candleTimeframes`);
+    }
+    
+    this.tokenRegistry = config.tokenRegistry || new TokenRegistry(config.tokens);
+    this.signalComposer = new SignalComposer(config.signal);
+    
     this.lastPrices = new Map();
     this.priceHistory = new Map();
     this.volumeData = new Map();
+    this.candles = new Map();
+    
+    this.setPriceSource(this.config.priceSource);
   }
 
   /**
-   * Fetch price data from Jupiter Price API
-   * @param {string} tokenMint - Token mint address
-   * @returns {Promise<object>} - Price data
+   * Select the price source used by getMarketData
+   * @param {string|object} setting - Source name, network map, or a source instance
+   * @returns {object} - Active price source
    */
-  async fetchPrice(tokenMint) {
-    // Jupiter Price API only supports mainnet-beta
-    // For devnet/testnet, return mock price data
-    if (this.config.network !== 'mainnet-beta') {
-      console.log(`ℹ️  Jupiter Price API not available on ${this.config.network}, using simulated price`);
-      
-      // Return mock price data
-      return {
-        [tokenMint]: {
-          id: tokenMint,
-          mintSymbol: 'TOKEN',
-          vsToken: 'USDC',
-          vsTokenSymbol: 'USDC',
-          price: 100 + Math.random() * 10, // Simulated price between 100-110
-        }
-      };
+  setPriceSource(setting) {
+    if (setting && typeof setting.getPrice === 'function') {
+      this.priceSource = setting;
+      return this.priceSource;
     }
     
-    return new Promise((resolve, reject) => {
-      const url = `${this.config.priceApi}/price?ids=${tokenMint}`;
-      
-      https.get(url, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const parsed = JSON.parse(data);
-            resolve(parsed.data);
-          } catch (error) {
-            reject(new Error(`Failed to parse price data: ${error.message}`));
-          }
-        });
-      }).on('error', (error) => {
-        reject(new Error(`Failed to fetch price: ${error.message}`));
-      });
+    const name = resolvePriceSourceName(setting, this.config.network);
+    this.priceSource = createPriceSource(name, {
+      priceApi: this.config.priceApi,
+      network: this.config.network,
+      tokenRegistry: this.tokenRegistry,
     });
+    
+    return this.priceSource;
+  }
+
+  /**
+   * Fetch raw price data from the active price source
+   * @param {string} tokenMint - Token mint address
+   * @returns {Promise<object>} - Price data
+   */
+  async fetchPrice(tokenMint) {
+    return this.priceSource.fetchPrice(tokenMint);
   }
 
   /**
@@ -171,52 +170,131 @@ class MarketData {
     return Math.max(-1, Math.min(1, change / 0.1));
   }
 
+  /**
+   * Calculate a snapshot of the standard indicators
+   * @param {Array<object>} candles - OHLCV candles, oldest first
+   * @returns {object} - Indicator values (null where there is not enough data)
+   */
+  calculateIndicators(candles) {
+    const closes = candles.map(candle => candle.close);
+    
+    return {
+      ema20: indicators.ema(closes, 20),
+      rsi14: indicators.rsi(closes, 14),
+      macd: indicators.macd(closes),
+      bollinger: indicators.bollinger(closes),
+      atr14: indicators.atr(candles, 14),
+      vwap: indicators.vwap(candles),
+    };
+  }
+
+  /**
+   * Replace the signal composition
+   * @param {object} signalConfig - Composition config ({ components: [...] })
+   * @returns {SignalComposer} - Active composer
+   */
+  setSignalComposition(signalConfig) {
+    this.signalComposer = new SignalComposer(signalConfig);
+    return this.signalComposer;
+  }
+
   /**
    * Detect support and resistance levels
-   * @param {Array<number>} prices - Array of prices
+   * 
+   * Local extrema within 10% of the current price are merged into zones when
+   * they lie within keyLevelThreshold of each other. Each zone's volume is the
+   * traded volume around it according to the volume profile of the series;
+   * zones weighed by tick counts instead are marked `confidence: 'low'`.
+   * 
+   * @param {Array<object|number>} series - OHLCV candles (or plain prices)
    * @param {number} currentPrice - Current price
-   * @returns {Array<object>} - Support/resistance levels
+   * @returns {Array<object>} - Support/resistance zones ({price, low, high, volume, volumeBasis, confidence, touches, type})
    */
-  detectKeyLevels(prices, currentPrice) {
-    if (prices.length < 10) {
+  detectKeyLevels(series, currentPrice) {
+    if (series.length < 10) {
       return [];
     }
     
-    const levels = [];
+    const candles = series.map(item => typeof item === 'number'
+      ? { open: item, high: item, low: item, close: item, volume: 0, ticks: 1 }
+      : item);
+    const prices = candles.map(candle => candle.close);
     const threshold = this.config.keyLevelThreshold;
     
     // Find local maxima and minima as key levels
+    const extrema = [];
     for (let i = 1; i < prices.length - 1; i++) {
       const prev = prices[i - 1];
       const curr = prices[i];
       const next = prices[i + 1];
+      const distance = Math.abs(curr - currentPrice) / currentPrice;
       
-      // Local maximum (resistance)
-      if (curr > prev && curr > next) {
-        const distance = Math.abs(curr - currentPrice) / currentPrice;
-        if (distance < 0.1) { // Within 10% of current price
-          levels.push({
-            price: curr,
-            volume: DEFAULT_VOLUME, // TODO: Use actual volume data from market API
-            type: 'resistance'
-          });
-        }
+      if (distance >= 0.1) { // Only within 10% of current price
+        continue;
       }
       
-      // Local minimum (support)
-      if (curr < prev && curr < next) {
-        const distance = Math.abs(curr - currentPrice) / currentPrice;
-        if (distance < 0.1) { // Within 10% of current price
-          levels.push({
-            price: curr,
-            volume: DEFAULT_VOLUME, // TODO: Use actual volume data from market API
-            type: 'support'
-          });
-        }
+      if (curr > prev && curr > next) {
+        extrema.push({ price: curr, type: 'resistance' });
+      } else if (curr < prev && curr < next) {
+        extrema.push({ price: curr, type: 'support' });
+      }
+    }
+    
+    if (extrema.length === 0) {
+      return [];
+    }
+    
+    // Merge extrema within keyLevelThreshold of each other into zones
+    extrema.sort((a, b) => a.price - b.price);
+    const zones = [];
+    for (const point of extrema) {
+      const zone = zones[zones.length - 1];
+      if (zone && Math.abs(point.price - zone.price) / zone.price <= threshold) {
+        zone.members.push(point);
+        zone.high = point.price;
+        zone.price = zone.members.reduce((sum, m) => sum + m.price, 0) / zone.members.length;
+      } else {
+        zones.push({ price: point.price, low: point.price, high: point.price, members: [point] });
       }
     }
     
-    return levels;
+    // Weigh each zone by the volume traded around it
+    const profile = new VolumeProfile({ bucketCount: this.config.volumeProfileBuckets }).build(candles);
+    
+    return zones.map(zone => {
+      const halfWidth = zone.price * threshold / 2;
+      const resistances = zone.members.filter(m => m.type === 'resistance').length;
+      const supports = zone.members.length - resistances;
+      let type;
+      if (resistances !== supports) {
+        type = resistances > supports ? 'resistance' : 'support';
+      } else {
+        type = zone.price > currentPrice ? 'resistance' : 'support';
+      }
+      
+      return {
+        price: zone.price,
+        low: zone.low,
+        high: zone.high,
+        volume: profile.getVolumeBetween(zone.low - halfWidth, zone.high + halfWidth),
+        volumeBasis: profile.basis,
+        confidence: profile.confidence,
+        touches: zone.members.length,
+        type,
+      };
+    });
+  }
+
+  /**
+   * Get the volume profile for a pair
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Candle timeframe
+   * @param {number} count - Number of candles to include
+   * @returns {VolumeProfile} - Volume profile over the candles
+   */
+  getVolumeProfile(pair, timeframe = this.config.indicatorTimeframe, count = 100) {
+    const candles = this.getCandles(pair, timeframe, count);
+    return new VolumeProfile({ bucketCount: this.config.volumeProfileBuckets }).build(candles);
   }
 
   /**
@@ -227,12 +305,6 @@ class MarketData {
    */
   async getMarketData(pair, portfolioValue = 0) {
     try {
-      // For demo purposes, we'll use simulated data
-      // In production, this would fetch real data from Jupiter or other APIs
-      
-      // Parse pair
-      const [base, quote] = pair.split('-');
-      
       // Get or initialize price history for this pair
       if (!this.priceHistory.has(pair)) {
         this.priceHistory.set(pair, []);
@@ -240,10 +312,9 @@ class MarketData {
       
       const history = this.priceHistory.get(pair);
       
-      // Simulate price (in production, fetch from API)
-      const lastPrice = this.lastPrices.get(pair) || 100;
-      const priceChange = (Math.random() - 0.5) * 2; // -1 to 1
-      const currentPrice = lastPrice + priceChange;
+      // Fetch price from the configured source
+      const tick = await this.priceSource.getPrice(pair);
+      const currentPrice = tick.price;
       
       this.lastPrices.set(pair, currentPrice);
       history.push(currentPrice);
@@ -253,26 +324,41 @@ class MarketData {
         history.shift();
       }
       
-      // Calculate metrics
-      const momentum = this.calculateMomentum(history);
-      const sma20 = this.calculateSMA(history, 20);
-      const keyLevels = this.detectKeyLevels(history, currentPrice);
+      // Aggregate tick into OHLCV bars
+      this.getCandleBuilder(pair).addTick(currentPrice, tick.volume, tick.timestamp);
       
-      // Generate signal based on price vs SMA
-      let signalStrength = 0;
-      if (history.length >= 20) {
-        const deviation = (currentPrice - sma20) / sma20;
-        signalStrength = Math.max(-1, Math.min(1, deviation * 10));
-      }
+      // Calculate metrics on bar closes so periods are measured in time, not polls
+      const timeframe = this.config.indicatorTimeframe;
+      const candles = this.getCandles(pair, timeframe, 100);
+      const closes = candles.map(candle => candle.close);
+      const momentum = this.calculateMomentum(closes);
+      const sma20 = this.calculateSMA(closes, 20);
+      const keyLevels = this.detectKeyLevels(candles, currentPrice);
+      
+      // Generate signal from the configured indicator composition
+      const signal = this.signalComposer.compose(candles, currentPrice);
+      
+      // Bars before the one in progress, for strategies that look back over closes
+      const closedCandles = this.getCandles(pair, timeframe, this.config.maxCandles).slice(0, -1);
+      
+      const { base, quote } = this.tokenRegistry.resolvePair(pair);
       
       return {
         pair,
+        baseMint: base.mint,
+        quoteMint: quote.mint,
         price: currentPrice,
-        volume: BASE_VOLUME + Math.random() * VOLUME_VARIANCE, // TODO: Fetch actual volume from market API
-        signalStrength,
+        volume: tick.volume,
+        priceSource: tick.source,
+        signalStrength: signal.signalStrength,
+        signalComponents: signal.components,
+        indicators: this.calculateIndicators(candles),
         momentum,
         sma20,
         keyLevels,
+        timeframe,
+        candleCount: closes.length,
+        candles: closedCandles,
         portfolioValue,
         timestamp: Date.now(),
       };
@@ -318,6 +404,21 @@ class MarketData {
     return this.lastPrices.get(pair) || 0;
   }
 
+  /**
+   * Get the latest price of any pair: the last polled price for traded
+   * pairs, else a fresh tick from the price source (not added to history)
+   * @param {string} pair - Trading pair
+   * @returns {Promise<number>} - Current price
+   */
+  async getSpotPrice(pair) {
+    const lastPrice = this.getCurrentPrice(pair);
+    if (lastPrice > 0) {
+      return lastPrice;
+    }
+    const tick = await this.priceSource.getPrice(pair);
+    return tick.price;
+  }
+
   /**
    * Get price history for a pair
    * @param {string} pair - Trading pair
@@ -328,6 +429,36 @@ class MarketData {
     const history = this.priceHistory.get(pair) || [];
     return history.slice(-count);
   }
+
+  /**
+   * Get (or create) the candle builder for a pair
+   * @param {string} pair - Trading pair
+   * @returns {CandleBuilder} - Candle builder for the pair
+   */
+  getCandleBuilder(pair) {
+    if (!this.candles.has(pair)) {
+      this.candles.set(pair, new CandleBuilder({
+        timeframes: this.config.candleTimeframes,
+        maxCandles: this.config.maxCandles,
+      }));
+    }
+    return this.candles.get(pair);
+  }
+
+  /**
+   * Get OHLCV candles for a pair
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe label ('1m', '5m', '15m', '1h')
+   * @param {number} count - Number of candles to return
+   * @returns {Array<object>} - Candles ({timestamp, open, high, low, close, volume, ticks}), oldest first
+   */
+  getCandles(pair, timeframe = this.config.indicatorTimeframe, count = 100) {
+    const builder = this.candles.get(pair);
+    if (!builder) {
+      return [];
+    }
+    return builder.getCandles(timeframe, count);
+  }
 }
 
 module.exports = MarketData;
@@ -0,0 +1,309 @@
+/**
+ * Paper Account Module
+ *
+ * Virtual balances for dry-run trading. Each dry-run swap is filled against
+ * the account at the quoted amount less simulated slippage, the network fee
+ * is charged in SOL, and swaps the balances cannot cover are rejected.
+ * Configured under `trading.paper` in config.json:
+ *
+ *   "paper": {
+ *     "enabled": true,
+ *     "balances": { "SOL": 10, "USDC": 1000 },
+ *     "feeLamports": 5000,
+ *     "quoteSymbol": "USDC"
+ *   }
+ *
+ * PnL is measured in the quote symbol using average cost per token.
+ * Tokens held at the start get their cost basis from the first price seen,
+ * so PnL covers the paper session only. Fees are charged as SOL disposed
+ * of for nothing, so they show up in realized PnL.
+ */
+
+const TokenRegistry = require('./token-registry');
+const { toBaseUnits, toUiAmount, formatAmount } = require('./token-amount');
+
+const FEE_SYMBOL = 'SOL';
+
+class PaperAccount {
+  constructor(config = {}) {
+    this.tokenRegistry = config.tokenRegistry || new TokenRegistry(config.tokens);
+    this.config = {
+      balances: config.balances || { SOL: 10, USDC: 1000 }, // Starting balances in UI units
+      feeLamports: config.feeLamports !== undefined ? config.feeLamports : 5000, // Network + priority fee per swap
+      quoteSymbol: (config.quoteSymbol || 'USDC').toUpperCase(), // Currency PnL is measured in
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Restore the starting balances and clear PnL
+   */
+  reset() {
+    this.balances = new Map(); // symbol -> base units
+    this.positions = new Map(); // symbol -> { quantity, cost, hasBasis }
+    this.prices = new Map(); // symbol -> price in quote symbol
+    this.realizedPnl = 0;
+    this.feesPaid = 0;
+    this.startingValue = 0;
+    this.fills = [];
+
+    for (const [symbol, amount] of Object.entries(this.config.balances)) {
+      const token = this.tokenRegistry.resolve(symbol);
+      this.balances.set(token.symbol, toBaseUnits(amount, token.decimals));
+
+      if (token.symbol === this.config.quoteSymbol) {
+        this.startingValue += amount;
+      } else {
+        this.positions.set(token.symbol, { quantity: amount, cost: 0, hasBasis: false });
+      }
+    }
+  }
+
+  /**
+   * Get a balance
+   * @param {string} symbolOrMint - Token symbol or mint
+   * @returns {number} - Balance in UI units
+   */
+  getBalance(symbolOrMint) {
+    const token = this.tokenRegistry.resolve(symbolOrMint);
+    return toUiAmount(this.balances.get(token.symbol) || 0, token.decimals);
+  }
+
+  /**
+   * Record the latest price of a token in the quote symbol
+   * @param {string} symbolOrMint - Token symbol or mint
+   * @param {number} price - Price in quote-symbol units
+   */
+  markPrice(symbolOrMint, price) {
+    const symbol = this.tokenRegistry.resolve(symbolOrMint).symbol;
+    if (symbol === this.config.quoteSymbol || !(price > 0)) {
+      return;
+    }
+
+    this.prices.set(symbol, price);
+
+    // Holdings from before the first price take it as their cost basis
+    const position = this.positions.get(symbol);
+    if (position && !position.hasBasis) {
+      position.cost = position.quantity * price;
+      position.hasBasis = true;
+      this.startingValue += position.cost;
+    }
+  }
+
+  /**
+   * Fill a swap against the virtual balances
+   * @param {object} order - Swap to fill
+   * @param {string} order.inputMint - Token spent
+   * @param {string} order.outputMint - Token received
+   * @param {number} order.inputAmount - Amount spent in base units
+   * @param {number} order.quotedOutAmount - Quoted amount received in base units
+   * @param {number} order.slippageBps - Slippage applied to the quote (default 0)
+   * @returns {object} - { success, outputAmount, feeLamports } or { success: false, reason }
+   */
+  fill(order) {
+    const input = this.tokenRegistry.resolve(order.inputMint);
+    const output = this.tokenRegistry.resolve(order.outputMint);
+    const fee = this.tokenRegistry.resolve(FEE_SYMBOL);
+    const feeAmount = this.config.feeLamports;
+
+    const inputBalance = this.balances.get(input.symbol) || 0;
+    if (inputBalance < order.inputAmount) {
+      return {
+        success: false,
+        reason: `Insufficient paper ${input.symbol}: have ${formatAmount(toUiAmount(inputBalance, input.decimals), input.symbol)}, need ${formatAmount(toUiAmount(order.inputAmount, input.decimals), input.symbol)}`,
+      };
+    }
+
+    const feeBalance = (this.balances.get(fee.symbol) || 0) - (input.symbol === fee.symbol ? order.inputAmount : 0);
+    if (feeBalance < feeAmount) {
+      return {
+        success: false,
+        reason: `Insufficient paper ${fee.symbol} for fees: need ${formatAmount(toUiAmount(feeAmount, fee.decimals), fee.symbol)}`,
+      };
+    }
+
+    const slippage = 1 - (order.slippageBps || 0) / 10000;
+    const outputAmount = Math.floor(Number(order.quotedOutAmount) * slippage);
+    const inputUi = toUiAmount(order.inputAmount, input.decimals);
+    const outputUi = toUiAmount(outputAmount, output.decimals);
+
+    this.balances.set(input.symbol, inputBalance - order.inputAmount);
+    this.balances.set(output.symbol, (this.balances.get(output.symbol) || 0) + outputAmount);
+    this.balances.set(fee.symbol, this.balances.get(fee.symbol) - feeAmount);
+
+    // Value the swap in the quote symbol. The fill price only becomes the
+    // mark for a token that has none yet; otherwise slippage would revalue
+    // the whole holding.
+    let value = null;
+    if (input.symbol === this.config.quoteSymbol) {
+      value = inputUi;
+      if (!this.prices.has(output.symbol)) {
+        this.markPrice(output.symbol, value / outputUi);
+      }
+    } else if (output.symbol === this.config.quoteSymbol) {
+      value = outputUi;
+      if (!this.prices.has(input.symbol)) {
+        this.markPrice(input.symbol, value / inputUi);
+      }
+    } else if (this.prices.has(input.symbol)) {
+      value = inputUi * this.prices.get(input.symbol);
+    }
+
+    const realizedBefore = this.realizedPnl;
+    this.dispose(input.symbol, inputUi, value);
+    this.acquire(output.symbol, outputUi, value);
+    this.dispose(fee.symbol, toUiAmount(feeAmount, fee.decimals), 0);
+    this.feesPaid += toUiAmount(feeAmount, fee.decimals);
+
+    const fill = {
+      pair: order.pair || null,
+      side: order.side || null,
+      inputSymbol: input.symbol,
+      outputSymbol: output.symbol,
+      inputAmount: order.inputAmount,
+      outputAmount,
+      feeLamports: this.config.feeLamports,
+      realizedPnl: this.realizedPnl - realizedBefore,
+      timestamp: Date.now(),
+    };
+    this.fills.push(fill);
+
+    return { success: true, ...fill };
+  }
+
+  /**
+   * Add tokens to a position at a quote-symbol value
+   * @param {string} symbol - Token symbol
+   * @param {number} quantity - UI amount
+   * @param {number|null} value - Total value in the quote symbol (null if unknown)
+   */
+  acquire(symbol, quantity, value) {
+    if (symbol === this.config.quoteSymbol) {
+      return;
+    }
+
+    const position = this.positions.get(symbol) || { quantity: 0, cost: 0, hasBasis: true };
+    position.quantity += quantity;
+    position.cost += value || 0;
+    this.positions.set(symbol, position);
+  }
+
+  /**
+   * Remove tokens from a position, realizing PnL against average cost
+   * @param {string} symbol - Token symbol
+   * @param {number} quantity - UI amount
+   * @param {number|null} proceeds - Value received in the quote symbol (null if unknown)
+   */
+  dispose(symbol, quantity, proceeds) {
+    const position = this.positions.get(symbol);
+    if (symbol === this.config.quoteSymbol || !position || position.quantity <= 0) {
+      return;
+    }
+
+    const sold = Math.min(quantity, position.quantity);
+    const costOfSold = position.cost * (sold / position.quantity);
+
+    if (position.hasBasis && proceeds !== null) {
+      this.realizedPnl += proceeds * (sold / quantity) - costOfSold;
+    }
+    position.quantity -= sold;
+    position.cost -= costOfSold;
+  }
+
+  /**
+   * Value of all balances in the quote symbol (tokens without a price are skipped)
+   * @returns {number} - Equity
+   */
+  getEquity() {
+    let equity = 0;
+    for (const [symbol, amount] of this.balances) {
+      const ui = toUiAmount(amount, this.tokenRegistry.getDecimals(symbol));
+      if (symbol === this.config.quoteSymbol) {
+        equity += ui;
+      } else if (this.prices.has(symbol)) {
+        equity += ui * this.prices.get(symbol);
+      }
+    }
+    return equity;
+  }
+
+  /**
+   * Realized and unrealized PnL in the quote symbol
+   * @returns {object} - { realized, unrealized, total, feesPaid, equity, startingValue, returnPct }
+   */
+  getPnl() {
+    let unrealized = 0;
+    for (const [symbol, position] of this.positions) {
+      if (position.hasBasis && this.prices.has(symbol)) {
+        unrealized += position.quantity * this.prices.get(symbol) - position.cost;
+      }
+    }
+
+    const total = this.realizedPnl + unrealized;
+    return {
+      realized: this.realizedPnl,
+      unrealized,
+      total,
+      feesPaid: this.feesPaid,
+      equity: this.getEquity(),
+      startingValue: this.startingValue,
+      returnPct: this.startingValue > 0 ? total / this.startingValue * 100 : 0,
+    };
+  }
+
+  /**
+   * Capture balances, cost basis and PnL for a state snapshot (the fill log is not kept)
+   * @returns {object} - State, with the starting balances it grew from
+   */
+  serialize() {
+    return {
+      startingBalances: { ...this.config.balances },
+      balances: Object.fromEntries(this.balances),
+      positions: Object.fromEntries(Array.from(this.positions, ([symbol, position]) => [symbol, { ...position }])),
+      prices: Object.fromEntries(this.prices),
+      realizedPnl: this.realizedPnl,
+      feesPaid: this.feesPaid,
+      startingValue: this.startingValue,
+    };
+  }
+
+  /**
+   * Continue from a state captured by serialize()
+   * @param {object} state - Paper account state
+   */
+  restore(state) {
+    if (!state || !state.balances || !state.positions) {
+      throw new Error('Invalid paper account state: balances are missing');
+    }
+
+    this.reset();
+    this.balances = new Map(Object.entries(state.balances));
+    this.positions = new Map(Object.entries(state.positions).map(([symbol, position]) => [symbol, { ...position }]));
+    this.prices = new Map(Object.entries(state.prices || {}));
+    this.realizedPnl = state.realizedPnl || 0;
+    this.feesPaid = state.feesPaid || 0;
+    this.startingValue = state.startingValue ?? this.startingValue;
+  }
+
+  /**
+   * Balances and PnL for reporting
+   * @returns {object} - { quoteSymbol, balances: {symbol: uiAmount}, fills, ...getPnl() }
+   */
+  getSummary() {
+    const balances = {};
+    for (const symbol of this.balances.keys()) {
+      balances[symbol] = this.getBalance(symbol);
+    }
+
+    return {
+      quoteSymbol: this.config.quoteSymbol,
+      balances,
+      fills: this.fills.length,
+      ...this.getPnl(),
+    };
+  }
+}
+
+module.exports = PaperAccount;
@@ -0,0 +1,246 @@
+/**
+ * Portfolio Ledger Module
+ *
+ * Books every filled swap (dry run or live) per pair as lots, so the bot
+ * knows what it holds, at what cost, and what it has made. Lots are signed
+ * base-token quantities at their fill price: buys open long lots or close
+ * short ones, sells do the opposite, oldest lot first. Per pair the ledger
+ * reports:
+ *
+ *   quantity       net base tokens (negative when short)
+ *   averageEntry   quantity-weighted price of the open lots
+ *   realizedPnl    quote tokens made on closed quantity
+ *   unrealizedPnl  open quantity marked at the last price
+ *
+ * Hedge swaps (`purpose: 'hedge'`) and DCA buys (`purpose: 'dca'`) are
+ * booked apart from regular trades, so a pair's trading position is not
+ * netted against its hedge and strategies never sell accumulated tokens.
+ * Fees are tracked in SOL and are not part of PnL.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+// Quantities below this are treated as flat (float dust from partial closes)
+const DUST = 1e-12;
+
+class PortfolioLedger {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clear all books
+   */
+  reset() {
+    this.books = new Map(); // `${purpose}:${pair}` -> { pair, purpose, lots, realizedPnl, feesSol, fills, lastPrice }
+    this.fills = [];
+  }
+
+  /**
+   * Get or create the book of a pair
+   * @param {string} pair - Trading pair
+   * @param {string} purpose - 'trade', 'hedge' or 'dca'
+   * @returns {object} - Book
+   */
+  getBook(pair, purpose = 'trade') {
+    const key = `${purpose}:${pair}`;
+    if (!this.books.has(key)) {
+      this.books.set(key, { pair, purpose, lots: [], realizedPnl: 0, feesSol: 0, fills: 0, lastPrice: null });
+    }
+    return this.books.get(key);
+  }
+
+  /**
+   * Book a fill
+   * @param {object} fill - Fill details
+   * @param {string} fill.pair - Trading pair
+   * @param {string} fill.side - 'buy' or 'sell' (of the base token)
+   * @param {number} fill.quantity - Base tokens bought or sold (UI units)
+   * @param {number} fill.price - Fill price in quote tokens
+   * @param {string} fill.purpose - 'trade' (default), 'hedge' or 'dca'
+   * @param {number} fill.feeLamports - Fees paid for the fill
+   * @param {string} fill.signature - Transaction signature (live fills)
+   * @param {boolean} fill.dryRun - Whether the fill was simulated
+   * @returns {object} - Position after the fill
+   */
+  recordFill(fill) {
+    const book = this.getBook(fill.pair, fill.purpose || 'trade');
+    const direction = fill.side === 'buy' ? 1 : -1;
+    let remaining = fill.quantity;
+    let realized = 0;
+
+    // Close opposite lots first, oldest first
+    while (remaining > DUST && book.lots.length > 0 && Math.sign(book.lots[0].quantity) === -direction) {
+      const lot = book.lots[0];
+      const closed = Math.min(remaining, Math.abs(lot.quantity));
+      realized += closed * (fill.price - lot.price) * -direction;
+      lot.quantity += closed * direction;
+      remaining -= closed;
+      if (Math.abs(lot.quantity) <= DUST) {
+        book.lots.shift();
+      }
+    }
+
+    // Whatever is left opens a new lot
+    if (remaining > DUST) {
+      book.lots.push({
+        quantity: remaining * direction,
+        price: fill.price,
+        timestamp: fill.timestamp || Date.now(),
+        signature: fill.signature || null,
+      });
+    }
+
+    book.realizedPnl += realized;
+    book.feesSol += (fill.feeLamports || 0) / LAMPORTS_PER_SOL;
+    book.fills++;
+    if (book.lastPrice === null) {
+      book.lastPrice = fill.price;
+    }
+
+    this.fills.push({
+      pair: fill.pair,
+      side: fill.side,
+      purpose: book.purpose,
+      quantity: fill.quantity,
+      price: fill.price,
+      realizedPnl: realized,
+      dryRun: !!fill.dryRun,
+      signature: fill.signature || null,
+      timestamp: fill.timestamp || Date.now(),
+    });
+
+    return this.getPosition(fill.pair, book.purpose);
+  }
+
+  /**
+   * Book a successful trade result from TradeExecutor
+   * @param {object} trade - Trade result with pair, side and UI amounts
+   * @returns {object|null} - Position after the fill, or null when the trade cannot be booked
+   */
+  recordTrade(trade) {
+    if (!trade.success || !trade.pair || !trade.side) {
+      return null;
+    }
+
+    const buy = trade.side === 'buy';
+    const quantity = buy ? trade.outputUiAmount : trade.inputUiAmount;
+    const quoteAmount = buy ? trade.inputUiAmount : trade.outputUiAmount;
+    if (!(quantity > 0) || !(quoteAmount > 0)) {
+      return null;
+    }
+
+    return this.recordFill({
+      pair: trade.pair,
+      side: trade.side,
+      quantity,
+      price: quoteAmount / quantity,
+      purpose: trade.purpose,
+      feeLamports: trade.fees?.lamports,
+      signature: trade.signature,
+      dryRun: trade.dryRun,
+      timestamp: trade.timestamp,
+    });
+  }
+
+  /**
+   * Mark a pair (all of its books) to the current price
+   * @param {string} pair - Trading pair
+   * @param {number} price - Current base price in quote tokens
+   */
+  markPrice(pair, price) {
+    if (!(price > 0)) {
+      return;
+    }
+    for (const book of this.books.values()) {
+      if (book.pair === pair) {
+        book.lastPrice = price;
+      }
+    }
+  }
+
+  /**
+   * Get a pair's position
+   * @param {string} pair - Trading pair
+   * @param {string} purpose - 'trade' (default), 'hedge' or 'dca'
+   * @returns {object} - { pair, purpose, side, quantity, averageEntry, realizedPnl, unrealizedPnl, totalPnl, feesSol, lots, fills, lastPrice }
+   */
+  getPosition(pair, purpose = 'trade') {
+    const book = this.books.get(`${purpose}:${pair}`) || { lots: [], realizedPnl: 0, feesSol: 0, fills: 0, lastPrice: null };
+    const quantity = book.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const cost = book.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    const flat = Math.abs(quantity) <= DUST;
+    const unrealizedPnl = flat || book.lastPrice === null ? 0 : quantity * book.lastPrice - cost;
+
+    return {
+      pair,
+      purpose,
+      side: flat ? 'flat' : (quantity > 0 ? 'long' : 'short'),
+      quantity: flat ? 0 : quantity,
+      averageEntry: flat ? null : cost / quantity,
+      realizedPnl: book.realizedPnl,
+      unrealizedPnl,
+      totalPnl: book.realizedPnl + unrealizedPnl,
+      feesSol: book.feesSol,
+      lots: book.lots.length,
+      fills: book.fills,
+      lastPrice: book.lastPrice,
+    };
+  }
+
+  /**
+   * List positions of every pair that has been traded
+   * @param {string} purpose - Only 'trade', 'hedge' or 'dca' positions (all when omitted)
+   * @returns {Array<object>} - Positions
+   */
+  getPositions(purpose = null) {
+    return Array.from(this.books.values())
+      .filter(book => !purpose || book.purpose === purpose)
+      .map(book => this.getPosition(book.pair, book.purpose));
+  }
+
+  /**
+   * Totals across all books (quote-token PnL assumes pairs share a quote token)
+   * @returns {object} - { realizedPnl, unrealizedPnl, totalPnl, feesSol, openPositions, fills }
+   */
+  getTotals() {
+    const positions = this.getPositions();
+    const sum = (field) => positions.reduce((total, position) => total + position[field], 0);
+
+    return {
+      realizedPnl: sum('realizedPnl'),
+      unrealizedPnl: sum('unrealizedPnl'),
+      totalPnl: sum('totalPnl'),
+      feesSol: sum('feesSol'),
+      openPositions: positions.filter(position => position.side !== 'flat').length,
+      fills: this.fills.length,
+    };
+  }
+
+  /**
+   * Capture the books for a state snapshot (the fill log is not kept)
+   * @returns {object} - { books }
+   */
+  serialize() {
+    return {
+      books: Array.from(this.books.values()).map(book => ({ ...book, lots: book.lots.map(lot => ({ ...lot })) })),
+    };
+  }
+
+  /**
+   * Continue from books captured by serialize()
+   * @param {object} state - Ledger state
+   */
+  restore(state) {
+    if (!state || !Array.isArray(state.books)) {
+      throw new Error('Invalid ledger state: books are missing');
+    }
+
+    this.reset();
+    for (const book of state.books) {
+      this.books.set(`${book.purpose}:${book.pair}`, { ...book, lots: book.lots.map(lot => ({ ...lot })) });
+    }
+  }
+}
+
+module.exports = PortfolioLedger;
@@ -0,0 +1,224 @@
+/**
+ * Position Protection Module
+ *
+ * Enforces the Law III reaction of each entry. The engine's
+ * `calculateReaction(positionSize)` gives a stop-loss and take-profit
+ * proportional to the position; here they become price levels around the
+ * entry price:
+ *
+ *   stop distance = stopLoss / positionSize × reactionToPrice × entry
+ *   take distance = takeProfit / positionSize × reactionToPrice × entry
+ *
+ * With riskReactionRatio 1 and reactionToPrice 0.1 a long entered at 100
+ * stops out at 95 and takes profit at 115. Configured under
+ * `trading.protection` in config.json:
+ *
+ *   "protection": { "enabled": true, "reactionToPrice": 0.1 }
+ *
+ * Fills are netted per pair (average entry price), so adding to a
+ * position moves its levels and a partial close keeps them.
+ */
+
+const RULES = {
+  stopLoss: 'Law III stop-loss (equal and opposite reaction to adverse move)',
+  takeProfit: 'Law III take-profit (reaction target reached)',
+};
+
+class PositionProtection {
+  constructor(config = {}) {
+    this.updateConfig(config);
+    this.positions = new Map(); // pair -> { quantity (signed, base units), entryPrice, stopFraction, takeFraction }
+  }
+
+  /**
+   * Replace the protection configuration (levels of open positions follow)
+   * @param {object} config - Protection configuration
+   */
+  updateConfig(config = {}) {
+    const reactionToPrice = config.reactionToPrice !== undefined ? config.reactionToPrice : 0.1;
+    if (!(reactionToPrice > 0)) {
+      throw new Error(`Protection reactionToPrice must be greater than 0: ${config.reactionToPrice}`);
+    }
+
+    this.config = {
+      enabled: config.enabled !== false,
+      reactionToPrice, // Fraction of entry price per unit of reaction relative to position size
+    };
+  }
+
+  /**
+   * Record a fill and re-arm the pair's exit levels from the entry's Law III reaction
+   * @param {string} pair - Trading pair
+   * @param {object} fill - Fill details
+   * @param {string} fill.side - 'buy' or 'sell'
+   * @param {number} fill.quantity - Base tokens bought or sold (UI units)
+   * @param {number} fill.price - Fill price in quote tokens
+   * @param {object} fill.reaction - Engine reaction ({stopLoss, takeProfit}) for the new position
+   * @param {number} fill.positionSize - Engine position size the reaction was calculated for
+   * @returns {object|null} - Protected position, or null when flat
+   */
+  recordFill(pair, fill) {
+    const current = this.positions.get(pair) || { quantity: 0, entryPrice: fill.price };
+    const delta = fill.side === 'buy' ? fill.quantity : -fill.quantity;
+    const quantity = current.quantity + delta;
+
+    let entryPrice = current.entryPrice;
+    if (current.quantity === 0 || Math.sign(quantity) !== Math.sign(current.quantity)) {
+      // New position, or flipped through flat: remainder entered at this fill
+      entryPrice = fill.price;
+    } else if (Math.abs(quantity) > Math.abs(current.quantity)) {
+      // Adding to the position: average the entry
+      entryPrice = (current.quantity * current.entryPrice + delta * fill.price) / quantity;
+    }
+
+    if (Math.abs(quantity) < 1e-12) {
+      this.positions.delete(pair);
+      return null;
+    }
+
+    const position = {
+      pair,
+      quantity,
+      entryPrice,
+      stopFraction: current.stopFraction,
+      takeFraction: current.takeFraction,
+    };
+
+    if (fill.reaction && fill.positionSize > 0) {
+      position.stopFraction = fill.reaction.stopLoss / fill.positionSize;
+      position.takeFraction = fill.reaction.takeProfit / fill.positionSize;
+    }
+
+    this.positions.set(pair, position);
+    return this.getPosition(pair);
+  }
+
+  /**
+   * Record an executed buy/sell trade (see TradeExecutor) as a fill
+   * @param {object} trade - Successful trade result with pair, side and UI amounts
+   * @param {object} reaction - Engine reaction for the new position
+   * @param {number} positionSize - Engine position size the reaction was calculated for
+   * @returns {object|null} - Protected position, or null when flat
+   */
+  recordTrade(trade, reaction, positionSize) {
+    const buy = trade.side === 'buy';
+    const quantity = buy ? trade.outputUiAmount : trade.inputUiAmount;
+    const quoteAmount = buy ? trade.inputUiAmount : trade.outputUiAmount;
+
+    return this.recordFill(trade.pair, {
+      side: trade.side,
+      quantity,
+      price: quoteAmount / quantity,
+      reaction,
+      positionSize,
+    });
+  }
+
+  /**
+   * Get a protected position with its current exit levels
+   * @param {string} pair - Trading pair
+   * @returns {object|null} - { pair, side, quantity, entryPrice, stopLoss, takeProfit }
+   */
+  getPosition(pair) {
+    const position = this.positions.get(pair);
+    if (!position) {
+      return null;
+    }
+
+    const long = position.quantity > 0;
+    const scale = this.config.reactionToPrice;
+    const levels = { stopLoss: null, takeProfit: null };
+
+    if (position.stopFraction !== undefined) {
+      const stop = position.stopFraction * scale;
+      const take = position.takeFraction * scale;
+      levels.stopLoss = position.entryPrice * (long ? 1 - stop : 1 + stop);
+      levels.takeProfit = Math.max(0, position.entryPrice * (long ? 1 + take : 1 - take));
+    }
+
+    return {
+      pair,
+      side: long ? 'long' : 'short',
+      quantity: Math.abs(position.quantity),
+      entryPrice: position.entryPrice,
+      ...levels,
+    };
+  }
+
+  /**
+   * Check a pair's exit levels against the current price
+   * @param {string} pair - Trading pair
+   * @param {number} price - Current price
+   * @returns {object|null} - Trigger ({ type, rule, price, level, position }) or null
+   */
+  check(pair, price) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const position = this.getPosition(pair);
+    if (!position || position.stopLoss === null) {
+      return null;
+    }
+
+    const long = position.side === 'long';
+    let type = null;
+    if (long ? price <= position.stopLoss : price >= position.stopLoss) {
+      type = 'stopLoss';
+    } else if (long ? price >= position.takeProfit : price <= position.takeProfit) {
+      type = 'takeProfit';
+    }
+
+    if (!type) {
+      return null;
+    }
+
+    return {
+      type,
+      rule: RULES[type],
+      price,
+      level: position[type],
+      position,
+    };
+  }
+
+  /**
+   * Stop protecting a pair
+   * @param {string} pair - Trading pair
+   */
+  clear(pair) {
+    this.positions.delete(pair);
+  }
+
+  /**
+   * List protected positions with their levels
+   * @returns {Array<object>} - Positions
+   */
+  list() {
+    return Array.from(this.positions.keys()).map(pair => this.getPosition(pair));
+  }
+
+  /**
+   * Capture the protected positions for a state snapshot
+   * @returns {object} - { positions }
+   */
+  serialize() {
+    return { positions: Array.from(this.positions.values()).map(position => ({ ...position })) };
+  }
+
+  /**
+   * Continue from positions captured by serialize() (levels follow the current config)
+   * @param {object} state - Protection state
+   */
+  restore(state) {
+    if (!state || !Array.isArray(state.positions)) {
+      throw new Error('Invalid protection state: positions are missing');
+    }
+
+    this.positions = new Map(state.positions.map(position => [position.pair, { ...position }]));
+  }
+}
+
+PositionProtection.RULES = RULES;
+
+module.exports = PositionProtection;
@@ -0,0 +1,214 @@
+/**
+ * Price Sources Module
+ *
+ * Pluggable price feeds for MarketData. Every source exposes the same
+ * interface so getMarketData never needs to know where a price came from:
+ *
+ *   getPrice(pair)       -> Promise<{ price, volume, timestamp, source }>
+ *   fetchPrice(tokenId)  -> Promise<object> (Jupiter-style price map)
+ *
+ * A source class's `reportsVolume` says whether its ticks carry traded
+ * volume; without it key levels cannot be weighted by volume.
+ *
+ * Built-in sources:
+ *   - jupiter:   Jupiter Price API (mainnet-beta only)
+ *   - simulated: Random-walk simulator for devnet/testnet and offline testing
+ */
+
+const { getJson } = require('./http-client');
+
+// Constants for simulated data
+const SIMULATED_START_PRICE = 100;
+const BASE_VOLUME = 1000;
+const VOLUME_VARIANCE = 500;
+
+// Default source per network when config does not specify one
+const DEFAULT_SOURCES = {
+  'mainnet-beta': 'jupiter',
+  'devnet': 'simulated',
+  'testnet': 'simulated',
+};
+
+/**
+ * Jupiter Price API source
+ *
+ * Queries `${priceApi}/price?ids=<base>&vsToken=<quote>` and reads the
+ * price of the base token denominated in the quote token. With a token
+ * registry, symbols are resolved to mint addresses before querying.
+ */
+class JupiterPriceSource {
+  constructor(config = {}) {
+    this.name = 'jupiter';
+    this.config = {
+      priceApi: config.priceApi || 'https://price.jup.ag/v4',
+      timeout: config.timeout || 10000,
+    };
+
+    this.tokenRegistry = config.tokenRegistry || null;
+  }
+
+  /**
+   * Fetch raw price data from Jupiter Price API
+   * @param {string} ids - Token mint address(es) or symbol(s), comma separated
+   * @param {string} vsToken - Optional token to denominate prices in
+   * @returns {Promise<object>} - Price data keyed by id
+   */
+  async fetchPrice(ids, vsToken = null) {
+    let url = `${this.config.priceApi}/price?ids=${encodeURIComponent(ids)}`;
+    if (vsToken) {
+      url += `&vsToken=${encodeURIComponent(vsToken)}`;
+    }
+
+    try {
+      const parsed = await getJson(url, { timeout: this.config.timeout });
+      return parsed.data || {};
+    } catch (error) {
+      throw new Error(`Failed to fetch price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the current price for a trading pair
+   * @param {string} pair - Trading pair (e.g., 'SOL-USDC')
+   * @returns {Promise<object>} - Price tick
+   */
+  async getPrice(pair) {
+    let [base, quote] = pair.split('-');
+    if (this.tokenRegistry) {
+      const tokens = this.tokenRegistry.resolvePair(pair);
+      base = tokens.base.mint;
+      quote = tokens.quote.mint;
+    }
+
+    const data = await this.fetchPrice(base, quote);
+    const entry = data[base];
+    const price = entry ? Number(entry.price) : NaN;
+
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`Jupiter returned no price for ${pair}`);
+    }
+
+    return {
+      price,
+      volume: null, // Price API does not report traded volume
+      timestamp: Date.now(),
+      source: this.name,
+    };
+  }
+}
+
+/**
+ * Simulated price source
+ *
+ * Random walk around a starting price. Kept as an explicit source so that
+ * simulated prices are never used by accident on mainnet.
+ */
+class SimulatedPriceSource {
+  constructor(config = {}) {
+    this.name = 'simulated';
+    this.config = {
+      startPrice: config.startPrice || SIMULATED_START_PRICE,
+      network: config.network || 'devnet',
+    };
+
+    this.lastPrices = new Map();
+  }
+
+  /**
+   * Return mock price data in the Jupiter Price API shape
+   * @param {string} tokenMint - Token mint address
+   * @returns {Promise<object>} - Price data
+   */
+  async fetchPrice(tokenMint) {
+    console.log(`ℹ️  Jupiter Price API not available on ${this.config.network}, using simulated price`);
+
+    return {
+      [tokenMint]: {
+        id: tokenMint,
+        mintSymbol: 'TOKEN',
+        vsToken: 'USDC',
+        vsTokenSymbol: 'USDC',
+        price: 100 + Math.random() * 10, // Simulated price between 100-110
+      }
+    };
+  }
+
+  /**
+   * Get the next simulated price for a trading pair
+   * @param {string} pair - Trading pair
+   * @returns {Promise<object>} - Price tick
+   */
+  async getPrice(pair) {
+    const lastPrice = this.lastPrices.get(pair) || this.config.startPrice;
+    const priceChange = (Math.random() - 0.5) * 2; // -1 to 1
+    const price = lastPrice + priceChange;
+
+    this.lastPrices.set(pair, price);
+
+    return {
+      price,
+      volume: BASE_VOLUME + Math.random() * VOLUME_VARIANCE,
+      timestamp: Date.now(),
+      source: this.name,
+    };
+  }
+}
+
+JupiterPriceSource.reportsVolume = false;
+SimulatedPriceSource.reportsVolume = true;
+
+const PRICE_SOURCES = {
+  jupiter: JupiterPriceSource,
+  simulated: SimulatedPriceSource,
+};
+
+/**
+ * Resolve which price source to use for a network
+ * @param {string|object} setting - Source name, or map of network -> source name
+ * @param {string} network - Solana network
+ * @returns {string} - Price source name
+ */
+function resolvePriceSourceName(setting, network) {
+  if (typeof setting === 'string') {
+    return setting;
+  }
+
+  if (setting && typeof setting === 'object' && setting[network]) {
+    return setting[network];
+  }
+
+  return DEFAULT_SOURCES[network] || 'simulated';
+}
+
+/**
+ * Create a price source by name
+ * @param {string} name - Price source name ('jupiter' or 'simulated')
+ * @param {object} config - Source configuration
+ * @returns {object} - Price source instance
+ */
+function createPriceSource(name, config = {}) {
+  const SourceClass = PRICE_SOURCES[name];
+
+  if (!SourceClass) {
+    throw new Error(`Unknown price source: ${name} (available: ${Object.keys(PRICE_SOURCES).join(', ')})`);
+  }
+
+  return new SourceClass(config);
+}
+
+/**
+ * Check whether a price source reports traded volume
+ * @param {string} name - Price source name
+ * @returns {boolean} - Whether its ticks carry volume
+ */
+function reportsVolume(name) {
+  return Boolean(PRICE_SOURCES[name] && PRICE_SOURCES[name].reportsVolume);
+}
+
+module.exports = {
+  JupiterPriceSource,
+  SimulatedPriceSource,
+  createPriceSource,
+  reportsVolume,
+  resolvePriceSourceName,
+};
@@ -43,10 +43,43 @@
  *    
  *    Trading Application: Market momentum is conserved unless external forces act.
  *    Track momentum indicators to identify trend persistence or reversal points.
+ * 
+ * 6. RESISTING MEDIUM (Book II)
+ *    "If a body is resisted in the ratio of its velocity, the motion lost by the
+ *     resistance is as the space gone over in its motion."
+ *    
+ *    Trading Application: Fees, slippage and price impact resist every trade.
+ *    Drag proportional to these costs is subtracted from the combined force, so
+ *    a move too small to pay for itself never overcomes inertia.
  */
 
+const { composeForces, resolveForceWeights } = require('./force-components');
+
+// How far the position may go in each direction, given the current size and
+// the maximum size:
+//   spot-long-only: only builds long positions; signals never sell (Law III exits do)
+//   spot-long-flat: long or flat; signals can sell down to flat
+//   derivatives:    long or short
+const POSITION_MODELS = {
+  'spot-long-only': (positionSize, maxSize) => [Math.max(0, positionSize), maxSize],
+  'spot-long-flat': (positionSize, maxSize) => [0, maxSize],
+  'derivatives': (positionSize, maxSize) => [-maxSize, maxSize],
+};
+
+// Where realized volatility for the dynamic mass comes from
+//   auto:         ATR from MarketData when available, else the engine's own prices
+//   priceHistory: standard deviation of the engine's own price returns
+//   atr:          ATR from MarketData (market.indicators.atr14) relative to price
+//   none:         fixed mass
+const VOLATILITY_SOURCES = ['auto', 'priceHistory', 'atr', 'none'];
+
 class PrincipiaEngine {
   constructor(config = {}) {
+    PrincipiaEngine.validatePositionModel(config.positionModel);
+    PrincipiaEngine.validateVolatilitySource(config.volatilitySource);
+    
+    this.name = 'principia'; // Strategy name (see strategies.js)
+    
     // Configuration with defaults based on Principia principles
     this.config = {
       // First Law: Inertia threshold - minimum force to change state
@@ -55,17 +88,31 @@ class PrincipiaEngine {
       // Second Law: Mass (resistance to change) - higher = more conservative
       tradingMass: config.tradingMass || 1.0,
       
+      // Second Law: Dynamic mass - adjustedMass = baseMass × (1 + volatilityScale × volatility)
+      volatilitySource: config.volatilitySource || 'auto',
+      volatilityWindow: config.volatilityWindow || 20, // returns in the realized volatility
+      volatilityScale: config.volatilityScale !== undefined ? config.volatilityScale : 100, // 1% volatility doubles the mass
+      
       // Third Law: Risk management ratio
       riskReactionRatio: config.riskReactionRatio || 1.0, // 1:1 risk:reward minimum
       
+      // Book II: Drag per unit of trading cost (fraction of trade value)
+      dragCoefficient: config.dragCoefficient !== undefined ? config.dragCoefficient : 10, // 1% costs -> 0.1 drag
+      
       // Universal Gravitation: Attraction constants
       gravitationalConstant: config.gravitationalConstant || 0.001,
       
+      // Force composition: weight of each component in the combined force (see force-components.js)
+      forces: resolveForceWeights(config.forces),
+      
       // Momentum tracking period
       momentumPeriod: config.momentumPeriod || 20, // periods to track
       
       // Maximum position size (as fraction of portfolio)
       maxPositionSize: config.maxPositionSize || 0.3, // 30%
+      
+      // Which positions can be carried (spot swaps cannot go short)
+      positionModel: config.positionModel || 'spot-long-flat',
     };
     
     // State tracking
@@ -73,6 +120,10 @@ class PrincipiaEngine {
     this.positionSize = 0; // Current position size
     this.momentum = 0; // Current momentum
     this.priceHistory = []; // Track price history for momentum
+    this.returnHistory = []; // Log returns between updates, for realized volatility
+    this.lastPrice = null; // Price of the previous update
+    this.volatility = 0; // Latest volatility (fraction of price)
+    this.effectiveMass = this.config.tradingMass; // Mass after the volatility adjustment
     this.signalHistory = []; // Track signal history
     this.lastAction = null; // Last action taken
   }
@@ -91,10 +142,61 @@ class PrincipiaEngine {
    * LAW II: Calculate acceleration (position change) from force
    * F = ma, therefore a = F/m
    * @param {number} force - Signal strength as force (-1 to 1)
+   * @param {number} mass - Mass to accelerate (defaults to the configured trading mass)
    * @returns {number} - Acceleration (rate of position change)
    */
-  calculateAcceleration(force) {
-    return force / this.config.tradingMass;
+  calculateAcceleration(force, mass = this.config.tradingMass) {
+    return force / mass;
+  }
+
+  /**
+   * LAW II: Realized volatility of the market, as a fraction of price
+   * @param {number} currentPrice - Current price
+   * @param {number|null} atr - Average true range from MarketData (null if unavailable)
+   * @returns {object} - { volatility, source }
+   */
+  updateVolatility(currentPrice, atr = null) {
+    const previous = this.lastPrice;
+    if (previous > 0 && currentPrice > 0) {
+      this.returnHistory.push(Math.log(currentPrice / previous));
+      while (this.returnHistory.length > this.config.volatilityWindow) {
+        this.returnHistory.shift();
+      }
+    }
+    this.lastPrice = currentPrice;
+
+    const source = this.config.volatilitySource;
+    const hasAtr = atr > 0 && currentPrice > 0;
+
+    if (source === 'none') {
+      this.volatility = 0;
+      return { volatility: 0, source };
+    }
+    if (source === 'atr' || (source === 'auto' && hasAtr)) {
+      this.volatility = hasAtr ? atr / currentPrice : 0;
+      return { volatility: this.volatility, source: 'atr' };
+    }
+
+    // Sample standard deviation of log returns
+    const returns = this.returnHistory;
+    if (returns.length < 2) {
+      this.volatility = 0;
+    } else {
+      const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+      this.volatility = Math.sqrt(variance);
+    }
+    return { volatility: this.volatility, source: 'priceHistory' };
+  }
+
+  /**
+   * LAW II: Effective mass after the volatility adjustment
+   * adjustedMass = baseMass × (1 + volatilityScale × volatility)
+   * @param {number} volatility - Volatility as a fraction of price
+   * @returns {number} - Effective mass
+   */
+  calculateEffectiveMass(volatility) {
+    return this.config.tradingMass * (1 + this.config.volatilityScale * volatility);
   }
 
   /**
@@ -110,11 +212,33 @@ class PrincipiaEngine {
     };
   }
 
+  /**
+   * BOOK II: Drag of the resisting medium (trading costs)
+   * drag = dragCoefficient × (priceImpact + fees)
+   * The slippage tolerance is a bound on the fill, not a cost paid, so it is not charged.
+   * @param {object} costs - Trading costs ({ priceImpactPct, feeFraction }, see TradeExecutor.estimateTradingCosts)
+   * @returns {object} - { force, costFraction, costs }
+   */
+  calculateDrag(costs) {
+    if (!costs) {
+      return { force: 0, costFraction: 0, costs: null };
+    }
+
+    const costFraction = (costs.priceImpactPct || 0) / 100 + (costs.feeFraction || 0);
+
+    return {
+      force: this.config.dragCoefficient * costFraction,
+      costFraction,
+      costs,
+    };
+  }
+
   /**
    * UNIVERSAL GRAVITATION: Calculate attraction to key price levels
    * F = G * (m1 * m2) / r²
+   * Levels with `confidence: 'low'` (weighed by ticks, not traded volume) are left out.
    * @param {number} currentPrice - Current market price
-   * @param {Array} keyLevels - Array of {price, volume} objects
+   * @param {Array} keyLevels - Array of {price, volume, confidence} objects
    * @returns {number} - Net gravitational force (-1 to 1)
    */
   calculateGravitationalForce(currentPrice, keyLevels) {
@@ -122,6 +246,10 @@ class PrincipiaEngine {
     const minDistance = 0.01; // Minimum distance to prevent division by zero
     
     for (const level of keyLevels) {
+      if (level.confidence === 'low') {
+        continue;
+      }
+      
       const distance = Math.max(minDistance, Math.abs(currentPrice - level.price));
       
       // Force proportional to volume and inverse square of distance
@@ -185,31 +313,68 @@ class PrincipiaEngine {
     // Update momentum
     const momentum = this.updateMomentum(price);
     
+    // Volatility makes the position heavier to move (dynamic mass)
+    const volatility = this.updateVolatility(price, marketData.indicators?.atr14);
+    this.effectiveMass = this.calculateEffectiveMass(volatility.volatility);
+    
     // Calculate gravitational forces from key levels
     const gravitationalForce = this.calculateGravitationalForce(price, keyLevels);
     
-    // Combine signal with momentum and gravitation
-    const combinedForce = signalStrength * 0.6 + momentum * 0.2 + gravitationalForce * 0.2;
+    // Combine signal, momentum, gravitation and any custom forces (Corollary II)
+    const composition = composeForces(this.config.forces, { marketData, momentum, gravitationalForce, engine: this });
+    
+    // BOOK II: Trading costs resist the force (drag never reverses it)
+    const drag = this.calculateDrag(marketData.tradingCosts);
+    const grossForce = composition.force;
+    const combinedForce = Math.sign(grossForce) * Math.max(0, Math.abs(grossForce) - drag.force);
+    
+    // Mass and volatility are reported on every decision, held or traded
+    const lawII = {
+      acceleration: 0,
+      force: combinedForce,
+      mass: this.effectiveMass,
+      baseMass: this.config.tradingMass,
+      volatility: volatility.volatility,
+      volatilitySource: volatility.source,
+    };
+    const bookII = { drag: drag.force, costFraction: drag.costFraction, costs: drag.costs };
     
     // LAW I: Check if force overcomes inertia
     if (!this.overcomesInertia(combinedForce)) {
+      const blockedByDrag = this.overcomesInertia(grossForce);
       return {
         action: 'hold',
-        reason: 'Insufficient force to overcome inertia (Law I)',
+        reason: blockedByDrag
+          ? `Trading costs (${(drag.costFraction * 100).toFixed(3)}%) dragged force ${grossForce.toFixed(3)} below inertia (Book II)`
+          : 'Insufficient force to overcome inertia (Law I)',
         force: combinedForce,
+        grossForce,
+        drag: drag.force,
+        blockedByDrag,
+        forces: composition.components,
         inertiaThreshold: this.config.inertiaThreshold,
         currentPosition: this.currentPosition,
         positionSize: this.positionSize,
+        principia: {
+          lawI: { overcameInertia: false, threshold: this.config.inertiaThreshold },
+          lawII,
+          bookII,
+          gravitation: gravitationalForce,
+          interAsset: marketData.interAssetForce || 0,
+          momentum,
+        },
       };
     }
     
     // LAW II: Calculate acceleration and position change
-    const acceleration = this.calculateAcceleration(combinedForce);
+    const acceleration = this.calculateAcceleration(combinedForce, this.effectiveMass);
+    lawII.acceleration = acceleration;
     let newPositionSize = this.positionSize + acceleration;
     
-    // Apply position limits
+    // Apply position limits of the position model
     const maxSize = portfolioValue * this.config.maxPositionSize;
-    newPositionSize = Math.max(-maxSize, Math.min(maxSize, newPositionSize));
+    const [minSize, limit] = PrincipiaEngine.positionLimits(this.config.positionModel, this.positionSize, maxSize);
+    newPositionSize = Math.max(minSize, Math.min(limit, newPositionSize));
     
     // Determine action based on position change
     let action = 'hold';
@@ -220,10 +385,11 @@ class PrincipiaEngine {
     
     if (newPositionSize > this.positionSize + changeThreshold) {
       action = 'buy';
-      newPosition = 'long';
     } else if (newPositionSize < this.positionSize - changeThreshold) {
       action = 'sell';
-      newPosition = newPositionSize < 0 ? 'short' : (newPositionSize === 0 ? 'neutral' : 'long');
+    }
+    if (action !== 'hold') {
+      newPosition = newPositionSize > 0 ? 'long' : (newPositionSize < 0 ? 'short' : 'neutral');
     }
     
     // LAW III: Calculate risk management (reaction)
@@ -244,25 +410,58 @@ class PrincipiaEngine {
     return {
       action,
       position: newPosition,
+      positionModel: this.config.positionModel,
       positionSize: newPositionSize,
       positionChange,
       force: combinedForce,
+      grossForce,
+      drag: drag.force,
+      blockedByDrag: false,
+      forces: composition.components,
       acceleration,
       momentum,
       gravitationalForce,
+      interAssetForce: marketData.interAssetForce || 0,
       riskManagement,
       reason: `Force (${combinedForce.toFixed(3)}) overcame inertia. ` +
               `Acceleration: ${acceleration.toFixed(3)} (Law II)`,
       principia: {
         lawI: { overcameInertia: true, threshold: this.config.inertiaThreshold },
-        lawII: { acceleration, force: combinedForce, mass: this.config.tradingMass },
+        lawII,
         lawIII: riskManagement,
+        bookII,
         gravitation: gravitationalForce,
+        interAsset: marketData.interAssetForce || 0,
         momentum,
       }
     };
   }
 
+  /**
+   * Strategy interface (see strategies.js): same as analyzeMarket
+   * @param {object} marketData - Current market data
+   * @returns {object} - Trading decision
+   */
+  analyze(marketData) {
+    return this.analyzeMarket(marketData);
+  }
+
+  /**
+   * LAW III: Flatten the position after a protective exit
+   * @param {number} price - Exit price
+   * @param {string} reason - Rule that closed the position
+   */
+  closePosition(price, reason) {
+    this.currentPosition = 'neutral';
+    this.positionSize = 0;
+    this.lastAction = {
+      action: 'close',
+      timestamp: Date.now(),
+      price,
+      reason,
+    };
+  }
+
   /**
    * Get current engine state
    */
@@ -271,11 +470,54 @@ class PrincipiaEngine {
       position: this.currentPosition,
       positionSize: this.positionSize,
       momentum: this.momentum,
+      volatility: this.volatility,
+      effectiveMass: this.effectiveMass,
       lastAction: this.lastAction,
       config: this.config,
     };
   }
 
+  /**
+   * Capture the engine's state (not its config) as plain data
+   * @returns {object} - State snapshot for restore()
+   */
+  serialize() {
+    return {
+      currentPosition: this.currentPosition,
+      positionSize: this.positionSize,
+      momentum: this.momentum,
+      priceHistory: this.priceHistory.slice(),
+      returnHistory: this.returnHistory.slice(),
+      lastPrice: this.lastPrice,
+      volatility: this.volatility,
+      effectiveMass: this.effectiveMass,
+      signalHistory: this.signalHistory.slice(),
+      lastAction: this.lastAction ? { ...this.lastAction } : null,
+    };
+  }
+
+  /**
+   * Continue from a state captured by serialize()
+   * @param {object} state - State snapshot
+   */
+  restore(state) {
+    if (!state || !Number.isFinite(state.positionSize)) {
+      throw new Error('Invalid engine state: positionSize is missing');
+    }
+
+    this.reset();
+    this.currentPosition = state.currentPosition || 'neutral';
+    this.positionSize = state.positionSize;
+    this.momentum = state.momentum || 0;
+    this.priceHistory = (state.priceHistory || []).slice(-this.config.momentumPeriod);
+    this.returnHistory = (state.returnHistory || []).slice(-this.config.volatilityWindow);
+    this.lastPrice = state.lastPrice ?? null;
+    this.volatility = state.volatility || 0;
+    this.effectiveMass = state.effectiveMass || this.config.tradingMass;
+    this.signalHistory = (state.signalHistory || []).slice();
+    this.lastAction = state.lastAction ? { ...state.lastAction } : null;
+  }
+
   /**
    * Reset engine state
    */
@@ -284,6 +526,10 @@ class PrincipiaEngine {
     this.positionSize = 0;
     this.momentum = 0;
     this.priceHistory = [];
+    this.returnHistory = [];
+    this.lastPrice = null;
+    this.volatility = 0;
+    this.effectiveMass = this.config.tradingMass;
     this.signalHistory = [];
     this.lastAction = null;
   }
@@ -292,8 +538,44 @@ class PrincipiaEngine {
    * Update configuration
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    PrincipiaEngine.validatePositionModel(newConfig.positionModel);
+    PrincipiaEngine.validateVolatilitySource(newConfig.volatilitySource);
+    const forces = newConfig.forces !== undefined ? { forces: resolveForceWeights(newConfig.forces) } : {};
+    this.config = { ...this.config, ...newConfig, ...forces };
+  }
+
+  /**
+   * Throw on an unknown position model
+   * @param {string} positionModel - Position model (undefined keeps the default)
+   */
+  static validatePositionModel(positionModel) {
+    if (positionModel !== undefined && !POSITION_MODELS[positionModel]) {
+      throw new Error(`Unknown position model: ${positionModel} (available: ${Object.keys(POSITION_MODELS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Position sizes a position model allows
+   * @param {string} positionModel - Position model
+   * @param {number} positionSize - Current position size
+   * @param {number} maxSize - Maximum position size
+   * @returns {Array<number>} - [minimum, maximum] size
+   */
+  static positionLimits(positionModel, positionSize, maxSize) {
+    return POSITION_MODELS[positionModel](positionSize, maxSize);
+  }
+
+  /**
+   * Throw on an unknown volatility source
+   * @param {string} volatilitySource - Volatility source (undefined keeps the default)
+   */
+  static validateVolatilitySource(volatilitySource) {
+    if (volatilitySource !== undefined && !VOLATILITY_SOURCES.includes(volatilitySource)) {
+      throw new Error(`Unknown volatility source: ${volatilitySource} (available: ${VOLATILITY_SOURCES.join(', ')})`);
+    }
   }
 }
 
+PrincipiaEngine.POSITION_MODELS = Object.keys(POSITION_MODELS);
+
 module.exports = PrincipiaEngine;
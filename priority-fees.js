@@ -0,0 +1,261 @@
+/**
+ * Priority Fees Module
+ *
+ * Estimates a compute-unit price from recent prioritization fees paid on the
+ * accounts a swap writes to, and writes the compute budget (unit limit and
+ * unit price) into outgoing swap transactions. Configured under
+ * `trading.priorityFee` in config.json:
+ *
+ *   "priorityFee": {
+ *     "strategy": "medium",
+ *     "percentiles": { "low": 25, "medium": 50, "high": 75 },
+ *     "maxLamports": 1000000,
+ *     "computeUnitLimit": null
+ *   }
+ *
+ * The strategy picks a percentile of the recent per-slot fees
+ * (micro-lamports per compute unit). The priority fee charged is
+ * price × unit limit, and swaps whose estimated priority fee is above
+ * `maxLamports` are refused. A null `computeUnitLimit` keeps the limit
+ * Jupiter simulated for the swap.
+ */
+
+const { ComputeBudgetProgram, PublicKey } = require('@solana/web3.js');
+
+const MICRO_LAMPORTS_PER_LAMPORT = 1000000;
+
+// Limit used when neither config nor the transaction sets one
+const DEFAULT_COMPUTE_UNIT_LIMIT = 400000;
+
+// getRecentPrioritizationFees accepts at most 128 accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+// ComputeBudget instruction discriminators
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+
+const DEFAULT_PERCENTILES = { low: 25, medium: 50, high: 75 };
+
+class PriorityFeeEstimator {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.updateConfig(config);
+  }
+
+  /**
+   * Replace the fee configuration
+   * @param {object} config - Priority fee configuration
+   */
+  updateConfig(config = {}) {
+    const percentiles = { ...DEFAULT_PERCENTILES, ...(config.percentiles || {}) };
+    const strategy = config.strategy || 'medium';
+
+    if (percentiles[strategy] === undefined) {
+      throw new Error(`Unknown priority fee strategy: ${strategy} (available: ${Object.keys(percentiles).join(', ')})`);
+    }
+    for (const [name, percentile] of Object.entries(percentiles)) {
+      if (!(percentile >= 0 && percentile <= 100)) {
+        throw new Error(`Priority fee percentile for ${name} must be between 0 and 100: ${percentile}`);
+      }
+    }
+
+    this.config = {
+      strategy,
+      percentiles,
+      maxLamports: config.maxLamports !== undefined ? config.maxLamports : 1000000, // 0.001 SOL
+      computeUnitLimit: config.computeUnitLimit || null,
+    };
+  }
+
+  /**
+   * Estimate the compute-unit price for a set of writable accounts
+   * @param {Array<PublicKey>} accounts - Accounts the transaction writes to
+   * @param {number} computeUnitLimit - Compute units the transaction requests
+   * @returns {Promise<object>} - { strategy, percentile, microLamports, computeUnitLimit, lamports, samples }
+   */
+  async estimate(accounts, computeUnitLimit) {
+    const recent = await this.connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: accounts.slice(0, MAX_FEE_ACCOUNTS),
+    });
+    const fees = (recent || []).map(entry => entry.prioritizationFee);
+    const percentile = this.config.percentiles[this.config.strategy];
+    const microLamports = PriorityFeeEstimator.percentile(fees, percentile);
+
+    return {
+      strategy: this.config.strategy,
+      percentile,
+      microLamports,
+      computeUnitLimit,
+      lamports: PriorityFeeEstimator.priorityLamports(microLamports, computeUnitLimit),
+      samples: fees.length,
+    };
+  }
+
+  /**
+   * Estimate the priority fee for a swap transaction and write it into its compute budget
+   * @param {VersionedTransaction} transaction - Unsigned swap transaction
+   * @returns {Promise<object>} - Estimate, with `allowed` false when it is above maxLamports
+   */
+  async prepare(transaction) {
+    const current = getComputeBudget(transaction);
+    const computeUnitLimit = this.config.computeUnitLimit || current.computeUnitLimit || DEFAULT_COMPUTE_UNIT_LIMIT;
+    const estimate = await this.estimate(getWritableAccounts(transaction), computeUnitLimit);
+
+    estimate.maxLamports = this.config.maxLamports;
+    estimate.allowed = estimate.lamports <= this.config.maxLamports;
+
+    if (estimate.allowed) {
+      applyComputeBudget(transaction, {
+        computeUnitLimit,
+        microLamports: estimate.microLamports,
+      });
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Nearest-rank percentile of a list of fees
+   * @param {Array<number>} values - Fees in micro-lamports per compute unit
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number} - Fee at the percentile (0 when there are no samples)
+   */
+  static percentile(values, percentile) {
+    if (values.length === 0) {
+      return 0;
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const rank = Math.ceil(percentile / 100 * sorted.length) - 1;
+    return sorted[Math.max(0, Math.min(sorted.length - 1, rank))];
+  }
+
+  /**
+   * Priority fee charged for a compute budget
+   * @param {number} microLamports - Price per compute unit
+   * @param {number} computeUnitLimit - Requested compute units
+   * @returns {number} - Priority fee in lamports
+   */
+  static priorityLamports(microLamports, computeUnitLimit) {
+    return Math.ceil(microLamports * computeUnitLimit / MICRO_LAMPORTS_PER_LAMPORT);
+  }
+}
+
+/**
+ * Accounts a transaction writes to (static keys; lookup-table accounts are not resolved)
+ * @param {VersionedTransaction} transaction - Transaction
+ * @returns {Array<PublicKey>} - Writable accounts
+ */
+function getWritableAccounts(transaction) {
+  const message = transaction.message;
+  return message.staticAccountKeys.filter((key, index) => message.isAccountWritable(index));
+}
+
+/**
+ * Accounts a quoted swap would lock: its mints and the pools (AMMs) of its route,
+ * for estimating fees before a transaction is built
+ * @param {object} quote - Jupiter quote (simulated quotes have no route)
+ * @returns {Array<PublicKey>} - Mint and pool accounts
+ */
+function getQuoteAccounts(quote) {
+  const pools = (quote.routePlan || []).map(step => step.swapInfo?.ammKey).filter(Boolean);
+  const addresses = [...new Set([quote.inputMint, quote.outputMint, ...pools])];
+  return addresses.map(address => new PublicKey(address));
+}
+
+/**
+ * Read the compute budget set by a transaction's ComputeBudget instructions
+ * @param {VersionedTransaction} transaction - Transaction
+ * @returns {object} - { computeUnitLimit, microLamports } (null when not set)
+ */
+function getComputeBudget(transaction) {
+  const budget = { computeUnitLimit: null, microLamports: null };
+
+  for (const { instruction } of findComputeBudgetInstructions(transaction.message)) {
+    const data = Buffer.from(instruction.data);
+    if (data[0] === SET_COMPUTE_UNIT_LIMIT) {
+      budget.computeUnitLimit = data.readUInt32LE(1);
+    } else if (data[0] === SET_COMPUTE_UNIT_PRICE) {
+      budget.microLamports = Number(data.readBigUInt64LE(1));
+    }
+  }
+
+  return budget;
+}
+
+/**
+ * Set the compute unit limit and price of an unsigned transaction in place,
+ * replacing existing ComputeBudget instructions or prepending new ones
+ * @param {VersionedTransaction} transaction - Unsigned transaction
+ * @param {object} budget - { computeUnitLimit, microLamports }
+ */
+function applyComputeBudget(transaction, budget) {
+  const message = transaction.message;
+  const programIndex = ensureComputeBudgetProgram(message);
+  const wanted = [
+    [SET_COMPUTE_UNIT_LIMIT, ComputeBudgetProgram.setComputeUnitLimit({ units: budget.computeUnitLimit }).data],
+    [SET_COMPUTE_UNIT_PRICE, ComputeBudgetProgram.setComputeUnitPrice({ microLamports: budget.microLamports }).data],
+  ];
+  const existing = findComputeBudgetInstructions(message);
+
+  for (const [discriminator, data] of wanted.reverse()) {
+    const match = existing.find(({ instruction }) => instruction.data[0] === discriminator);
+    if (match) {
+      match.instruction.data = new Uint8Array(data);
+    } else {
+      message.compiledInstructions.unshift({
+        programIdIndex: programIndex,
+        accountKeyIndexes: [],
+        data: new Uint8Array(data),
+      });
+    }
+  }
+}
+
+/**
+ * Find the ComputeBudget instructions of a message
+ * @param {MessageV0} message - Transaction message
+ * @returns {Array<object>} - [{ index, instruction }]
+ */
+function findComputeBudgetInstructions(message) {
+  const programIndex = message.staticAccountKeys.findIndex(key => key.equals(ComputeBudgetProgram.programId));
+  if (programIndex === -1) {
+    return [];
+  }
+  return message.compiledInstructions
+    .map((instruction, index) => ({ index, instruction }))
+    .filter(({ instruction }) => instruction.programIdIndex === programIndex);
+}
+
+/**
+ * Make sure the ComputeBudget program is a static key of the message
+ * @param {MessageV0} message - Transaction message
+ * @returns {number} - Account index of the program
+ */
+function ensureComputeBudgetProgram(message) {
+  const existing = message.staticAccountKeys.findIndex(key => key.equals(ComputeBudgetProgram.programId));
+  if (existing !== -1) {
+    return existing;
+  }
+
+  // Append as a readonly, unsigned static key. Lookup-table accounts are
+  // indexed after the static keys, so their indexes shift by one.
+  const index = message.staticAccountKeys.length;
+  for (const instruction of message.compiledInstructions) {
+    instruction.accountKeyIndexes = instruction.accountKeyIndexes.map(i => (i >= index ? i + 1 : i));
+    if (instruction.programIdIndex >= index) {
+      instruction.programIdIndex++;
+    }
+  }
+  message.staticAccountKeys.push(ComputeBudgetProgram.programId);
+  message.header.numReadonlyUnsignedAccounts++;
+  return index;
+}
+
+module.exports = {
+  DEFAULT_COMPUTE_UNIT_LIMIT,
+  PriorityFeeEstimator,
+  applyComputeBudget,
+  getComputeBudget,
+  getQuoteAccounts,
+  getWritableAccounts,
+};
@@ -0,0 +1,279 @@
+/**
+ * Rebalancer Module
+ *
+ * Holds a basket of tokens at target weights. Holdings are valued in a
+ * valuation token with MarketData prices; once any weight drifts from its
+ * target by the threshold or more, the rebalancer works out the fewest
+ * swaps that restore the targets and sends them through the trade
+ * executor, so dry run, the paper account, slippage and minTradeSize
+ * apply. Configured under `trading.rebalance`:
+ *
+ *   "rebalance": {
+ *     "enabled": false,
+ *     "targets": { "SOL": 0.5, "USDC": 0.3, "JUP": 0.2 },
+ *     "valuation": "USDC",          // Token holdings are valued in
+ *     "threshold": 0.05,            // Largest |weight - target| that triggers a rebalance
+ *     "schedule": "0 * * * *",      // Every hour on the hour
+ *     "preview": true,              // Only report the planned swaps
+ *     "solReserve": 0.05            // SOL kept out of the basket for fees
+ *   }
+ *
+ * Tokens not listed in `targets` are left alone. Rebalance swaps are kept
+ * in the trade history under `purpose: 'rebalance'`; they have no pair or
+ * side, so the portfolio ledger's positions are not touched.
+ */
+
+const Schedule = require('./schedule');
+const { toBaseUnits } = require('./token-amount');
+
+// Target weights may be off by rounding
+const WEIGHT_TOLERANCE = 1e-6;
+
+class Rebalancer {
+  constructor(tradeExecutor, marketData, config = {}) {
+    this.tradeExecutor = tradeExecutor;
+    this.marketData = marketData;
+    this.config = {
+      enabled: false,
+      targets: { SOL: 0.5, USDC: 0.3, JUP: 0.2 },
+      valuation: 'USDC',
+      threshold: 0.05,
+      schedule: '0 * * * *',
+      preview: true,
+      solReserve: 0.05,
+    };
+    this.nextRunAt = null;
+    this.updateConfig(config);
+  }
+
+  /**
+   * Update configuration (targets are replaced, not merged)
+   * @param {object} newConfig - Settings to change
+   */
+  updateConfig(newConfig = {}) {
+    const config = { ...this.config, ...newConfig };
+
+    const weights = Object.entries(config.targets || {});
+    if (weights.length < 2) {
+      throw new Error('Rebalance targets need at least two tokens');
+    }
+    for (const [symbol, weight] of weights) {
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Rebalance target for ${symbol} must be a weight >= 0: ${weight}`);
+      }
+    }
+    const sum = weights.reduce((total, [, weight]) => total + weight, 0);
+    if (Math.abs(sum - 1) > WEIGHT_TOLERANCE) {
+      throw new Error(`Rebalance targets must add up to 1: ${sum}`);
+    }
+    if (!(config.threshold >= 0 && config.threshold < 1)) {
+      throw new Error(`Rebalance threshold must be between 0 and 1: ${config.threshold}`);
+    }
+    if (!(config.solReserve >= 0)) {
+      throw new Error(`Rebalance SOL reserve must be >= 0: ${config.solReserve}`);
+    }
+    if (!config.valuation || typeof config.valuation !== 'string') {
+      throw new Error(`Rebalance valuation must be a token symbol: ${config.valuation}`);
+    }
+    const schedule = new Schedule(config.schedule);
+
+    if (this.schedule && schedule.expression !== this.schedule.expression) {
+      this.nextRunAt = null;
+    }
+    this.schedule = schedule;
+    this.config = config;
+  }
+
+  /**
+   * Rebalance if a scheduled run is due
+   * @param {object} options - { now }
+   * @returns {Promise<object|null>} - Run (see rebalance), or null when nothing was due
+   */
+  async tick({ now = Date.now() } = {}) {
+    if (!this.config.enabled) {
+      return null;
+    }
+    if (this.nextRunAt === null) {
+      this.nextRunAt = this.schedule.next(now).getTime();
+      return null;
+    }
+    if (now < this.nextRunAt) {
+      return null;
+    }
+
+    this.nextRunAt = this.schedule.next(now).getTime();
+    const run = await this.rebalance({ preview: this.config.preview });
+    return { ...run, nextRunAt: this.nextRunAt };
+  }
+
+  /**
+   * Plan the swaps back to the targets and, unless previewing, execute them
+   * @param {object} options - { preview } (defaults to the configured mode)
+   * @returns {Promise<object>} - Plan (see planSwaps) with { preview, prices, results: [{ swap, result }] }
+   */
+  async rebalance({ preview = this.config.preview } = {}) {
+    const plan = await this.plan();
+    const results = [];
+
+    if (!preview) {
+      const registry = this.tradeExecutor.tokenRegistry;
+      for (const swap of plan.swaps) {
+        let result;
+        try {
+          const input = registry.resolve(swap.from);
+          const output = registry.resolve(swap.to);
+          result = await this.tradeExecutor.executeSwap(input.mint, output.mint, toBaseUnits(swap.amount, input.decimals), {
+            baseAmount: swap.solAmount,
+            price: plan.prices[swap.from] / plan.prices[swap.to],
+            purpose: 'rebalance',
+          });
+        } catch (error) {
+          result = { success: false, reason: error.message };
+        }
+        results.push({ swap, result });
+      }
+    }
+
+    return { ...plan, preview, results };
+  }
+
+  /**
+   * Value the holdings and plan the swaps back to the targets
+   * @returns {Promise<object>} - Plan (see planSwaps) with { holdings, prices }
+   */
+  async plan() {
+    const [holdings, prices] = await Promise.all([this.getHoldings(), this.getPrices()]);
+
+    // minTradeSize is in SOL; swaps are sized in the valuation token
+    const minValue = this.tradeExecutor.config.minTradeSize * prices.SOL;
+    const plan = Rebalancer.planSwaps(holdings, prices, this.config.targets, {
+      threshold: this.config.threshold,
+      minValue,
+    });
+    for (const swap of [...plan.swaps, ...plan.skipped]) {
+      swap.solAmount = swap.value / prices.SOL;
+    }
+
+    return { ...plan, holdings, prices };
+  }
+
+  /**
+   * Balances of the target tokens: the paper account in dry run, else the wallet
+   * @returns {Promise<object>} - symbol -> balance in UI units (less the SOL reserve)
+   */
+  async getHoldings() {
+    const paperAccount = this.tradeExecutor.config.dryRun ? this.tradeExecutor.paperAccount : null;
+    const registry = this.tradeExecutor.tokenRegistry;
+    const holdings = {};
+
+    for (const symbol of Object.keys(this.config.targets)) {
+      const balance = paperAccount
+        ? paperAccount.getBalance(symbol)
+        : await this.tradeExecutor.wallet.getTokenBalance(registry.resolve(symbol).mint);
+      holdings[symbol] = symbol.toUpperCase() === 'SOL'
+        ? Math.max(0, balance - this.config.solReserve)
+        : balance;
+    }
+
+    return holdings;
+  }
+
+  /**
+   * Prices of the target tokens and SOL in the valuation token
+   * @returns {Promise<object>} - symbol -> price
+   */
+  async getPrices() {
+    const { valuation } = this.config;
+    const symbols = [...new Set([...Object.keys(this.config.targets), 'SOL'])];
+    const prices = {};
+
+    for (const symbol of symbols) {
+      const price = symbol.toUpperCase() === valuation.toUpperCase()
+        ? 1
+        : await this.marketData.getSpotPrice(`${symbol}-${valuation}`);
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`No ${valuation} price for ${symbol}`);
+      }
+      prices[symbol] = price;
+    }
+
+    return prices;
+  }
+
+  /**
+   * Plan the fewest swaps that bring holdings back to target weights. The
+   * largest surplus is swapped into the largest deficit until one of them
+   * is used up, so n tokens need at most n - 1 swaps.
+   * @param {object} holdings - symbol -> balance
+   * @param {object} prices - symbol -> price in the valuation token
+   * @param {object} targets - symbol -> target weight (adding up to 1)
+   * @param {object} options - { threshold, minValue } (minValue in the valuation token)
+   * @returns {object} - { totalValue, weights, drift, due, swaps, skipped }, swaps as { from, to, value, amount, expectedOutput }
+   */
+  static planSwaps(holdings, prices, targets, { threshold = 0, minValue = 0 } = {}) {
+    const symbols = Object.keys(targets);
+    const values = {};
+    for (const symbol of symbols) {
+      values[symbol] = (holdings[symbol] || 0) * prices[symbol];
+    }
+    const totalValue = symbols.reduce((sum, symbol) => sum + values[symbol], 0);
+
+    const weights = {};
+    let drift = 0;
+    for (const symbol of symbols) {
+      weights[symbol] = totalValue > 0 ? values[symbol] / totalValue : 0;
+      drift = Math.max(drift, Math.abs(weights[symbol] - targets[symbol]));
+    }
+
+    const due = totalValue > 0 && drift > 0 && drift >= threshold;
+    const swaps = [];
+    const skipped = [];
+    if (!due) {
+      return { totalValue, weights, drift, due, swaps, skipped };
+    }
+
+    // Value each token is over (surplus) or under (deficit) its target
+    const epsilon = totalValue * 1e-9;
+    const surpluses = [];
+    const deficits = [];
+    for (const symbol of symbols) {
+      const excess = values[symbol] - targets[symbol] * totalValue;
+      if (excess > epsilon) {
+        surpluses.push({ symbol, value: excess });
+      } else if (excess < -epsilon) {
+        deficits.push({ symbol, value: -excess });
+      }
+    }
+
+    const byValue = (a, b) => b.value - a.value;
+    while (surpluses.length > 0 && deficits.length > 0) {
+      surpluses.sort(byValue);
+      deficits.sort(byValue);
+      const surplus = surpluses[0];
+      const deficit = deficits[0];
+      const value = Math.min(surplus.value, deficit.value);
+
+      const swap = {
+        from: surplus.symbol,
+        to: deficit.symbol,
+        value,
+        amount: value / prices[surplus.symbol],
+        expectedOutput: value / prices[deficit.symbol],
+      };
+      (value < minValue ? skipped : swaps).push(swap);
+
+      surplus.value -= value;
+      deficit.value -= value;
+      if (surplus.value <= epsilon) {
+        surpluses.shift();
+      }
+      if (deficit.value <= epsilon) {
+        deficits.shift();
+      }
+    }
+
+    return { totalValue, weights, drift, due, swaps, skipped };
+  }
+}
+
+module.exports = Rebalancer;
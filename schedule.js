@@ -0,0 +1,140 @@
+/**
+ * Schedule Module
+ *
+ * Cron-style schedules for tasks that run at set times rather than on every
+ * market update. Expressions have the five cron fields, in local time:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12)  day of week (0-6, 0 or 7 = Sunday)
+ *
+ * Each field is `*`, a number, a range (`1-5`), a list (`0,30`) or a step
+ * (`*\/15`, `0-12/4`). As in cron, when both day fields are restricted a time
+ * matches if either does. `@hourly`, `@daily`, `@weekly` and `@monthly` are
+ * accepted as shorthands.
+ *
+ *   new Schedule('0 9 * * 1').next(new Date())  // next Monday, 09:00
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Field name, lowest and highest value
+const FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['dayOfMonth', 1, 31],
+  ['month', 1, 12],
+  ['dayOfWeek', 0, 7],
+];
+
+// Longest search for the next matching minute (covers 29 February)
+const MAX_SEARCH_MINUTES = 366 * 4 * 24 * 60;
+
+// Most days a month can have (29 February comes round in leap years)
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+class Schedule {
+  constructor(expression) {
+    this.expression = expression;
+    this.fields = Schedule.parse(expression);
+
+    // Refuse dates that never come (31 February) here rather than search years for them
+    if (!Schedule.canRun(this.fields)) {
+      throw new Error(`Schedule never runs: ${expression}`);
+    }
+  }
+
+  /**
+   * Whether a time falls on the schedule (to the minute)
+   * @param {Date} date - Time
+   * @returns {boolean}
+   */
+  matches(date) {
+    const { minute, hour, dayOfMonth, month, dayOfWeek } = this.fields;
+    if (!minute.values.has(date.getMinutes()) || !hour.values.has(date.getHours()) || !month.values.has(date.getMonth() + 1)) {
+      return false;
+    }
+
+    const domMatch = dayOfMonth.values.has(date.getDate());
+    const dowMatch = dayOfWeek.values.has(date.getDay());
+    if (dayOfMonth.restricted && dayOfWeek.restricted) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+
+  /**
+   * First time on the schedule after a given time
+   * @param {Date|number} after - Time to search from (exclusive)
+   * @returns {Date} - Next run time, on a whole minute
+   */
+  next(after = new Date()) {
+    const candidate = new Date(after);
+    candidate.setSeconds(0, 0);
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+      candidate.setMinutes(candidate.getMinutes() + 1);
+      if (this.matches(candidate)) {
+        return candidate;
+      }
+    }
+    throw new Error(`Schedule never runs: ${this.expression}`);
+  }
+
+  /**
+   * Whether parsed fields match any date. Only a restricted day of month
+   * can rule every date out, when none of its days exist in the months
+   * allowed; a restricted day of week always matches some date.
+   * @param {object} fields - Fields from parse()
+   * @returns {boolean}
+   */
+  static canRun(fields) {
+    if (!fields.dayOfMonth.restricted || fields.dayOfWeek.restricted) {
+      return true;
+    }
+    const months = Array.from(fields.month.values);
+    return Array.from(fields.dayOfMonth.values).some(day => months.some(month => day <= MONTH_DAYS[month - 1]));
+  }
+
+  /**
+   * Parse a cron expression
+   * @param {string} expression - Cron expression or shorthand
+   * @returns {object} - { minute, hour, dayOfMonth, month, dayOfWeek }, each { values: Set, restricted }
+   */
+  static parse(expression) {
+    const parts = String(ALIASES[expression] || expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Schedule must have ${FIELDS.length} fields (minute hour day-of-month month day-of-week): ${expression}`);
+    }
+
+    const fields = {};
+    FIELDS.forEach(([name, min, max], index) => {
+      const values = new Set();
+      for (const item of parts[index].split(',')) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+          throw new Error(`Invalid schedule ${name} "${item}": ${expression}`);
+        }
+        const step = match[4] !== undefined ? Number(match[4]) : 1;
+        const from = match[1] === '*' ? min : Number(match[2]);
+        let to = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : from);
+        if (match[1] !== '*' && match[3] === undefined && match[4] !== undefined) {
+          to = max;
+        }
+        if (from < min || to > max || from > to || step < 1) {
+          throw new Error(`Schedule ${name} "${item}" is outside ${min}-${max}: ${expression}`);
+        }
+        for (let value = from; value <= to; value += step) {
+          values.add(name === 'dayOfWeek' ? value % 7 : value);
+        }
+      }
+      fields[name] = { values, restricted: parts[index] !== '*' };
+    });
+
+    return fields;
+  }
+}
+
+module.exports = Schedule;
@@ -0,0 +1,177 @@
+/**
+ * Signal Composer Module
+ *
+ * Combines technical indicators into the single `signalStrength` (-1 to 1)
+ * that the Principia engine treats as its primary force. The mix is
+ * configured under `trading.signal` in config.json:
+ *
+ *   "signal": {
+ *     "components": [
+ *       { "indicator": "sma", "period": 20, "weight": 1, "scale": 10 },
+ *       { "indicator": "rsi", "period": 14, "weight": 0.5, "invert": true },
+ *       { "indicator": "macd", "weight": 0.5, "normalize": "tanh" }
+ *     ]
+ *   }
+ *
+ * Each component turns its indicator into a raw directional value
+ * (positive = bullish), multiplies by `scale`, optionally flips it
+ * (`invert`), and squashes it into [-1, 1] with `normalize`
+ * ('linear' clamps, 'tanh' saturates smoothly). signalStrength is the
+ * weighted average over all components; a component without enough data
+ * yet contributes 0.
+ */
+
+const indicators = require('./indicators');
+
+// Raw directional value and defaults per indicator
+const INDICATORS = {
+  // Deviation of price from its simple moving average
+  sma: {
+    defaults: { period: 20, scale: 10, invert: false },
+    compute: (closes, candles, price, spec) => {
+      const average = indicators.sma(closes, spec.period);
+      return average === null ? null : (price - average) / average;
+    },
+  },
+
+  // Deviation of price from its exponential moving average
+  ema: {
+    defaults: { period: 20, scale: 10, invert: false },
+    compute: (closes, candles, price, spec) => {
+      const average = indicators.ema(closes, spec.period);
+      return average === null ? null : (price - average) / average;
+    },
+  },
+
+  // RSI centred on 50; inverted by default (oversold reads as bullish)
+  rsi: {
+    defaults: { period: 14, scale: 1, invert: true },
+    compute: (closes, candles, price, spec) => {
+      const value = indicators.rsi(closes, spec.period);
+      return value === null ? null : (value - 50) / 50;
+    },
+  },
+
+  // MACD histogram relative to price
+  macd: {
+    defaults: { fast: 12, slow: 26, signal: 9, scale: 100, invert: false },
+    compute: (closes, candles, price, spec) => {
+      const value = indicators.macd(closes, spec.fast, spec.slow, spec.signal);
+      return value === null ? null : value.histogram / price;
+    },
+  },
+
+  // Position within Bollinger Bands; inverted by default (lower band reads as bullish)
+  bollinger: {
+    defaults: { period: 20, stdDev: 2, scale: 1, invert: true },
+    compute: (closes, candles, price, spec) => {
+      const bands = indicators.bollinger(closes, spec.period, spec.stdDev);
+      return bands === null ? null : (bands.percentB - 0.5) * 2;
+    },
+  },
+
+  // Deviation of price from VWAP over the candle window
+  vwap: {
+    defaults: { scale: 10, invert: false },
+    compute: (closes, candles, price) => {
+      const value = indicators.vwap(candles);
+      return value === null ? null : (price - value) / value;
+    },
+  },
+};
+
+const NORMALIZERS = {
+  linear: (value) => Math.max(-1, Math.min(1, value)),
+  tanh: (value) => Math.tanh(value),
+};
+
+// Reproduces the original price-vs-SMA20 signal
+const DEFAULT_COMPONENTS = [
+  { indicator: 'sma', period: 20, weight: 1, scale: 10 },
+];
+
+class SignalComposer {
+  constructor(config = {}) {
+    const components = config.components || DEFAULT_COMPONENTS;
+
+    if (!Array.isArray(components) || components.length === 0) {
+      throw new Error('Signal composition needs at least one component');
+    }
+
+    this.components = components.map(spec => this.normalizeSpec(spec));
+    this.totalWeight = this.components.reduce((sum, c) => sum + c.weight, 0);
+
+    if (this.totalWeight <= 0) {
+      throw new Error('Signal component weights must add up to more than 0');
+    }
+  }
+
+  /**
+   * Validate a component and fill in indicator defaults
+   * @param {object} spec - Component configuration
+   * @returns {object} - Complete component specification
+   */
+  normalizeSpec(spec) {
+    const definition = INDICATORS[spec.indicator];
+    if (!definition) {
+      throw new Error(`Unknown signal indicator: ${spec.indicator} (available: ${Object.keys(INDICATORS).join(', ')})`);
+    }
+
+    const normalize = spec.normalize || 'linear';
+    if (!NORMALIZERS[normalize]) {
+      throw new Error(`Unknown normalization for ${spec.indicator}: ${normalize} (available: ${Object.keys(NORMALIZERS).join(', ')})`);
+    }
+
+    const weight = spec.weight !== undefined ? spec.weight : 1;
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight for ${spec.indicator}: ${spec.weight}`);
+    }
+
+    const full = { ...definition.defaults, ...spec, weight, normalize };
+    full.name = spec.name || (full.period ? `${spec.indicator}${full.period}` : spec.indicator);
+    return full;
+  }
+
+  /**
+   * Compose signal strength from candles
+   * @param {Array<object>} candles - OHLCV candles, oldest first
+   * @param {number} price - Current price
+   * @returns {object} - { signalStrength, components: [{name, raw, normalized, weight, contribution}] }
+   */
+  compose(candles, price) {
+    const closes = candles.map(candle => candle.close);
+    let weighted = 0;
+
+    const breakdown = this.components.map(spec => {
+      const raw = INDICATORS[spec.indicator].compute(closes, candles, price, spec);
+
+      let normalized = 0;
+      if (raw !== null && Number.isFinite(raw)) {
+        const scaled = raw * spec.scale * (spec.invert ? -1 : 1);
+        normalized = NORMALIZERS[spec.normalize](scaled);
+      }
+
+      const contribution = normalized * spec.weight / this.totalWeight;
+      weighted += contribution;
+
+      return {
+        name: spec.name,
+        indicator: spec.indicator,
+        raw,
+        normalized,
+        weight: spec.weight,
+        contribution,
+      };
+    });
+
+    return {
+      signalStrength: Math.max(-1, Math.min(1, weighted)),
+      components: breakdown,
+    };
+  }
+}
+
+SignalComposer.INDICATORS = Object.keys(INDICATORS);
+SignalComposer.DEFAULT_COMPONENTS = DEFAULT_COMPONENTS;
+
+module.exports = SignalComposer;
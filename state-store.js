@@ -0,0 +1,144 @@
+/**
+ * State Store Module
+ *
+ * Keeps the strategies' state on disk so a restarted bot remembers the
+ * positions it was in. Configured under `bot.state` in config.json:
+ *
+ *   "state": { "enabled": true, "path": "~/.solana-hyper-bot/state.json" }
+ *
+ * A snapshot holds one serialized strategy per pair (see
+ * PrincipiaEngine.serialize) with the name of that strategy, and is written
+ * to a temporary file that is then renamed over the previous snapshot, so a
+ * crash mid-write never leaves a torn file behind. Next to the strategies
+ * it keeps the portfolio their positions stand on: the ledger's books, the
+ * protected positions, open hedges and the paper account (null when not in
+ * use). Snapshots carry a schema version: older ones are upgraded through
+ * MIGRATIONS when loaded, newer ones are refused.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Schema version of the snapshots this code writes
+const STATE_VERSION = 1;
+
+// Snapshot fields of the portfolio components saved next to the strategies
+const PORTFOLIO_FIELDS = ['ledger', 'protection', 'hedges', 'paper'];
+
+// Upgrades from one version to the next: version -> (snapshot) => snapshot of version + 1
+// (none yet: version 1 is the first layout)
+const MIGRATIONS = {};
+
+class StateStore {
+  constructor(config = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      path: config.path || '~/.solana-hyper-bot/state.json',
+    };
+    this.filePath = StateStore.expandPath(this.config.path);
+  }
+
+  /**
+   * Write a snapshot of the strategies and the portfolio behind their
+   * positions, replacing the previous one atomically
+   * @param {Map<string, object>} engines - Strategy per pair
+   * @param {object} portfolio - { ledger, protection, hedges, paper } (each optional, with serialize())
+   * @returns {object} - Snapshot written
+   */
+  save(engines, portfolio = {}) {
+    const snapshot = {
+      version: STATE_VERSION,
+      savedAt: Date.now(),
+      engines: {},
+      strategies: {},
+    };
+    for (const [pair, engine] of engines) {
+      snapshot.engines[pair] = engine.serialize();
+      snapshot.strategies[pair] = engine.name;
+    }
+    for (const field of PORTFOLIO_FIELDS) {
+      snapshot[field] = portfolio[field] ? portfolio[field].serialize() : null;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2), 'utf-8');
+    fs.renameSync(tempPath, this.filePath);
+
+    return snapshot;
+  }
+
+  /**
+   * Read the last snapshot, upgraded to the current version
+   * @returns {object|null} - Snapshot ({ version, savedAt, engines, strategies, ledger, protection, hedges, paper }), or null when there is none
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read engine state ${this.filePath}: ${error.message}`);
+    }
+
+    return StateStore.migrate(snapshot);
+  }
+
+  /**
+   * Upgrade a snapshot to the current version
+   * @param {object} snapshot - Snapshot as read from disk
+   * @returns {object} - Snapshot of version STATE_VERSION
+   */
+  static migrate(snapshot) {
+    let current = snapshot;
+    let version = Number.isInteger(current?.version) ? current.version : 0;
+
+    if (version > STATE_VERSION) {
+      throw new Error(`Engine state version ${version} is newer than this bot supports (${STATE_VERSION})`);
+    }
+
+    while (version < STATE_VERSION) {
+      const upgrade = MIGRATIONS[version];
+      if (!upgrade) {
+        throw new Error(`Engine state version ${version} cannot be upgraded to ${STATE_VERSION}`);
+      }
+      current = { ...upgrade(current), version: version + 1 };
+      version++;
+    }
+
+    return current;
+  }
+
+  /**
+   * Check that a saved position has holdings behind it: a spot long the
+   * ledger does not hold could never be sold
+   * @param {object} engineState - Serialized strategy
+   * @param {object} holding - Ledger position of the pair (see PortfolioLedger.getPosition)
+   * @returns {boolean} - Whether the strategy can be restored onto the holding
+   */
+  static isBacked(engineState, holding) {
+    return engineState.positionSize === 0 || Math.sign(holding.quantity) === Math.sign(engineState.positionSize);
+  }
+
+  /**
+   * Resolve a path that may start with ~
+   * @param {string} filePath - Configured path
+   * @returns {string} - Absolute path
+   */
+  static expandPath(filePath) {
+    const expanded = filePath.startsWith('~')
+      ? path.join(os.homedir(), filePath.slice(1))
+      : filePath;
+    return path.resolve(expanded);
+  }
+}
+
+StateStore.STATE_VERSION = STATE_VERSION;
+StateStore.MIGRATIONS = MIGRATIONS;
+StateStore.PORTFOLIO_FIELDS = PORTFOLIO_FIELDS;
+
+module.exports = StateStore;
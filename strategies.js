@@ -0,0 +1,826 @@
+/**
+ * Strategies Module
+ *
+ * Trading logic the bot can run on the market feed. Every strategy
+ * implements the same interface, so the trading loop never needs to know
+ * which one it is driving:
+ *
+ *   analyze(marketData) -> decision
+ *   getState() -> { position, positionSize, lastAction, config, ... }
+ *   reset()
+ *   updateConfig(config)
+ *   closePosition(price, reason)   // after a protective exit
+ *   serialize() / restore(state)   // for the state store
+ *
+ * `marketData` is what MarketData.getMarketData returns. Decisions have the
+ * shape of PrincipiaEngine.analyzeMarket: { action ('buy'|'sell'|'hold'),
+ * position, positionSize, positionChange, force, forces, riskManagement,
+ * reason }, with sizes in units of the portfolio value passed in
+ * `marketData.portfolioValue`. Strategies that look back over prices use
+ * `marketData.candles`, the closed bars of `trading.indicatorTimeframe`, so
+ * a `period` is measured in bars rather than polls.
+ *
+ * Built-in strategies:
+ *   - principia:      the Principia engine (configured under `principia`)
+ *   - mean-reversion: fades moves of more than `entryZ` standard deviations
+ *   - breakout:       follows prices breaking out of their recent channel
+ *   - grid:           buys and sells a ladder of levels in range-bound markets
+ *   - ensemble:       weighted vote of other strategies, with veto rules
+ *
+ * The active strategy is selected under `trading.strategy`, with `pairs`
+ * overriding it for individual pairs; each strategy's settings live in the
+ * section of the same name, and inherit positionModel, maxPositionSize and
+ * riskReactionRatio from `principia`:
+ *
+ *   "strategy": {
+ *     "name": "principia",
+ *     "pairs": { "BONK-USDC": "grid" },
+ *     "mean-reversion": { "period": 20, "entryZ": 2, "exitZ": 0.5 },
+ *     "breakout": { "period": 20, "buffer": 0.001 },
+ *     "grid": { "lower": null, "upper": null, "levels": 10, "rangePct": 0.05, "spacing": "arithmetic" },
+ *     "ensemble": { "members": { "principia": 0.5, "mean-reversion": 0.25, "breakout": 0.25 }, "vetoes": [] }
+ *   }
+ *
+ * More strategies plug in with registerStrategy(name, StrategyClass); the
+ * class is constructed with its config.
+ */
+
+const PrincipiaEngine = require('./principia-engine');
+
+// Settings every position strategy shares
+const COMMON_DEFAULTS = {
+  period: 20, // Closed candles the strategy looks back over
+  maxPositionSize: 0.3, // Fraction of the portfolio
+  positionModel: 'spot-long-flat', // See PrincipiaEngine.POSITION_MODELS
+  riskReactionRatio: 1.0, // Law III reaction for protection and hedging
+};
+
+// Smallest position change that is traded (same as the Principia engine)
+const CHANGE_THRESHOLD = 0.01;
+
+/**
+ * Base for strategies that move toward a target position. Subclasses
+ * implement analyze(marketData) and return this.moveTo(...).
+ */
+class PositionStrategy {
+  constructor(name, config = {}, defaults = {}) {
+    this.name = name;
+    this.config = { ...COMMON_DEFAULTS, ...defaults };
+    this.updateConfig(config);
+    this.reset();
+  }
+
+  /**
+   * Update configuration
+   * @param {object} newConfig - Settings to change
+   */
+  updateConfig(newConfig = {}) {
+    PrincipiaEngine.validatePositionModel(newConfig.positionModel);
+    const config = { ...this.config, ...newConfig };
+
+    if (!(Number.isInteger(config.period) && config.period >= 2)) {
+      throw new Error(`${this.name} period must be a whole number of at least 2: ${config.period}`);
+    }
+    if (!(config.maxPositionSize > 0 && config.maxPositionSize <= 1)) {
+      throw new Error(`${this.name} maxPositionSize must be between 0 and 1: ${config.maxPositionSize}`);
+    }
+
+    this.config = config;
+  }
+
+  /**
+   * Closed candles of the look-back period
+   * @param {object} marketData - Market data being analyzed
+   * @returns {Array<object>} - Up to `period` candles, oldest first
+   */
+  lookback(marketData) {
+    return (marketData.candles || []).slice(-this.config.period);
+  }
+
+  /**
+   * Action that moving toward a target position takes, without taking it
+   * @param {number} target - Target position size
+   * @param {object} marketData - Market data being analyzed
+   * @returns {object} - { action, positionSize } within the position model's limits
+   */
+  planMove(target, marketData) {
+    const maxSize = (marketData.portfolioValue || 0) * this.config.maxPositionSize;
+    const [minSize, limit] = PrincipiaEngine.positionLimits(this.config.positionModel, this.positionSize, maxSize);
+    const positionSize = Math.max(minSize, Math.min(limit, target));
+
+    if (positionSize > this.positionSize + CHANGE_THRESHOLD) {
+      return { action: 'buy', positionSize };
+    }
+    if (positionSize < this.positionSize - CHANGE_THRESHOLD) {
+      return { action: 'sell', positionSize };
+    }
+    return { action: 'hold', positionSize: this.positionSize };
+  }
+
+  /**
+   * Move toward a target position within the position model's limits
+   * @param {number} target - Target position size
+   * @param {object} marketData - Market data being analyzed
+   * @param {number} force - Conviction from -1 (sell) to 1 (buy)
+   * @param {string} reason - Why
+   * @param {object} details - Strategy-specific values for the decision
+   * @returns {object} - Trading decision
+   */
+  moveTo(target, marketData, force, reason, details = {}) {
+    const { action, positionSize } = this.planMove(target, marketData);
+    const positionChange = positionSize - this.positionSize;
+    if (action !== 'hold') {
+      this.currentPosition = positionSize > 0 ? 'long' : (positionSize < 0 ? 'short' : 'neutral');
+      this.positionSize = positionSize;
+    }
+    this.lastAction = { action, timestamp: Date.now(), price: marketData.price };
+
+    return {
+      action,
+      strategy: this.name,
+      position: this.currentPosition,
+      positionModel: this.config.positionModel,
+      positionSize,
+      positionChange,
+      force,
+      forces: [{ name: this.name, weight: 1, value: force, contribution: force }],
+      riskManagement: this.calculateReaction(Math.abs(positionSize)),
+      reason,
+      ...details,
+    };
+  }
+
+  /**
+   * Law III reaction for a position (same proportions as the Principia engine)
+   * @param {number} positionSize - Position size
+   * @returns {object} - { stopLoss, takeProfit, hedgeSize }
+   */
+  calculateReaction(positionSize) {
+    return {
+      stopLoss: positionSize * this.config.riskReactionRatio * 0.5,
+      takeProfit: positionSize * this.config.riskReactionRatio * 1.5,
+      hedgeSize: positionSize * this.config.riskReactionRatio * 0.2,
+    };
+  }
+
+  /**
+   * Flatten the position after a protective exit
+   * @param {number} price - Exit price
+   * @param {string} reason - Rule that closed the position
+   */
+  closePosition(price, reason) {
+    this.currentPosition = 'neutral';
+    this.positionSize = 0;
+    this.lastAction = { action: 'close', timestamp: Date.now(), price, reason };
+  }
+
+  /**
+   * Get current strategy state
+   */
+  getState() {
+    return {
+      position: this.currentPosition,
+      positionSize: this.positionSize,
+      lastAction: this.lastAction,
+      config: this.config,
+    };
+  }
+
+  /**
+   * Capture the strategy's state as plain data
+   * @returns {object} - State snapshot for restore()
+   */
+  serialize() {
+    return {
+      currentPosition: this.currentPosition,
+      positionSize: this.positionSize,
+      lastAction: this.lastAction ? { ...this.lastAction } : null,
+    };
+  }
+
+  /**
+   * Continue from a state captured by serialize()
+   * @param {object} state - State snapshot
+   */
+  restore(state) {
+    if (!state || !Number.isFinite(state.positionSize)) {
+      throw new Error('Invalid strategy state: positionSize is missing');
+    }
+    this.currentPosition = state.currentPosition || 'neutral';
+    this.positionSize = state.positionSize;
+    this.lastAction = state.lastAction ? { ...state.lastAction } : null;
+  }
+
+  /**
+   * Reset strategy state
+   */
+  reset() {
+    this.currentPosition = 'neutral';
+    this.positionSize = 0;
+    this.lastAction = null;
+  }
+}
+
+/**
+ * Mean reversion
+ *
+ * Buys when price is `entryZ` standard deviations below the mean close of
+ * the last `period` candles, sells (or goes short, if the position model allows) when it is as
+ * far above, and goes flat once price is back within `exitZ`.
+ */
+class MeanReversionStrategy extends PositionStrategy {
+  constructor(config = {}) {
+    super('mean-reversion', config, { entryZ: 2, exitZ: 0.5 });
+  }
+
+  updateConfig(newConfig = {}) {
+    const { entryZ, exitZ } = { ...this.config, ...newConfig };
+    if (!(entryZ > 0 && exitZ >= 0 && exitZ < entryZ)) {
+      throw new Error(`mean-reversion needs 0 <= exitZ < entryZ: exitZ ${exitZ}, entryZ ${entryZ}`);
+    }
+    super.updateConfig(newConfig);
+  }
+
+  /**
+   * Analyze market data
+   * @param {object} marketData - Current market data
+   * @returns {object} - Trading decision
+   */
+  analyze(marketData) {
+    const { price } = marketData;
+    const { period, entryZ, exitZ } = this.config;
+
+    const window = this.lookback(marketData).map(candle => candle.close);
+    if (window.length < period) {
+      return this.moveTo(this.positionSize, marketData, 0, `Collecting candles (${window.length}/${period})`, { zScore: null });
+    }
+
+    const mean = window.reduce((sum, p) => sum + p, 0) / period;
+    const stdDev = Math.sqrt(window.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / period);
+    if (stdDev === 0) {
+      return this.moveTo(this.positionSize, marketData, 0, 'Price has not moved', { zScore: 0, mean });
+    }
+
+    const zScore = (price - mean) / stdDev;
+    const maxSize = (marketData.portfolioValue || 0) * this.config.maxPositionSize;
+    const details = { zScore, mean, stdDev };
+    const force = Math.max(-1, Math.min(1, -zScore / entryZ));
+    const distance = `${Math.abs(zScore).toFixed(2)}σ ${zScore < 0 ? 'below' : 'above'} the ${period}-candle mean`;
+
+    if (zScore <= -entryZ) {
+      return this.moveTo(maxSize, marketData, force, `Price ${distance}: buy the reversion`, details);
+    }
+    if (zScore >= entryZ) {
+      return this.moveTo(-maxSize, marketData, force, `Price ${distance}: sell the reversion`, details);
+    }
+    if (Math.abs(zScore) <= exitZ) {
+      return this.moveTo(0, marketData, force, `Price ${distance}: reverted, go flat`, details);
+    }
+    return this.moveTo(this.positionSize, marketData, force, `Price ${distance}: between the exit and entry bands`, details);
+  }
+}
+
+/**
+ * Channel breakout
+ *
+ * Goes long when price rises above the highest high of the last `period`
+ * candles by more than `buffer`, short (or flat) when it breaks below their
+ * lowest low, and exits once price falls back through the channel's midpoint.
+ */
+class BreakoutStrategy extends PositionStrategy {
+  constructor(config = {}) {
+    super('breakout', config, { buffer: 0.001 });
+  }
+
+  updateConfig(newConfig = {}) {
+    const { buffer } = { ...this.config, ...newConfig };
+    if (!(buffer >= 0)) {
+      throw new Error(`breakout buffer must be at least 0: ${buffer}`);
+    }
+    super.updateConfig(newConfig);
+  }
+
+  /**
+   * Analyze market data
+   * @param {object} marketData - Current market data
+   * @returns {object} - Trading decision
+   */
+  analyze(marketData) {
+    const { price } = marketData;
+    const { period, buffer } = this.config;
+    const previous = this.lookback(marketData);
+
+    if (previous.length < period) {
+      return this.moveTo(this.positionSize, marketData, 0, `Collecting candles (${previous.length}/${period})`, { channel: null });
+    }
+
+    const high = Math.max(...previous.map(candle => candle.high));
+    const low = Math.min(...previous.map(candle => candle.low));
+    const middle = (high + low) / 2;
+    const channel = { high, low, middle };
+    const force = high > low ? Math.max(-1, Math.min(1, (price - middle) / ((high - low) / 2))) : 0;
+    const maxSize = (marketData.portfolioValue || 0) * this.config.maxPositionSize;
+
+    if (price > high * (1 + buffer)) {
+      return this.moveTo(maxSize, marketData, force, `Broke above the ${period}-candle high (${high.toFixed(4)})`, { channel });
+    }
+    if (price < low * (1 - buffer)) {
+      return this.moveTo(-maxSize, marketData, force, `Broke below the ${period}-candle low (${low.toFixed(4)})`, { channel });
+    }
+    if ((this.positionSize > 0 && price < middle) || (this.positionSize < 0 && price > middle)) {
+      return this.moveTo(0, marketData, force, `Fell back through the channel middle (${middle.toFixed(4)})`, { channel });
+    }
+    return this.moveTo(this.positionSize, marketData, force, `Inside the ${period}-candle channel`, { channel });
+  }
+}
+
+// How grid levels are spaced between the bounds
+const GRID_SPACINGS = ['arithmetic', 'geometric'];
+
+/**
+ * Grid trading
+ *
+ * For range-bound pairs. Lays `levels` equal steps of the maximum position
+ * over a ladder of prices between `lower` and `upper` and holds one step of
+ * inventory for every level above the price: each time price crosses a
+ * level down it buys a step, each time it crosses one up it sells a step.
+ * Trades only happen on crossings. Without bounds, or when price leaves
+ * the range, the grid is (re)built around the current price, `rangePct`
+ * either side (configured bounds keep their width when rebuilt).
+ *
+ *   "grid": { "lower": null, "upper": null, "levels": 10, "rangePct": 0.05, "spacing": "arithmetic" }
+ *
+ * Inventory is long only, between flat and the maximum position. Selling
+ * the steps back is half of every grid cycle, so `spot-long-only` (which
+ * never sells on signals) is refused.
+ */
+class GridStrategy extends PositionStrategy {
+  constructor(config = {}) {
+    super('grid', config, { lower: null, upper: null, levels: 10, rangePct: 0.05, spacing: 'arithmetic' });
+  }
+
+  /**
+   * Update configuration; changing the ladder rebuilds the grid on the next update
+   * @param {object} newConfig - Settings to change
+   */
+  updateConfig(newConfig = {}) {
+    const { lower, upper, levels, rangePct, spacing, positionModel } = { ...this.config, ...newConfig };
+    if (positionModel === 'spot-long-only') {
+      throw new Error('grid needs a position model that sells (spot-long-flat or derivatives), not spot-long-only');
+    }
+    if (!(Number.isInteger(levels) && levels >= 2)) {
+      throw new Error(`grid levels must be a whole number of at least 2: ${levels}`);
+    }
+    if (!(rangePct > 0 && rangePct < 1)) {
+      throw new Error(`grid rangePct must be between 0 and 1: ${rangePct}`);
+    }
+    if ((lower === null) !== (upper === null) || (lower !== null && !(lower > 0 && upper > lower))) {
+      throw new Error(`grid bounds must both be unset or 0 < lower < upper: lower ${lower}, upper ${upper}`);
+    }
+    if (!GRID_SPACINGS.includes(spacing)) {
+      throw new Error(`Unknown grid spacing: ${spacing} (available: ${GRID_SPACINGS.join(', ')})`);
+    }
+
+    const previous = this.config;
+    super.updateConfig(newConfig);
+    if (['lower', 'upper', 'levels', 'rangePct', 'spacing'].some(key => this.config[key] !== previous[key])) {
+      this.grid = null;
+    }
+  }
+
+  /**
+   * Lay out the grid
+   * @param {number} price - Current price
+   * @returns {object} - Grid ({ lower, upper, lines, index, builtAt })
+   */
+  buildGrid(price) {
+    const { levels, spacing } = this.config;
+    let { lower, upper } = this.config;
+
+    if (lower === null || price < lower || price > upper) {
+      const halfWidth = lower === null ? this.config.rangePct : (upper - lower) / (upper + lower);
+      lower = price * (1 - halfWidth);
+      upper = price * (1 + halfWidth);
+    }
+
+    const lines = [];
+    for (let i = 0; i <= levels; i++) {
+      lines.push(spacing === 'geometric'
+        ? lower * Math.pow(upper / lower, i / levels)
+        : lower + (upper - lower) * (i / levels));
+    }
+
+    return { lower, upper, lines, index: GridStrategy.levelsAbove(lines, price), builtAt: Date.now() };
+  }
+
+  /**
+   * Analyze market data
+   * @param {object} marketData - Current market data
+   * @returns {object} - Trading decision
+   */
+  analyze(marketData) {
+    const { price } = marketData;
+    const { levels } = this.config;
+
+    let rebuilt = null;
+    if (!this.grid) {
+      rebuilt = 'Grid built';
+    } else if (price < this.grid.lower || price > this.grid.upper) {
+      rebuilt = `Price left the range ${price > this.grid.upper ? 'above' : 'below'}, grid rebuilt`;
+    }
+    const previousIndex = rebuilt ? null : this.grid.index;
+    if (rebuilt) {
+      this.grid = this.buildGrid(price);
+    }
+
+    const { lower, upper, lines } = this.grid;
+    const index = GridStrategy.levelsAbove(lines, price);
+    this.grid.index = index;
+
+    // Position in the range: 1 at the bottom (buy), -1 at the top (sell)
+    const force = (2 * index) / levels - 1;
+    const details = { grid: { lower, upper, levels, index } };
+    const maxSize = (marketData.portfolioValue || 0) * this.config.maxPositionSize;
+    const target = (maxSize / levels) * index;
+    const range = `${lower.toFixed(4)}-${upper.toFixed(4)}`;
+
+    if (rebuilt) {
+      return this.fill(this.moveTo(target, marketData, force, `${rebuilt} over ${range}: holding ${index}/${levels} steps`, details));
+    }
+    if (index === previousIndex) {
+      return this.moveTo(this.positionSize, marketData, force, `Between grid levels (${index}/${levels} steps held, range ${range})`, details);
+    }
+
+    const crossed = Math.abs(index - previousIndex);
+    const direction = index > previousIndex ? 'down' : 'up';
+    return this.fill(this.moveTo(target, marketData, force, `Price crossed ${crossed} grid level${crossed > 1 ? 's' : ''} ${direction}: holding ${index}/${levels} steps`, details));
+  }
+
+  /**
+   * Count a grid fill
+   * @param {object} decision - Decision that may trade
+   * @returns {object} - The decision
+   */
+  fill(decision) {
+    if (decision.action === 'buy') {
+      this.fills.buys++;
+    } else if (decision.action === 'sell') {
+      this.fills.sells++;
+    }
+    return decision;
+  }
+
+  /**
+   * Flatten the inventory after a protective exit; the grid is rebuilt
+   * around the price on the next update
+   * @param {number} price - Exit price
+   * @param {string} reason - Rule that closed the position
+   */
+  closePosition(price, reason) {
+    super.closePosition(price, reason);
+    this.grid = null;
+  }
+
+  /**
+   * Get current grid state
+   */
+  getState() {
+    return { ...super.getState(), grid: this.grid ? { ...this.grid } : null, fills: { ...this.fills } };
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      grid: this.grid ? { ...this.grid, lines: this.grid.lines.slice() } : null,
+      fills: { ...this.fills },
+    };
+  }
+
+  restore(state) {
+    super.restore(state);
+    this.grid = state.grid ? { ...state.grid, lines: state.grid.lines.slice() } : null;
+    this.fills = { buys: 0, sells: 0, ...state.fills };
+  }
+
+  reset() {
+    super.reset();
+    this.grid = null;
+    this.fills = { buys: 0, sells: 0 };
+  }
+
+  /**
+   * Grid levels above a price
+   * @param {Array<number>} lines - Grid level prices, ascending
+   * @param {number} price - Price
+   * @returns {number} - Steps of inventory to hold
+   */
+  static levelsAbove(lines, price) {
+    return lines.filter(line => line > price).length;
+  }
+}
+
+// Actions a member's vote can be and a veto can block
+const VOTE_ACTIONS = ['buy', 'sell', 'hold'];
+const VETOABLE_ACTIONS = ['buy', 'sell'];
+
+/**
+ * Ensemble of strategies
+ *
+ * Runs every member on the same market data. Each member votes for the
+ * position it would hold, and the ensemble moves to the weighted average of
+ * those positions. Veto rules then get the last word: when a rule's member
+ * votes one of its `when` actions, the ensemble holds instead of taking any
+ * of the `blocks` actions. Decisions carry every member's vote in `votes`
+ * and the members' forces in `forces`.
+ *
+ *   "ensemble": {
+ *     "members": { "principia": 0.5, "mean-reversion": 0.25, "breakout": 0.25 },
+ *     "vetoes": [{ "member": "breakout", "when": ["sell"], "blocks": ["buy"] }]
+ *   }
+ *
+ * Members are configured as if they ran alone (see getStrategyConfig), which
+ * passes their settings in `memberConfigs`.
+ */
+class EnsembleStrategy extends PositionStrategy {
+  constructor(config = {}) {
+    super('ensemble', config, { members: { principia: 1 }, vetoes: [] });
+  }
+
+  /**
+   * Update configuration; members are created and dropped to match `members`
+   * @param {object} newConfig - Settings to change, with `memberConfigs` per member
+   */
+  updateConfig(newConfig = {}) {
+    const { memberConfigs = {}, ...settings } = newConfig;
+    const { members, vetoes } = { ...this.config, ...settings };
+
+    const names = Object.keys(members || {});
+    if (names.length === 0) {
+      throw new Error('ensemble needs at least one member');
+    }
+    for (const name of names) {
+      if (name === 'ensemble') {
+        throw new Error('ensemble cannot be a member of itself');
+      }
+      if (!(Number.isFinite(members[name]) && members[name] >= 0)) {
+        throw new Error(`ensemble weight of ${name} must be a number of at least 0: ${members[name]}`);
+      }
+    }
+    if (!(names.reduce((sum, name) => sum + members[name], 0) > 0)) {
+      throw new Error('ensemble weights must not all be 0');
+    }
+    const rules = EnsembleStrategy.resolveVetoes(vetoes, names);
+
+    // Build new members before touching the ensemble, so a bad member config changes nothing
+    const current = this.members || new Map();
+    const strategies = new Map();
+    for (const name of names) {
+      const member = current.get(name);
+      strategies.set(name, member ? null : createStrategy(name, memberConfigs[name]));
+    }
+    super.updateConfig(settings);
+    for (const [name, member] of current) {
+      if (strategies.has(name) && memberConfigs[name]) {
+        member.updateConfig(memberConfigs[name]);
+      }
+    }
+
+    this.members = new Map(names.map(name => [name, strategies.get(name) || current.get(name)]));
+    this.vetoes = rules;
+    // Trading costs are estimated for the ensemble when any member feels drag
+    this.config.dragCoefficient = Math.max(0, ...[...this.members.values()].map(member => member.config.dragCoefficient || 0));
+  }
+
+  /**
+   * Analyze market data with every member and combine their votes. Members
+   * only keep the position they voted for when the ensemble trades; on a
+   * hold (vetoed or not) they stay where they were
+   * @param {object} marketData - Current market data
+   * @returns {object} - Trading decision with the members' `votes`
+   */
+  analyze(marketData) {
+    const totalWeight = [...this.members.keys()].reduce((sum, name) => sum + this.config.members[name], 0);
+    const positions = new Map();
+    for (const [name, member] of this.members) {
+      positions.set(name, { currentPosition: member.currentPosition, positionSize: member.positionSize });
+    }
+    const votes = [];
+    for (const [name, member] of this.members) {
+      const decision = member.analyze(marketData);
+      votes.push({
+        member: name,
+        weight: this.config.members[name],
+        action: decision.action,
+        positionSize: decision.positionSize,
+        force: decision.force ?? 0,
+        reason: decision.reason,
+      });
+    }
+
+    const target = votes.reduce((sum, vote) => sum + vote.weight * vote.positionSize, 0) / totalWeight;
+    const forces = votes.map(vote => ({
+      name: vote.member,
+      weight: vote.weight / totalWeight,
+      value: vote.force,
+      contribution: (vote.weight / totalWeight) * vote.force,
+    }));
+    const force = forces.reduce((sum, component) => sum + component.contribution, 0);
+    const tally = votes.map(vote => `${vote.member} ${vote.action}`).join(', ');
+
+    const { action } = this.planMove(target, marketData);
+    const veto = this.findVeto(votes, action);
+    let decision;
+    if (veto) {
+      const reason = `Vetoed ${action} by ${veto.member} (${veto.vote.action}: ${veto.vote.reason})`;
+      decision = this.moveTo(this.positionSize, marketData, force, reason, { forces, votes, vetoedBy: veto.member });
+    } else {
+      decision = this.moveTo(target, marketData, force, `Weighted vote for ${target.toFixed(4)}: ${tally}`, { forces, votes, vetoedBy: null });
+    }
+
+    // Members only move along with the ensemble
+    if (decision.action === 'hold') {
+      for (const [name, member] of this.members) {
+        const { currentPosition, positionSize } = positions.get(name);
+        member.currentPosition = currentPosition;
+        member.positionSize = positionSize;
+      }
+    }
+    return decision;
+  }
+
+  /**
+   * First veto rule that blocks an action
+   * @param {Array<object>} votes - Members' votes
+   * @param {string} action - Action the vote would take
+   * @returns {object|null} - { member, vote } of the vetoing member
+   */
+  findVeto(votes, action) {
+    for (const rule of this.vetoes) {
+      const vote = votes.find(candidate => candidate.member === rule.member);
+      if (rule.blocks.includes(action) && rule.when.includes(vote.action)) {
+        return { member: rule.member, vote };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Flatten the ensemble and every member after a protective exit
+   * @param {number} price - Exit price
+   * @param {string} reason - Rule that closed the position
+   */
+  closePosition(price, reason) {
+    super.closePosition(price, reason);
+    this.members.forEach(member => member.closePosition(price, reason));
+  }
+
+  /**
+   * Get current ensemble state with each member's state
+   */
+  getState() {
+    const members = {};
+    for (const [name, member] of this.members) {
+      members[name] = member.getState();
+    }
+    return { ...super.getState(), members };
+  }
+
+  serialize() {
+    const members = {};
+    for (const [name, member] of this.members) {
+      members[name] = member.serialize();
+    }
+    return { ...super.serialize(), members };
+  }
+
+  /**
+   * Continue from a state captured by serialize(); members that are no
+   * longer configured are ignored and new ones start fresh
+   * @param {object} state - State snapshot
+   */
+  restore(state) {
+    super.restore(state);
+    for (const [name, memberState] of Object.entries(state.members || {})) {
+      if (this.members.has(name)) {
+        this.members.get(name).restore(memberState);
+      }
+    }
+  }
+
+  reset() {
+    super.reset();
+    (this.members || new Map()).forEach(member => member.reset());
+  }
+
+  /**
+   * Validate veto rules
+   * @param {Array<object>} vetoes - Rules ({ member, when, blocks })
+   * @param {Array<string>} members - Member names
+   * @returns {Array<object>} - Rules with `when` and `blocks` as arrays
+   */
+  static resolveVetoes(vetoes = [], members) {
+    if (!Array.isArray(vetoes)) {
+      throw new Error('ensemble vetoes must be a list of rules');
+    }
+    return vetoes.map(rule => {
+      const when = [].concat(rule?.when ?? []);
+      const blocks = [].concat(rule?.blocks ?? VETOABLE_ACTIONS);
+      if (!members.includes(rule?.member)) {
+        throw new Error(`ensemble veto member must be one of the members (${members.join(', ')}): ${rule?.member}`);
+      }
+      if (when.length === 0 || when.some(action => !VOTE_ACTIONS.includes(action))) {
+        throw new Error(`ensemble veto of ${rule.member} needs "when" actions from ${VOTE_ACTIONS.join(', ')}: ${when.join(', ')}`);
+      }
+      if (blocks.some(action => !VETOABLE_ACTIONS.includes(action))) {
+        throw new Error(`ensemble veto of ${rule.member} can only block ${VETOABLE_ACTIONS.join(', ')}: ${blocks.join(', ')}`);
+      }
+      return { member: rule.member, when, blocks };
+    });
+  }
+}
+
+// Registry of strategies
+const STRATEGIES = {
+  principia: PrincipiaEngine,
+  'mean-reversion': MeanReversionStrategy,
+  breakout: BreakoutStrategy,
+  grid: GridStrategy,
+  ensemble: EnsembleStrategy,
+};
+
+/**
+ * Make a strategy available under a name
+ * @param {string} name - Strategy name used in `trading.strategy.name`
+ * @param {Function} StrategyClass - Class constructed with (config)
+ */
+function registerStrategy(name, StrategyClass) {
+  STRATEGIES[name] = StrategyClass;
+}
+
+/**
+ * Create a strategy by name
+ * @param {string} name - Strategy name
+ * @param {object} config - Strategy configuration
+ * @returns {object} - Strategy
+ */
+function createStrategy(name, config = {}) {
+  const StrategyClass = STRATEGIES[name];
+  if (!StrategyClass) {
+    throw new Error(`Unknown strategy: ${name} (available: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  return new StrategyClass(config);
+}
+
+/**
+ * Name of the strategy a pair trades with
+ * @param {object} config - Bot configuration (config.json)
+ * @param {string} pair - Trading pair
+ * @returns {string} - `trading.strategy.pairs[pair]`, else `trading.strategy.name`
+ */
+function getPairStrategy(config, pair) {
+  return config.trading?.strategy?.pairs?.[pair] || config.trading?.strategy?.name || 'principia';
+}
+
+/**
+ * Configuration of a strategy from the bot config
+ * @param {object} config - Bot configuration (config.json)
+ * @param {string} name - Strategy name
+ * @returns {object} - `principia` for the Principia engine; otherwise the
+ *   strategy's section of `trading.strategy` over the shared position settings
+ */
+function getStrategyConfig(config, name) {
+  if (name === 'principia') {
+    return config.principia || {};
+  }
+
+  const shared = {};
+  for (const key of ['positionModel', 'maxPositionSize', 'riskReactionRatio']) {
+    if (config.principia?.[key] !== undefined) {
+      shared[key] = config.principia[key];
+    }
+  }
+  const strategyConfig = { ...shared, ...(config.trading?.strategy?.[name] || {}) };
+
+  if (name === 'ensemble') {
+    strategyConfig.memberConfigs = {};
+    for (const member of Object.keys(strategyConfig.members || {})) {
+      if (member !== 'ensemble') {
+        strategyConfig.memberConfigs[member] = getStrategyConfig(config, member);
+      }
+    }
+  }
+
+  return strategyConfig;
+}
+
+module.exports = {
+  BreakoutStrategy,
+  EnsembleStrategy,
+  GridStrategy,
+  MeanReversionStrategy,
+  PositionStrategy,
+  createStrategy,
+  getPairStrategy,
+  getStrategyConfig,
+  registerStrategy,
+};
@@ -0,0 +1,146 @@
+/**
+ * Test suite for OHLCV candle aggregation
+ *
+ * Feeds ticks with controlled timestamps so bar boundaries are deterministic.
+ */
+
+const CandleBuilder = require('./candle-builder');
+const MarketData = require('./market-data');
+const { MeanReversionStrategy } = require('./strategies');
+const { check } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  CANDLE AGGREGATION TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+(async () => {
+  try {
+    // Test 1: OHLCV within a single bar
+    console.log('TEST 1: OHLCV Aggregation');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const builder = new CandleBuilder({ timeframes: ['1m', '5m'] });
+    builder.addTick(100, 10, START);
+    builder.addTick(103, 5, START + 10 * 1000);
+    builder.addTick(98, 7, START + 30 * 1000);
+    builder.addTick(101, 3, START + 50 * 1000);
+
+    const [bar] = builder.getCandles('1m', 10);
+    console.log('Bar:', JSON.stringify(bar));
+    check(bar.open === 100 && bar.high === 103 && bar.low === 98 && bar.close === 101, 'OHLC mismatch');
+    check(bar.volume === 25 && bar.ticks === 4, 'volume/tick count mismatch');
+    console.log('✅ Test passed: Ticks aggregated into one bar\n');
+
+    // Test 2: Multiple timeframes
+    console.log('TEST 2: Multiple Timeframes');
+    console.log('─────────────────────────────────────────────────\n');
+
+    for (let i = 1; i < 10; i++) {
+      builder.addTick(100 + i, 1, START + i * MINUTE);
+    }
+    const oneMinute = builder.getCandles('1m', 100);
+    const fiveMinute = builder.getCandles('5m', 100);
+    console.log(`1m bars: ${oneMinute.length}, 5m bars: ${fiveMinute.length}`);
+    check(oneMinute.length === 10, 'expected 10 one-minute bars');
+    check(fiveMinute.length === 2, 'expected 2 five-minute bars');
+    check(fiveMinute[0].close === 104 && fiveMinute[1].open === 105, '5m bar boundaries wrong');
+    console.log('✅ Test passed: Bars built per timeframe\n');
+
+    // Test 3: Gaps are filled with flat bars
+    console.log('TEST 3: Gap Filling');
+    console.log('─────────────────────────────────────────────────\n');
+
+    builder.addTick(120, 2, START + 13 * MINUTE);
+    const afterGap = builder.getCandles('1m', 4);
+    console.log('Closes:', afterGap.map(c => c.close).join(', '));
+    check(afterGap.length === 4, 'expected 4 bars');
+    check(afterGap[1].close === 109 && afterGap[1].volume === 0, 'gap bar should be flat at last close');
+    check(afterGap[3].close === 120, 'last bar should hold the new tick');
+    console.log('✅ Test passed: Gaps filled\n');
+
+    // Test 4: Unsupported timeframe
+    console.log('TEST 4: Unsupported Timeframe');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let rejected = false;
+    try {
+      new CandleBuilder({ timeframes: ['7m'] });
+    } catch (error) {
+      rejected = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(rejected, '7m should be rejected');
+    console.log('✅ Test passed: Unsupported timeframe rejected\n');
+
+    // Test 5: Indicators are independent of polling interval
+    console.log('TEST 5: Indicators on Bars');
+    console.log('─────────────────────────────────────────────────\n');
+
+    // Same price path, sampled every 10s in one feed and every 30s in the other
+    const pricePath = (t) => 100 + Math.floor((t - START) / MINUTE);
+    const makeFeed = (step) => {
+      let t = START;
+      return {
+        name: 'stub',
+        getPrice: async () => {
+          const tick = { price: pricePath(t), volume: 1, timestamp: t, source: 'stub' };
+          t += step;
+          return tick;
+        },
+      };
+    };
+
+    const fast = new MarketData({ network: 'devnet', priceSource: makeFeed(10 * 1000) });
+    const slow = new MarketData({ network: 'devnet', priceSource: makeFeed(30 * 1000) });
+
+    let fastData;
+    let slowData;
+    for (let i = 0; i < 25 * 6; i++) {
+      fastData = await fast.getMarketData('SOL-USDC', 10);
+    }
+    for (let i = 0; i < 25 * 2; i++) {
+      slowData = await slow.getMarketData('SOL-USDC', 10);
+    }
+
+    console.log(`10s polling: SMA20=${fastData.sma20.toFixed(2)} bars=${fastData.candleCount}`);
+    console.log(`30s polling: SMA20=${slowData.sma20.toFixed(2)} bars=${slowData.candleCount}`);
+    check(fastData.candleCount === slowData.candleCount, 'bar counts should match');
+    check(fastData.sma20 === slowData.sma20, 'SMA20 should not depend on polling interval');
+    check(fastData.momentum === slowData.momentum, 'momentum should not depend on polling interval');
+    check(fast.getCandles('SOL-USDC', '5m', 3).length === 3, 'getCandles should serve other timeframes');
+
+    // Strategies look back over the closed bars only
+    const closes = (data) => data.candles.map(candle => candle.close).join();
+    check(fastData.candles.length === fastData.candleCount - 1 && fastData.candles[fastData.candles.length - 1].close === 123, 'market data should carry the closed bars, not the one in progress');
+    check(closes(fastData) === closes(slowData), 'closed bars should not depend on polling interval');
+    const fastZ = new MeanReversionStrategy().analyze(fastData).zScore;
+    check(fastZ !== null && fastZ === new MeanReversionStrategy().analyze(slowData).zScore, 'strategy bands should not depend on polling interval');
+    console.log('✅ Test passed: SMA20 measured in bars, not polls\n');
+
+    // Test 6: Indicator timeframe must be tracked
+    console.log('TEST 6: Indicator Timeframe Validation');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let invalid = false;
+    try {
+      new MarketData({ network: 'devnet', candleTimeframes: ['1m'], indicatorTimeframe: '1h' });
+    } catch (error) {
+      invalid = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(invalid, 'untracked indicator timeframe should be rejected');
+    console.log('✅ Test passed: Indicator timeframe validated\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All candle tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,147 @@
+/**
+ * Test suite for cross-asset gravitation (multi-asset Universal Gravitation)
+ */
+
+const CrossAssetGravity = require('./cross-asset');
+const PrincipiaEngine = require('./principia-engine');
+const { check, near } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  CROSS-ASSET GRAVITATION TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// One-minute candles whose closes follow the given log returns
+function candles(returns, { start = 100, volume = 10, offset = 0 } = {}) {
+  const result = [{ timestamp: offset, close: start, volume, ticks: 6 }];
+  returns.forEach((r, i) => {
+    result.push({ timestamp: offset + (i + 1) * 60000, close: result[i].close * Math.exp(r), volume, ticks: 6 });
+  });
+  return result;
+}
+
+const base = Array.from({ length: 30 }, (_, i) => 0.01 * Math.sin(i * 1.7));
+const orthogonal = Array.from({ length: 30 }, (_, i) => 0.01 * (i % 4 < 2 ? 1 : -1) * (i % 3 === 0 ? 1 : -1));
+
+try {
+  // Test 1: Rolling correlations over matching candles
+  console.log('TEST 1: Rolling Correlation Matrix');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const gravity = new CrossAssetGravity({ window: 30, minSamples: 10, gravitationalConstant: 0.0001 });
+  gravity.update({
+    'SOL-USDC': candles(base),
+    'JUP-USDC': candles(base.map(r => r * 2), { start: 1, volume: 1000 }),
+    'BONK-USDC': candles(base.map(r => -r), { start: 0.00002, volume: 1e8 }),
+    'RAY-USDC': candles(orthogonal, { start: 2, volume: 500 }),
+  });
+  const solJup = gravity.getCorrelation('SOL-USDC', 'JUP-USDC');
+  const solBonk = gravity.getCorrelation('BONK-USDC', 'SOL-USDC');
+  const solRay = gravity.getCorrelation('SOL-USDC', 'RAY-USDC');
+  console.log(`SOL/JUP: ${solJup.toFixed(3)}, SOL/BONK: ${solBonk.toFixed(3)}, SOL/RAY: ${solRay.toFixed(3)}`);
+  check(near(solJup, 1), 'returns moving together should correlate at 1');
+  check(near(solBonk, -1), 'mirrored returns should correlate at -1');
+  check(Math.abs(solRay) < 0.3, 'unrelated returns should barely correlate');
+  console.log('✅ Test passed: Correlations measured\n');
+
+  // Test 2: F_inter = G × m_A × m_B / (1 - |ρ|)²
+  console.log('TEST 2: Inter-Asset Force');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const sol = gravity.getForce('SOL-USDC');
+  for (const contribution of sol.contributions) {
+    console.log(`${contribution.pair}: ρ ${contribution.correlation.toFixed(3)}, force ${contribution.force.toFixed(6)}`);
+  }
+  const mass = (pair) => gravity.series.get(pair).mass;
+  const lastUp = base[base.length - 1] > 0;
+  const jup = sol.contributions.find(c => c.pair === 'JUP-USDC');
+  const expectedJup = 0.0001 * mass('SOL-USDC') * mass('JUP-USDC') / Math.pow(0.05, 2); // distance floored at 0.05
+  check(near(Math.abs(jup.force), expectedJup), 'force should follow G × m_A × m_B / distance²');
+  check(Math.sign(jup.force) === (lastUp ? 1 : -1), 'a positively correlated pair should pull the way it moved');
+  const bonk = sol.contributions.find(c => c.pair === 'BONK-USDC');
+  check(Math.sign(bonk.force) === (lastUp ? 1 : -1), 'a negatively correlated pair moving against SOL should pull with it');
+  const ray = sol.contributions.find(c => c.pair === 'RAY-USDC');
+  check(Math.abs(ray.force) < Math.abs(jup.force), 'loosely correlated pairs should pull less');
+  check(near(sol.force, jup.force + bonk.force + ray.force), 'the net force should sum the contributions');
+  check(mass('BONK-USDC') > mass('SOL-USDC'), 'mass should follow quote volume');
+  console.log('✅ Test passed: Force calculated\n');
+
+  // Test 3: Pair-trade, diversification and contagion flags
+  console.log('TEST 3: Correlation Conditions');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const conditions = gravity.getConditions();
+  for (const condition of conditions) {
+    console.log(`${condition.pairs.join(' ↔ ')}: ${condition.type} (ρ ${condition.correlation.toFixed(2)})`);
+  }
+  const find = (a, b) => conditions.find(c => c.pairs.includes(a) && c.pairs.includes(b));
+  check(find('SOL-USDC', 'JUP-USDC').type === 'contagion', 'strong positive correlation should flag contagion');
+  check(find('SOL-USDC', 'BONK-USDC').type === 'pairTrade', 'strong negative correlation should flag a pair trade');
+  check(find('SOL-USDC', 'RAY-USDC').type === 'diversification', 'low correlation should flag diversification');
+
+  const again = gravity.update({
+    'SOL-USDC': candles(base),
+    'JUP-USDC': candles(base.map(r => r * 2), { start: 1, volume: 1000 }),
+    'BONK-USDC': candles(base.map(r => -r), { start: 0.00002, volume: 1e8 }),
+    'RAY-USDC': candles(orthogonal, { start: 2, volume: 500 }),
+  });
+  check(again.length === 0, 'conditions should only be reported when first flagged');
+  console.log('✅ Test passed: Conditions flagged\n');
+
+  // Test 4: Too little shared history
+  console.log('TEST 4: Insufficient Samples');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const sparse = new CrossAssetGravity({ minSamples: 10 });
+  sparse.update({
+    'SOL-USDC': candles(base.slice(0, 5)),
+    'JUP-USDC': candles(base, { offset: 25 * 60000 }), // only five candles overlap
+  });
+  check(sparse.getCorrelation('SOL-USDC', 'JUP-USDC') === null, 'too few matching returns should leave the correlation unknown');
+  check(sparse.getForce('SOL-USDC').force === 0 && sparse.getConditions().length === 0, 'unknown correlations should exert no force');
+
+  const flat = new CrossAssetGravity({ minSamples: 2 });
+  flat.update({ 'SOL-USDC': candles([0, 0, 0]), 'JUP-USDC': candles([0.01, -0.01, 0.01]) });
+  check(flat.getCorrelation('SOL-USDC', 'JUP-USDC') === null, 'a flat series should have no correlation');
+  console.log('✅ Test passed: Missing data handled\n');
+
+  // Test 5: The engine adds the force to its combined force
+  console.log('TEST 5: Engine Integration and Configuration');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const market = { price: 100, volume: 1000, signalStrength: 0.5, portfolioValue: 10 };
+  const plain = new PrincipiaEngine({ volatilitySource: 'none' }).analyzeMarket(market);
+  const pulled = new PrincipiaEngine({ volatilitySource: 'none' }).analyzeMarket({ ...market, interAssetForce: 0.5 });
+  console.log(`Force without pull: ${plain.force.toFixed(3)}, with pull: ${pulled.force.toFixed(3)}`);
+  check(near(pulled.force - plain.force, 0.5 * 0.2), 'the pull should be weighted by the interAsset force weight');
+  check(pulled.principia.interAsset === 0.5, 'decisions should report the inter-asset force');
+  const unweighted = new PrincipiaEngine({ volatilitySource: 'none', forces: { interAsset: 0 } });
+  check(near(unweighted.analyzeMarket({ ...market, interAssetForce: 1 }).force, plain.force), 'weight 0 should ignore other assets');
+
+  gravity.updateConfig({ enabled: false });
+  check(gravity.getForce('SOL-USDC').force === 0, 'disabled gravitation should exert no force');
+  const quiet = gravity.update({
+    'SOL-USDC': candles(base),
+    'BONK-USDC': candles(base.map(r => -r), { start: 0.00002, volume: 1e8 }),
+  });
+  check(quiet.length === 0 && gravity.getConditions().length === 0, 'disabled gravitation should flag no conditions');
+  check(gravity.getCorrelation('SOL-USDC', 'BONK-USDC') === null, 'disabled gravitation should not correlate pairs');
+
+  let rejected = false;
+  try {
+    gravity.updateConfig({ thresholds: { contagion: 0.2 } });
+  } catch (error) {
+    rejected = true;
+    console.log(`Error: ${error.message}`);
+  }
+  check(rejected, 'inconsistent thresholds should throw');
+  console.log('✅ Test passed: Configuration applied\n');
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  TEST SUITE COMPLETE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('\n✅ All cross-asset gravitation tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
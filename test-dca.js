@@ -0,0 +1,227 @@
+/**
+ * Test suite for scheduled DCA accumulation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DcaAccumulator = require('./dca');
+const Schedule = require('./schedule');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  DCA TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Local times, as schedules are in local time
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).getTime();
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'principia-dca-'));
+const ledgerPath = path.join(dir, 'nested', 'dca.json');
+
+const newExecutor = (balances = { SOL: 10, USDC: 1000 }) => createMockExecutor({
+  paper: { balances, feeLamports: 5000 },
+});
+
+(async () => {
+  try {
+    // Test 1: Schedules
+    console.log('TEST 1: Cron Schedules');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const weekdays = new Schedule('30 9 * * 1-5');
+    console.log(`Next weekday 09:30 after Friday 10:00: ${weekdays.next(at(6, 10)).toString()}`);
+    check(weekdays.next(at(6, 10)).getTime() === at(9, 9, 30), 'Friday after 09:30 should skip to Monday');
+    check(weekdays.next(at(9, 9, 29)).getTime() === at(9, 9, 30), 'next should find the same day');
+    check(weekdays.next(at(9, 9, 30)).getTime() === at(10, 9, 30), 'next should be strictly after the given time');
+
+    check(new Schedule('*/15 * * * *').next(at(2, 8, 7)).getTime() === at(2, 8, 15), 'steps should repeat');
+    check(new Schedule('0 8,20 * * *').next(at(2, 9)).getTime() === at(2, 20), 'lists should match any value');
+    check(new Schedule('@daily').next(at(2, 9)).getTime() === at(3, 0), 'shorthands should expand');
+    check(new Schedule('0 0 * * 7').matches(new Date(at(8, 0))), '7 should be Sunday');
+
+    // Both day fields restricted: either matches (the 1st, or any Monday)
+    const either = new Schedule('0 12 1 * 1');
+    check(either.matches(new Date(at(1, 12))) && either.matches(new Date(at(9, 12))) && !either.matches(new Date(at(10, 12))), 'restricted day fields should match either');
+
+    let scheduleErrors = 0;
+    for (const expression of ['* * * *', '60 * * * *', '0 24 * * *', '0 9 5-1 * *', '0 9 * * mon', '*/0 * * * *', '0 9 31 2 *', '0 9 30,31 2 *']) {
+      try {
+        new Schedule(expression);
+      } catch (error) {
+        scheduleErrors++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(scheduleErrors === 8, 'malformed schedules and schedules that never run should throw');
+    check(new Schedule('0 9 29 2 *').next(at(2, 9)).getTime() === new Date(2028, 1, 29, 9).getTime(), '29 February should wait for a leap year');
+    check(new Schedule('0 9 31 2 1').next(at(2, 10)).getTime() === new Date(2027, 1, 1, 9).getTime(), 'an impossible day of month should still run on the day of week');
+    console.log('✅ Test passed: Schedules parsed\n');
+
+    // Test 2: Scheduled buys
+    console.log('TEST 2: Scheduled Buys through the Trade Executor');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = newExecutor();
+    const config = { enabled: true, amount: 10, schedule: '0 9 * * *', budget: { daily: 15, monthly: 40 }, path: ledgerPath };
+    const dca = new DcaAccumulator(config);
+
+    check(await dca.tick(executor, { now: at(2, 8), price: 150 }) === null && dca.nextRunAt === at(2, 9), 'the first tick should only schedule');
+    check(fs.existsSync(ledgerPath), 'the next run time should be saved');
+    check(await dca.tick(executor, { now: at(2, 8, 59), price: 150 }) === null, 'nothing should happen before the run');
+
+    const first = await dca.tick(executor, { now: at(2, 9), price: 150, momentum: 0 });
+    console.log(`First: ${first.amount} USDC -> ${first.purchase.baseAmount} SOL, next ${new Date(first.nextRunAt).toString()}`);
+    check(first.result.success && first.result.purpose === 'dca' && first.amount === 10, 'a due run should buy the configured amount');
+    check(near(first.purchase.baseAmount, 10 / 150 * 0.995, 1e-6) && first.purchase.dryRun, 'the purchase should record what was bought');
+    check(first.nextRunAt === at(3, 9), 'the next run should be scheduled');
+
+    const booked = executor.ledger.getPosition('SOL-USDC', 'dca');
+    check(booked.quantity > 0 && executor.ledger.getPosition('SOL-USDC').quantity === 0, 'DCA buys should be booked apart from trading positions');
+    check(executor.getStatistics().dcaTrades === 1 && executor.getStatistics().totalTrades === 0, 'DCA buys should be counted apart from trades');
+    console.log('✅ Test passed: Buys executed on schedule\n');
+
+    // Test 3: Modulation
+    console.log('TEST 3: Momentum Modulation');
+    console.log('─────────────────────────────────────────────────\n');
+
+    check(near(dca.plan(at(4, 9), -0.05, true).multiplier, 1.5), 'falling momentum should buy more');
+    check(near(dca.plan(at(4, 9), 0.03, true).multiplier, 0.7), 'rising momentum should buy less');
+    check(dca.plan(at(4, 9), -1, true).multiplier === 2 && dca.plan(at(4, 9), 1, true).multiplier === 0.5, 'the multiplier should be clamped');
+    check(dca.plan(at(4, 9), null, true).multiplier === 1 && dca.plan(at(4, 9), null, true).momentum === null, 'no momentum should mean no modulation');
+    const flat = new DcaAccumulator({ ...config, modulation: { enabled: false } });
+    check(flat.plan(at(4, 9), -0.05, true).multiplier === 1, 'modulation can be switched off');
+
+    const dip = await dca.buy(executor, { now: at(2, 15), price: 140, momentum: -0.05 });
+    console.log(`Dip: wanted ${dip.desired} USDC, spent ${dip.amount} (daily budget)`);
+    check(dip.desired === 15 && dip.amount === 5 && dip.capped, 'the daily cap should cut the buy');
+    const rally = await dca.tick(executor, { now: at(3, 9), price: 160, momentum: 0.03 });
+    check(near(rally.amount, 7) && near(rally.purchase.multiplier, 0.7), 'rallies should buy less');
+    console.log('✅ Test passed: Buys follow momentum\n');
+
+    // Test 4: Budgets across restarts
+    console.log('TEST 4: Spend Ledger and Budget Caps');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const restarted = new DcaAccumulator(config);
+    restarted.load();
+    const budget = restarted.getRemainingBudget(at(4, 9), true);
+    console.log(`After restart: ${restarted.purchases.length} purchases, monthly budget left ${budget.monthly}`);
+    check(restarted.purchases.length === 3 && restarted.nextRunAt === at(4, 9), 'the ledger and next run should survive a restart');
+    check(near(budget.monthly, 18) && budget.daily === 15 && budget.total === Infinity, 'budgets should count the persisted spending');
+    check(restarted.getRemainingBudget(at(4, 9), false).monthly === 40, 'live spending should be budgeted apart from dry runs');
+
+    const missed = await restarted.tick(executor, { now: at(10, 9, 5), price: 150 });
+    check(missed.amount === 10 && missed.nextRunAt === at(11, 9), 'missed runs should be made up with a single buy');
+
+    const capped = await restarted.tick(executor, { now: at(11, 9), price: 150 });
+    check(near(capped.amount, 8) && capped.capped, 'the monthly cap should cut the buy');
+    const exhausted = await restarted.tick(executor, { now: at(12, 9), price: 150 });
+    console.log(`Exhausted: spent ${exhausted.amount}, ${exhausted.failure.reason}, next attempt ${new Date(exhausted.nextRunAt).toString()}`);
+    check(exhausted.amount === 0 && exhausted.result === null && exhausted.purchase === null, 'an exhausted budget should not buy');
+    check(exhausted.failure.reason === 'Budget exhausted' && exhausted.failure.attempt === 1 && exhausted.nextRunAt === at(12, 9, 5), 'an exhausted budget should be retried');
+
+    // Three retries (the default), then the run is given up
+    let retried = exhausted;
+    for (const minute of [5, 10, 15]) {
+      retried = await restarted.tick(executor, { now: at(12, 9, minute), price: 150 });
+    }
+    check(retried.failure.attempt === 4 && retried.failure.gaveUp && retried.nextRunAt === at(13, 9), 'the run should be given up after the last retry');
+    check(restarted.failures.length === 4 && restarted.retries === 0, 'every failed attempt should be in the ledger');
+    check(new DcaAccumulator(config).getRemainingBudget(at(12, 9), true).remaining === 15, 'a budget is only what the ledger holds');
+
+    const summary = restarted.getSummary(true);
+    console.log('Summary:', JSON.stringify(summary));
+    check(summary.purchases === 5 && summary.failures === 4 && near(summary.quoteSpent, 40) && near(summary.averagePrice, summary.quoteSpent / summary.baseAcquired), 'the summary should total the ledger');
+    console.log('✅ Test passed: Budgets enforced\n');
+
+    // Test 5: Failed buys
+    console.log('TEST 5: Failed Buys Retried');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const retryPath = path.join(dir, 'retry.json');
+    const broke = newExecutor({ SOL: 10, USDC: 5 });
+    const retrying = new DcaAccumulator({ ...config, budget: {}, retry: { max: 2, delayMinutes: 10 }, path: retryPath });
+    await retrying.tick(broke, { now: at(2, 8), price: 150 });
+
+    const rejected = await retrying.tick(broke, { now: at(2, 9), price: 150 });
+    console.log(`Rejected: ${rejected.failure.reason}, next attempt ${new Date(rejected.nextRunAt).toString()}`);
+    check(!rejected.result.success && rejected.purchase === null, 'a rejected swap should not be a purchase');
+    check(rejected.failure.reason === rejected.result.reason && rejected.failure.quoteAmount === 10 && !rejected.failure.gaveUp, 'the failure should be recorded with its reason');
+    check(rejected.nextRunAt === at(2, 9, 10), 'a failed buy should be retried after the delay, not skipped to the next run');
+
+    const reloaded = new DcaAccumulator({ ...config, path: retryPath });
+    reloaded.load();
+    check(reloaded.failures.length === 1 && reloaded.retries === 1 && reloaded.nextRunAt === at(2, 9, 10), 'failures and the retry should survive a restart');
+
+    check(await retrying.tick(broke, { now: at(2, 9, 5), price: 150 }) === null, 'nothing should happen before the retry');
+    broke.paperAccount.balances.set('USDC', 1000 * 1e6);
+    const recovered = await retrying.tick(broke, { now: at(2, 9, 10), price: 150 });
+    console.log(`Retry: bought ${recovered.purchase.baseAmount} SOL, next ${new Date(recovered.nextRunAt).toString()}`);
+    check(recovered.result.success && recovered.failure === null && recovered.nextRunAt === at(3, 9), 'a successful retry should buy and move on to the next run');
+    check(retrying.purchases.length === 1 && retrying.failures.length === 1 && retrying.retries === 0, 'the retry count should reset after a buy');
+
+    // A retry never runs past the next scheduled run
+    const hourly = new DcaAccumulator({ ...config, schedule: '0 * * * *', retry: { delayMinutes: 90 }, path: path.join(dir, 'hourly.json') });
+    await hourly.tick(newExecutor({ SOL: 10, USDC: 5 }), { now: at(2, 8, 59), price: 150 });
+    check((await hourly.tick(newExecutor({ SOL: 10, USDC: 5 }), { now: at(2, 9), price: 150 })).nextRunAt === at(2, 10), 'a retry should not pass the next run');
+    console.log('✅ Test passed: Failed buys retried\n');
+
+    // Test 6: Configuration
+    console.log('TEST 6: Configuration');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let errors = 0;
+    for (const attempt of [
+      () => new DcaAccumulator({ amount: 0 }),
+      () => new DcaAccumulator({ schedule: 'daily' }),
+      () => new DcaAccumulator({ modulation: { min: 1.5 } }),
+      () => new DcaAccumulator({ budget: { daily: -5 } }),
+      () => restarted.updateConfig({ schedule: '0 25 * * *' }),
+      () => restarted.updateConfig({ schedule: '0 9 31 4 *' }),
+      () => new DcaAccumulator({ retry: { max: -1 } }),
+      () => new DcaAccumulator({ retry: { delayMinutes: 0 } }),
+    ]) {
+      try {
+        attempt();
+      } catch (error) {
+        errors++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(errors === 8, 'invalid settings should throw');
+    check(restarted.config.schedule === '0 9 * * *' && restarted.nextRunAt === at(13, 9), 'rejected settings should leave the schedule alone');
+
+    restarted.updateConfig({ amount: 20, budget: { total: 500 } });
+    check(restarted.config.amount === 20 && restarted.config.budget.monthly === 40 && restarted.config.budget.total === 500, 'updates should merge');
+    restarted.updateConfig({ schedule: '@weekly' });
+    check(restarted.nextRunAt === null, 'a new schedule should be rescheduled on the next tick');
+
+    const disabled = new DcaAccumulator({ path: path.join(dir, 'disabled.json') });
+    check(await disabled.tick(executor, { now: at(2, 9) }) === null && !fs.existsSync(disabled.filePath), 'DCA should be off by default');
+
+    let refused = 0;
+    for (const contents of ['{"version": 1, "purch', JSON.stringify({ version: DcaAccumulator.LEDGER_VERSION + 1, purchases: [] })]) {
+      fs.writeFileSync(ledgerPath, contents);
+      try {
+        new DcaAccumulator(config).load();
+      } catch (error) {
+        refused++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(refused === 2, 'unreadable and newer ledgers should be refused');
+    console.log('✅ Test passed: Configuration validated\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All DCA tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+})();
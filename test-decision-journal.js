@@ -0,0 +1,149 @@
+/**
+ * Test suite for the decision journal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PrincipiaEngine = require('./principia-engine');
+const DecisionJournal = require('./decision-journal');
+const { check, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  DECISION JOURNAL TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const market = (pair, price, signalStrength) => ({ pair, price, volume: 1000, signalStrength, portfolioValue: 10, keyLevels: [], candles: [{ open: price, high: price, low: price, close: price, volume: 0 }] });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'principia-journal-'));
+const journalPath = path.join(dir, 'decisions.jsonl');
+
+(async () => {
+  try {
+    const executor = createMockExecutor();
+    const journal = new DecisionJournal({ path: journalPath });
+
+    // Test 1: Decisions are appended with their audit trail
+    console.log('TEST 1: Record Decisions');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const engine = new PrincipiaEngine({ volatilitySource: 'none' });
+    const holdMarket = market('SOL-USDC', 150, 0.05);
+    const hold = journal.record({ pair: 'SOL-USDC', market: holdMarket, decision: engine.analyzeMarket(holdMarket) });
+
+    const buyMarket = market('SOL-USDC', 151, 0.8);
+    const buy = engine.analyzeMarket(buyMarket);
+    const trade = await executor.executeDecision('SOL-USDC', buy, 10, 151);
+    const bought = journal.record({ pair: 'SOL-USDC', market: buyMarket, decision: buy, trade });
+
+    const lines = fs.readFileSync(journalPath, 'utf-8').trim().split('\n');
+    console.log(`Lines: ${lines.length}, trade id: ${bought.tradeId}`);
+    check(lines.length === 2, 'each decision should be one line');
+    check(hold.decision.action === 'hold' && hold.tradeId === null, 'holds should be journaled without a trade');
+    check(bought.tradeId && bought.tradeId === trade.id && bought.trade.success, 'trades should be linked by id');
+
+    const stored = JSON.parse(lines[1]);
+    check(stored.market.price === 151 && stored.market.signalStrength === 0.8, 'market input should be recorded');
+    check(stored.market.candles === undefined, 'the candle series should not be copied into every entry');
+    check(stored.forces.map(c => c.name).includes('signal') && stored.forces.every(c => 'contribution' in c), 'every force component should be recorded');
+    check(stored.decision.principia.lawI && stored.decision.principia.lawII && stored.decision.principia.lawIII, 'Law I/II/III details should be recorded');
+    check(stored.decision.forces === undefined, 'forces should not be duplicated inside the decision');
+    console.log('✅ Test passed: Decisions journaled\n');
+
+    // Test 2: Query by time, pair and action
+    console.log('TEST 2: Query the Journal');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const jup = new PrincipiaEngine({ volatilitySource: 'none', positionModel: 'derivatives' });
+    const sellMarket = market('JUP-USDC', 1, -0.8);
+    journal.record({ pair: 'JUP-USDC', market: sellMarket, decision: jup.analyzeMarket(sellMarket) });
+    journal.record({
+      pair: 'SOL-USDC',
+      market: buyMarket,
+      decision: { action: 'close', reason: 'Law III stop-loss (equal and opposite reaction to adverse move)' },
+    });
+
+    const all = await journal.query();
+    check(all.length === 4 && all[0].id === hold.id, 'query without a filter should return everything, oldest first');
+    check((await journal.query({ pair: 'JUP-USDC' })).every(e => e.pair === 'JUP-USDC'), 'pair filter');
+    check((await journal.query({ action: 'sell' })).length === 1, 'action filter');
+    check((await journal.query({ action: ['buy', 'close'], pair: 'SOL-USDC' })).length === 2, 'several actions');
+    check((await journal.query({ limit: 1 }))[0].decision.action === 'close', 'limit should keep the latest entries');
+
+    // Move the first entries an hour back to query a time range
+    const rewritten = fs.readFileSync(journalPath, 'utf-8').trim().split('\n').map((line, i) => {
+      const entry = JSON.parse(line);
+      if (i < 2) {
+        entry.timestamp -= 3600000;
+      }
+      return JSON.stringify(entry);
+    });
+    fs.writeFileSync(journalPath, `${rewritten.join('\n')}\n`);
+    const minuteAgo = new Date(Date.now() - 60000);
+    const recent = await journal.query({ from: minuteAgo });
+    const earlier = await journal.query({ to: minuteAgo.toISOString(), pair: 'SOL-USDC' });
+    console.log(`Last minute: ${recent.length} entries, before: ${earlier.length}`);
+    check(recent.length === 2 && earlier.length === 2, 'time range filter should accept dates and ISO strings');
+    console.log('✅ Test passed: Queries filtered\n');
+
+    // Test 3: Robustness
+    console.log('TEST 3: Torn Lines and Disabled Journal');
+    console.log('─────────────────────────────────────────────────\n');
+
+    fs.appendFileSync(journalPath, '{"id": "cut-sh');
+    check((await journal.query()).length === 4, 'a torn last line should be skipped');
+
+    let rejected = false;
+    try {
+      await journal.query({ from: 'yesterday-ish' });
+    } catch (error) {
+      rejected = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(rejected, 'invalid times should throw');
+
+    const disabledPath = path.join(dir, 'off.jsonl');
+    const disabled = new DecisionJournal({ enabled: false, path: disabledPath });
+    disabled.record({ pair: 'SOL-USDC', market: holdMarket, decision: { action: 'hold' } });
+    check(!fs.existsSync(disabledPath) && (await disabled.query()).length === 0, 'a disabled journal should not write');
+    console.log('✅ Test passed: Journal is robust\n');
+
+    // Test 4: Rotation
+    console.log('TEST 4: Rotate by Size');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const rotatingPath = path.join(dir, 'rotating.jsonl');
+    const rotating = new DecisionJournal({ path: rotatingPath, maxBytes: 1, keep: 2 });
+    const written = [];
+    for (let i = 0; i < 4; i++) {
+      written.push(rotating.record({ pair: 'SOL-USDC', market: holdMarket, decision: { action: 'hold' } }));
+    }
+    const onDisk = fs.readdirSync(dir).filter(file => file.startsWith('rotating.jsonl')).sort();
+    console.log(`Files: ${onDisk.join(', ')}`);
+    check(onDisk.join() === 'rotating.jsonl,rotating.jsonl.1,rotating.jsonl.2', 'only keep rotated files should be left');
+    const kept = await rotating.query();
+    check(kept.map(e => e.id).join() === written.slice(1).map(e => e.id).join(), 'queries should span rotated files, oldest first');
+    check((await rotating.query({ limit: 2 }))[0].id === written[2].id, 'limit should count across files');
+
+    let invalid = false;
+    try {
+      new DecisionJournal({ path: rotatingPath, keep: 0 });
+    } catch (error) {
+      invalid = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(invalid, 'keep should be at least 1');
+    console.log('✅ Test passed: Journal rotated\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All decision journal tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,129 @@
+/**
+ * Test suite for the Book II drag force (trading costs)
+ */
+
+const PrincipiaEngine = require('./principia-engine');
+const { check, near, createMockConnection, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  DRAG FORCE TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const market = (signalStrength, tradingCosts) => ({
+  price: 100,
+  volume: 1000,
+  signalStrength,
+  portfolioValue: 10,
+  tradingCosts,
+});
+
+// 0.4% impact + 0.1% fees = 0.5% of the trade (the 0.5% slippage tolerance is not a cost)
+const costs = { priceImpactPct: 0.4, slippageBps: 50, feeLamports: 5000, feeFraction: 0.001 };
+
+(async () => {
+  try {
+    // Test 1: Drag from trading costs
+    console.log('TEST 1: Drag from Trading Costs');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const engine = new PrincipiaEngine({ volatilitySource: 'none' });
+    const drag = engine.calculateDrag(costs);
+    console.log(`Costs: ${(drag.costFraction * 100).toFixed(3)}%, drag: ${drag.force.toFixed(3)}`);
+    check(near(drag.costFraction, 0.005), 'costs should add impact and fees, not the slippage tolerance');
+    check(near(drag.force, 0.05), 'drag should be dragCoefficient × costs');
+    check(engine.calculateDrag(undefined).force === 0, 'no costs should mean no drag');
+    console.log('✅ Test passed: Drag calculated\n');
+
+    // Test 2: Drag is subtracted before the Law I check
+    console.log('TEST 2: Drag Blocks Marginal Trades');
+    console.log('─────────────────────────────────────────────────\n');
+
+    // Signal 0.3 -> gross force 0.18, above the 0.15 threshold
+    const free = new PrincipiaEngine({ volatilitySource: 'none' }).analyzeMarket(market(0.3));
+    const blocked = new PrincipiaEngine({ volatilitySource: 'none' }).analyzeMarket(market(0.3, costs));
+    console.log(`Without costs: ${free.action} (force ${free.force.toFixed(3)})`);
+    console.log(`With costs:    ${blocked.action} - ${blocked.reason}`);
+    check(free.action === 'buy' && free.drag === 0, 'without costs the signal should trade');
+    check(blocked.action === 'hold' && blocked.blockedByDrag, 'costs should block the marginal trade');
+    check(near(blocked.grossForce, 0.18) && near(blocked.force, 0.13) && near(blocked.drag, 0.05), 'decision should show how much drag blocked the trade');
+
+    const weak = new PrincipiaEngine({ volatilitySource: 'none' }).analyzeMarket(market(0.1, costs));
+    check(weak.action === 'hold' && !weak.blockedByDrag, 'a force below inertia anyway should not blame drag');
+    console.log('✅ Test passed: Drag applied before inertia\n');
+
+    // Test 3: Strong forces pay the costs and keep their direction
+    console.log('TEST 3: Strong Forces Overcome Drag');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const sell = new PrincipiaEngine({ volatilitySource: 'none', positionModel: 'derivatives' }).analyzeMarket(market(-0.8, costs));
+    console.log(`Sell: gross ${sell.grossForce.toFixed(3)}, net ${sell.force.toFixed(3)}`);
+    check(sell.action === 'sell' && near(sell.force, -0.48 + 0.05), 'drag should oppose the direction of the force');
+    check(near(sell.principia.bookII.costFraction, 0.005), 'decision should report the costs');
+
+    const tiny = new PrincipiaEngine({ volatilitySource: 'none', dragCoefficient: 1000 }).analyzeMarket(market(0.8, costs));
+    check(tiny.force === 0, 'drag should stop the force, never reverse it');
+
+    const frictionless = new PrincipiaEngine({ volatilitySource: 'none', dragCoefficient: 0 }).analyzeMarket(market(0.3, costs));
+    check(frictionless.action === 'buy', 'dragCoefficient 0 should disable drag');
+    console.log('✅ Test passed: Direction kept\n');
+
+    // Test 4: Costs estimated by the trade executor
+    console.log('TEST 4: Trading Cost Estimate');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = createMockExecutor({
+      slippageBps: 50,
+      paper: { balances: { SOL: 10, USDC: 1000 }, feeLamports: 10000 },
+    });
+    const estimate = await executor.estimateTradingCosts('SOL-USDC', 2, 150);
+    console.log('Estimate:', JSON.stringify(estimate));
+    check(estimate.priceImpactPct === 0.1 && estimate.slippageBps === 50, 'impact and slippage should come from the quote and config');
+    check(estimate.feeLamports === 10000 && near(estimate.feeFraction, 0.00001 / 2), 'paper fees should be a fraction of the SOL traded');
+
+    const quoted = createMockExecutor();
+    const live = await quoted.estimateTradingCosts('USDC-SOL', 300, 0.01);
+    check(live.feeLamports === 5000 && near(live.feeFraction, 0.000005 / 3), 'without paper fees the network fee should be used');
+
+    // Live estimates ask for recent fees on the accounts the swap would lock
+    const pool = '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2';
+    const feeConnection = createMockConnection({
+      requests: [],
+      getRecentPrioritizationFees: async (config) => {
+        feeConnection.requests.push(config);
+        return [{ slot: 1, prioritizationFee: 1000 }];
+      },
+    });
+    const routed = createMockExecutor({ dryRun: false }, feeConnection);
+    const simulatedQuote = routed.getQuote.bind(routed);
+    routed.getQuote = async (...args) => ({ ...(await simulatedQuote(...args)), routePlan: [{ swapInfo: { ammKey: pool } }] });
+    const routedCosts = await routed.estimateTradingCosts('SOL-USDC', 2, 150);
+    const locked = feeConnection.requests[0].lockedWritableAccounts.map(key => key.toBase58());
+    console.log(`Fee accounts: ${locked.join(', ')}`);
+    check(locked.length === 3 && locked.includes(pool) && locked.includes(routed.tokenRegistry.resolve('SOL').mint), 'the pair\'s mints and route pools should be passed to the fee RPC');
+    check(routedCosts.feeLamports === 5000 + 400, 'the priority fee should be estimated over the default unit limit');
+    console.log('✅ Test passed: Costs estimated\n');
+
+    // Test 5: The shipped settings leave typical trades alone
+    console.log('TEST 5: Default Settings');
+    console.log('─────────────────────────────────────────────────\n');
+
+    // As the bot builds them: 1% slippage tolerance, paper fees, a trade the size of the position limit
+    const defaults = new PrincipiaEngine();
+    const defaultExecutor = createMockExecutor({ slippageBps: 100, paper: { balances: { SOL: 10, USDC: 1000 } } });
+    const typical = await defaultExecutor.estimateTradingCosts('SOL-USDC', 10 * defaults.config.maxPositionSize, 150);
+    const passed = defaults.analyzeMarket(market(0.3, typical));
+    console.log(`Costs: ${(passed.principia.bookII.costFraction * 100).toFixed(3)}%, drag ${passed.drag.toFixed(3)}, ${passed.action} (force ${passed.force.toFixed(3)})`);
+    check(defaults.config.dragCoefficient === 10 && passed.drag < 0.03, `typical costs should drag little: ${passed.drag}`);
+    check(passed.action === 'buy' && !passed.blockedByDrag, 'a signal clearing inertia should still trade with the default drag');
+    console.log('✅ Test passed: Defaults let typical trades through\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All drag force tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,114 @@
+/**
+ * Test suite for volatility-driven trading mass (Law II)
+ */
+
+const PrincipiaEngine = require('./principia-engine');
+const { check, near } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  DYNAMIC MASS TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Feed prices with no signal, then return the decision for a strong buy signal
+function decide(engine, prices, market = {}) {
+  for (const price of prices) {
+    engine.analyzeMarket({ price, volume: 1000, signalStrength: 0, portfolioValue: 10 });
+  }
+  const price = prices[prices.length - 1];
+  return engine.analyzeMarket({ price, volume: 1000, signalStrength: 0.8, portfolioValue: 10, ...market });
+}
+
+const calm = Array.from({ length: 21 }, (_, i) => 100 + (i % 2) * 0.05);
+const choppy = Array.from({ length: 21 }, (_, i) => 100 + (i % 2) * 3);
+
+try {
+  // Test 1: Realized volatility from the engine's own prices
+  console.log('TEST 1: Realized Volatility from Price History');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const engine = new PrincipiaEngine({ volatilitySource: 'priceHistory', volatilityWindow: 4 });
+  for (const price of [100, 101, 100, 101, 100]) {
+    engine.updateVolatility(price);
+  }
+  const r = Math.log(101 / 100);
+  const expected = Math.sqrt((4 * r * r) / 3); // returns +r, -r, +r, -r around a zero mean
+  console.log(`Volatility: ${engine.volatility.toFixed(6)} (expected ${expected.toFixed(6)})`);
+  check(near(engine.volatility, expected), 'volatility should be the sample stdev of log returns');
+  check(engine.returnHistory.length === 4, 'window should bound the returns kept');
+  check(near(engine.calculateEffectiveMass(0.01), 2), '1% volatility should double the mass at scale 100');
+  console.log('✅ Test passed: Volatility measured\n');
+
+  // Test 2: Choppy markets are heavier
+  console.log('TEST 2: Choppy Markets Move the Position Less');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const calmDecision = decide(new PrincipiaEngine({ volatilitySource: 'priceHistory' }), calm);
+  const choppyDecision = decide(new PrincipiaEngine({ volatilitySource: 'priceHistory' }), choppy);
+  const calmLaw = calmDecision.principia.lawII;
+  const choppyLaw = choppyDecision.principia.lawII;
+  console.log(`Calm:   volatility ${(calmLaw.volatility * 100).toFixed(3)}%, mass ${calmLaw.mass.toFixed(3)}, acceleration ${calmLaw.acceleration.toFixed(4)}`);
+  console.log(`Choppy: volatility ${(choppyLaw.volatility * 100).toFixed(3)}%, mass ${choppyLaw.mass.toFixed(3)}, acceleration ${choppyLaw.acceleration.toFixed(4)}`);
+  check(choppyLaw.volatility > calmLaw.volatility && choppyLaw.mass > calmLaw.mass, 'choppy prices should mean more mass');
+  check(choppyLaw.acceleration < calmLaw.acceleration, 'the same force should accelerate a heavier position less');
+  check(near(calmLaw.acceleration, calmLaw.force / calmLaw.mass), 'a = F / effective mass');
+  check(calmLaw.baseMass === 1 && calmLaw.volatilitySource === 'priceHistory', 'base mass and source reported');
+  console.log('✅ Test passed: Mass follows volatility\n');
+
+  // Test 3: ATR from MarketData
+  console.log('TEST 3: ATR Source');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const atrDecision = decide(new PrincipiaEngine({ volatilitySource: 'atr' }), [100], { indicators: { atr14: 2 } });
+  console.log('Law II:', JSON.stringify(atrDecision.principia.lawII));
+  check(near(atrDecision.principia.lawII.volatility, 0.02) && near(atrDecision.principia.lawII.mass, 3), 'ATR 2 at price 100 should triple the mass');
+
+  const auto = new PrincipiaEngine();
+  const withAtr = decide(auto, [100], { indicators: { atr14: 1 } });
+  const withoutAtr = decide(new PrincipiaEngine(), choppy, { indicators: { atr14: null } });
+  check(auto.config.volatilitySource === 'auto' && withAtr.principia.lawII.volatilitySource === 'atr', 'auto should prefer ATR');
+  check(withoutAtr.principia.lawII.volatilitySource === 'priceHistory' && withoutAtr.principia.lawII.volatility > 0, 'auto should fall back to price history');
+
+  // Holds report mass and volatility too
+  const held = new PrincipiaEngine({ volatilitySource: 'atr' }).analyzeMarket({ price: 100, volume: 1000, signalStrength: 0, portfolioValue: 10, indicators: { atr14: 2 } });
+  console.log('Hold Law II:', JSON.stringify(held.principia.lawII));
+  check(held.action === 'hold' && !held.principia.lawI.overcameInertia, 'no signal should hold');
+  check(near(held.principia.lawII.mass, 3) && near(held.principia.lawII.volatility, 0.02) && held.principia.lawII.volatilitySource === 'atr', 'holds should carry mass and volatility');
+  check(held.principia.lawII.acceleration === 0, 'a hold does not accelerate the position');
+  console.log('✅ Test passed: ATR used when supplied\n');
+
+  // Test 4: Fixed mass and configuration
+  console.log('TEST 4: Fixed Mass and Configuration');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const fixed = decide(new PrincipiaEngine({ volatilitySource: 'none', tradingMass: 2 }), choppy);
+  check(fixed.principia.lawII.mass === 2 && fixed.principia.lawII.volatility === 0, 'none should keep the configured mass');
+
+  const scaled = new PrincipiaEngine({ volatilityScale: 0 });
+  check(decide(scaled, choppy).principia.lawII.mass === 1, 'scale 0 should disable the adjustment');
+
+  let rejected = 0;
+  for (const attempt of [() => new PrincipiaEngine({ volatilitySource: 'vix' }), () => scaled.updateConfig({ volatilitySource: 'vix' })]) {
+    try {
+      attempt();
+    } catch (error) {
+      rejected++;
+      console.log(`Error: ${error.message}`);
+    }
+  }
+  check(rejected === 2, 'unknown volatility sources should throw');
+
+  const state = scaled.getState();
+  check(state.effectiveMass === 1 && state.volatility > 0, 'state should report volatility and effective mass');
+  scaled.reset();
+  check(scaled.getState().volatility === 0 && scaled.returnHistory.length === 0, 'reset should clear volatility');
+  console.log('✅ Test passed: Configuration applied\n');
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  TEST SUITE COMPLETE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('\n✅ All dynamic mass tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+/**
+ * Test suite for configurable force composition
+ */
+
+const PrincipiaEngine = require('./principia-engine');
+const { registerForceComponent, resolveForceWeights } = require('./force-components');
+const { check, near } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  FORCE COMPOSITION TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const market = {
+  price: 100,
+  volume: 1000,
+  signalStrength: 0.5,
+  portfolioValue: 10,
+  keyLevels: [{ price: 99, volume: 5000 }],
+};
+
+const component = (decision, name) => decision.forces.find(c => c.name === name);
+
+try {
+  // Test 1: Built-in components reproduce the original weighting
+  console.log('TEST 1: Default Composition');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const decision = new PrincipiaEngine({ volatilitySource: 'none' }).analyzeMarket(market);
+  for (const c of decision.forces) {
+    console.log(`${c.name}: ${c.value.toFixed(4)} × ${c.weight} = ${c.contribution.toFixed(4)}`);
+  }
+  const expected = 0.5 * 0.6 + component(decision, 'momentum').value * 0.2 + component(decision, 'gravitation').value * 0.2;
+  check(near(decision.force, expected), 'default weights should be signal 0.6, momentum 0.2, gravitation 0.2');
+  check(decision.forces.map(c => c.name).join(',') === 'signal,momentum,gravitation,interAsset', 'decision should break down every component');
+  check(near(component(decision, 'signal').contribution, 0.3), 'contribution should be value × weight');
+  check(component(decision, 'gravitation').value < 0, 'a level just below should pull the price down');
+  check(near(decision.forces.reduce((sum, c) => sum + c.contribution, 0), decision.force), 'contributions should add up to the force');
+  console.log('✅ Test passed: Defaults kept\n');
+
+  // Test 2: Weights from config
+  console.log('TEST 2: Configured Weights');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const signalOnly = new PrincipiaEngine({ volatilitySource: 'none', forces: { signal: 1, momentum: 0, gravitation: 0 } });
+  const weighted = signalOnly.analyzeMarket(market);
+  console.log(`Signal-only force: ${weighted.force.toFixed(3)}`);
+  check(near(weighted.force, 0.5), 'signal weight 1 with others off should pass the signal through');
+  check(component(weighted, 'interAsset').weight === 0.2, 'components left out should keep their default weight');
+
+  const weak = new PrincipiaEngine({ volatilitySource: 'none', forces: { signal: 0.2 } }).analyzeMarket(market);
+  check(weak.action === 'hold' && weak.forces.length === 4, 'hold decisions should include the breakdown too');
+  console.log('✅ Test passed: Weights applied\n');
+
+  // Test 3: Custom components
+  console.log('TEST 3: Custom Force Component');
+  console.log('─────────────────────────────────────────────────\n');
+
+  registerForceComponent('funding', (context) => context.marketData.fundingRate === undefined ? null : -context.marketData.fundingRate * 100);
+  check(resolveForceWeights().funding === 0, 'custom components should default to weight 0');
+
+  const engine = new PrincipiaEngine({ volatilitySource: 'none', forces: { funding: 0.5 } });
+  const funded = engine.analyzeMarket({ ...market, fundingRate: -0.002 });
+  const funding = component(funded, 'funding');
+  console.log(`funding: ${funding.value.toFixed(3)} × ${funding.weight} = ${funding.contribution.toFixed(3)}`);
+  check(near(funding.contribution, 0.1), 'custom components should contribute value × weight');
+  check(component(engine.analyzeMarket(market), 'funding').value === 0, 'a null value should contribute nothing');
+  console.log('✅ Test passed: Custom component added\n');
+
+  // Test 4: Validation and runtime updates
+  console.log('TEST 4: Validation and Updates');
+  console.log('─────────────────────────────────────────────────\n');
+
+  let rejected = 0;
+  for (const attempt of [
+    () => new PrincipiaEngine({ forces: { gravity: 0.2 } }),
+    () => new PrincipiaEngine({ forces: { signal: -1 } }),
+    () => engine.updateConfig({ forces: { momentum: 'high' } }),
+    () => registerForceComponent('broken', 0.5),
+  ]) {
+    try {
+      attempt();
+    } catch (error) {
+      rejected++;
+      console.log(`Error: ${error.message}`);
+    }
+  }
+  check(rejected === 4, 'unknown components and invalid weights should throw');
+  check(engine.config.forces.funding === 0.5, 'a rejected update should keep the weights');
+
+  engine.updateConfig({ forces: { signal: 0.3 } });
+  check(engine.config.forces.signal === 0.3 && engine.config.forces.funding === 0, 'an update should replace the weights');
+  console.log('✅ Test passed: Configuration validated\n');
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  TEST SUITE COMPLETE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('\n✅ All force composition tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
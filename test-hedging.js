@@ -0,0 +1,146 @@
+/**
+ * Test suite for Law III hedges
+ */
+
+const HedgeManager = require('./hedge-manager');
+const PrincipiaEngine = require('./principia-engine');
+const { registerHedgeInstrument } = require('./hedge-instruments');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  HEDGING TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+function createExecutor() {
+  return createMockExecutor({ paper: { balances: { SOL: 10, USDC: 1000, USDT: 1000 } } });
+}
+
+// Perp-style venue that records the orders it is sent
+class RecordingPerpHedge {
+  constructor(tradeExecutor, config = {}) {
+    this.name = 'recording-perp';
+    this.leverage = config.leverage || 1;
+    this.orders = [];
+  }
+
+  async trade(pair, side, quantity, price) {
+    this.orders.push({ pair, side, quantity, price });
+    return { success: true, dryRun: true, quantity };
+  }
+}
+
+(async () => {
+  try {
+    const engine = new PrincipiaEngine({ riskReactionRatio: 1.0 });
+    const reaction = engine.calculateReaction(0.2);
+
+    // Test 1: Hedge opened on entry
+    console.log('TEST 1: Open Hedge on Entry');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = createExecutor();
+    const hedges = new HedgeManager(executor);
+    const solBefore = executor.paperAccount.getBalance('SOL');
+    const opened = await hedges.sync('SOL-USDC', { side: 'long', quantity: 2 }, reaction, 0.2, 150);
+    const hedge = hedges.getHedge('SOL-USDC');
+    console.log(`hedgeSize ${reaction.hedgeSize} for size 0.2 -> ${hedge.side} ${hedge.quantity} SOL`);
+    check(opened.success && opened.purpose === 'hedge' && opened.side === 'sell', 'hedge should be a sell tagged as hedge');
+    check(hedge.side === 'short' && near(hedge.quantity, 0.4) && hedge.entryPrice === 150, '2 SOL long should be hedged by 0.4 SOL');
+    check(opened.outputSymbol === 'USDC', 'hedge should be parked in USDC');
+    check(near(solBefore - executor.paperAccount.getBalance('SOL'), 0.4 + 0.000005, 1e-9), 'paper SOL should be parked');
+    console.log('✅ Test passed: Counter-position opened\n');
+
+    // Test 2: Resizing follows the position
+    console.log('TEST 2: Resize With the Position');
+    console.log('─────────────────────────────────────────────────\n');
+
+    check(await hedges.sync('SOL-USDC', { side: 'long', quantity: 2.1 }, reaction, 0.2, 150) === null,
+      'a change below the rebalance threshold should be ignored');
+    const grown = await hedges.sync('SOL-USDC', { side: 'long', quantity: 3 }, reaction, 0.2, 160);
+    console.log(`Grown: ${hedges.getHedge('SOL-USDC').quantity} SOL @ ${hedges.getHedge('SOL-USDC').entryPrice.toFixed(4)}`);
+    check(grown.success && near(hedges.getHedge('SOL-USDC').quantity, 0.6), 'hedge should grow to 0.6 SOL');
+    check(near(hedges.getHedge('SOL-USDC').entryPrice, (0.4 * 150 + 0.2 * 160) / 0.6), 'hedge entry should be averaged');
+
+    const shrunk = await hedges.sync('SOL-USDC', { side: 'long', quantity: 1 }, reaction, 0.2, 160);
+    check(shrunk.success && shrunk.side === 'buy' && shrunk.inputSymbol === 'USDC', 'shrinking should buy back from USDC');
+    check(near(hedges.getHedge('SOL-USDC').quantity, 0.6 - shrunk.quantity) && shrunk.quantity > 0.39, 'hedge should shrink by the filled amount');
+    console.log('✅ Test passed: Hedge resized\n');
+
+    // Test 3: Closing the position unwinds the hedge
+    console.log('TEST 3: Unwind on Close');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const unwound = await hedges.sync('SOL-USDC', null, null, 0, 160);
+    const stats = hedges.getStatistics();
+    console.log('Stats:', JSON.stringify(stats));
+    check(unwound.success && hedges.getHedge('SOL-USDC') === null, 'hedge should be closed');
+    check(stats.opened === 1 && stats.resized === 2 && stats.closed === 1 && stats.openHedges === 0, 'lifecycle counts');
+    check(await hedges.sync('SOL-USDC', null, null, 0, 160) === null, 'no hedge and no position needs no trade');
+    console.log('✅ Test passed: Hedge unwound\n');
+
+    // Test 4: Hedge swaps are tracked separately
+    console.log('TEST 4: Separate History and Statistics');
+    console.log('─────────────────────────────────────────────────\n');
+
+    await executor.executeBuy('SOL-USDC', 0.1, 10.0, 160);
+    const tradeStats = executor.getStatistics();
+    console.log('Executor stats:', JSON.stringify(tradeStats));
+    check(tradeStats.totalTrades === 1 && tradeStats.hedgeTrades === 4, 'hedges should not count as trades');
+    check(executor.getTradeHistory(100, 'hedge').length === 4, 'hedge history should be filterable');
+    check(executor.getTradeHistory(100, 'trade').length === 1 && executor.getTradeHistory(100).length === 5, 'trade history filter');
+    console.log('✅ Test passed: Hedges tracked separately\n');
+
+    // Test 5: Shorts, stablecoin choice and disabling
+    console.log('TEST 5: Short Hedge, USDT and Disabled Hedging');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const usdt = new HedgeManager(createExecutor(), { stablecoin: { symbol: 'USDT' } });
+    const longHedge = await usdt.sync('SOL-USDC', { side: 'short', quantity: 1 }, reaction, 0.2, 150);
+    console.log(`Short 1 SOL hedged by buying ${longHedge.outputUiAmount} SOL with ${longHedge.inputUiAmount} ${longHedge.inputSymbol}`);
+    check(longHedge.success && longHedge.inputSymbol === 'USDT' && usdt.getHedge('SOL-USDC').side === 'long', 'short should be hedged long from USDT');
+
+    usdt.updateConfig({ enabled: false, stablecoin: { symbol: 'USDT' } });
+    const disabled = await usdt.sync('SOL-USDC', { side: 'short', quantity: 1 }, reaction, 0.2, 150);
+    check(disabled.success && usdt.list().length === 0, 'disabling should unwind on the next sync');
+
+    let rejected = 0;
+    for (const config of [{ instrument: 'options' }, { stablecoin: { symbol: 'NOPE' } }, { rebalanceThreshold: -1 }]) {
+      try {
+        new HedgeManager(executor, config);
+      } catch (error) {
+        rejected++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(rejected === 3, 'invalid hedge config should throw');
+    console.log('✅ Test passed: Configuration applied\n');
+
+    // Test 6: Pluggable instruments
+    console.log('TEST 6: Pluggable Instrument');
+    console.log('─────────────────────────────────────────────────\n');
+
+    registerHedgeInstrument('recording-perp', RecordingPerpHedge);
+    const perp = new HedgeManager(executor, { instrument: 'recording-perp', 'recording-perp': { leverage: 3 } });
+    await perp.sync('JUP-USDC', { side: 'long', quantity: 100 }, reaction, 0.2, 0.5);
+    const venue = perp.instrument;
+    const order = venue.orders[0];
+    console.log(`Order: ${order.side} ${order.quantity} ${order.pair} @ ${order.price}`);
+    check(venue.leverage === 3, 'instrument should get its config section');
+    check(order.side === 'sell' && near(order.quantity, 20), 'perp should get the hedge order');
+
+    perp.updateConfig({});
+    await perp.sync('JUP-USDC', null, null, 0, 0.5);
+    check(perp.instrument.name === 'stablecoin' && perp.list().length === 0, 'hedge should be closed');
+    check(venue.orders.length === 2 && venue.orders[1].side === 'buy', 'hedge should unwind on the venue it was opened on');
+    console.log('✅ Test passed: Instrument plugged in\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All hedging tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
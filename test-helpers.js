@@ -0,0 +1,61 @@
+/**
+ * Helpers shared by the test suites (test-*.js)
+ *
+ * Assertions, plus a trade executor that runs without a network: dry run on
+ * devnet against a connection and wallet stand-in.
+ */
+
+const TradeExecutor = require('./trade-executor');
+
+/**
+ * Fail the suite when a condition does not hold
+ * @param {boolean} condition - What should be true
+ * @param {string} message - What went wrong otherwise
+ */
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Compare numbers within a tolerance
+ * @param {number} a - Value
+ * @param {number} b - Expected value
+ * @param {number} tolerance - Largest difference allowed
+ * @returns {boolean}
+ */
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/**
+ * Connection that answers getVersion, plus any methods a suite adds
+ * @param {object} methods - Connection methods to add or replace
+ * @returns {object} - Connection stand-in
+ */
+function createMockConnection(methods = {}) {
+  return {
+    getVersion: async () => ({ 'solana-core': '1.0.0' }),
+    ...methods,
+  };
+}
+
+/**
+ * Dry-run devnet trade executor on a connection and wallet stand-in
+ * @param {object} config - Executor settings over those defaults
+ * @param {object} connection - Connection to use instead of the stand-in
+ * @returns {TradeExecutor}
+ */
+function createMockExecutor(config = {}, connection = createMockConnection()) {
+  return new TradeExecutor(connection, { getPublicKey: () => 'MockPublicKey123' }, {
+    dryRun: true,
+    network: 'devnet',
+    ...config,
+  });
+}
+
+module.exports = {
+  check,
+  near,
+  createMockConnection,
+  createMockExecutor,
+};
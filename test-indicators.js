@@ -0,0 +1,159 @@
+/**
+ * Test suite for the indicator library and signal composition
+ */
+
+const indicators = require('./indicators');
+const SignalComposer = require('./signal-composer');
+const MarketData = require('./market-data');
+const { check, near } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  INDICATOR & SIGNAL COMPOSITION TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const candle = (close, volume = 1, range = 1) => ({
+  open: close, high: close + range, low: close - range, close, volume, ticks: 1,
+});
+
+(async () => {
+  try {
+    // Test 1: Moving averages
+    console.log('TEST 1: SMA / EMA');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const series = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    console.log(`SMA(5)=${indicators.sma(series, 5)}, EMA(5)=${indicators.ema(series, 5)}`);
+    check(indicators.sma(series, 5) === 8, 'SMA(5) of 1..10 should be 8');
+    check(near(indicators.ema(series, 5), 8), 'EMA of a linear series lags by (period-1)/2');
+    check(indicators.sma(series, 20) === null, 'insufficient data should return null');
+    console.log('✅ Test passed: Moving averages\n');
+
+    // Test 2: RSI
+    console.log('TEST 2: RSI');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const rising = Array.from({ length: 30 }, (_, i) => 100 + i);
+    const falling = rising.slice().reverse();
+    const flat = Array(30).fill(100);
+    console.log(`Rising=${indicators.rsi(rising)}, Falling=${indicators.rsi(falling)}, Flat=${indicators.rsi(flat)}`);
+    check(indicators.rsi(rising) === 100 && indicators.rsi(falling) === 0, 'RSI extremes');
+    check(indicators.rsi(flat) === 50, 'flat series should read 50');
+    console.log('✅ Test passed: RSI\n');
+
+    // Test 3: MACD and Bollinger Bands
+    console.log('TEST 3: MACD / Bollinger Bands');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const accelerating = Array.from({ length: 60 }, (_, i) => 100 + i * i * 0.01);
+    const macdValue = indicators.macd(accelerating);
+    const bands = indicators.bollinger([...Array(19).fill(100), 110]);
+    console.log('MACD:', JSON.stringify(macdValue));
+    console.log('Bollinger:', JSON.stringify(bands));
+    check(macdValue.macd > 0 && macdValue.histogram > 0, 'accelerating uptrend should have positive MACD histogram');
+    check(indicators.macd(accelerating.slice(0, 30)) === null, 'MACD needs slow + signal bars');
+    check(bands.middle === 100.5 && bands.percentB > 1, 'spike should close above the upper band');
+    console.log('✅ Test passed: MACD and Bollinger Bands\n');
+
+    // Test 4: ATR and VWAP
+    console.log('TEST 4: ATR / VWAP');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const ranged = Array.from({ length: 20 }, () => candle(100, 10, 2));
+    const weighted = [candle(100, 1, 0), candle(110, 3, 0)];
+    console.log(`ATR=${indicators.atr(ranged)}, VWAP=${indicators.vwap(weighted)}`);
+    check(indicators.atr(ranged) === 4, 'constant 4-point range should give ATR 4');
+    check(indicators.vwap(weighted) === 107.5, 'VWAP should weight by volume');
+    check(indicators.vwap([candle(100, 0)]) === null, 'no volume should give null VWAP');
+    console.log('✅ Test passed: ATR and VWAP\n');
+
+    // Test 5: Default composition reproduces the legacy SMA20 signal
+    console.log('TEST 5: Default Composition');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const closes = Array.from({ length: 25 }, (_, i) => 100 + Math.sin(i) * 3);
+    const price = 101.5;
+    const sma20 = closes.slice(-20).reduce((sum, v) => sum + v, 0) / 20;
+    const legacy = Math.max(-1, Math.min(1, (price - sma20) / sma20 * 10));
+    const composed = new SignalComposer().compose(closes.map(c => candle(c)), price);
+    console.log(`Legacy=${legacy.toFixed(6)}, Composed=${composed.signalStrength.toFixed(6)}`);
+    check(near(composed.signalStrength, legacy), 'default composition should match legacy signal');
+    check(new SignalComposer().compose(closes.slice(0, 10).map(c => candle(c)), price).signalStrength === 0,
+      'no signal before 20 bars');
+    console.log('✅ Test passed: Legacy signal preserved\n');
+
+    // Test 6: Weighted multi-indicator composition
+    console.log('TEST 6: Weighted Composition');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const composer = new SignalComposer({
+      components: [
+        { indicator: 'sma', weight: 3, scale: 10 },
+        { indicator: 'rsi', weight: 1 },
+        { name: 'trend-rsi', indicator: 'rsi', weight: 1, invert: false, normalize: 'tanh' },
+      ],
+    });
+    const uptrend = rising.map(c => candle(c));
+    const result = composer.compose(uptrend, 130);
+    result.components.forEach(c => {
+      console.log(`  ${c.name}: raw=${c.raw?.toFixed(3)} normalized=${c.normalized.toFixed(3)} weight=${c.weight}`);
+    });
+    const total = result.components.reduce((sum, c) => sum + c.contribution, 0);
+    check(result.components[1].normalized === -1, 'inverted RSI at 100 should read -1');
+    check(near(result.components[2].normalized, Math.tanh(1)), 'tanh normalization');
+    check(near(result.signalStrength, total), 'signal should be the weighted average');
+    console.log(`Signal strength: ${result.signalStrength.toFixed(3)}`);
+    console.log('✅ Test passed: Components weighted and normalized\n');
+
+    // Test 7: Invalid compositions are rejected
+    console.log('TEST 7: Invalid Composition');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const invalid = [
+      { components: [] },
+      { components: [{ indicator: 'stochastic' }] },
+      { components: [{ indicator: 'sma', normalize: 'cubic' }] },
+      { components: [{ indicator: 'sma', weight: 0 }] },
+    ];
+    let rejected = 0;
+    for (const config of invalid) {
+      try {
+        new SignalComposer(config);
+      } catch (error) {
+        rejected++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(rejected === invalid.length, 'every invalid composition should throw');
+    console.log('✅ Test passed: Invalid compositions rejected\n');
+
+    // Test 8: MarketData publishes composed signal and indicators
+    console.log('TEST 8: MarketData Integration');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const marketData = new MarketData({
+      network: 'devnet',
+      signal: { components: [{ indicator: 'ema', period: 5 }, { indicator: 'bollinger', period: 5 }] },
+    });
+    let data;
+    for (let i = 0; i < 5; i++) {
+      data = await marketData.getMarketData('SOL-USDC', 10);
+    }
+    console.log('Components:', data.signalComponents.map(c => c.name).join(', '));
+    console.log('Indicators:', Object.keys(data.indicators).join(', '));
+    check(data.signalComponents.length === 2 && data.signalComponents[0].name === 'ema5', 'configured components should be used');
+    check('atr14' in data.indicators && 'vwap' in data.indicators, 'indicator snapshot should be published');
+    marketData.setSignalComposition({ components: [{ indicator: 'macd' }] });
+    data = await marketData.getMarketData('SOL-USDC', 10);
+    check(data.signalComponents[0].name === 'macd', 'composition should be replaceable at runtime');
+    console.log('✅ Test passed: Signal composition configurable\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All indicator tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
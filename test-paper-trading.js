@@ -0,0 +1,134 @@
+/**
+ * Test suite for the paper-trading account
+ */
+
+const PaperAccount = require('./paper-account');
+const TokenRegistry = require('./token-registry');
+const DecisionJournal = require('./decision-journal');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  PAPER TRADING TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+(async () => {
+  try {
+    const registry = new TokenRegistry();
+    const executor = createMockExecutor({
+      tokenRegistry: registry,
+      paper: { balances: { SOL: 10, USDC: 1000 }, feeLamports: 5000 },
+    });
+    const paper = executor.paperAccount;
+
+    // Test 1: Starting balances
+    console.log('TEST 1: Starting Balances');
+    console.log('─────────────────────────────────────────────────\n');
+
+    paper.markPrice('SOL', 150);
+    console.log('Summary:', JSON.stringify(paper.getSummary()));
+    check(paper.getBalance('SOL') === 10 && paper.getBalance('USDC') === 1000, 'starting balances');
+    check(paper.getPnl().startingValue === 2500, 'starting value should be 10 SOL @ 150 + 1000 USDC');
+    console.log('✅ Test passed: Paper account funded\n');
+
+    // Test 2: Buy fills at the quote, with slippage and fees
+    console.log('TEST 2: Paper Buy');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const buy = await executor.executeBuy('SOL-USDC', 0.1, 10.0, 150);
+    console.log(`SOL: ${paper.getBalance('SOL')}, USDC: ${paper.getBalance('USDC')}`);
+    check(buy.success && buy.outputAmount === 995000000, 'buy should receive 0.995 SOL after simulated slippage');
+    check(paper.getBalance('USDC') === 850, 'buy should spend 150 USDC');
+    check(paper.getBalance('SOL') === 10.994995, 'buy should add SOL less the 5000 lamport fee');
+    check(buy.fees.lamports === 5000, 'fee should be recorded on the trade');
+    const afterBuy = paper.getPnl();
+    console.log(`Unrealized: ${afterBuy.unrealized.toFixed(6)}, realized: ${afterBuy.realized.toFixed(6)}`);
+    check(afterBuy.unrealized < 0 && near(afterBuy.unrealized, -0.75, 0.001), 'slippage should show as unrealized loss');
+    console.log('✅ Test passed: Balances updated\n');
+
+    // Test 3: Selling above cost realizes a gain
+    console.log('TEST 3: Paper Sell and Realized PnL');
+    console.log('─────────────────────────────────────────────────\n');
+
+    paper.markPrice('SOL', 160);
+    const sell = await executor.executeSell('SOL-USDC', 0.2, 10.0, 160);
+    const afterSell = paper.getPnl();
+    console.log(`Sold 2 SOL -> ${sell.outputUiAmount} USDC, realized ${afterSell.realized.toFixed(4)}, unrealized ${afterSell.unrealized.toFixed(4)}`);
+    check(sell.success && sell.outputUiAmount === 318.4, '2 SOL at 160 less 0.5% slippage should be 318.4 USDC');
+    check(afterSell.realized > 0 && sell.paper.realizedPnl > 0, 'sale above cost should realize a gain');
+    check(near(afterSell.equity - afterSell.startingValue, afterSell.total, 1e-6), 'equity change should equal total PnL');
+    console.log('✅ Test passed: Realized PnL reported\n');
+
+    // Test 4: Marking to market moves unrealized PnL only
+    console.log('TEST 4: Unrealized PnL');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const before = paper.getPnl();
+    paper.markPrice('SOL', 140);
+    const after = paper.getPnl();
+    const solHeld = paper.getBalance('SOL');
+    console.log(`Unrealized ${before.unrealized.toFixed(4)} -> ${after.unrealized.toFixed(4)}`);
+    check(near(after.unrealized - before.unrealized, -20 * solHeld, 1e-6), 'a 20 USDC drop should cost 20 per SOL held');
+    check(after.realized === before.realized, 'marking should not realize PnL');
+    console.log('✅ Test passed: Unrealized PnL follows the mark\n');
+
+    // Test 5: Rejection when funds run out
+    console.log('TEST 5: Insufficient Funds');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const historyBefore = executor.getTradeHistory(100).length;
+    const balancesBefore = JSON.stringify(paper.getSummary().balances);
+    const ledgerBefore = JSON.stringify(executor.ledger.getPosition('SOL-USDC'));
+    const tooBig = await executor.executeBuy('SOL-USDC', 2, 10.0, 140);
+    const tooMuchSol = await executor.executeSell('SOL-USDC', 5, 10.0, 140);
+    console.log(`Buy: ${tooBig.reason}`);
+    console.log(`Sell: ${tooMuchSol.reason}`);
+    check(!tooBig.success && /Insufficient paper USDC/.test(tooBig.reason), 'buy beyond USDC balance should be rejected');
+    check(!tooMuchSol.success && /Insufficient paper SOL/.test(tooMuchSol.reason), 'sell beyond SOL balance should be rejected');
+    check(JSON.stringify(paper.getSummary().balances) === balancesBefore, 'rejected fills should not move balances');
+    const history = executor.getTradeHistory(100);
+    check(history.length === historyBefore + 2 && history.slice(-2).every(trade => !trade.success && trade.dryRun), 'rejected fills should be kept as failed trades');
+    check(history[history.length - 1].reason === tooMuchSol.reason && tooBig.id && tooBig.side === 'buy', 'failed trades should carry their id, side and reason');
+    check(executor.getStatistics().successfulTrades === executor.getStatistics().totalTrades - 2, 'rejected fills should count against the success rate');
+    check(JSON.stringify(executor.ledger.getPosition('SOL-USDC')) === ledgerBefore, 'rejected fills should not be booked');
+    const journaled = DecisionJournal.summarizeTrade(tooBig);
+    check(journaled.id === tooBig.id && !journaled.success && journaled.reason === tooBig.reason, 'the journal should link the failed trade and its reason');
+
+    const broke = new PaperAccount({ balances: { USDC: 100 }, tokenRegistry: registry });
+    const noFee = broke.fill({ inputMint: USDC_MINT, outputMint: SOL_MINT, inputAmount: 10000000, quotedOutAmount: 66000000 });
+    console.log(`Fee: ${noFee.reason}`);
+    check(!noFee.success && /for fees/.test(noFee.reason), 'swap without SOL for fees should be rejected');
+    console.log('✅ Test passed: Overdrafts rejected\n');
+
+    // Test 6: Real quotes get slippage applied; fees count against PnL
+    console.log('TEST 6: Slippage and Fees on Real Quotes');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const account = new PaperAccount({ balances: { SOL: 1, USDC: 0 }, feeLamports: 1000000, tokenRegistry: registry });
+    account.markPrice('SOL', 100);
+    const fill = account.fill({
+      inputMint: SOL_MINT,
+      outputMint: USDC_MINT,
+      inputAmount: 500000000,
+      quotedOutAmount: 50000000,
+      slippageBps: 100,
+    });
+    const pnl = account.getPnl();
+    console.log(`Received ${account.getBalance('USDC')} USDC, realized ${pnl.realized.toFixed(4)}, fees ${pnl.feesPaid} SOL`);
+    check(fill.success && account.getBalance('USDC') === 49.5, '1% slippage should be taken off the quote');
+    check(near(pnl.realized, -0.5 - 0.1), 'slippage and the 0.001 SOL fee should be realized losses');
+    check(pnl.feesPaid === 0.001, 'fees paid should be tracked in SOL');
+    console.log('✅ Test passed: Slippage and fees charged\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All paper trading tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,103 @@
+/**
+ * Test suite for the portfolio ledger
+ */
+
+const PortfolioLedger = require('./portfolio-ledger');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  PORTFOLIO LEDGER TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+(async () => {
+  try {
+    // Test 1: Lots and average entry
+    console.log('TEST 1: Lots and Average Entry');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const ledger = new PortfolioLedger();
+    ledger.recordFill({ pair: 'SOL-USDC', side: 'buy', quantity: 2, price: 100 });
+    const position = ledger.recordFill({ pair: 'SOL-USDC', side: 'buy', quantity: 1, price: 130, feeLamports: 5000 });
+    console.log('Position:', JSON.stringify(position));
+    check(position.side === 'long' && position.quantity === 3 && position.lots === 2, 'two long lots');
+    check(near(position.averageEntry, 110), 'average entry should be weighted');
+    check(position.realizedPnl === 0 && position.feesSol === 0.000005, 'no realized PnL yet, fee tracked');
+    console.log('✅ Test passed: Lots booked\n');
+
+    // Test 2: Realized and unrealized PnL
+    console.log('TEST 2: Realized and Unrealized PnL');
+    console.log('─────────────────────────────────────────────────\n');
+
+    ledger.markPrice('SOL-USDC', 120);
+    check(near(ledger.getPosition('SOL-USDC').unrealizedPnl, 30), '3 SOL at 120 against 330 cost');
+
+    const sold = ledger.recordFill({ pair: 'SOL-USDC', side: 'sell', quantity: 2.5, price: 120 });
+    console.log('After selling 2.5:', JSON.stringify(sold));
+    check(near(sold.realizedPnl, 2 * 20 + 0.5 * -10), 'oldest lot should close first');
+    check(near(sold.quantity, 0.5) && sold.lots === 1 && near(sold.averageEntry, 130), 'remaining half of the 130 lot');
+    check(near(sold.unrealizedPnl, -5) && near(sold.totalPnl, 30), 'unrealized on the remaining lot');
+    console.log('✅ Test passed: PnL split into realized and unrealized\n');
+
+    // Test 3: Shorts and flips
+    console.log('TEST 3: Short Positions and Flips');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const flipped = ledger.recordFill({ pair: 'SOL-USDC', side: 'sell', quantity: 1.5, price: 140 });
+    console.log('After flipping:', JSON.stringify(flipped));
+    check(flipped.side === 'short' && near(flipped.quantity, -1) && flipped.averageEntry === 140, 'sell through flat should open a short');
+    check(near(flipped.realizedPnl, 35 + 5), 'closing the long should realize its gain');
+
+    ledger.markPrice('SOL-USDC', 130);
+    check(near(ledger.getPosition('SOL-USDC').unrealizedPnl, 10), 'short gains as price falls');
+    const covered = ledger.recordFill({ pair: 'SOL-USDC', side: 'buy', quantity: 1, price: 130 });
+    check(covered.side === 'flat' && covered.averageEntry === null && near(covered.realizedPnl, 50), 'covering should realize the short');
+    console.log('✅ Test passed: Shorts booked\n');
+
+    // Test 4: Hedge books
+    console.log('TEST 4: Hedge Book Kept Apart');
+    console.log('─────────────────────────────────────────────────\n');
+
+    ledger.recordFill({ pair: 'JUP-USDC', side: 'buy', quantity: 100, price: 0.5 });
+    ledger.recordFill({ pair: 'JUP-USDC', side: 'sell', quantity: 20, price: 0.5, purpose: 'hedge' });
+    ledger.markPrice('JUP-USDC', 0.6);
+    const trading = ledger.getPosition('JUP-USDC');
+    const hedge = ledger.getPosition('JUP-USDC', 'hedge');
+    console.log(`Trading ${trading.quantity} (${trading.unrealizedPnl.toFixed(2)}), hedge ${hedge.quantity} (${hedge.unrealizedPnl.toFixed(2)})`);
+    check(trading.quantity === 100 && hedge.quantity === -20, 'hedge should not net against the position');
+    check(near(trading.unrealizedPnl, 10) && near(hedge.unrealizedPnl, -2), 'both books marked');
+    check(ledger.getPositions('hedge').length === 1 && ledger.getPositions().length === 3, 'positions listed per book');
+    const totals = ledger.getTotals();
+    check(totals.openPositions === 2 && near(totals.totalPnl, 50 + 10 - 2) && totals.fills === 7, 'totals across books');
+    console.log('✅ Test passed: Hedges booked separately\n');
+
+    // Test 5: Trade executor books every fill
+    console.log('TEST 5: Trade Executor Integration');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = createMockExecutor({ paper: { balances: { SOL: 1, USDC: 1000 } } });
+
+    const buy = await executor.executeBuy('SOL-USDC', 0.1, 10.0, 150);
+    const booked = executor.ledger.getPosition('SOL-USDC');
+    console.log('Booked:', JSON.stringify(booked));
+    check(booked.quantity === buy.outputUiAmount && near(booked.averageEntry, buy.inputUiAmount / buy.outputUiAmount), 'buy should be booked at its fill');
+    check(booked.feesSol === 0.000005, 'paper fee should be booked');
+
+    await executor.executeSell('SOL-USDC', 0.5, 10.0, 150);
+    await executor.executeBuy('SOL-USDC', 1, 100.0, 150);
+    executor.ledger.markPrice('SOL-USDC', 160);
+    const stats = executor.getStatistics();
+    console.log('Stats:', JSON.stringify(stats));
+    check(executor.ledger.fills.length === 1, 'rejected and below-minimum swaps should not be booked');
+    check(stats.openPositions === 1 && near(stats.unrealizedPnl, booked.quantity * 160 - buy.inputUiAmount), 'statistics should read the ledger');
+    console.log('✅ Test passed: Fills booked from the executor\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All portfolio ledger tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,129 @@
+/**
+ * Test suite for position models (spot-long-only, spot-long-flat, derivatives)
+ */
+
+const PrincipiaEngine = require('./principia-engine');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  POSITION MODEL TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Strong signal in one direction, no momentum or gravitation
+const market = (signalStrength) => ({ price: 100, volume: 1000, signalStrength, keyLevels: [], portfolioValue: 10 });
+
+function createExecutor(positionModel) {
+  return createMockExecutor({ positionModel, paper: { balances: { SOL: 10, USDC: 1000 } } });
+}
+
+(async () => {
+  try {
+    // Test 1: Spot long/flat never goes short
+    console.log('TEST 1: spot-long-flat (Default)');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const flat = new PrincipiaEngine();
+    check(flat.config.positionModel === 'spot-long-flat', 'spot-long-flat should be the default');
+    const bearish = flat.analyzeMarket(market(-1));
+    console.log(`From flat on a sell signal: ${bearish.action}, size ${bearish.positionSize}`);
+    check(bearish.action === 'hold' && bearish.positionSize === 0, 'flat position should not be sold short');
+
+    const bought = flat.analyzeMarket(market(1));
+    const sold = flat.analyzeMarket(market(-1));
+    console.log(`Long ${bought.positionSize.toFixed(2)} -> ${sold.action} to ${sold.positionSize} (${sold.position})`);
+    check(bought.action === 'buy' && bought.position === 'long', 'buy signal should go long');
+    check(sold.action === 'sell' && sold.positionSize === 0 && sold.position === 'neutral', 'sell signal should stop at flat');
+    console.log('✅ Test passed: Long or flat only\n');
+
+    // Test 2: Long-only never sells on signals
+    console.log('TEST 2: spot-long-only');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const longOnly = new PrincipiaEngine({ positionModel: 'spot-long-only' });
+    const first = longOnly.analyzeMarket(market(0.5));
+    const held = longOnly.analyzeMarket(market(-1));
+    console.log(`Long ${first.positionSize.toFixed(2)}, sell signal -> ${held.action}, size ${held.positionSize.toFixed(2)}`);
+    check(first.action === 'buy' && held.action === 'hold' && held.positionSize === first.positionSize, 'sell signal should be ignored');
+    check(longOnly.analyzeMarket(market(1)).action === 'buy', 'buy signals should still add');
+    longOnly.closePosition(100, 'Law III stop-loss');
+    check(longOnly.getState().positionSize === 0, 'protective exits still close the position');
+    console.log('✅ Test passed: Long positions only built up\n');
+
+    // Test 3: Derivatives keeps shorts, labelled by sign
+    console.log('TEST 3: derivatives');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const derivatives = new PrincipiaEngine({ positionModel: 'derivatives' });
+    const short = derivatives.analyzeMarket(market(-1));
+    const covering = derivatives.analyzeMarket(market(0.6));
+    console.log(`Short ${short.positionSize.toFixed(2)} (${short.position}), partial cover to ${covering.positionSize.toFixed(2)} (${covering.position})`);
+    check(short.action === 'sell' && short.position === 'short' && near(short.positionSize, -0.6), 'sell signal should go short');
+    check(covering.action === 'buy' && covering.position === 'short', 'partial cover is still a short');
+    console.log('✅ Test passed: Shorts allowed\n');
+
+    // Test 4: Invalid model
+    console.log('TEST 4: Invalid Position Model');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let rejected = 0;
+    for (const attempt of [() => new PrincipiaEngine({ positionModel: 'margin' }), () => flat.updateConfig({ positionModel: 'margin' })]) {
+      try {
+        attempt();
+      } catch (error) {
+        rejected++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(rejected === 2 && flat.config.positionModel === 'spot-long-flat', 'unknown models should throw and change nothing');
+    console.log('✅ Test passed: Unknown model rejected\n');
+
+    // Test 5: Executor refuses what the model cannot carry out
+    console.log('TEST 5: Executor Refuses Impossible Decisions');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const spot = createExecutor('spot-long-flat');
+    const shortDecision = { action: 'sell', position: 'short', positionSize: -0.5, positionChange: -0.5 };
+    const refusedShort = await spot.executeDecision('SOL-USDC', shortDecision, 10, 150);
+    console.log(`Short: ${refusedShort.reason}`);
+    check(refusedShort.refused && spot.getTradeHistory(100).length === 0, 'short decision should be refused');
+
+    const nothingHeld = await spot.executeDecision('SOL-USDC', { action: 'sell', position: 'neutral', positionSize: 0, positionChange: -0.2 }, 10, 150);
+    console.log(`Sell from nothing: ${nothingHeld.reason}`);
+    check(nothingHeld.refused, 'selling without holdings should be refused');
+
+    const accumulator = createExecutor('spot-long-only');
+    const refusedSell = await accumulator.executeDecision('SOL-USDC', { action: 'sell', position: 'long', positionSize: 0.1, positionChange: -0.1 }, 10, 150);
+    check(refusedSell.refused && /does not sell/.test(refusedSell.reason), 'long-only should refuse sells');
+    check(await accumulator.executeDecision('SOL-USDC', { action: 'hold', positionSize: 0.1 }, 10, 150) === null, 'holds are not traded');
+
+    const perps = createExecutor('derivatives');
+    const shortSell = await perps.executeDecision('SOL-USDC', shortDecision, 10, 150);
+    check(shortSell.success && shortSell.inputUiAmount === 5, 'derivatives model should carry out the sell');
+    console.log('✅ Test passed: Impossible decisions refused\n');
+
+    // Test 6: Spot sells are capped at holdings
+    console.log('TEST 6: Spot Sells Capped at Holdings');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const buy = await spot.executeDecision('SOL-USDC', { action: 'buy', position: 'long', positionSize: 0.2, positionChange: 0.2 }, 10, 150);
+    const partial = await spot.executeDecision('SOL-USDC', { action: 'sell', position: 'long', positionSize: 0.1, positionChange: -0.1 }, 10, 150);
+    console.log(`Bought ${buy.outputUiAmount} SOL, sold ${partial.inputUiAmount}`);
+    check(buy.success && partial.success && near(partial.inputUiAmount, 1), 'partial sell should follow the decision');
+
+    const remaining = spot.ledger.getPosition('SOL-USDC').quantity;
+    const oversized = await spot.executeDecision('SOL-USDC', { action: 'sell', position: 'long', positionSize: 0.01, positionChange: -0.5 }, 10, 150);
+    console.log(`Asked for 5 SOL with ${remaining} held, sold ${oversized.inputUiAmount}`);
+    check(oversized.success && near(oversized.inputUiAmount, remaining), 'sell should be capped at holdings');
+    check(spot.ledger.getPosition('SOL-USDC').side === 'flat', 'ledger should be flat, not short');
+    console.log('✅ Test passed: No spot shorts\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All position model tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,130 @@
+/**
+ * Test suite for Law III stop-loss and take-profit enforcement
+ */
+
+const PositionProtection = require('./position-protection');
+const PrincipiaEngine = require('./principia-engine');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  POSITION PROTECTION TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+(async () => {
+  try {
+    const engine = new PrincipiaEngine({ riskReactionRatio: 1.0 });
+    const reaction = engine.calculateReaction(0.2);
+
+    // Test 1: Levels from the entry's reaction
+    console.log('TEST 1: Exit Levels from Law III Reaction');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const protection = new PositionProtection({ reactionToPrice: 0.1 });
+    const long = protection.recordFill('SOL-USDC', { side: 'buy', quantity: 2, price: 100, reaction, positionSize: 0.2 });
+    console.log(`Reaction: stop ${reaction.stopLoss}, take ${reaction.takeProfit} for size 0.2`);
+    console.log(`Long 2 @ 100: stop ${long.stopLoss.toFixed(4)}, take ${long.takeProfit.toFixed(4)}`);
+    check(long.side === 'long' && long.quantity === 2 && long.entryPrice === 100, 'long position recorded');
+    check(near(long.stopLoss, 95) && near(long.takeProfit, 115), 'ratio 1 should stop at -5% and take at +15%');
+    console.log('✅ Test passed: Levels tied to entry price\n');
+
+    // Test 2: Triggers for a long position
+    console.log('TEST 2: Long Position Triggers');
+    console.log('─────────────────────────────────────────────────\n');
+
+    check(protection.check('SOL-USDC', 100) === null, 'no trigger between the levels');
+    const stop = protection.check('SOL-USDC', 94.5);
+    const take = protection.check('SOL-USDC', 116);
+    console.log(`94.5 -> ${stop.rule}`);
+    console.log(`116 -> ${take.rule}`);
+    check(stop.type === 'stopLoss' && stop.rule === PositionProtection.RULES.stopLoss, 'drop below stop should fire stop-loss');
+    check(take.type === 'takeProfit' && near(take.level, 115), 'rise above target should fire take-profit');
+    check(protection.check('BONK-USDC', 1) === null, 'unprotected pairs never trigger');
+    console.log('✅ Test passed: Long levels enforced\n');
+
+    // Test 3: Short positions mirror the levels
+    console.log('TEST 3: Short Position Triggers');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const short = protection.recordFill('JUP-USDC', { side: 'sell', quantity: 50, price: 2, reaction, positionSize: 0.2 });
+    console.log(`Short 50 @ 2: stop ${short.stopLoss.toFixed(4)}, take ${short.takeProfit.toFixed(4)}`);
+    check(short.side === 'short' && near(short.stopLoss, 2.1) && near(short.takeProfit, 1.7), 'short levels should be mirrored');
+    check(protection.check('JUP-USDC', 2.15).type === 'stopLoss', 'rise above stop should fire stop-loss');
+    check(protection.check('JUP-USDC', 1.6).type === 'takeProfit', 'drop below target should fire take-profit');
+    console.log('✅ Test passed: Short levels enforced\n');
+
+    // Test 4: Netting fills
+    console.log('TEST 4: Adding To and Reducing Positions');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const added = protection.recordFill('SOL-USDC', { side: 'buy', quantity: 2, price: 110, reaction, positionSize: 0.2 });
+    console.log(`Added 2 @ 110: entry ${added.entryPrice}, stop ${added.stopLoss.toFixed(4)}`);
+    check(added.quantity === 4 && near(added.entryPrice, 105), 'entry should be averaged');
+    check(near(added.stopLoss, 99.75), 'levels should follow the averaged entry');
+
+    const reduced = protection.recordFill('SOL-USDC', { side: 'sell', quantity: 1, price: 120 });
+    check(reduced.quantity === 3 && near(reduced.entryPrice, 105) && near(reduced.stopLoss, 99.75), 'partial close should keep entry and levels');
+
+    const flat = protection.recordFill('SOL-USDC', { side: 'sell', quantity: 3, price: 120 });
+    check(flat === null && protection.getPosition('SOL-USDC') === null, 'closing in full should drop protection');
+    check(protection.list().length === 1, 'only the short should remain');
+    console.log('✅ Test passed: Fills netted per pair\n');
+
+    // Test 5: Configuration
+    console.log('TEST 5: Configuration');
+    console.log('─────────────────────────────────────────────────\n');
+
+    protection.updateConfig({ enabled: false });
+    check(protection.check('JUP-USDC', 5) === null, 'disabled protection should not trigger');
+    protection.updateConfig({ reactionToPrice: 0.2 });
+    check(near(protection.getPosition('JUP-USDC').stopLoss, 2.2), 'levels should follow reactionToPrice');
+
+    let rejected = false;
+    try {
+      protection.updateConfig({ reactionToPrice: 0 });
+    } catch (error) {
+      rejected = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(rejected, 'non-positive reactionToPrice should throw');
+    console.log('✅ Test passed: Configuration applied\n');
+
+    // Test 6: Stop-loss closes the position through the executor
+    console.log('TEST 6: Closing Through the Trade Executor');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = createMockExecutor({ paper: { balances: { SOL: 1, USDC: 1000 } } });
+    const guarded = new PositionProtection();
+
+    engine.positionSize = 0.2;
+    engine.currentPosition = 'long';
+    const buy = await executor.executeBuy('SOL-USDC', 0.2, 10.0, 150);
+    const entry = guarded.recordTrade(buy, reaction, 0.2);
+    console.log(`Entry: ${entry.quantity} SOL @ ${entry.entryPrice.toFixed(4)}, stop ${entry.stopLoss.toFixed(4)}`);
+    check(buy.success && entry.quantity === buy.outputUiAmount, 'trade output should be the protected quantity');
+
+    const trigger = guarded.check('SOL-USDC', 140);
+    check(trigger && trigger.type === 'stopLoss', 'drop to 140 should fire stop-loss');
+    const solBefore = executor.paperAccount.getBalance('SOL');
+    const exit = await executor.closePosition('SOL-USDC', trigger.position, 140);
+    console.log(`Exit: sold ${exit.inputUiAmount} SOL for ${exit.outputUiAmount} USDC`);
+    check(exit.success && exit.side === 'sell' && exit.inputUiAmount === entry.quantity, 'whole position should be sold');
+    check(near(solBefore - executor.paperAccount.getBalance('SOL'), entry.quantity + 0.000005, 1e-9), 'paper SOL should drop by the position and fee');
+
+    guarded.clear('SOL-USDC');
+    engine.closePosition(140, trigger.rule);
+    const state = engine.getState();
+    check(guarded.list().length === 0, 'protection should be cleared');
+    check(state.position === 'neutral' && state.positionSize === 0, 'engine should be flat');
+    check(state.lastAction.action === 'close' && state.lastAction.reason === trigger.rule, 'engine should record the rule');
+    console.log('✅ Test passed: Position closed\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All position protection tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
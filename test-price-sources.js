@@ -0,0 +1,173 @@
+/**
+ * Test suite for pluggable price sources
+ *
+ * Runs the Jupiter price source against a local HTTP stand-in for the
+ * Jupiter Price API, so no external network access is required.
+ */
+
+const http = require('http');
+const MarketData = require('./market-data');
+const TokenRegistry = require('./token-registry');
+const {
+  JupiterPriceSource,
+  SimulatedPriceSource,
+  createPriceSource,
+  reportsVolume,
+  resolvePriceSourceName,
+} = require('./price-sources');
+const { check } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  PRICE SOURCE TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Local stand-in for the Jupiter Price API
+let mockPrice = 142.5;
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+  const url = new URL(req.url, 'http://127.0.0.1');
+
+  if (url.pathname !== '/price') {
+    res.writeHead(404);
+    res.end('not found');
+    return;
+  }
+
+  const id = url.searchParams.get('ids');
+  const vsToken = url.searchParams.get('vsToken') || 'USDC';
+  const data = mockPrice === null ? {} : {
+    [id]: { id, mintSymbol: id, vsToken, vsTokenSymbol: vsToken, price: mockPrice },
+  };
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ data, timeTaken: 0.001 }));
+});
+
+(async () => {
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const priceApi = `http://127.0.0.1:${server.address().port}`;
+
+    // Test 1: Source resolution per network
+    console.log('TEST 1: Price Source Resolution');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const perNetwork = { 'mainnet-beta': 'jupiter', devnet: 'simulated' };
+    check(resolvePriceSourceName(perNetwork, 'mainnet-beta') === 'jupiter', 'mainnet should resolve to jupiter');
+    check(resolvePriceSourceName(perNetwork, 'devnet') === 'simulated', 'devnet should resolve to simulated');
+    check(resolvePriceSourceName('jupiter', 'devnet') === 'jupiter', 'explicit name should win');
+    check(resolvePriceSourceName(null, 'testnet') === 'simulated', 'testnet default should be simulated');
+    check(resolvePriceSourceName(undefined, 'mainnet-beta') === 'jupiter', 'mainnet default should be jupiter');
+    check(!reportsVolume('jupiter') && reportsVolume('simulated'), 'only the simulated source should report volume');
+    check(!reportsVolume('nope'), 'an unknown source reports no volume');
+    console.log('✅ Test passed: Sources resolved per network\n');
+
+    // Test 2: Unknown source is rejected
+    console.log('TEST 2: Unknown Price Source');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let rejected = false;
+    try {
+      createPriceSource('nope');
+    } catch (error) {
+      rejected = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(rejected, 'unknown source should throw');
+    console.log('✅ Test passed: Unknown source rejected\n');
+
+    // Test 3: Jupiter source against local stand-in
+    console.log('TEST 3: Jupiter Price Source (local stand-in)');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const jupiter = new JupiterPriceSource({ priceApi });
+    const tick = await jupiter.getPrice('SOL-USDC');
+    console.log('Tick:', JSON.stringify(tick));
+    check(tick.price === 142.5, 'price should come from the stand-in');
+    check(tick.source === 'jupiter', 'tick should name its source');
+    check(requests[requests.length - 1] === '/price?ids=SOL&vsToken=USDC', 'request should query base vs quote');
+    console.log('✅ Test passed: Jupiter price fetched\n');
+
+    // Test 3b: Mints are queried when a token registry is available
+    const registry = new TokenRegistry();
+    const jupiterByMint = new JupiterPriceSource({ priceApi, tokenRegistry: registry });
+    const mintTick = await jupiterByMint.getPrice('JUP-USDC');
+    const expectedUrl = `/price?ids=${registry.getMint('JUP')}&vsToken=${registry.getMint('USDC')}`;
+    check(mintTick.price === 142.5, 'price should be read by mint');
+    check(requests[requests.length - 1] === expectedUrl, 'request should query mint addresses');
+    console.log('✅ Test passed: Symbols resolved to mints\n');
+
+    // Test 4: Missing price surfaces as an error
+    console.log('TEST 4: Jupiter Missing Price');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let missing = false;
+    mockPrice = null;
+    try {
+      await jupiter.getPrice('SOL-USDC');
+    } catch (error) {
+      missing = true;
+      console.log(`Error: ${error.message}`);
+    }
+    check(missing, 'missing price should throw');
+    console.log('✅ Test passed: Missing price reported\n');
+
+    // Test 5: MarketData uses the Jupiter source on mainnet
+    console.log('TEST 5: MarketData with Jupiter Source');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const marketData = new MarketData({
+      pairs: ['SOL-USDC'],
+      network: 'mainnet-beta',
+      priceApi,
+      priceSource: { 'mainnet-beta': 'jupiter', devnet: 'simulated' },
+    });
+    check(marketData.priceSource.name === 'jupiter', 'mainnet should use jupiter');
+
+    for (const price of [140, 141, 142.25]) {
+      mockPrice = price;
+      await marketData.getMarketData('SOL-USDC', 10);
+    }
+    const data = await marketData.getMarketData('SOL-USDC', 10);
+    console.log(`Price: ${data.price} (${data.priceSource})`);
+    console.log('History:', marketData.getPriceHistory('SOL-USDC').join(', '));
+    check(data.price === 142.25, 'market data should carry the real price');
+    check(marketData.getCurrentPrice('SOL-USDC') === 142.25, 'current price should be tracked');
+    check(marketData.getPriceHistory('SOL-USDC').length === 4, 'history should record every tick');
+    console.log('✅ Test passed: getMarketData uses real prices\n');
+
+    // Test 6: Simulated source remains available
+    console.log('TEST 6: Simulated Price Source');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const devnetData = new MarketData({ pairs: ['SOL-USDC'], network: 'devnet' });
+    check(devnetData.priceSource instanceof SimulatedPriceSource, 'devnet should default to simulated');
+    const simulated = await devnetData.getMarketData('SOL-USDC', 10);
+    console.log(`Price: ${simulated.price.toFixed(2)} (${simulated.priceSource})`);
+    check(simulated.priceSource === 'simulated', 'simulated tick should be labelled');
+    console.log('✅ Test passed: Simulated source works\n');
+
+    // Test 7: Source switch at runtime
+    console.log('TEST 7: Switching Price Source');
+    console.log('─────────────────────────────────────────────────\n');
+
+    devnetData.config.priceApi = priceApi;
+    devnetData.setPriceSource('jupiter');
+    const switched = await devnetData.getMarketData('SOL-USDC', 10);
+    check(switched.priceSource === 'jupiter', 'source should switch at runtime');
+    console.log('✅ Test passed: Price source switched\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All price source tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+})();
@@ -0,0 +1,168 @@
+/**
+ * Test suite for priority fee estimation and compute budget handling
+ */
+
+const {
+  AddressLookupTableAccount,
+  ComputeBudgetProgram,
+  Keypair,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  PriorityFeeEstimator,
+  applyComputeBudget,
+  getComputeBudget,
+  getWritableAccounts,
+} = require('./priority-fees');
+const { check } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  PRIORITY FEE TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const payer = Keypair.generate().publicKey;
+const pool = Keypair.generate().publicKey;
+const program = Keypair.generate().publicKey;
+const blockhash = Keypair.generate().publicKey.toBase58();
+
+function swapInstruction(account) {
+  return new TransactionInstruction({
+    programId: program,
+    keys: [{ pubkey: account, isSigner: false, isWritable: true }],
+    data: Buffer.from([7]),
+  });
+}
+
+function buildTransaction(instructions, lookupTables = []) {
+  const message = new TransactionMessage({ payerKey: payer, recentBlockhash: blockhash, instructions })
+    .compileToV0Message(lookupTables);
+  return new VersionedTransaction(message);
+}
+
+function createConnection(fees) {
+  const connection = {
+    requests: [],
+    getRecentPrioritizationFees: async (config) => {
+      connection.requests.push(config);
+      return fees.map((prioritizationFee, slot) => ({ slot, prioritizationFee }));
+    },
+  };
+  return connection;
+}
+
+(async () => {
+  try {
+    // Test 1: Percentile strategies
+    console.log('TEST 1: Percentile Strategies');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const fees = [0, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+    const connection = createConnection(fees);
+    const results = {};
+    for (const strategy of ['low', 'medium', 'high']) {
+      const estimator = new PriorityFeeEstimator(connection, { strategy });
+      results[strategy] = await estimator.estimate([pool], 200000);
+      console.log(`  ${strategy.padEnd(6)} p${results[strategy].percentile}: ${results[strategy].microLamports} µlamports/CU, ${results[strategy].lamports} lamports`);
+    }
+    check(results.low.microLamports === 200 && results.medium.microLamports === 400, 'low/medium percentiles');
+    check(results.high.microLamports === 700 && results.high.lamports === 140, 'high percentile and lamports');
+    check(connection.requests[0].lockedWritableAccounts[0].equals(pool), 'accounts should be passed to the RPC');
+
+    const custom = new PriorityFeeEstimator(connection, { strategy: 'max', percentiles: { max: 100 } });
+    check((await custom.estimate([pool], 200000)).microLamports === 900, 'custom strategy percentile');
+    check((await new PriorityFeeEstimator(createConnection([])).estimate([pool], 200000)).lamports === 0,
+      'no samples should estimate 0');
+    console.log('✅ Test passed: Strategies map to percentiles\n');
+
+    // Test 2: Invalid configuration
+    console.log('TEST 2: Invalid Configuration');
+    console.log('─────────────────────────────────────────────────\n');
+
+    let rejected = 0;
+    for (const config of [{ strategy: 'turbo' }, { percentiles: { low: 150 } }]) {
+      try {
+        new PriorityFeeEstimator(connection, config);
+      } catch (error) {
+        rejected++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(rejected === 2, 'invalid strategies should throw');
+    console.log('✅ Test passed: Invalid configuration rejected\n');
+
+    // Test 3: Existing compute budget instructions are replaced
+    console.log('TEST 3: Replace Compute Budget');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const budgeted = buildTransaction([
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 250000 }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+      swapInstruction(pool),
+    ]);
+    check(getComputeBudget(budgeted).computeUnitLimit === 250000, 'existing limit should be read');
+    check(getWritableAccounts(budgeted).some(key => key.equals(pool)), 'pool should be writable');
+
+    const estimate = await new PriorityFeeEstimator(connection).prepare(budgeted);
+    const replaced = getComputeBudget(budgeted);
+    console.log(`Budget: ${replaced.computeUnitLimit} CU @ ${replaced.microLamports} µlamports`);
+    check(estimate.allowed && estimate.computeUnitLimit === 250000, 'Jupiter limit should be kept by default');
+    check(replaced.microLamports === 400, 'price should be replaced');
+    check(budgeted.message.compiledInstructions.length === 3, 'no instructions should be added');
+    console.log('✅ Test passed: Compute budget replaced\n');
+
+    // Test 4: Missing budget is added without breaking lookup-table indexes
+    console.log('TEST 4: Add Compute Budget (Lookup Tables)');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const lookupTable = new AddressLookupTableAccount({
+      key: Keypair.generate().publicKey,
+      state: {
+        deactivationSlot: BigInt('18446744073709551615'),
+        lastExtendedSlot: 0,
+        lastExtendedSlotStartIndex: 0,
+        addresses: [pool],
+      },
+    });
+    const bare = buildTransaction([swapInstruction(pool)], [lookupTable]);
+    check(bare.message.addressTableLookups.length === 1, 'pool should come from the lookup table');
+
+    applyComputeBudget(bare, { computeUnitLimit: 300000, microLamports: 1234 });
+    const roundTrip = VersionedTransaction.deserialize(bare.serialize());
+    const added = getComputeBudget(roundTrip);
+    const decompiled = TransactionMessage.decompile(roundTrip.message, { addressLookupTableAccounts: [lookupTable] });
+    const swap = decompiled.instructions[decompiled.instructions.length - 1];
+    console.log(`Budget: ${added.computeUnitLimit} CU @ ${added.microLamports} µlamports`);
+    check(added.computeUnitLimit === 300000 && added.microLamports === 1234, 'budget should be added');
+    check(decompiled.instructions[0].programId.equals(ComputeBudgetProgram.programId), 'budget should come first');
+    check(swap.programId.equals(program) && swap.keys[0].pubkey.equals(pool) && swap.keys[0].isWritable,
+      'swap instruction should keep its lookup-table account');
+    console.log('✅ Test passed: Compute budget added\n');
+
+    // Test 5: Fee cap and configured unit limit
+    console.log('TEST 5: Fee Cap');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const expensive = new PriorityFeeEstimator(createConnection([5000000]), {
+      maxLamports: 100000,
+      computeUnitLimit: 600000,
+    });
+    const untouched = buildTransaction([swapInstruction(pool)]);
+    const refused = await expensive.prepare(untouched);
+    console.log(`Estimate: ${refused.lamports} lamports (cap ${refused.maxLamports})`);
+    check(!refused.allowed && refused.lamports === 3000000, 'estimate above cap should not be allowed');
+    check(refused.computeUnitLimit === 600000, 'configured limit should be used');
+    check(getComputeBudget(untouched).microLamports === null, 'refused transaction should be left unchanged');
+    console.log('✅ Test passed: Fee cap enforced\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All priority fee tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
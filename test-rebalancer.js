@@ -0,0 +1,176 @@
+/**
+ * Test suite for the target-weight portfolio rebalancer
+ */
+
+const Rebalancer = require('./rebalancer');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  REBALANCER TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Local times, as schedules are in local time
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).getTime();
+
+const targets = { SOL: 0.5, USDC: 0.3, JUP: 0.2 };
+const prices = { SOL: 100, USDC: 1, JUP: 0.5 };
+
+// Value each holding after applying a plan's swaps
+function applySwaps(holdings, swaps) {
+  const after = { ...holdings };
+  for (const swap of swaps) {
+    after[swap.from] -= swap.amount;
+    after[swap.to] = (after[swap.to] || 0) + swap.expectedOutput;
+  }
+  return after;
+}
+
+const newExecutor = (balances) => createMockExecutor({ paper: { balances, feeLamports: 5000 } });
+
+// Fixed prices in place of MarketData
+const marketData = {
+  requested: [],
+  async getSpotPrice(pair) {
+    this.requested.push(pair);
+    return prices[pair.split('-')[0]];
+  },
+};
+
+(async () => {
+  try {
+    // Test 1: Fewest swaps back to target weights
+    console.log('TEST 1: Swap Planning');
+    console.log('─────────────────────────────────────────────────\n');
+
+    // 2000 USDC: SOL 70%, USDC 10%, JUP 20%
+    const holdings = { SOL: 14, USDC: 200, JUP: 800 };
+    const plan = Rebalancer.planSwaps(holdings, prices, targets, { threshold: 0.05 });
+    for (const swap of plan.swaps) {
+      console.log(`Swap ${swap.amount} ${swap.from} → ${swap.expectedOutput} ${swap.to} (${swap.value} USDC)`);
+    }
+    check(near(plan.totalValue, 2000) && near(plan.drift, 0.2), `drift should be 20% of 2000: ${plan.drift}`);
+    check(plan.due && plan.swaps.length === 1, 'one surplus and one deficit need a single swap');
+    check(plan.swaps[0].from === 'SOL' && plan.swaps[0].to === 'USDC' && near(plan.swaps[0].amount, 4), 'should swap 4 SOL into USDC');
+
+    // Every weight off target: n tokens, at most n - 1 swaps
+    const scattered = { SOL: 2, USDC: 1500, JUP: 1000 };
+    const spread = Rebalancer.planSwaps(scattered, prices, targets);
+    const after = applySwaps(scattered, spread.swaps);
+    const afterValue = Object.keys(targets).reduce((sum, symbol) => sum + after[symbol] * prices[symbol], 0);
+    console.log(`Scattered basket: ${spread.swaps.length} swaps, after ${JSON.stringify(after)}`);
+    check(spread.swaps.length === 2, `three tokens should take two swaps: ${spread.swaps.length}`);
+    check(near(afterValue, spread.totalValue, 1e-6), 'swaps should keep the basket value');
+    for (const symbol of Object.keys(targets)) {
+      check(near(after[symbol] * prices[symbol] / afterValue, targets[symbol], 1e-9), `${symbol} should be back on target`);
+    }
+    console.log('✅ Test passed: Swaps restore the targets\n');
+
+    // Test 2: Threshold and minimum trade size
+    console.log('TEST 2: Threshold and Minimum Size');
+    console.log('─────────────────────────────────────────────────\n');
+
+    // SOL 52%, USDC 28%, JUP 20%
+    const close = { SOL: 10.4, USDC: 560, JUP: 800 };
+    const within = Rebalancer.planSwaps(close, prices, targets, { threshold: 0.05 });
+    console.log(`Drift ${within.drift.toFixed(4)}, due ${within.due}`);
+    check(!within.due && within.swaps.length === 0, 'drift under the threshold should not rebalance');
+    check(Rebalancer.planSwaps(close, prices, targets, { threshold: 0.02 }).swaps.length === 1, 'drift at the threshold should rebalance');
+
+    const small = Rebalancer.planSwaps(close, prices, targets, { threshold: 0.01, minValue: 50 });
+    console.log(`Skipped: ${small.skipped.map(swap => `${swap.from} → ${swap.to} ${swap.value}`).join(', ')}`);
+    check(small.swaps.length === 0 && small.skipped.length === 1 && near(small.skipped[0].value, 40), 'swaps worth less than minValue should be skipped');
+
+    const empty = Rebalancer.planSwaps({}, prices, targets);
+    check(empty.totalValue === 0 && !empty.due, 'an empty basket should not rebalance');
+    console.log('✅ Test passed: Threshold and minimum size respected\n');
+
+    // Test 3: Preview and paper execution
+    console.log('TEST 3: Preview and Execution');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = newExecutor({ SOL: 14.05, USDC: 200 });
+    const rebalancer = new Rebalancer(executor, marketData, { enabled: true, targets });
+
+    const preview = await rebalancer.rebalance();
+    console.log(`Preview: ${preview.swaps.map(swap => `${swap.amount.toFixed(4)} ${swap.from} → ${swap.to}`).join(', ')}`);
+    check(preview.preview && preview.results.length === 0, 'preview should not execute');
+    check(near(preview.holdings.SOL, 14), 'the SOL reserve should stay out of the basket');
+    check(preview.swaps.length === 2 && preview.swaps.every(swap => swap.from === 'SOL'), 'SOL should fund both USDC and JUP');
+    check(marketData.requested.every(pair => pair.endsWith('-USDC')) && !marketData.requested.includes('USDC-USDC'), 'prices should be in the valuation token');
+    check(executor.paperAccount.getBalance('SOL') === 14.05 && executor.tradeHistory.length === 0, 'preview should leave balances alone');
+
+    const run = await rebalancer.rebalance({ preview: false });
+    const weights = (await rebalancer.plan()).weights;
+    console.log(`Executed: ${run.results.map(({ swap, result }) => `${swap.from} → ${swap.to} ${result.success ? 'ok' : result.reason}`).join(', ')}`);
+    console.log(`Weights after: ${JSON.stringify(weights)}`);
+    check(run.results.length === 2 && run.results.every(({ result }) => result.success), 'swaps should fill on the paper account');
+    for (const symbol of Object.keys(targets)) {
+      check(near(weights[symbol], targets[symbol], 0.01), `${symbol} should be near target after slippage: ${weights[symbol]}`);
+    }
+    check(executor.getTradeHistory(10, 'rebalance').length === 2 && executor.getStatistics().rebalanceTrades === 2, 'swaps should be recorded as rebalance trades');
+    check(executor.getStatistics().totalTrades === 0 && executor.ledger.getTotals().openPositions === 0, 'rebalance swaps should stay out of trading positions');
+
+    // A swap under minTradeSize (in SOL) is not sent
+    executor.config.minTradeSize = 5;
+    const tiny = await new Rebalancer(executor, marketData, { targets, threshold: 0 }).rebalance({ preview: false });
+    check(tiny.swaps.length === 0 && tiny.results.length === 0, `swaps under minTradeSize should be skipped: ${tiny.swaps.length}`);
+    console.log('✅ Test passed: Preview reports, execution fills\n');
+
+    // Test 4: Schedule
+    console.log('TEST 4: Scheduled Runs');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const scheduled = new Rebalancer(newExecutor({ SOL: 20.05 }), marketData, { enabled: true, targets, schedule: '0 */6 * * *' });
+    check(await scheduled.tick({ now: at(2, 7) }) === null && scheduled.nextRunAt === at(2, 12), 'the first tick should only schedule');
+    check(await scheduled.tick({ now: at(2, 11, 59) }) === null, 'nothing should run before the next run time');
+
+    const due = await scheduled.tick({ now: at(2, 12) });
+    console.log(`Run at 12:00: ${due.swaps.length} planned swaps, next ${new Date(due.nextRunAt).toString()}`);
+    check(due.preview && due.swaps.length === 2 && due.results.length === 0, 'scheduled runs should preview by default');
+    check(due.nextRunAt === at(2, 18), 'the next run should be scheduled');
+
+    scheduled.updateConfig({ schedule: '@daily' });
+    check(scheduled.nextRunAt === null, 'a new schedule should be rescheduled on the next tick');
+    scheduled.updateConfig({ enabled: false });
+    check(await scheduled.tick({ now: at(3, 0) }) === null, 'a disabled rebalancer should not run');
+    console.log('✅ Test passed: Runs follow the schedule\n');
+
+    // Test 5: Configuration
+    console.log('TEST 5: Configuration Validation');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const replaced = new Rebalancer(executor, marketData);
+    replaced.updateConfig({ targets: { SOL: 0.6, USDC: 0.4 } });
+    check(!('JUP' in replaced.config.targets), 'new targets should replace the old ones');
+
+    let invalid = 0;
+    for (const bad of [
+      { targets: { SOL: 1 } },
+      { targets: { SOL: 0.5, USDC: 0.4 } },
+      { targets: { SOL: 1.2, USDC: -0.2 } },
+      { threshold: 1 },
+      { solReserve: -1 },
+      { valuation: '' },
+      { schedule: '0 25 * * *' },
+      { schedule: '0 0 30 2 *' },
+    ]) {
+      try {
+        new Rebalancer(executor, marketData, bad);
+      } catch (error) {
+        invalid++;
+        console.log(`Error: ${error.message}`);
+      }
+    }
+    check(invalid === 8, `every invalid setting should be rejected: ${invalid}`);
+    console.log('✅ Test passed: Configuration validated\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All rebalancer tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+})();
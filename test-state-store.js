@@ -0,0 +1,166 @@
+/**
+ * Test suite for engine state snapshots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PrincipiaEngine = require('./principia-engine');
+const StateStore = require('./state-store');
+const TradeExecutor = require('./trade-executor');
+const PositionProtection = require('./position-protection');
+const HedgeManager = require('./hedge-manager');
+const { check, near, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  STATE STORE TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const market = (price, signalStrength) => ({ price, volume: 1000, signalStrength, portfolioValue: 10 });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'principia-state-'));
+const statePath = path.join(dir, 'nested', 'state.json');
+
+try {
+  // Test 1: Serialize and restore an engine
+  console.log('TEST 1: Serialize and Restore');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const engine = new PrincipiaEngine({ volatilitySource: 'priceHistory' });
+  for (const [price, signal] of [[100, 0], [101, 0.8], [102, 0.8]]) {
+    engine.analyzeMarket(market(price, signal));
+  }
+  const state = engine.serialize();
+  console.log(`Position: ${state.currentPosition} ${state.positionSize.toFixed(4)}, prices ${state.priceHistory.join(', ')}`);
+  check(state.currentPosition === 'long' && state.positionSize > 0, 'engine should be in a long position');
+
+  const restored = new PrincipiaEngine({ volatilitySource: 'priceHistory' });
+  restored.restore(JSON.parse(JSON.stringify(state)));
+  check(restored.currentPosition === 'long' && restored.positionSize === engine.positionSize, 'position should be restored');
+  check(restored.priceHistory.join() === engine.priceHistory.join() && restored.lastPrice === 102, 'history should be restored');
+  check(restored.lastAction.action === engine.lastAction.action, 'last action should be restored');
+
+  const next = market(103, 0.8);
+  check(near(restored.analyzeMarket(next).positionSize, engine.analyzeMarket(next).positionSize), 'restored engine should carry on like the original');
+
+  state.priceHistory.push(999);
+  check(!engine.priceHistory.includes(999), 'snapshots should not share arrays with the engine');
+
+  let rejected = false;
+  try {
+    restored.restore({ currentPosition: 'long' });
+  } catch (error) {
+    rejected = true;
+    console.log(`Error: ${error.message}`);
+  }
+  check(rejected && restored.currentPosition === 'long', 'invalid state should be refused and leave the engine alone');
+  console.log('✅ Test passed: Engine state round-trips\n');
+
+  // Test 2: Snapshots on disk
+  console.log('TEST 2: Save and Load Snapshots');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const store = new StateStore({ path: statePath });
+  check(store.load() === null, 'a missing file should mean no snapshot');
+
+  const engines = new Map([['SOL-USDC', engine], ['JUP-USDC', new PrincipiaEngine()]]);
+  store.save(engines);
+  engine.analyzeMarket(market(104, -0.8));
+  const written = store.save(engines);
+  check(fs.readdirSync(path.dirname(statePath)).join() === 'state.json', 'the temporary file should be renamed over the snapshot');
+
+  const loaded = store.load();
+  console.log(`Loaded version ${loaded.version}, pairs ${Object.keys(loaded.engines).join(', ')}`);
+  check(loaded.version === StateStore.STATE_VERSION && loaded.savedAt === written.savedAt, 'snapshot should be versioned');
+  check(near(loaded.engines['SOL-USDC'].positionSize, engine.positionSize), 'the latest decision should be saved');
+  check(loaded.engines['JUP-USDC'].currentPosition === 'neutral', 'every engine should be saved');
+  check(loaded.strategies['SOL-USDC'] === 'principia', 'the strategy of each pair should be saved');
+  console.log('✅ Test passed: Snapshots written atomically\n');
+
+  // Test 3: Versions
+  console.log('TEST 3: Snapshot Versions');
+  console.log('─────────────────────────────────────────────────\n');
+
+  StateStore.MIGRATIONS[0] = (snapshot) => ({ savedAt: snapshot.time, engines: snapshot.pairs });
+  const legacy = StateStore.migrate({ time: 1, pairs: { 'SOL-USDC': state } });
+  delete StateStore.MIGRATIONS[0];
+  check(legacy.version === StateStore.STATE_VERSION && legacy.engines['SOL-USDC'] === state, 'older snapshots should be upgraded through the migrations');
+
+  let errors = 0;
+  for (const contents of [JSON.stringify({ version: StateStore.STATE_VERSION + 1, engines: {} }), '{"version": 1, "engi', '{"engines": {}}']) {
+    fs.writeFileSync(statePath, contents);
+    try {
+      store.load();
+    } catch (error) {
+      errors++;
+      console.log(`Error: ${error.message}`);
+    }
+  }
+  check(errors === 3, 'newer, unreadable and unmigratable snapshots should be refused');
+  check(StateStore.expandPath('~/state.json') === path.join(os.homedir(), 'state.json'), '~ should expand to the home directory');
+  console.log('✅ Test passed: Versions checked\n');
+
+  // Test 4: Portfolio state
+  console.log('TEST 4: Portfolio Snapshots');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const newExecutor = () => createMockExecutor({ paper: { balances: { SOL: 10, USDC: 1000 }, feeLamports: 5000 } });
+  const newPortfolio = (executor) => ({
+    ledger: executor.ledger,
+    protection: new PositionProtection(),
+    hedges: new HedgeManager(executor),
+    paper: executor.paperAccount,
+  });
+
+  // A 2 SOL long bought at 100, protected and hedged
+  const executor = newExecutor();
+  const portfolio = newPortfolio(executor);
+  const reaction = engine.calculateReaction(0.2);
+  executor.paperAccount.fill({
+    inputMint: 'USDC',
+    outputMint: 'SOL',
+    inputAmount: 200 * 1e6,
+    quotedOutAmount: 2 * 1e9,
+  });
+  executor.ledger.recordFill({ pair: 'SOL-USDC', side: 'buy', quantity: 2, price: 100 });
+  portfolio.protection.recordFill('SOL-USDC', { side: 'buy', quantity: 2, price: 100, reaction, positionSize: 0.2 });
+  portfolio.hedges.hedges.set('SOL-USDC', { quantity: -0.4, entryPrice: 100, instrument: portfolio.hedges.instrument, updatedAt: 1 });
+
+  store.save(engines, portfolio);
+  const saved = store.load();
+
+  const resumed = newExecutor();
+  const resumedPortfolio = newPortfolio(resumed);
+  resumedPortfolio.ledger.restore(saved.ledger);
+  resumedPortfolio.protection.restore(saved.protection);
+  resumedPortfolio.hedges.restore(saved.hedges);
+  resumedPortfolio.paper.restore(saved.paper);
+
+  const holding = resumed.ledger.getPosition('SOL-USDC');
+  const levels = resumedPortfolio.protection.getPosition('SOL-USDC');
+  const hedge = resumedPortfolio.hedges.getHedge('SOL-USDC');
+  console.log(`Holding: ${holding.side} ${holding.quantity} @ ${holding.averageEntry}, stop ${levels.stopLoss}, hedge ${hedge.side} ${hedge.quantity} on ${hedge.instrument}`);
+  check(holding.quantity === 2 && holding.averageEntry === 100, 'ledger books should be restored');
+  check(levels.stopLoss === portfolio.protection.getPosition('SOL-USDC').stopLoss && levels.stopLoss < 100, 'exit levels should be restored');
+  check(hedge.quantity === 0.4 && resumedPortfolio.hedges.hedges.get('SOL-USDC').instrument === resumedPortfolio.hedges.instrument, 'hedges should be back on their instrument');
+  check(resumed.paperAccount.getBalance('SOL') === executor.paperAccount.getBalance('SOL') && resumed.paperAccount.getBalance('USDC') === 800, 'paper balances should be restored');
+  check(near(resumed.paperAccount.getPnl().total, executor.paperAccount.getPnl().total), 'paper PnL should be restored');
+
+  // A restored long must be backed by holdings before it can be sold
+  const long = { positionSize: 0.2 };
+  check(StateStore.isBacked(long, holding), 'a long should be backed by a held quantity');
+  check(!StateStore.isBacked(long, new TradeExecutor({}, {}, {}).ledger.getPosition('SOL-USDC')), 'a long without holdings should not be restored');
+  check(StateStore.isBacked({ positionSize: 0 }, holding), 'a flat engine needs no holdings');
+  console.log('✅ Test passed: Portfolio round-trips\n');
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  TEST SUITE COMPLETE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('\n✅ All state store tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
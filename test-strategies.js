@@ -0,0 +1,300 @@
+/**
+ * Test suite for strategy plugins
+ */
+
+const PrincipiaEngine = require('./principia-engine');
+const {
+  BreakoutStrategy,
+  EnsembleStrategy,
+  MeanReversionStrategy,
+  PositionStrategy,
+  createStrategy,
+  getStrategyConfig,
+  registerStrategy,
+} = require('./strategies');
+const { check, near } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  STRATEGY TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Market data with the given closes as the closed candles
+const market = (price, closes = []) => ({
+  price,
+  volume: 1000,
+  signalStrength: 0,
+  portfolioValue: 10,
+  candles: closes.map(close => ({ open: close, high: close, low: close, close, volume: 0 })),
+});
+
+// Feed prices, each closing a candle once analyzed, and return the last decision
+function feed(strategy, prices, closes = []) {
+  let decision;
+  for (const price of prices) {
+    decision = strategy.analyze(market(price, closes));
+    closes.push(price);
+  }
+  return decision;
+}
+
+// Strategy that always wants the same fraction of its maximum position
+function fixed(name, fraction) {
+  return class extends PositionStrategy {
+    constructor(config) {
+      super(name, config);
+    }
+
+    analyze(marketData) {
+      const target = fraction * marketData.portfolioValue * this.config.maxPositionSize;
+      return this.moveTo(target, marketData, fraction, `Always ${fraction}`);
+    }
+  };
+}
+
+// 20 prices oscillating around 100
+const ranging = Array.from({ length: 20 }, (_, i) => 100 + (i % 2 === 0 ? 1 : -1));
+
+try {
+  // Test 1: Registry
+  console.log('TEST 1: Strategy Registry');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const principia = createStrategy('principia', { positionModel: 'derivatives' });
+  check(principia instanceof PrincipiaEngine && principia.name === 'principia', 'principia should be the Principia engine');
+  const viaInterface = principia.analyze({ price: 100, volume: 1000, signalStrength: 0.9, portfolioValue: 10 });
+  check(viaInterface.action === 'buy' && Array.isArray(viaInterface.forces), 'the engine should answer analyze() with its usual decision');
+  check(createStrategy('mean-reversion') instanceof MeanReversionStrategy, 'mean-reversion should be built in');
+  check(createStrategy('breakout', { period: 5 }).config.period === 5, 'strategies should take their config');
+
+  let unknown = null;
+  try {
+    createStrategy('martingale');
+  } catch (error) {
+    unknown = error.message;
+  }
+  console.log(`Error: ${unknown}`);
+  check(unknown && unknown.includes('breakout'), 'unknown strategies should throw and list the available ones');
+
+  class AlwaysFlat extends PositionStrategy {
+    constructor(config) {
+      super('always-flat', config);
+    }
+
+    analyze(marketData) {
+      return this.moveTo(0, marketData, 0, 'Never trade');
+    }
+  }
+  registerStrategy('always-flat', AlwaysFlat);
+  check(createStrategy('always-flat').analyze(market(100)).action === 'hold', 'registered strategies should be created by name');
+
+  const botConfig = {
+    principia: { positionModel: 'derivatives', maxPositionSize: 0.2, inertiaThreshold: 0.1 },
+    trading: { strategy: { name: 'breakout', breakout: { period: 10, maxPositionSize: 0.5 } } },
+  };
+  const breakoutConfig = getStrategyConfig(botConfig, 'breakout');
+  console.log('breakout config:', JSON.stringify(breakoutConfig));
+  check(breakoutConfig.positionModel === 'derivatives' && breakoutConfig.maxPositionSize === 0.5 && breakoutConfig.inertiaThreshold === undefined, 'strategies should inherit the shared position settings and override them');
+  check(getStrategyConfig(botConfig, 'principia') === botConfig.principia, 'principia should use the principia section');
+  console.log('✅ Test passed: Strategies created by name\n');
+
+  // Test 2: Mean reversion
+  console.log('TEST 2: Mean Reversion');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const reversion = new MeanReversionStrategy();
+  const reversionCloses = [];
+  const warmup = feed(reversion, ranging.slice(0, 19), reversionCloses);
+  check(warmup.action === 'hold' && warmup.zScore === null, 'should wait for a full window of candles');
+
+  const dip = feed(reversion, [ranging[19], 96], reversionCloses);
+  console.log(`Dip: z ${dip.zScore.toFixed(2)}, ${dip.action} to ${dip.positionSize.toFixed(4)} (${dip.reason})`);
+  check(dip.mean === 100 && dip.zScore === -4 && dip.action === 'buy' && near(dip.positionSize, 3), 'a 2σ dip below the closes should buy the maximum position');
+  check(dip.force === 1 && dip.strategy === 'mean-reversion' && dip.forces[0].name === 'mean-reversion', 'the decision should carry the strategy and its force');
+  check(near(dip.riskManagement.stopLoss, 1.5) && near(dip.riskManagement.takeProfit, 4.5), 'Law III reaction should scale with the position');
+
+  // Polls within a candle see the same bands, however often they come
+  const between = reversion.analyze(market(98.5, reversionCloses));
+  console.log(`Partial reversion: z ${between.zScore.toFixed(2)}, ${between.action}`);
+  check(between.action === 'hold' && near(reversion.positionSize, 3), 'between the bands the position should be kept');
+  check(reversion.analyze(market(98.5, reversionCloses)).mean === between.mean, 'repeated polls should not move the bands');
+
+  const reverted = reversion.analyze(market(between.mean, reversionCloses));
+  console.log(`Reverted: z ${reverted.zScore.toFixed(2)}, ${reverted.action} to ${reverted.positionSize.toFixed(4)}`);
+  check(reverted.action === 'sell' && reverted.positionSize === 0 && near(reverted.positionChange, -3), 'back at the mean the position should be closed');
+
+  const spike = feed(new MeanReversionStrategy(), [...ranging, 104]);
+  check(spike.zScore >= 2 && spike.action === 'hold' && spike.positionSize === 0, 'spot-long-flat should not short a spike');
+  const shortSpike = feed(new MeanReversionStrategy({ positionModel: 'derivatives' }), [...ranging, 104]);
+  check(shortSpike.action === 'sell' && near(shortSpike.positionSize, -3) && shortSpike.position === 'short', 'derivatives should short a spike');
+  console.log('✅ Test passed: Extremes faded\n');
+
+  // Test 3: Breakout
+  console.log('TEST 3: Channel Breakout');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const breakout = new BreakoutStrategy({ positionModel: 'derivatives' });
+  const channelCloses = [];
+  check(feed(breakout, ranging, channelCloses).channel === null, 'should wait for a full channel');
+  const inside = breakout.analyze(market(100.5, channelCloses));
+  check(inside.action === 'hold' && inside.channel.high === 101 && inside.channel.low === 99, 'the channel should span the closed candles');
+
+  const up = breakout.analyze(market(101.05, channelCloses));
+  check(up.action === 'hold', 'moves within the buffer should not count as a breakout');
+  const breakUp = breakout.analyze(market(102, channelCloses));
+  console.log(`Breakout: ${breakUp.action} to ${breakUp.positionSize.toFixed(4)} (${breakUp.reason}), force ${breakUp.force.toFixed(2)}`);
+  check(breakUp.action === 'buy' && near(breakUp.positionSize, 3) && breakUp.force === 1, 'breaking the high should go long');
+
+  const fallback = breakout.analyze(market(99.9, channelCloses));
+  console.log(`Fallback: ${fallback.action} (${fallback.reason})`);
+  check(fallback.action === 'sell' && fallback.positionSize === 0, 'falling through the middle should exit');
+
+  const breakDown = breakout.analyze(market(97, channelCloses));
+  check(breakDown.action === 'sell' && near(breakDown.positionSize, -3), 'breaking the low should go short with derivatives');
+
+  // Wicks count: the channel runs from the lowest low to the highest high
+  const wicks = [{ open: 100, high: 103, low: 99, close: 100 }, { open: 100, high: 101, low: 98, close: 100 }];
+  const wicked = new BreakoutStrategy({ period: 2 }).analyze({ ...market(102.5), candles: wicks });
+  check(wicked.action === 'hold' && wicked.channel.high === 103 && wicked.channel.low === 98, 'the channel should span the candles\' highs and lows');
+  const spot = new BreakoutStrategy();
+  check(feed(spot, [...ranging, 97]).action === 'hold' && spot.positionSize === 0, 'spot models should stay flat on a breakdown');
+  console.log('✅ Test passed: Breakouts followed\n');
+
+  // Test 4: Interface
+  console.log('TEST 4: Strategy Interface');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const saved = breakout.serialize();
+  const restored = new BreakoutStrategy({ positionModel: 'derivatives' });
+  restored.restore(JSON.parse(JSON.stringify(saved)));
+  check(restored.getState().position === 'short' && near(restored.positionSize, -3), 'restore should continue from the saved position');
+  check(!('priceHistory' in saved), 'prices come from the candles, not the snapshot');
+  check(restored.analyze(market(101.5, channelCloses)).action === breakout.analyze(market(101.5, channelCloses)).action, 'a restored strategy should decide like the original');
+
+  let rejected = 0;
+  for (const attempt of [
+    () => restored.restore({}),
+    () => restored.updateConfig({ period: 1 }),
+    () => restored.updateConfig({ positionModel: 'margin' }),
+    () => restored.updateConfig({ buffer: -1 }),
+    () => new MeanReversionStrategy({ entryZ: 1, exitZ: 1 }),
+  ]) {
+    try {
+      attempt();
+    } catch (error) {
+      rejected++;
+      console.log(`Error: ${error.message}`);
+    }
+  }
+  check(rejected === 5, 'invalid state and settings should throw');
+  check(restored.config.period === 20 && restored.config.positionModel === 'derivatives', 'rejected settings should leave the config alone');
+
+  restored.updateConfig({ maxPositionSize: 0.1 });
+  check(restored.config.maxPositionSize === 0.1 && restored.config.buffer === 0.001, 'updateConfig should merge');
+
+  restored.closePosition(97, 'stopLoss');
+  check(restored.getState().position === 'neutral' && restored.getState().lastAction.reason === 'stopLoss', 'closePosition should flatten the strategy');
+  restored.reset();
+  check(restored.positionSize === 0 && restored.getState().lastAction === null, 'reset should clear the state');
+  console.log('✅ Test passed: Interface implemented\n');
+
+  // Test 5: Ensemble voting
+  console.log('TEST 5: Ensemble Weighted Voting');
+  console.log('─────────────────────────────────────────────────\n');
+
+  registerStrategy('bull', fixed('bull', 1));
+  registerStrategy('bear', fixed('bear', -1));
+
+  const ensemble = createStrategy('ensemble', { members: { bull: 3, bear: 1 } });
+  check(ensemble instanceof EnsembleStrategy, 'ensemble should be built in');
+  const voted = ensemble.analyze(market(100));
+  console.log(`Vote: ${voted.action} to ${voted.positionSize.toFixed(4)} (${voted.reason})`);
+  check(voted.votes.length === 2 && voted.votes[0].member === 'bull' && voted.votes[0].action === 'buy' && near(voted.votes[0].positionSize, 3), 'every member vote should be kept');
+  check(voted.votes[1].action === 'hold' && voted.votes[1].positionSize === 0 && voted.votes[1].reason === 'Always -1', 'spot members vote within their own limits');
+  check(voted.action === 'buy' && near(voted.positionSize, 2.25), 'the ensemble should move to the weighted average position');
+  check(near(voted.force, 0.5) && near(voted.forces[0].weight, 0.75) && near(voted.forces[1].contribution, -0.25), 'member forces should be weighted');
+  check(voted.vetoedBy === null && ensemble.getState().members.bull.positionSize === 3, 'members should keep their own positions');
+
+  const bearish = createStrategy('ensemble', { members: { bull: 1, bear: 1 }, positionModel: 'derivatives', memberConfigs: { bear: { positionModel: 'derivatives' } } });
+  const split = bearish.analyze(market(100));
+  check(split.action === 'hold' && split.positionSize === 0, 'opposite votes of equal weight should cancel out');
+  check(bearish.getState().members.bull.positionSize === 0 && bearish.getState().members.bear.positionSize === 0, 'members should not move while the ensemble holds');
+  console.log('✅ Test passed: Votes combined\n');
+
+  // Test 6: Vetoes
+  console.log('TEST 6: Ensemble Vetoes');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const guarded = createStrategy('ensemble', { members: { bull: 3, bear: 1 }, vetoes: [{ member: 'bear', when: 'hold' }] });
+  const vetoed = guarded.analyze(market(100));
+  console.log(`Vetoed: ${vetoed.action} (${vetoed.reason})`);
+  check(vetoed.action === 'hold' && vetoed.positionSize === 0 && vetoed.vetoedBy === 'bear', 'a veto should force a hold');
+  check(vetoed.votes.length === 2 && vetoed.votes[0].action === 'buy', 'vetoed decisions should keep every vote');
+  check(guarded.getState().members.bull.positionSize === 0, 'a vetoed member should stay where it was');
+  const again = guarded.analyze(market(100));
+  check(again.votes[0].action === 'buy' && near(again.votes[0].positionSize, 3), 'a vetoed member should vote for the same move again');
+
+  const sellGuard = createStrategy('ensemble', { members: { bull: 3, bear: 1 }, vetoes: [{ member: 'bear', when: ['hold'], blocks: ['sell'] }] });
+  check(sellGuard.analyze(market(100)).action === 'buy', 'a veto should only block the actions it names');
+
+  let vetoErrors = 0;
+  for (const attempt of [
+    () => createStrategy('ensemble', { members: { bull: 1 }, vetoes: [{ member: 'bear', when: ['sell'] }] }),
+    () => createStrategy('ensemble', { members: { bull: 1 }, vetoes: [{ member: 'bull', when: ['panic'] }] }),
+    () => createStrategy('ensemble', { members: { bull: 1 }, vetoes: [{ member: 'bull', when: ['sell'], blocks: ['hold'] }] }),
+    () => createStrategy('ensemble', { members: { bull: 0 } }),
+    () => createStrategy('ensemble', { members: { bull: -1 } }),
+    () => createStrategy('ensemble', { members: { ensemble: 1 } }),
+    () => createStrategy('ensemble', { members: { martingale: 1 } }),
+  ]) {
+    try {
+      attempt();
+    } catch (error) {
+      vetoErrors++;
+      console.log(`Error: ${error.message}`);
+    }
+  }
+  check(vetoErrors === 7, 'invalid members and veto rules should throw');
+  console.log('✅ Test passed: Vetoes enforced\n');
+
+  // Test 7: Ensemble lifecycle
+  console.log('TEST 7: Ensemble Configuration and State');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const ensembleConfig = getStrategyConfig({
+    principia: { positionModel: 'derivatives', inertiaThreshold: 0.1 },
+    trading: { strategy: { name: 'ensemble', ensemble: { members: { principia: 1, breakout: 1 } }, breakout: { period: 5 } } },
+  }, 'ensemble');
+  check(ensembleConfig.memberConfigs.principia.inertiaThreshold === 0.1 && ensembleConfig.memberConfigs.breakout.period === 5, 'members should be configured as if they ran alone');
+  check(ensembleConfig.memberConfigs.breakout.positionModel === 'derivatives', 'members should inherit the shared position settings');
+
+  const mixed = createStrategy('ensemble', ensembleConfig);
+  const mixedDecision = mixed.analyze({ price: 100, volume: 1000, signalStrength: 0.9, portfolioValue: 10 });
+  console.log(`Mixed: ${mixedDecision.reason}`);
+  check(mixedDecision.votes[0].action === 'buy' && mixedDecision.votes[1].action === 'hold', 'built-in strategies should vote');
+  check(mixed.members.get('breakout').config.period === 5 && mixed.config.dragCoefficient === 10, 'members should get their config and the ensemble their drag');
+
+  const ensembleState = JSON.parse(JSON.stringify(ensemble.serialize()));
+  const resumed = createStrategy('ensemble', { members: { bull: 3, bear: 1 } });
+  resumed.restore(ensembleState);
+  check(near(resumed.positionSize, 2.25) && resumed.members.get('bull').positionSize === 3, 'restore should bring back the ensemble and its members');
+
+  resumed.closePosition(99, 'stopLoss');
+  check(resumed.positionSize === 0 && resumed.members.get('bull').positionSize === 0, 'a protective exit should flatten every member');
+
+  resumed.updateConfig({ members: { bull: 1 } });
+  check(resumed.members.size === 1 && resumed.config.members.bear === undefined, 'dropped members should be removed');
+  resumed.updateConfig({ members: { bull: 1, breakout: 1 }, memberConfigs: { breakout: { period: 3 } } });
+  check(resumed.members.get('breakout').config.period === 3, 'new members should be created from their config');
+  resumed.reset();
+  check(resumed.members.get('bull').getState().lastAction === null, 'reset should reset every member');
+  console.log('✅ Test passed: Ensemble state kept\n');
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  TEST SUITE COMPLETE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('\n✅ All strategy tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,137 @@
+/**
+ * Test suite for the token registry and pair-aware trade routing
+ */
+
+const TokenRegistry = require('./token-registry');
+const { toBaseUnits, toUiAmount } = require('./token-amount');
+const { check, createMockExecutor } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  TOKEN REGISTRY TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const JUP_MINT = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+(async () => {
+  try {
+    // Test 1: Bundled tokens
+    console.log('TEST 1: Bundled Token List');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const registry = new TokenRegistry();
+    registry.list().forEach(token => {
+      console.log(`  ${token.symbol.padEnd(5)} ${token.mint} (${token.decimals} decimals)`);
+    });
+    check(registry.getMint('SOL') === SOL_MINT && registry.getDecimals('SOL') === 9, 'SOL mismatch');
+    check(registry.getMint('usdc') === USDC_MINT && registry.getDecimals('USDC') === 6, 'USDC mismatch');
+    check(registry.getMint('JUP') === JUP_MINT, 'JUP mismatch');
+    check(registry.getDecimals('BONK') === 5, 'BONK decimals mismatch');
+    check(registry.resolve(JUP_MINT).symbol === 'JUP', 'lookup by mint failed');
+    console.log('✅ Test passed: Bundled tokens resolved\n');
+
+    // Test 2: Config overrides
+    console.log('TEST 2: Config Overrides');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const devnetUsdc = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+    const overridden = new TokenRegistry({
+      USDC: { mint: devnetUsdc },
+      WIF: { mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', decimals: 6, name: 'dogwifhat' },
+    });
+    check(overridden.getMint('USDC') === devnetUsdc, 'override should replace mint');
+    check(overridden.getDecimals('USDC') === 6, 'override should keep bundled decimals');
+    check(!overridden.has(USDC_MINT), 'replaced mint should no longer resolve');
+    check(overridden.getDecimals('WIF') === 6, 'new token should be added');
+    console.log('✅ Test passed: Overrides applied\n');
+
+    // Test 3: Invalid definitions and unknown tokens
+    console.log('TEST 3: Validation');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const errors = [];
+    for (const attempt of [
+      () => new TokenRegistry({ FOO: { mint: 'Foo111' } }),
+      () => registry.resolve('NOPE'),
+      () => registry.resolvePair('SOL'),
+    ]) {
+      try {
+        attempt();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    errors.forEach(message => console.log(`Error: ${message}`));
+    check(errors.length === 3, 'all invalid inputs should throw');
+    console.log('✅ Test passed: Invalid tokens rejected\n');
+
+    // Test 4: Trade executor routes swaps by pair
+    console.log('TEST 4: Pair-Aware Buy/Sell');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const executor = createMockExecutor({ tokenRegistry: registry });
+
+    const buy = await executor.executeBuy('JUP-USDC', 0.1, 10.0);
+    const sell = await executor.executeSell('JUP-USDC', 0.1, 10.0);
+    check(buy.success && buy.inputMint === USDC_MINT && buy.outputMint === JUP_MINT, 'buy should swap USDC into JUP');
+    check(sell.success && sell.inputMint === JUP_MINT && sell.outputMint === USDC_MINT, 'sell should swap JUP into USDC');
+    check(buy.pair === 'JUP-USDC' && buy.side === 'buy', 'trade should record pair and side');
+    console.log('✅ Test passed: Swaps follow the pair\n');
+
+    // Test 5: Unknown pair is refused
+    console.log('TEST 5: Unknown Pair');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const unknown = await executor.executeBuy('FOO-USDC', 0.1, 10.0);
+    check(!unknown.success, 'unknown pair should fail');
+    console.log('✅ Test passed: Unknown pair refused\n');
+
+    // Test 6: UI amount <-> base unit conversion
+    console.log('TEST 6: Amount Conversion');
+    console.log('─────────────────────────────────────────────────\n');
+
+    check(toBaseUnits(0.1, 6) === 100000, '0.1 USDC should be 100000 base units');
+    check(toBaseUnits(1.5, 9) === 1500000000, '1.5 SOL should be 1.5e9 lamports');
+    check(toBaseUnits(0.3, 9) === 300000000, 'float error should not leak into base units');
+    check(toBaseUnits(1.0000009, 6) === 1000000, 'extra precision should be truncated');
+    check(toUiAmount('250000', 5) === 2.5, 'base units should convert back');
+    check(registry.toBaseUnits('USDC', 12.34) === 12340000, 'registry conversion by symbol');
+    check(registry.toUiAmount(SOL_MINT, 2000000000) === 2, 'registry conversion by mint');
+    console.log('✅ Test passed: Amounts converted per decimals\n');
+
+    // Test 7: Buy and sell amounts use each token's decimals
+    console.log('TEST 7: Decimals-Correct Trade Amounts');
+    console.log('─────────────────────────────────────────────────\n');
+
+    executor.clearHistory();
+    const solBuy = await executor.executeBuy('SOL-USDC', 0.1, 10.0, 150);
+    const solSell = await executor.executeSell('SOL-USDC', 0.1, 10.0, 150);
+    console.log(`Buy:  ${solBuy.inputUiAmount} ${solBuy.inputSymbol} -> ${solBuy.outputUiAmount} ${solBuy.outputSymbol}`);
+    console.log(`Sell: ${solSell.inputUiAmount} ${solSell.inputSymbol} -> ${solSell.outputUiAmount} ${solSell.outputSymbol}`);
+    check(solBuy.inputAmount === 150 * 1e6, 'buying 1 SOL at 150 should spend 150 USDC in 6-decimal units');
+    check(Math.abs(solBuy.outputUiAmount - 0.995) < 1e-9, 'buy should receive ~1 SOL less slippage');
+    check(solSell.inputAmount === 1e9, 'selling 1 SOL should spend 1e9 lamports');
+    check(solSell.outputAmount === 149250000, 'sell should receive ~150 USDC in 6-decimal units');
+    console.log('✅ Test passed: Amounts follow token decimals\n');
+
+    // Test 8: Minimum trade size is measured in the base token
+    console.log('TEST 8: Minimum Trade Size');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const tooSmall = await executor.executeBuy('SOL-USDC', 0.0005, 10.0, 150);
+    check(!tooSmall.success && tooSmall.reason === 'Trade size below minimum', '0.005 SOL should be below 0.01 minimum');
+    const bigEnough = await executor.executeBuy('BONK-USDC', 0.1, 10.0, 0.00002);
+    check(bigEnough.success && bigEnough.inputAmount === 20, '1 BONK at 0.00002 should cost 20 USDC base units');
+    console.log('✅ Test passed: Minimum checked in base-token units\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All token registry tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,209 @@
+/**
+ * Test suite for the transaction lifecycle manager
+ */
+
+const TransactionManager = require('./transaction-manager');
+const { check } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  TRANSACTION MANAGER TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+// Stand-in for a signed VersionedTransaction
+const transaction = { serialize: () => new Uint8Array([1, 2, 3]) };
+
+/**
+ * Stub connection replaying a scripted sequence of signature statuses
+ * @param {Array<object|null|Error>} statuses - Status returned on each poll (last one repeats; an Error is thrown)
+ * @param {object} options - blockHeight, historyStatus, sendError, blockHeightErrors
+ */
+function createConnection(statuses, options = {}) {
+  const connection = {
+    sends: [],
+    polls: 0,
+    blockHeight: options.blockHeight || 100,
+    blockHeightErrors: options.blockHeightErrors || 0,
+    sendRawTransaction: async (raw, sendOptions) => {
+      if (options.sendError) {
+        throw new Error(options.sendError);
+      }
+      connection.sends.push(sendOptions);
+      return 'sig1';
+    },
+    getSignatureStatuses: async (signatures, config = {}) => {
+      if (config.searchTransactionHistory) {
+        return { value: [options.historyStatus || null] };
+      }
+      const status = statuses[Math.min(connection.polls++, statuses.length - 1)];
+      if (status instanceof Error) {
+        throw status;
+      }
+      return { value: [status] };
+    },
+    getBlockHeight: async () => {
+      if (connection.blockHeightErrors > 0) {
+        connection.blockHeightErrors--;
+        throw new Error('getBlockHeight timed out');
+      }
+      return connection.blockHeight;
+    },
+  };
+  return connection;
+}
+
+const landed = (confirmationStatus, err = null) => ({ slot: 1, confirmations: null, confirmationStatus, err });
+
+function waitFor(manager, event) {
+  return new Promise(resolve => manager.once(event, resolve));
+}
+
+(async () => {
+  try {
+    // Test 1: Full lifecycle
+    console.log('TEST 1: Sent -> Processed -> Confirmed -> Finalized');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const pending = new Map();
+    const connection = createConnection([null, landed('processed'), landed('confirmed'), landed('finalized')]);
+    const manager = new TransactionManager(connection, { pollInterval: 5 }, pending);
+    const statuses = [];
+    manager.on('status', record => statuses.push(record.status));
+    const finalized = waitFor(manager, 'finalized');
+
+    const record = await manager.submit(transaction, {
+      id: 'SOL-USDC-1',
+      lastValidBlockHeight: 500,
+      meta: { pair: 'SOL-USDC', side: 'sell' },
+    });
+    console.log(`Resolved at: ${record.status}`);
+    check(record.status === 'confirmed', 'submit should resolve at the configured commitment');
+    check(pending.get('SOL-USDC-1') === record, 'confirmed record should still be tracked');
+    check(record.pair === 'SOL-USDC' && record.signature === 'sig1', 'record should carry meta and signature');
+
+    await finalized;
+    console.log(`Statuses: ${statuses.join(' -> ')}`);
+    check(statuses.join(',') === 'sent,processed,confirmed,finalized', 'statuses should advance in order');
+    check(pending.size === 0, 'finalized record should leave pending');
+    check(connection.sends[0].maxRetries === 0, 'RPC retries should be disabled');
+    console.log('✅ Test passed: Lifecycle tracked\n');
+
+    // Test 2: Rebroadcast until the blockhash expires
+    console.log('TEST 2: Rebroadcast and Expiry');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const silent = createConnection([null]);
+    const expiringManager = new TransactionManager(silent, { pollInterval: 5, rebroadcastInterval: 5 });
+    const expired = waitFor(expiringManager, 'expired');
+    const submitted = expiringManager.submit(transaction, { id: 'expiring', lastValidBlockHeight: 500 });
+
+    while (silent.sends.length < 3) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    silent.blockHeight = 501;
+    const expiredRecord = await submitted;
+    await expired;
+    console.log(`Rebroadcasts: ${expiredRecord.rebroadcasts}, status: ${expiredRecord.status}`);
+    check(expiredRecord.status === 'expired', 'unlanded transaction should expire');
+    check(expiredRecord.rebroadcasts >= 2 && silent.sends[1].skipPreflight, 'should rebroadcast without preflight');
+    check(expiringManager.pending.size === 0, 'expired record should leave pending');
+    console.log('✅ Test passed: Rebroadcast until expiry\n');
+
+    // Test 3: Landed late - found in history instead of expiring
+    console.log('TEST 3: Found in History at Expiry');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const late = createConnection([null], { blockHeight: 501, historyStatus: landed('finalized') });
+    const lateRecord = await new TransactionManager(late, { pollInterval: 5 })
+      .submit(transaction, { id: 'late', lastValidBlockHeight: 500 });
+    check(lateRecord.status === 'finalized', 'history hit should not be marked expired');
+    console.log('✅ Test passed: Late landing detected\n');
+
+    // Test 4: Failures
+    console.log('TEST 4: Failed Transactions');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const failingManager = new TransactionManager(
+      createConnection([landed('processed'), landed('processed', { InstructionError: [2, { Custom: 6001 }] })]),
+      { pollInterval: 5 }
+    );
+    const failedEvent = waitFor(failingManager, 'failed');
+    const failed = await failingManager.submit(transaction, { id: 'failing', lastValidBlockHeight: 500 });
+    await failedEvent;
+    console.log(`Error: ${failed.error}`);
+    check(failed.status === 'failed' && /6001/.test(failed.error), 'on-chain error should fail the record');
+
+    const rejected = await new TransactionManager(createConnection([null], { sendError: 'Blockhash not found' }))
+      .submit(transaction, { id: 'rejected', lastValidBlockHeight: 500 });
+    console.log(`Error: ${rejected.error}`);
+    check(rejected.status === 'failed' && rejected.signature === null, 'rejected send should fail without signature');
+    console.log('✅ Test passed: Failures reported\n');
+
+    // Test 5: Finalized commitment
+    console.log('TEST 5: Commitment Setting');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const finalManager = new TransactionManager(
+      createConnection([landed('confirmed'), landed('finalized')]),
+      { pollInterval: 5, commitment: 'finalized' }
+    );
+    const finalRecord = await finalManager.submit(transaction, { id: 'final', lastValidBlockHeight: 500 });
+    check(finalRecord.status === 'finalized', 'submit should wait for finalized when configured');
+    check(finalManager.findPending(() => true) === null, 'nothing should remain pending');
+    console.log('✅ Test passed: Commitment respected\n');
+
+    // Test 6: RPC errors while polling
+    console.log('TEST 6: Transient RPC Errors');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const flakyPending = new Map();
+    const flaky = createConnection(
+      [new Error('fetch failed'), null, landed('confirmed'), landed('finalized')],
+      { blockHeightErrors: 1 }
+    );
+    const flakyManager = new TransactionManager(flaky, { pollInterval: 5 }, flakyPending);
+    const flakyStatuses = [];
+    flakyManager.on('status', record => flakyStatuses.push(record.status));
+    const flakyFinalized = waitFor(flakyManager, 'finalized');
+
+    const flakyRecord = await flakyManager.submit(transaction, { id: 'flaky', lastValidBlockHeight: 500 });
+    console.log(`RPC errors: ${flakyRecord.rpcErrors} (${flakyRecord.lastRpcError}), status: ${flakyRecord.status}`);
+    check(flakyRecord.status === 'confirmed', 'a failed status query should not fail the swap');
+    check(flakyRecord.rpcErrors === 2 && flakyRecord.error === null, 'RPC errors should be counted, not reported as the swap error');
+    check(flakyPending.get('flaky') === flakyRecord, 'the swap should stay in flight until the chain answers');
+    await flakyFinalized;
+    check(flakyStatuses.join(',') === 'sent,confirmed,finalized', `no failed status should be emitted: ${flakyStatuses.join(',')}`);
+    console.log('✅ Test passed: Polling survives RPC errors\n');
+
+    // Test 7: RPC down for good
+    console.log('TEST 7: RPC Unreachable');
+    console.log('─────────────────────────────────────────────────\n');
+
+    const downPending = new Map();
+    const down = createConnection([new Error('fetch failed')]);
+    const downManager = new TransactionManager(down, { pollInterval: 5, maxRpcErrors: 3 }, downPending);
+    const downUnknown = waitFor(downManager, 'unknown');
+
+    const downRecord = await downManager.submit(transaction, { id: 'down', lastValidBlockHeight: 500 });
+    console.log(`RPC errors: ${downRecord.rpcErrors} (${downRecord.lastRpcError}), status: ${downRecord.status}`);
+    check(downRecord.status === 'unknown' && downRecord.rpcErrors === 3, 'tracking should give up after maxRpcErrors errors in a row');
+    check(!downManager.hasReached(downRecord, 'confirmed') && downRecord.error === null, 'an unknown swap is neither confirmed nor failed');
+    check(downPending.size === 0 && (await downUnknown) === downRecord, 'giving up should end tracking and emit unknown');
+    check(down.polls === 3, `polling should stop once tracking gives up: ${down.polls}`);
+
+    // Errors in between answers do not add up
+    const patchy = createConnection([new Error('fetch failed'), new Error('fetch failed'), null, new Error('fetch failed'), landed('finalized')]);
+    const patchyRecord = await new TransactionManager(patchy, { pollInterval: 5, maxRpcErrors: 3 })
+      .submit(transaction, { id: 'patchy', lastValidBlockHeight: 500 });
+    check(patchyRecord.status === 'finalized' && patchyRecord.rpcErrors === 3, 'only errors in a row should count towards giving up');
+    console.log('✅ Test passed: A dead RPC ends tracking as unknown\n');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  TEST SUITE COMPLETE');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('\n✅ All transaction manager tests passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,118 @@
+/**
+ * Test suite for volume-profile-based key levels
+ */
+
+const VolumeProfile = require('./volume-profile');
+const MarketData = require('./market-data');
+const PrincipiaEngine = require('./principia-engine');
+const { check } = require('./test-helpers');
+
+console.log('═══════════════════════════════════════════════════');
+console.log('  VOLUME PROFILE TEST SUITE');
+console.log('═══════════════════════════════════════════════════\n');
+
+const bar = (close, volume, spread = 0) => ({
+  open: close, high: close + spread, low: close - spread, close, volume, ticks: 1,
+});
+
+try {
+  // Test 1: Histogram construction
+  console.log('TEST 1: Volume Histogram');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const profile = new VolumeProfile({ bucketCount: 10 }).build([
+    bar(100, 500),
+    bar(105, 100, 5), // Spread across 100-110
+    bar(110, 50),
+  ]);
+  console.log(`Buckets: ${profile.buckets.length}, total volume: ${profile.totalVolume}`);
+  console.log('Point of control:', JSON.stringify(profile.getPointOfControl()));
+  check(Math.abs(profile.totalVolume - 650) < 1e-9, 'total volume mismatch');
+  check(Math.abs(profile.getVolumeBetween(100, 110) - 650) < 1e-9, 'range volume should cover everything');
+  check(Math.abs(profile.getVolumeBetween(100, 105) - 550) < 1e-9, 'half of the spread bar belongs below 105');
+  check(profile.getPointOfControl().low === 100, 'POC should be at 100');
+  check(profile.basis === 'volume' && profile.confidence === 'high', 'basis should be volume');
+  console.log('✅ Test passed: Volume spread across buckets\n');
+
+  // Test 2: Tick fallback when the feed has no volume
+  console.log('TEST 2: Tick-Count Fallback');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const tickProfile = new VolumeProfile().build([bar(100, 0), bar(101, 0), bar(100, 0)]);
+  console.log(`Basis: ${tickProfile.basis}, total: ${tickProfile.totalVolume}`);
+  check(tickProfile.basis === 'ticks' && tickProfile.totalVolume === 3, 'should fall back to tick counts');
+  check(tickProfile.confidence === 'low', 'a tick-count profile should be low-confidence');
+  console.log('✅ Test passed: Time-at-price used without volume\n');
+
+  // Test 3: Nearby extrema merge into zones
+  console.log('TEST 3: Zone Merging with keyLevelThreshold');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const marketData = new MarketData({ network: 'devnet', keyLevelThreshold: 0.02 });
+  // Two peaks near 110 (109.5, 110.5) and one trough at 100
+  const closes = [104, 106, 109.5, 107, 103, 100, 102, 106, 110.5, 108, 105, 104];
+  const candles = closes.map((c, i) => bar(c, i === 2 || i === 8 ? 2000 : 100));
+  const levels = marketData.detectKeyLevels(candles, 105);
+  levels.forEach(level => {
+    console.log(`  ${level.type} @ ${level.price.toFixed(2)} touches=${level.touches} volume=${level.volume.toFixed(1)}`);
+  });
+  const resistance = levels.find(l => l.type === 'resistance');
+  const support = levels.find(l => l.type === 'support');
+  check(levels.length === 2, 'expected one resistance zone and one support zone');
+  check(resistance.touches === 2 && resistance.price === 110, 'peaks should merge into a 110 zone');
+  check(support.touches === 1 && support.price === 100, 'trough should stay separate');
+  console.log('✅ Test passed: Extrema merged into zones\n');
+
+  // Test 4: Zone mass reflects traded volume
+  console.log('TEST 4: Volume Mass per Level');
+  console.log('─────────────────────────────────────────────────\n');
+
+  check(resistance.volume > support.volume * 5, 'high-volume zone should be much heavier');
+  console.log(`Resistance mass ${resistance.volume.toFixed(1)} vs support mass ${support.volume.toFixed(1)}`);
+  console.log('✅ Test passed: Levels carry real volume\n');
+
+  // Test 5: Gravitation follows the heavier level
+  console.log('TEST 5: Gravitation Uses Level Mass');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const engine = new PrincipiaEngine({ gravitationalConstant: 0.001 });
+  const heavyAbove = engine.calculateGravitationalForce(105, [
+    { price: 110, volume: 20000 },
+    { price: 100, volume: 2000 },
+  ]);
+  const heavyBelow = engine.calculateGravitationalForce(105, [
+    { price: 110, volume: 2000 },
+    { price: 100, volume: 20000 },
+  ]);
+  console.log(`Heavy above: ${heavyAbove.toFixed(3)}, heavy below: ${heavyBelow.toFixed(3)}`);
+  check(heavyAbove > 0 && heavyBelow < 0, 'force should point toward the heavier level');
+
+  const tickWeighed = engine.calculateGravitationalForce(105, [
+    { price: 110, volume: 20000, confidence: 'low' },
+    { price: 100, volume: 2000, confidence: 'high' },
+  ]);
+  console.log(`Heavy tick-count level above: ${tickWeighed.toFixed(3)}`);
+  check(tickWeighed < 0, 'low-confidence levels should not pull');
+  check(levels.every(level => level.confidence === 'high'), 'levels with traded volume should be high-confidence');
+  console.log('✅ Test passed: Gravitation reflects liquidity\n');
+
+  // Test 6: Backwards compatible with plain price arrays
+  console.log('TEST 6: Plain Price Series');
+  console.log('─────────────────────────────────────────────────\n');
+
+  const plain = marketData.detectKeyLevels([95, 98, 100, 102, 105, 103, 101, 99, 97, 100, 103, 106, 104, 102], 103);
+  console.log(`Levels: ${plain.length}`);
+  check(plain.length > 0 && plain.every(l => l.volume > 0), 'plain series should still produce weighted levels');
+  check(plain.every(l => l.volumeBasis === 'ticks' && l.confidence === 'low'), 'levels without volume should be low-confidence');
+  check(engine.calculateGravitationalForce(103, plain) === 0, 'levels without volume should exert no gravitation');
+  console.log('✅ Test passed: Plain prices supported\n');
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  TEST SUITE COMPLETE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('\n✅ All volume profile tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
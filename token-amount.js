@@ -0,0 +1,59 @@
+/**
+ * Token Amount Module
+ *
+ * Converts between UI amounts (1.5 SOL) and base units (1500000000 lamports)
+ * for a given number of decimals. Conversions go through decimal strings
+ * so that values like 0.1 USDC become exactly 100000 base units instead of
+ * picking up floating-point error.
+ */
+
+/**
+ * Convert a UI amount to integer base units (rounded down)
+ * @param {number} uiAmount - Human-readable amount (e.g., 1.5)
+ * @param {number} decimals - Token decimals
+ * @returns {number} - Amount in base units
+ */
+function toBaseUnits(uiAmount, decimals) {
+  if (!Number.isFinite(uiAmount) || uiAmount < 0 || uiAmount >= 1e21) {
+    throw new Error(`Invalid token amount: ${uiAmount}`);
+  }
+
+  // toFixed keeps one extra digit so the final digit is truncated, not rounded
+  const [whole, fraction = ''] = uiAmount.toFixed(Math.min(decimals + 1, 100)).split('.');
+  const digits = whole + fraction.slice(0, decimals).padEnd(decimals, '0');
+  const baseUnits = Number(BigInt(digits));
+
+  if (!Number.isSafeInteger(baseUnits)) {
+    throw new Error(`Token amount too large: ${uiAmount} with ${decimals} decimals`);
+  }
+
+  return baseUnits;
+}
+
+/**
+ * Convert base units to a UI amount
+ * @param {number|string} baseUnits - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {number} - Human-readable amount
+ */
+function toUiAmount(baseUnits, decimals) {
+  return Number(baseUnits) / Math.pow(10, decimals);
+}
+
+/**
+ * Format a UI amount with its symbol for logging
+ * @param {number} uiAmount - Human-readable amount
+ * @param {string} symbol - Token symbol
+ * @param {number} maxDecimals - Maximum decimals to show
+ * @returns {string} - Formatted amount (e.g., '1.5 SOL')
+ */
+function formatAmount(uiAmount, symbol, maxDecimals = 6) {
+  const rounded = Number(uiAmount.toFixed(maxDecimals));
+  return `${rounded} ${symbol}`;
+}
+
+module.exports = {
+  toBaseUnits,
+  toUiAmount,
+  formatAmount,
+};
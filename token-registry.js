@@ -0,0 +1,156 @@
+/**
+ * Token Registry Module
+ *
+ * Resolves token symbols (SOL, USDC, JUP, BONK, ...) to mint addresses and
+ * decimals. Tokens come from the bundled tokens.json list, with user
+ * overrides from the `tokens` section of config.json:
+ *
+ *   "tokens": {
+ *     "WIF": { "mint": "EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm", "decimals": 6 },
+ *     "USDC": { "mint": "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU" }
+ *   }
+ *
+ * An override for a bundled symbol only replaces the fields it sets
+ * (e.g. a devnet USDC mint keeps the bundled decimals).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toBaseUnits, toUiAmount } = require('./token-amount');
+
+const BUNDLED_TOKEN_LIST = path.join(__dirname, 'tokens.json');
+
+class TokenRegistry {
+  constructor(overrides = {}, options = {}) {
+    this.tokens = new Map(); // symbol -> token
+    this.mints = new Map(); // mint -> token
+
+    const listPath = options.tokenListPath || BUNDLED_TOKEN_LIST;
+    const bundled = JSON.parse(fs.readFileSync(listPath, 'utf-8'));
+
+    for (const token of bundled) {
+      this.register(token);
+    }
+
+    for (const [symbol, token] of Object.entries(overrides || {})) {
+      this.register({ ...this.tokens.get(symbol.toUpperCase()), ...token, symbol });
+    }
+  }
+
+  /**
+   * Add or replace a token
+   * @param {object} token - Token definition ({symbol, mint, decimals, name})
+   * @returns {object} - Registered token
+   */
+  register(token) {
+    if (!token.symbol || !token.mint) {
+      throw new Error(`Token definition requires symbol and mint: ${JSON.stringify(token)}`);
+    }
+    if (!Number.isInteger(token.decimals) || token.decimals < 0) {
+      throw new Error(`Token ${token.symbol} has invalid decimals: ${token.decimals}`);
+    }
+
+    const symbol = token.symbol.toUpperCase();
+    const previous = this.tokens.get(symbol);
+    if (previous) {
+      this.mints.delete(previous.mint);
+    }
+
+    const entry = {
+      symbol,
+      name: token.name || symbol,
+      mint: token.mint,
+      decimals: token.decimals,
+    };
+
+    this.tokens.set(symbol, entry);
+    this.mints.set(entry.mint, entry);
+    return entry;
+  }
+
+  /**
+   * Look up a token by symbol or mint address
+   * @param {string} symbolOrMint - Token symbol or mint address
+   * @returns {object} - Token ({symbol, name, mint, decimals})
+   */
+  resolve(symbolOrMint) {
+    const token = this.mints.get(symbolOrMint) || this.tokens.get(String(symbolOrMint).toUpperCase());
+    if (!token) {
+      throw new Error(`Unknown token: ${symbolOrMint} (add it under "tokens" in config.json)`);
+    }
+    return token;
+  }
+
+  /**
+   * Check whether a token is known
+   * @param {string} symbolOrMint - Token symbol or mint address
+   * @returns {boolean} - Whether the token is registered
+   */
+  has(symbolOrMint) {
+    return this.mints.has(symbolOrMint) || this.tokens.has(String(symbolOrMint).toUpperCase());
+  }
+
+  /**
+   * Get the mint address for a token
+   * @param {string} symbolOrMint - Token symbol or mint address
+   * @returns {string} - Mint address
+   */
+  getMint(symbolOrMint) {
+    return this.resolve(symbolOrMint).mint;
+  }
+
+  /**
+   * Get the decimals for a token
+   * @param {string} symbolOrMint - Token symbol or mint address
+   * @returns {number} - Token decimals
+   */
+  getDecimals(symbolOrMint) {
+    return this.resolve(symbolOrMint).decimals;
+  }
+
+  /**
+   * Convert a UI amount of a token to base units
+   * @param {string} symbolOrMint - Token symbol or mint address
+   * @param {number} uiAmount - Human-readable amount
+   * @returns {number} - Amount in base units
+   */
+  toBaseUnits(symbolOrMint, uiAmount) {
+    return toBaseUnits(uiAmount, this.getDecimals(symbolOrMint));
+  }
+
+  /**
+   * Convert base units of a token to a UI amount
+   * @param {string} symbolOrMint - Token symbol or mint address
+   * @param {number|string} baseUnits - Amount in base units
+   * @returns {number} - Human-readable amount
+   */
+  toUiAmount(symbolOrMint, baseUnits) {
+    return toUiAmount(baseUnits, this.getDecimals(symbolOrMint));
+  }
+
+  /**
+   * Resolve both sides of a trading pair
+   * @param {string} pair - Trading pair (e.g., 'JUP-USDC')
+   * @returns {object} - { base, quote } tokens
+   */
+  resolvePair(pair) {
+    const [base, quote] = String(pair).split('-');
+    if (!base || !quote) {
+      throw new Error(`Invalid trading pair: ${pair} (expected BASE-QUOTE)`);
+    }
+    return {
+      base: this.resolve(base),
+      quote: this.resolve(quote),
+    };
+  }
+
+  /**
+   * List all registered tokens
+   * @returns {Array<object>} - Tokens
+   */
+  list() {
+    return Array.from(this.tokens.values());
+  }
+}
+
+module.exports = TokenRegistry;
@@ -5,19 +5,26 @@
  * Integrates with Jupiter for best execution
  */
 
-const { Transaction, VersionedTransaction } = require('@solana/web3.js');
-const https = require('https');
-
-// Constants
-const LAMPORTS_PER_SOL = 1_000_000_000;
-const SOL_MINT = 'So11111111111111111111111111111111111111112';
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const { Transaction, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getJson, postJson } = require('./http-client');
+const TokenRegistry = require('./token-registry');
+const TransactionManager = require('./transaction-manager');
+const { PriorityFeeEstimator, DEFAULT_COMPUTE_UNIT_LIMIT, getQuoteAccounts } = require('./priority-fees');
+const PaperAccount = require('./paper-account');
+const PortfolioLedger = require('./portfolio-ledger');
+const { toBaseUnits, toUiAmount, formatAmount } = require('./token-amount');
 
 // Price impact estimation factor: slippageBps / 500
 // This estimates price impact as approximately 5x slippage percentage
 // e.g., 50bps (0.5%) slippage -> 0.1% price impact
 const PRICE_IMPACT_FACTOR = 500;
 
+// Native SOL is swapped through wrapped SOL; its balance shows up as lamports
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Network fee per signature; swaps are signed by the wallet only
+const BASE_FEE_LAMPORTS = 5000;
+
 class TradeExecutor {
   constructor(connection, wallet, config = {}) {
     this.connection = connection;
@@ -25,14 +32,30 @@ class TradeExecutor {
     this.config = {
       jupiterApi: config.jupiterApi || 'https://quote-api.jup.ag/v6',
       slippageBps: config.slippageBps || 50, // 0.5%
-      maxRetries: config.maxRetries || 3,
+      maxRetries: config.maxRetries !== undefined ? config.maxRetries : 3, // Re-quotes after an expired swap
       dryRun: config.dryRun !== false, // Default to dry run mode
-      minTradeSize: config.minTradeSize || 0.01, // Minimum trade size in SOL
+      minTradeSize: config.minTradeSize || 0.01, // Minimum trade size in base-token units (e.g., SOL for SOL-USDC)
       network: config.network || 'mainnet-beta', // Network to determine if Jupiter API is available
+      commitment: config.commitment || 'confirmed', // Commitment level for swap confirmation
+      positionModel: config.positionModel || 'spot-long-flat', // Positions decisions may ask for (see PrincipiaEngine)
     };
     
+    this.tokenRegistry = config.tokenRegistry || new TokenRegistry(config.tokens);
     this.tradeHistory = [];
-    this.pendingTrades = new Map();
+    this.ledger = config.ledger || new PortfolioLedger(); // Lots, average entry and PnL per pair
+    this.pendingTrades = new Map(); // trade id -> lifecycle record of in-flight live swaps
+    this.transactionManager = new TransactionManager(connection, {
+      commitment: this.config.commitment,
+      pollInterval: config.pollInterval,
+      rebroadcastInterval: config.rebroadcastInterval,
+      maxRpcErrors: config.maxRpcErrors,
+    }, this.pendingTrades);
+    this.priorityFees = new PriorityFeeEstimator(connection, config.priorityFee);
+    
+    // Virtual balances for dry-run fills (off unless configured)
+    this.paperAccount = config.paper && config.paper.enabled !== false
+      ? new PaperAccount({ ...config.paper, tokenRegistry: this.tokenRegistry })
+      : null;
   }
 
   /**
@@ -41,22 +64,47 @@ class TradeExecutor {
    * @param {string} outputMint - Output token mint address
    * @param {number} amount - Amount to swap in base units
    * @param {object} options - Additional options
+   * @param {string} options.pair - Trading pair the swap belongs to
+   * @param {string} options.side - 'buy' or 'sell'
+   * @param {number} options.baseAmount - Trade size in base-token UI units (checked against minTradeSize)
+   * @param {number} options.price - Expected output per input in UI units (used by simulated quotes)
+   * @param {string} options.purpose - 'trade' (default), 'hedge', 'dca' or 'rebalance', kept on the trade record
    * @returns {Promise<object>} - Trade result
    */
   async executeSwap(inputMint, outputMint, amount, options = {}) {
     try {
-      // Validate trade size
-      if (amount < this.config.minTradeSize * LAMPORTS_PER_SOL) {
+      const inputToken = this.tokenRegistry.resolve(inputMint);
+      const outputToken = this.tokenRegistry.resolve(outputMint);
+      const inputUiAmount = toUiAmount(amount, inputToken.decimals);
+      
+      // Validate trade size (in base-token units when known, else input-token units)
+      const tradeSize = options.baseAmount !== undefined ? options.baseAmount : inputUiAmount;
+      if (tradeSize < this.config.minTradeSize) {
         return {
           success: false,
           reason: 'Trade size below minimum',
           minSize: this.config.minTradeSize,
+          size: tradeSize,
         };
       }
 
+      // Never stack a second live swap on a pair whose last swap has not landed
+      const pair = options.pair || `${inputToken.symbol}-${outputToken.symbol}`;
+      if (!this.config.dryRun) {
+        const inFlight = this.transactionManager.findPending(record =>
+          record.pair === pair && !this.transactionManager.hasReached(record, 'confirmed'));
+        if (inFlight) {
+          return {
+            success: false,
+            reason: `Swap already pending for ${pair}`,
+            signature: inFlight.signature,
+          };
+        }
+      }
+
       // Get quote from Jupiter
-      console.log(`📊 Getting quote for ${amount / 1e9} tokens...`);
-      const quote = await this.getQuote(inputMint, outputMint, amount);
+      console.log(`📊 Getting quote for ${formatAmount(inputUiAmount, inputToken.symbol)} -> ${outputToken.symbol}...`);
+      const quote = await this.getQuote(inputMint, outputMint, amount, options.price);
       
       if (!quote) {
         return {
@@ -64,38 +112,81 @@ class TradeExecutor {
           reason: 'Failed to get quote from Jupiter',
         };
       }
+      
+      const outputUiAmount = toUiAmount(quote.outAmount, outputToken.decimals);
 
       // Dry run mode - don't execute actual trade
       if (this.config.dryRun) {
         console.log('🔍 DRY RUN MODE - Trade not executed');
-        console.log(`   Input: ${amount / LAMPORTS_PER_SOL} tokens`);
-        console.log(`   Expected output: ${quote.outAmount / LAMPORTS_PER_SOL} tokens`);
+        console.log(`   Input: ${formatAmount(inputUiAmount, inputToken.symbol)}`);
+        console.log(`   Expected output: ${formatAmount(outputUiAmount, outputToken.symbol)}`);
         console.log(`   Price impact: ${quote.priceImpactPct}%`);
         
         const trade = {
           success: true,
           dryRun: true,
+          id: `${options.pair || `${inputToken.symbol}-${outputToken.symbol}`}-${Date.now()}`,
+          pair: options.pair || null,
+          side: options.side || null,
+          purpose: options.purpose || 'trade',
           inputMint,
           outputMint,
+          inputSymbol: inputToken.symbol,
+          outputSymbol: outputToken.symbol,
           inputAmount: amount,
-          outputAmount: quote.outAmount,
+          outputAmount: Number(quote.outAmount),
+          inputUiAmount,
+          outputUiAmount,
           priceImpact: quote.priceImpactPct,
           timestamp: Date.now(),
         };
         
+        // Fill against the paper account; real quotes get the slippage the mock quote already includes
+        if (this.paperAccount) {
+          const fill = this.paperAccount.fill({
+            pair: trade.pair,
+            side: trade.side,
+            inputMint,
+            outputMint,
+            inputAmount: amount,
+            quotedOutAmount: quote.outAmount,
+            slippageBps: quote.simulated ? 0 : this.config.slippageBps,
+          });
+          
+          // A rejection is a failed trade, so paper statistics count it
+          if (!fill.success) {
+            console.log(`📄 Paper fill rejected: ${fill.reason}`);
+            const rejected = { ...trade, success: false, reason: fill.reason };
+            this.tradeHistory.push(rejected);
+            return rejected;
+          }
+          
+          trade.quotedOutAmount = trade.outputAmount;
+          trade.outputAmount = fill.outputAmount;
+          trade.outputUiAmount = toUiAmount(fill.outputAmount, outputToken.decimals);
+          trade.fees = { lamports: fill.feeLamports, sol: fill.feeLamports / LAMPORTS_PER_SOL };
+          trade.paper = { realizedPnl: fill.realizedPnl };
+          console.log(`📄 Paper fill: ${formatAmount(trade.outputUiAmount, outputToken.symbol)} (realized PnL ${fill.realizedPnl.toFixed(4)} ${this.paperAccount.config.quoteSymbol})`);
+        }
+        
         this.tradeHistory.push(trade);
+        this.ledger.recordTrade(trade);
         return trade;
       }
 
-      // Real execution (currently not implemented for safety)
-      console.log('⚠️  Real trade execution not yet implemented');
-      console.log('   Enable by integrating Jupiter swap API');
-      
-      return {
-        success: false,
-        reason: 'Real trade execution not implemented',
-        quote,
-      };
+      // Live execution needs Jupiter's swap API, which only exists on mainnet-beta
+      if (this.config.network !== 'mainnet-beta') {
+        return {
+          success: false,
+          reason: `Live swaps are not available on ${this.config.network} (Jupiter API is mainnet-only)`,
+          quote,
+        };
+      }
+
+      const trade = await this.submitSwap(quote, inputToken, outputToken, options);
+      this.tradeHistory.push(trade);
+      this.ledger.recordTrade(trade);
+      return trade;
     } catch (error) {
       console.error(`❌ Trade execution failed: ${error.message}`);
       return {
@@ -110,9 +201,10 @@ class TradeExecutor {
    * @param {string} inputMint - Input token mint
    * @param {string} outputMint - Output token mint
    * @param {number} amount - Amount in base units
+   * @param {number} price - Output per input in UI units (simulated quotes only, defaults to 1)
    * @returns {Promise<object>} - Quote data
    */
-  async getQuote(inputMint, outputMint, amount) {
+  async getQuote(inputMint, outputMint, amount, price = null) {
     // Jupiter API only supports mainnet-beta
     // For devnet/testnet, return mock quote data
     if (this.config.network !== 'mainnet-beta') {
@@ -120,8 +212,11 @@ class TradeExecutor {
       
       // Return mock quote with realistic data
       // Simulate slippage based on configured slippageBps (default 0.5%)
+      // and convert between the input and output token decimals
       const slippageMultiplier = 1 - (this.config.slippageBps / 10000);
-      const mockOutAmount = Math.floor(amount * slippageMultiplier);
+      const inputUiAmount = toUiAmount(amount, this.tokenRegistry.getDecimals(inputMint));
+      const outputUiAmount = inputUiAmount * (price || 1) * slippageMultiplier;
+      const mockOutAmount = toBaseUnits(outputUiAmount, this.tokenRegistry.getDecimals(outputMint));
       const priceImpactPct = this.config.slippageBps / PRICE_IMPACT_FACTOR;
       
       return {
@@ -135,53 +230,260 @@ class TradeExecutor {
         priceImpactPct,
         contextSlot: 0,
         timeTaken: 0.1,
+        simulated: true,
       };
     }
     
-    return new Promise((resolve, reject) => {
-      const url = `${this.config.jupiterApi}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${this.config.slippageBps}`;
+    const url = `${this.config.jupiterApi}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${this.config.slippageBps}`;
+    
+    try {
+      return await getJson(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build, sign and submit a Jupiter swap, re-quoting after expired attempts
+   * @param {object} quote - Quote returned by getQuote
+   * @param {object} inputToken - Input token
+   * @param {object} outputToken - Output token
+   * @param {object} options - Swap options (pair, side, price)
+   * @returns {Promise<object>} - Trade result with signature, settled amounts and fees
+   */
+  async submitSwap(quote, inputToken, outputToken, options = {}) {
+    const keypair = this.wallet.getKeypair();
+    const owner = keypair.publicKey.toBase58();
+    const pair = options.pair || `${inputToken.symbol}-${outputToken.symbol}`;
+    const id = `${pair}-${Date.now()}`;
+    const maxAttempts = this.config.maxRetries + 1;
+    let priorityFee;
+    let record;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        console.log(`🔁 Re-quoting swap (attempt ${attempt}/${maxAttempts})...`);
+        quote = await this.getQuote(inputToken.mint, outputToken.mint, Number(quote.inAmount), options.price);
+      }
       
-      https.get(url, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const parsed = JSON.parse(data);
-            resolve(parsed);
-          } catch (error) {
-            reject(new Error(`Failed to parse quote: ${error.message}`));
-          }
-        });
-      }).on('error', (error) => {
-        reject(new Error(`Failed to fetch quote: ${error.message}`));
+      console.log('🔥 Requesting swap transaction from Jupiter...');
+      const swap = await postJson(`${this.config.jupiterApi}/swap`, {
+        quoteResponse: quote,
+        userPublicKey: owner,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+      });
+      
+      if (!swap.swapTransaction) {
+        throw new Error('Jupiter did not return a swap transaction');
+      }
+      
+      const transaction = VersionedTransaction.deserialize(Buffer.from(swap.swapTransaction, 'base64'));
+      
+      // Price compute units from recent fees on the accounts this swap writes to
+      priorityFee = await this.priorityFees.prepare(transaction);
+      console.log(`⛽ Priority fee (${priorityFee.strategy}): ${priorityFee.microLamports} µlamports/CU × ${priorityFee.computeUnitLimit} CU = ${priorityFee.lamports} lamports`);
+      
+      if (!priorityFee.allowed) {
+        return {
+          success: false,
+          dryRun: false,
+          pair: options.pair || null,
+          side: options.side || null,
+          reason: `Priority fee ${priorityFee.lamports} lamports above cap of ${priorityFee.maxLamports}`,
+          priorityFee,
+          timestamp: Date.now(),
+        };
+      }
+      
+      transaction.sign([keypair]);
+      
+      const lastValidBlockHeight = swap.lastValidBlockHeight
+        || (await this.connection.getLatestBlockhash(this.config.commitment)).lastValidBlockHeight;
+      
+      record = await this.transactionManager.submit(transaction, {
+        id,
+        attempt,
+        lastValidBlockHeight,
+        meta: { pair, side: options.side || null },
       });
+      
+      // Expired or rejected before landing: nothing hit the chain, safe to retry
+      const neverLanded = record.status === 'expired' || (record.status === 'failed' && !record.signature);
+      if (!neverLanded) {
+        break;
+      }
+      console.log(`⌛ Swap attempt ${attempt} ${record.status === 'expired' ? 'expired' : `rejected: ${record.error}`}`);
+    }
+    
+    const signature = record.signature;
+    const base = {
+      id,
+      pair: options.pair || null,
+      side: options.side || null,
+      purpose: options.purpose || 'trade',
+      signature,
+      status: record.status,
+      attempts: record.attempt,
+      priorityFee,
+      inputMint: inputToken.mint,
+      outputMint: outputToken.mint,
+      inputSymbol: inputToken.symbol,
+      outputSymbol: outputToken.symbol,
+    };
+    
+    if (!this.transactionManager.hasReached(record, this.config.commitment)) {
+      return {
+        success: false,
+        dryRun: false,
+        ...base,
+        reason: record.status === 'expired'
+          ? `Transaction expired after ${record.attempt} attempt(s)`
+          : record.status === 'failed'
+            ? `Transaction failed: ${record.error}`
+            : `Transaction ${signature} not confirmed yet: ${record.lastRpcError}`,
+        timestamp: Date.now(),
+      };
+    }
+    console.log(`✅ Transaction ${signature} ${record.status}`);
+    
+    // Read what actually moved from the settled transaction, falling back to the quote
+    const settled = await this.connection.getTransaction(signature, {
+      commitment: this.config.commitment,
+      maxSupportedTransactionVersion: 0,
     });
+    const meta = settled && settled.meta;
+    
+    const inputAmount = meta ? -this.getBalanceChange(meta, owner, inputToken.mint) : Number(quote.inAmount);
+    const outputAmount = meta ? this.getBalanceChange(meta, owner, outputToken.mint) : Number(quote.outAmount);
+    const feeLamports = meta ? meta.fee : null;
+    
+    return {
+      success: true,
+      dryRun: false,
+      ...base,
+      inputAmount,
+      outputAmount,
+      inputUiAmount: toUiAmount(inputAmount, inputToken.decimals),
+      outputUiAmount: toUiAmount(outputAmount, outputToken.decimals),
+      quotedOutAmount: Number(quote.outAmount),
+      amountsSource: meta ? 'chain' : 'quote',
+      priceImpact: quote.priceImpactPct,
+      fees: {
+        lamports: feeLamports,
+        priorityLamports: priorityFee.lamports,
+        sol: feeLamports === null ? null : feeLamports / LAMPORTS_PER_SOL,
+      },
+      slot: settled ? settled.slot : null,
+      timestamp: Date.now(),
+    };
   }
 
   /**
-   * Execute a buy order
+   * Net change of a wallet's balance of one token in a settled transaction
+   * @param {object} meta - Transaction meta from getTransaction
+   * @param {string} owner - Wallet public key (fee payer)
+   * @param {string} mint - Token mint
+   * @returns {number} - Change in base units (negative when spent)
+   */
+  getBalanceChange(meta, owner, mint) {
+    // Wrapped SOL is unwrapped in the same transaction: use the payer's
+    // lamports, excluding the network fee
+    if (mint === WRAPPED_SOL_MINT) {
+      return meta.postBalances[0] - meta.preBalances[0] + meta.fee;
+    }
+    
+    const total = (balances) => (balances || [])
+      .filter(b => b.mint === mint && b.owner === owner)
+      .reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+    
+    return Number(total(meta.postTokenBalances) - total(meta.preTokenBalances));
+  }
+
+  /**
+   * Execute a buy order (swap quote token into base token)
    * @param {string} pair - Trading pair (e.g., 'SOL-USDC')
    * @param {number} size - Position size (fraction of portfolio)
-   * @param {number} portfolioValue - Current portfolio value
+   * @param {number} portfolioValue - Current portfolio value in base-token units
+   * @param {number} price - Current base price in quote token (estimated from a quote if omitted)
    * @returns {Promise<object>} - Trade result
-   * 
-   * Note: Currently hardcoded to SOL-USDC. TODO: Parse pair parameter and support multiple pairs.
    */
-  async executeBuy(pair, size, portfolioValue) {
+  async executeBuy(pair, size, portfolioValue, price = null) {
     console.log(`\n🟢 EXECUTING BUY`);
     console.log(`   Pair: ${pair}`);
     console.log(`   Size: ${(size * 100).toFixed(2)}% of portfolio`);
-    console.log(`   Portfolio value: ${portfolioValue} SOL`);
     
-    // Calculate amount to trade
-    const amount = Math.floor(portfolioValue * size * LAMPORTS_PER_SOL);
+    let tokens;
+    try {
+      tokens = this.tokenRegistry.resolvePair(pair);
+    } catch (error) {
+      console.log(`❌ Buy failed: ${error.message}`);
+      return { success: false, reason: error.message };
+    }
+    console.log(`   Portfolio value: ${portfolioValue} ${tokens.base.symbol}`);
+    
+    // Base tokens to acquire, paid for in quote tokens
+    const baseAmount = portfolioValue * size;
+    let result;
+    try {
+      const quotePrice = price || await this.estimatePrice(tokens.base, tokens.quote, baseAmount);
+      const amount = toBaseUnits(baseAmount * quotePrice, tokens.quote.decimals);
+      
+      result = await this.executeSwap(tokens.quote.mint, tokens.base.mint, amount, {
+        pair,
+        side: 'buy',
+        baseAmount,
+        price: 1 / quotePrice,
+      });
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
+    
+    if (result.success) {
+      console.log(`✅ Buy executed successfully ${result.dryRun ? '(DRY RUN)' : ''}`);
+    } else {
+      console.log(`❌ Buy failed: ${result.reason}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Spend a fixed amount of quote token on the base token
+   * @param {string} pair - Trading pair (e.g., 'SOL-USDC')
+   * @param {number} quoteAmount - Quote tokens to spend (UI units)
+   * @param {number} price - Current base price in quote token (estimated from a quote if omitted)
+   * @param {string} purpose - 'trade' (default), 'hedge' or 'dca': the ledger book the buy goes to
+   * @returns {Promise<object>} - Trade result
+   */
+  async executeQuoteBuy(pair, quoteAmount, price = null, purpose = 'trade') {
+    console.log(`\n🟢 EXECUTING BUY`);
+    console.log(`   Pair: ${pair}`);
+    
+    let tokens;
+    try {
+      tokens = this.tokenRegistry.resolvePair(pair);
+    } catch (error) {
+      console.log(`❌ Buy failed: ${error.message}`);
+      return { success: false, reason: error.message };
+    }
+    console.log(`   Spend: ${formatAmount(quoteAmount, tokens.quote.symbol)}`);
     
-    // Execute swap using configured token mints
-    const result = await this.executeSwap(SOL_MINT, USDC_MINT, amount);
+    let result;
+    try {
+      const quotePrice = price || await this.estimatePrice(tokens.base, tokens.quote, 1);
+      const amount = toBaseUnits(quoteAmount, tokens.quote.decimals);
+      
+      result = await this.executeSwap(tokens.quote.mint, tokens.base.mint, amount, {
+        pair,
+        side: 'buy',
+        baseAmount: quoteAmount / quotePrice,
+        price: 1 / quotePrice,
+        purpose,
+      });
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
     
     if (result.success) {
       console.log(`✅ Buy executed successfully ${result.dryRun ? '(DRY RUN)' : ''}`);
@@ -193,25 +495,42 @@ class TradeExecutor {
   }
 
   /**
-   * Execute a sell order
+   * Execute a sell order (swap base token into quote token)
    * @param {string} pair - Trading pair
    * @param {number} size - Position size to close (fraction)
-   * @param {number} portfolioValue - Current portfolio value
+   * @param {number} portfolioValue - Current portfolio value in base-token units
+   * @param {number} price - Current base price in quote token (used by simulated quotes)
    * @returns {Promise<object>} - Trade result
-   * 
-   * Note: Currently hardcoded to SOL-USDC. TODO: Parse pair parameter and support multiple pairs.
    */
-  async executeSell(pair, size, portfolioValue) {
+  async executeSell(pair, size, portfolioValue, price = null) {
     console.log(`\n🔴 EXECUTING SELL`);
     console.log(`   Pair: ${pair}`);
     console.log(`   Size: ${(size * 100).toFixed(2)}% of position`);
-    console.log(`   Portfolio value: ${portfolioValue} SOL`);
     
-    // Calculate amount to trade
-    const amount = Math.floor(portfolioValue * size * LAMPORTS_PER_SOL);
+    let tokens;
+    try {
+      tokens = this.tokenRegistry.resolvePair(pair);
+    } catch (error) {
+      console.log(`❌ Sell failed: ${error.message}`);
+      return { success: false, reason: error.message };
+    }
+    console.log(`   Portfolio value: ${portfolioValue} ${tokens.base.symbol}`);
     
-    // Execute swap using configured token mints
-    const result = await this.executeSwap(USDC_MINT, SOL_MINT, amount);
+    // Base tokens to sell for quote tokens
+    const baseAmount = portfolioValue * size;
+    let result;
+    try {
+      const amount = toBaseUnits(baseAmount, tokens.base.decimals);
+      
+      result = await this.executeSwap(tokens.base.mint, tokens.quote.mint, amount, {
+        pair,
+        side: 'sell',
+        baseAmount,
+        price,
+      });
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
     
     if (result.success) {
       console.log(`✅ Sell executed successfully ${result.dryRun ? '(DRY RUN)' : ''}`);
@@ -222,29 +541,209 @@ class TradeExecutor {
     return result;
   }
 
+  /**
+   * Check whether the position model can carry out an engine decision
+   * @param {object} decision - Decision from PrincipiaEngine.analyzeMarket
+   * @returns {object} - { allowed, reason }
+   */
+  checkDecision(decision) {
+    const model = this.config.positionModel;
+    if (model === 'derivatives') {
+      return { allowed: true };
+    }
+    
+    if (decision.positionSize < 0 || decision.position === 'short') {
+      return { allowed: false, reason: `Position model ${model} cannot hold a short position (spot swaps only)` };
+    }
+    if (model === 'spot-long-only' && decision.action === 'sell') {
+      return { allowed: false, reason: `Position model ${model} does not sell on signals` };
+    }
+    
+    return { allowed: true };
+  }
+
+  /**
+   * Carry out a buy or sell decision of the Principia engine. Decisions the
+   * position model cannot carry out are refused. In the spot models a sell
+   * never exceeds the pair's holdings in the ledger, and a sell down to a
+   * flat position sells all of them.
+   * @param {string} pair - Trading pair
+   * @param {object} decision - Decision from PrincipiaEngine.analyzeMarket
+   * @param {number} portfolioValue - Current portfolio value in base-token units
+   * @param {number} price - Current base price in quote token
+   * @returns {Promise<object|null>} - Trade result, or null when the decision is a hold
+   */
+  async executeDecision(pair, decision, portfolioValue, price = null) {
+    if (decision.action !== 'buy' && decision.action !== 'sell') {
+      return null;
+    }
+    
+    const check = this.checkDecision(decision);
+    if (!check.allowed) {
+      console.log(`\n🚫 Decision refused: ${check.reason}`);
+      return { success: false, refused: true, pair, side: decision.action, reason: check.reason };
+    }
+    
+    const size = Math.abs(decision.positionChange);
+    if (decision.action === 'buy') {
+      return this.executeBuy(pair, size, portfolioValue, price);
+    }
+    
+    if (this.config.positionModel === 'derivatives') {
+      return this.executeSell(pair, size, portfolioValue, price);
+    }
+    
+    const held = this.ledger.getPosition(pair).quantity;
+    if (!(held > 0)) {
+      const reason = `No ${pair} holdings to sell (position model ${this.config.positionModel})`;
+      console.log(`\n🚫 Decision refused: ${reason}`);
+      return { success: false, refused: true, pair, side: 'sell', reason };
+    }
+    
+    const baseAmount = decision.positionSize > 0 ? Math.min(size * portfolioValue, held) : held;
+    return this.executeSell(pair, baseAmount / portfolioValue, portfolioValue, price);
+  }
+
+  /**
+   * Close a protected position in full
+   * @param {string} pair - Trading pair
+   * @param {object} position - Position to close ({ side: 'long'|'short', quantity in base-token units })
+   * @param {number} price - Current base price in quote token
+   * @returns {Promise<object>} - Trade result
+   */
+  async closePosition(pair, position, price = null) {
+    console.log(`\n🛡️  CLOSING ${position.side.toUpperCase()} POSITION: ${formatAmount(position.quantity, pair.split('-')[0])}`);
+    
+    // Whole position: size 1 of a "portfolio" equal to the position quantity
+    return position.side === 'long'
+      ? this.executeSell(pair, 1, position.quantity, price)
+      : this.executeBuy(pair, 1, position.quantity, price);
+  }
+
+  /**
+   * Estimate the price of a base token in quote tokens from a swap quote
+   * @param {object} base - Base token
+   * @param {object} quote - Quote token
+   * @param {number} baseAmount - Base-token UI amount to price
+   * @returns {Promise<number>} - Quote tokens per base token
+   */
+  async estimatePrice(base, quote, baseAmount) {
+    const amount = toBaseUnits(baseAmount, base.decimals);
+    const probe = await this.getQuote(base.mint, quote.mint, amount);
+    const quoteAmount = toUiAmount(probe.outAmount, quote.decimals);
+    
+    if (!(quoteAmount > 0) || !(baseAmount > 0)) {
+      throw new Error(`Could not price ${base.symbol} in ${quote.symbol}`);
+    }
+    
+    return quoteAmount / baseAmount;
+  }
+
+  /**
+   * Estimate what trading a pair would cost right now, for the engine's drag force
+   * 
+   * Price impact comes from a quote for the given size; the configured
+   * slippage tolerance is reported alongside but is not a cost. Fees are the paper account's fee in dry run and the
+   * network fee plus a priority fee estimate otherwise (from recent fees on
+   * the pair's mints and the pools the quote routes through), converted to a
+   * fraction of the trade value.
+   * 
+   * @param {string} pair - Trading pair
+   * @param {number} baseAmount - Trade size in base-token UI units
+   * @param {number} price - Current base price in quote token
+   * @returns {Promise<object>} - { priceImpactPct, slippageBps, feeLamports, feeFraction }
+   */
+  async estimateTradingCosts(pair, baseAmount, price) {
+    const tokens = this.tokenRegistry.resolvePair(pair);
+    const probe = await this.getQuote(tokens.base.mint, tokens.quote.mint, toBaseUnits(baseAmount, tokens.base.decimals), price);
+    
+    let feeLamports = BASE_FEE_LAMPORTS;
+    if (this.config.dryRun && this.paperAccount) {
+      feeLamports = this.paperAccount.config.feeLamports;
+    } else {
+      try {
+        const limit = this.priorityFees.config.computeUnitLimit || DEFAULT_COMPUTE_UNIT_LIMIT;
+        feeLamports += (await this.priorityFees.estimate(getQuoteAccounts(probe), limit)).lamports;
+      } catch (error) {
+        // No recent fees: the network fee alone
+      }
+    }
+    
+    // Fee as a fraction of the trade value, priced in SOL
+    const feeSol = feeLamports / LAMPORTS_PER_SOL;
+    let tradeValueSol = null;
+    if (tokens.base.mint === WRAPPED_SOL_MINT) {
+      tradeValueSol = baseAmount;
+    } else if (tokens.quote.mint === WRAPPED_SOL_MINT) {
+      tradeValueSol = baseAmount * price;
+    } else {
+      try {
+        const sol = this.tokenRegistry.resolve(WRAPPED_SOL_MINT);
+        tradeValueSol = baseAmount * price / await this.estimatePrice(sol, tokens.quote, feeSol);
+      } catch (error) {
+        // SOL cannot be priced in the quote token: fees are left out
+      }
+    }
+    
+    return {
+      priceImpactPct: Number(probe.priceImpactPct) || 0,
+      slippageBps: this.config.slippageBps,
+      feeLamports,
+      feeFraction: tradeValueSol > 0 ? feeSol / tradeValueSol : 0,
+    };
+  }
+
+  /**
+   * Get live swaps that have not reached a terminal status
+   * @returns {Array<object>} - Lifecycle records (status, signature, attempt, ...)
+   */
+  getPendingTrades() {
+    return Array.from(this.pendingTrades.values());
+  }
+
   /**
    * Get trade history
    * @param {number} count - Number of recent trades to return
+   * @param {string} purpose - Only return 'trade', 'hedge', 'dca' or 'rebalance' swaps (all when omitted)
    * @returns {Array<object>} - Trade history
    */
-  getTradeHistory(count = 10) {
-    return this.tradeHistory.slice(-count);
+  getTradeHistory(count = 10, purpose = null) {
+    const history = purpose
+      ? this.tradeHistory.filter(t => (t.purpose || 'trade') === purpose)
+      : this.tradeHistory;
+    return history.slice(-count);
   }
 
   /**
-   * Get trade statistics
+   * Get trade statistics (hedge and DCA swaps are counted separately; PnL comes from the ledger)
    * @returns {object} - Trade statistics
    */
   getStatistics() {
-    const total = this.tradeHistory.length;
-    const successful = this.tradeHistory.filter(t => t.success).length;
-    const dryRuns = this.tradeHistory.filter(t => t.dryRun).length;
+    const trades = this.tradeHistory.filter(t => (t.purpose || 'trade') === 'trade');
+    const hedges = this.tradeHistory.filter(t => t.purpose === 'hedge');
+    const dcaBuys = this.tradeHistory.filter(t => t.purpose === 'dca');
+    const rebalances = this.tradeHistory.filter(t => t.purpose === 'rebalance');
+    const total = trades.length;
+    const successful = trades.filter(t => t.success).length;
+    const dryRuns = trades.filter(t => t.dryRun).length;
+    const ledger = this.ledger.getTotals();
     
     return {
       totalTrades: total,
       successfulTrades: successful,
       dryRunTrades: dryRuns,
       successRate: total > 0 ? (successful / total * 100).toFixed(2) : 0,
+      hedgeTrades: hedges.length,
+      successfulHedgeTrades: hedges.filter(t => t.success).length,
+      dcaTrades: dcaBuys.length,
+      successfulDcaTrades: dcaBuys.filter(t => t.success).length,
+      rebalanceTrades: rebalances.length,
+      successfulRebalanceTrades: rebalances.filter(t => t.success).length,
+      openPositions: ledger.openPositions,
+      realizedPnl: ledger.realizedPnl,
+      unrealizedPnl: ledger.unrealizedPnl,
+      totalPnl: ledger.totalPnl,
+      feesSol: ledger.feesSol,
     };
   }
 
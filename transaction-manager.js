@@ -0,0 +1,232 @@
+/**
+ * Transaction Manager Module
+ *
+ * Tracks submitted swap transactions through their lifecycle:
+ *
+ *   sent -> processed -> confirmed -> finalized
+ *                   \-> failed     (landed with an error)
+ *                   \-> expired    (blockhash expired before it landed)
+ *                   \-> unknown    (RPC unreachable, outcome never learned)
+ *
+ * While a transaction has not landed it is rebroadcast every
+ * `rebroadcastInterval` ms until its blockhash expires. Once the block
+ * height passes `lastValidBlockHeight` and the signature is still unknown,
+ * the transaction can never land, so it is safe for the caller to re-quote
+ * and retry without risking a duplicate swap. RPC errors while polling say
+ * nothing about the transaction, so they are counted on the record
+ * (`rpcErrors`, `lastRpcError`) and polling carries on: a sent record only
+ * ends as 'failed' or 'expired' on an answer from the chain. After
+ * `maxRpcErrors` errors in a row tracking gives up and the record ends as
+ * 'unknown', so a dead RPC cannot hold the caller forever; the swap may
+ * still land, so it must not be retried.
+ *
+ * Events (each receives the trade record):
+ *   'status'    - every status change
+ *   'finalized' - terminal: finalized on chain
+ *   'failed'    - terminal: landed with an error, or rejected when sent
+ *   'expired'   - terminal: blockhash expired without landing
+ *   'unknown'   - terminal: gave up after maxRpcErrors RPC errors in a row
+ */
+
+const EventEmitter = require('events');
+
+// Statuses in lifecycle order; a record only moves forward
+const STATUS_ORDER = ['sent', 'processed', 'confirmed', 'finalized'];
+const TERMINAL_STATUSES = ['finalized', 'failed', 'expired', 'unknown'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TransactionManager extends EventEmitter {
+  /**
+   * @param {Connection} connection - Solana connection
+   * @param {object} config - Manager configuration
+   * @param {Map} pending - Map to track in-flight trades in (e.g. TradeExecutor.pendingTrades)
+   */
+  constructor(connection, config = {}, pending = new Map()) {
+    super();
+    this.connection = connection;
+    this.pending = pending;
+    this.config = {
+      commitment: config.commitment || 'confirmed', // Status at which submit() resolves
+      pollInterval: config.pollInterval || 1000, // Signature status polling in ms
+      rebroadcastInterval: config.rebroadcastInterval || 2000, // Resend interval in ms until landed
+      maxRpcErrors: config.maxRpcErrors || 30, // RPC errors in a row before tracking gives up
+    };
+  }
+
+  /**
+   * Send a signed transaction and track it
+   * @param {VersionedTransaction} transaction - Signed transaction
+   * @param {object} options - Tracking options
+   * @param {string} options.id - Trade id (shared by all attempts of one swap)
+   * @param {number} options.lastValidBlockHeight - Block height after which the blockhash expires
+   * @param {number} options.attempt - Attempt number (1-based)
+   * @param {object} options.meta - Extra fields to keep on the record (pair, side, ...)
+   * @returns {Promise<object>} - Record once it reaches the configured commitment or a terminal status
+   */
+  async submit(transaction, options) {
+    const raw = transaction.serialize();
+    const record = {
+      id: options.id,
+      ...options.meta,
+      attempt: options.attempt || 1,
+      signature: null,
+      status: null,
+      lastValidBlockHeight: options.lastValidBlockHeight,
+      rebroadcasts: 0,
+      rpcErrors: 0,
+      lastRpcError: null,
+      error: null,
+      history: [],
+    };
+    this.pending.set(record.id, record);
+
+    try {
+      record.signature = await this.connection.sendRawTransaction(raw, {
+        skipPreflight: false,
+        maxRetries: 0, // Rebroadcasting is handled here
+      });
+    } catch (error) {
+      record.error = error.message;
+      this.setStatus(record, 'failed');
+      return record;
+    }
+
+    this.setStatus(record, 'sent');
+
+    return new Promise((resolve) => {
+      // The transaction may still land: leave the record pending rather
+      // than guess its outcome
+      this.track(record, raw, resolve).catch((error) => {
+        record.lastRpcError = error.message;
+        resolve(record);
+      });
+    });
+  }
+
+  /**
+   * Poll a record until it is terminal, rebroadcasting until it lands
+   * @param {object} record - Trade record
+   * @param {Uint8Array} raw - Serialized transaction
+   * @param {Function} onReady - Called once the record reaches the commitment or a terminal status
+   */
+  async track(record, raw, onReady) {
+    let ready = false;
+    let lastSent = Date.now();
+    let rpcErrorsInRow = 0;
+    const notify = () => {
+      if (!ready && (this.isTerminal(record) || this.hasReached(record, this.config.commitment))) {
+        ready = true;
+        onReady(record);
+      }
+    };
+
+    while (!this.isTerminal(record)) {
+      await sleep(this.config.pollInterval);
+
+      try {
+        const { value } = await this.connection.getSignatureStatuses([record.signature]);
+        const status = value && value[0];
+
+        if (status && status.err) {
+          record.error = JSON.stringify(status.err);
+          this.setStatus(record, 'failed');
+        } else if (status && status.confirmationStatus) {
+          this.setStatus(record, status.confirmationStatus);
+        } else {
+          const blockHeight = await this.connection.getBlockHeight(this.config.commitment);
+
+          if (blockHeight > record.lastValidBlockHeight) {
+            // Last look through history before declaring it dead
+            const { value: final } = await this.connection.getSignatureStatuses(
+              [record.signature],
+              { searchTransactionHistory: true }
+            );
+            if (final && final[0]) {
+              this.setStatus(record, final[0].err ? 'failed' : final[0].confirmationStatus);
+            } else {
+              this.setStatus(record, 'expired');
+            }
+          } else if (Date.now() - lastSent >= this.config.rebroadcastInterval) {
+            await this.connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+            record.rebroadcasts++;
+            lastSent = Date.now();
+          }
+        }
+        rpcErrorsInRow = 0;
+      } catch (error) {
+        // Status unknown this round; the next poll asks again
+        record.rpcErrors++;
+        record.lastRpcError = error.message;
+        if (++rpcErrorsInRow >= this.config.maxRpcErrors) {
+          this.setStatus(record, 'unknown');
+        }
+      }
+
+      notify();
+    }
+
+    notify();
+  }
+
+  /**
+   * Move a record to a new status, emitting events
+   * @param {object} record - Trade record
+   * @param {string} status - New status
+   */
+  setStatus(record, status) {
+    const current = STATUS_ORDER.indexOf(record.status);
+    const next = STATUS_ORDER.indexOf(status);
+    if (record.status === status || (next !== -1 && next < current)) {
+      return;
+    }
+
+    record.status = status;
+    record.history.push({ status, timestamp: Date.now() });
+    this.emit('status', record);
+
+    if (this.isTerminal(record)) {
+      this.pending.delete(record.id);
+      this.emit(status, record);
+    }
+  }
+
+  /**
+   * Check whether a record has reached (at least) a status
+   * @param {object} record - Trade record
+   * @param {string} status - Status to compare against
+   * @returns {boolean} - Whether the status was reached
+   */
+  hasReached(record, status) {
+    const current = STATUS_ORDER.indexOf(record.status);
+    return current !== -1 && current >= STATUS_ORDER.indexOf(status);
+  }
+
+  /**
+   * Check whether a record is in a terminal status
+   * @param {object} record - Trade record
+   * @returns {boolean} - Whether tracking has ended
+   */
+  isTerminal(record) {
+    return TERMINAL_STATUSES.includes(record.status);
+  }
+
+  /**
+   * Find an in-flight trade matching a predicate
+   * @param {Function} predicate - Test applied to each pending record
+   * @returns {object|null} - Matching record
+   */
+  findPending(predicate) {
+    for (const record of this.pending.values()) {
+      if (predicate(record)) {
+        return record;
+      }
+    }
+    return null;
+  }
+}
+
+TransactionManager.STATUS_ORDER = STATUS_ORDER;
+TransactionManager.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = TransactionManager;
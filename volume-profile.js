@@ -0,0 +1,140 @@
+/**
+ * Volume Profile Module
+ *
+ * Builds a price-bucket histogram of traded volume from OHLCV candles.
+ * Each candle's volume is spread evenly across the price range it traded
+ * (low to high), so wide bars contribute to every bucket they touched.
+ *
+ * The histogram is the "mass" behind key levels: the Principia engine's
+ * gravitation term uses the volume traded around a level rather than a
+ * constant, so levels where liquidity actually sits pull harder.
+ *
+ * When the price feed reports no volume at all (e.g. Jupiter Price API),
+ * tick counts are used instead (time-at-price profile) and the profile
+ * reports `basis: 'ticks'` with `confidence: 'low'`: time spent at a price
+ * says where the feed was polled, not where liquidity sits, so levels
+ * weighed by it do not pull on price.
+ */
+
+class VolumeProfile {
+  constructor(config = {}) {
+    this.config = {
+      bucketCount: config.bucketCount || 50, // Number of price buckets across the range
+    };
+
+    this.buckets = [];
+    this.bucketSize = 0;
+    this.minPrice = 0;
+    this.maxPrice = 0;
+    this.totalVolume = 0;
+    this.basis = 'volume';
+    this.confidence = 'high';
+  }
+
+  /**
+   * Build the histogram from candles
+   * @param {Array<object>} candles - OHLCV candles ({high, low, volume, ticks})
+   * @returns {VolumeProfile} - This profile
+   */
+  build(candles) {
+    this.buckets = [];
+    this.totalVolume = 0;
+
+    if (candles.length === 0) {
+      return this;
+    }
+
+    const reportedVolume = candles.reduce((sum, c) => sum + (c.volume || 0), 0);
+    this.basis = reportedVolume > 0 ? 'volume' : 'ticks';
+    this.confidence = this.basis === 'volume' ? 'high' : 'low';
+    const weightOf = (candle) => this.basis === 'volume' ? (candle.volume || 0) : (candle.ticks || 1);
+
+    this.minPrice = Math.min(...candles.map(c => c.low));
+    this.maxPrice = Math.max(...candles.map(c => c.high));
+
+    const range = this.maxPrice - this.minPrice;
+    const bucketCount = range > 0 ? this.config.bucketCount : 1;
+    this.bucketSize = range > 0 ? range / bucketCount : 1;
+
+    for (let i = 0; i < bucketCount; i++) {
+      const low = this.minPrice + i * this.bucketSize;
+      this.buckets.push({
+        low,
+        high: low + this.bucketSize,
+        price: low + this.bucketSize / 2,
+        volume: 0,
+      });
+    }
+
+    for (const candle of candles) {
+      const weight = weightOf(candle);
+      if (weight <= 0) {
+        continue;
+      }
+
+      this.totalVolume += weight;
+
+      // Flat bar: all volume in one bucket
+      if (candle.high === candle.low) {
+        this.buckets[this.bucketIndex(candle.low)].volume += weight;
+        continue;
+      }
+
+      // Spread volume across buckets in proportion to overlap
+      const span = candle.high - candle.low;
+      const first = this.bucketIndex(candle.low);
+      const last = this.bucketIndex(candle.high);
+      for (let i = first; i <= last; i++) {
+        const bucket = this.buckets[i];
+        const overlap = Math.min(bucket.high, candle.high) - Math.max(bucket.low, candle.low);
+        if (overlap > 0) {
+          bucket.volume += weight * (overlap / span);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Index of the bucket containing a price
+   * @param {number} price - Price
+   * @returns {number} - Bucket index
+   */
+  bucketIndex(price) {
+    const index = Math.floor((price - this.minPrice) / this.bucketSize);
+    return Math.max(0, Math.min(this.buckets.length - 1, index));
+  }
+
+  /**
+   * Volume traded between two prices
+   * @param {number} low - Lower bound
+   * @param {number} high - Upper bound
+   * @returns {number} - Volume in the range (pro-rated for partial buckets)
+   */
+  getVolumeBetween(low, high) {
+    let volume = 0;
+
+    for (const bucket of this.buckets) {
+      const overlap = Math.min(bucket.high, high) - Math.max(bucket.low, low);
+      if (overlap > 0) {
+        volume += bucket.volume * (overlap / this.bucketSize);
+      }
+    }
+
+    return volume;
+  }
+
+  /**
+   * Bucket with the most volume (point of control)
+   * @returns {object|null} - Bucket ({low, high, price, volume})
+   */
+  getPointOfControl() {
+    if (this.buckets.length === 0) {
+      return null;
+    }
+    return this.buckets.reduce((best, bucket) => bucket.volume > best.volume ? bucket : best);
+  }
+}
+
+module.exports = VolumeProfile;
@@ -3,6 +3,9 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+// Native SOL is held as lamports, not in a token account
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
 class Wallet {
   constructor(connection) {
     this.connection = connection;
@@ -101,6 +104,30 @@ class Wallet {
     }
   }
 
+  /**
+   * Get the balance of a token
+   * @param {string} mint - Token mint address (wrapped SOL reads the native balance)
+   * @returns {Promise<number>} Balance in UI units, summed over the wallet's token accounts
+   */
+  async getTokenBalance(mint) {
+    if (!this.keypair) {
+      throw new Error('No wallet loaded');
+    }
+    if (mint === WRAPPED_SOL_MINT) {
+      return this.getBalance();
+    }
+
+    try {
+      const { value } = await this.connection.getParsedTokenAccountsByOwner(
+        this.keypair.publicKey,
+        { mint: new PublicKey(mint) }
+      );
+      return value.reduce((sum, { account }) => sum + (account.data.parsed.info.tokenAmount.uiAmount || 0), 0);
+    } catch (error) {
+      throw new Error(`Failed to get token balance: ${error.message}`);
+    }
+  }
+
   /**
    * Request airdrop (devnet/testnet only)
    * @param {number} amount - Amount of SOL to airdrop